@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Headless Z80 Runner
+ *
+ * Loads a program into Z80Core and runs it without a browser, for scripts
+ * and CI. The program can be assembly source, a raw binary, an Intel HEX or
+ * S-record file, a machine snapshot or a CP/M .COM file. Bytes written to the
+ * console port (or the CP/M console) go to stdout; the final registers go to
+ * stderr.
+ *
+ * Exit status: 0 when the program halts, the byte written to the exit port
+ * when one is given, 124 when the instruction or T-state limit runs out, and
+ * 1 when the program cannot be loaded. A snapshot can bring breakpoints,
+ * watchpoints and port breakpoints with it; the run stops at the first one
+ * reached, with status 2, 3 or 4 respectively.
+ */
+
+import { readFileSync, writeFileSync, readSync, readdirSync, unlinkSync, existsSync, statSync } from 'node:fs';
+import { dirname, basename, extname, join, resolve as resolvePath } from 'node:path';
+import { parseArgs } from 'node:util';
+import Z80Core from '../src/emulator/Z80Core.js';
+import Z80Assembler from '../src/assembler/Z80Assembler.js';
+import Workspace from '../src/assembler/Workspace.js';
+import { parseHexFile } from '../src/emulator/HexFile.js';
+import { parseSnapshot } from '../src/emulator/Snapshot.js';
+import { importSpectrumSnapshot } from '../src/emulator/SpectrumSnapshot.js';
+import CpmSystem, { TPA_START } from '../src/emulator/CpmSystem.js';
+
+const EXIT_HALTED = 0;
+const EXIT_ERROR = 1;
+const EXIT_BREAKPOINT = 2;
+const EXIT_WATCHPOINT = 3;
+const EXIT_PORT_BREAKPOINT = 4;
+const EXIT_LIMIT = 124;
+
+const DEFAULT_LIMIT = 10000000;
+
+// Input formats, and the extensions that select them
+const FORMATS = {
+  asm: ['.asm', '.z80', '.s', '.inc'],
+  hex: ['.hex', '.ihx', '.ihex', '.s19', '.s28', '.s37', '.srec', '.mot'],
+  snapshot: ['.json'],
+  sna: ['.sna'],
+  szx: ['.szx'],
+  com: ['.com'],
+  bin: [],
+};
+
+const USAGE = `Usage: z80run [options] <file> [arguments...]
+
+Runs a Z80 program headless. <file> is assembly source (.asm, .z80, .s), an
+Intel HEX or S-record file, a snapshot (.json, .sna, .z80, .szx), a CP/M
+program (.com) or a raw binary. A .z80 file is a snapshot when it holds
+binary data and source otherwise. Arguments after a CP/M program are its
+command tail.
+
+Options:
+  -f, --format <format>    Input format: asm, bin, hex, snapshot, sna, z80, szx or com
+                           (default: from the file extension, otherwise bin)
+  -d, --disk <dir>         Directory CP/M programs see as drive A
+                           (default: the program's directory)
+  -a, --address <hex>      Load address of a binary, or origin of the source (default 0000)
+  -e, --entry <hex>        Start address (default: the program's entry point)
+      --sp <hex>           Initial stack pointer
+  -l, --limit <n>          Stop after n instructions (default ${DEFAULT_LIMIT})
+  -c, --cycles <n>         Stop after n T-states
+  -o, --output-port <hex>  Port whose writes go to stdout (default 01, low byte decoded)
+  -x, --exit-port <hex>    Port whose writes end the run with the byte as exit status
+  -u, --undocumented       Model undocumented behaviour
+  -t, --trace              Print each instruction to stderr before it runs
+  -q, --quiet              Do not print the registers when the run ends
+  -h, --help               Show this help
+
+Exit status: 0 on HALT or a CP/M warm boot, the byte written to the exit port,
+${EXIT_LIMIT} when a limit runs out, 1 when the program cannot be loaded. A snapshot's
+breakpoints, watchpoints and port breakpoints stop the run with ${EXIT_BREAKPOINT}, ${EXIT_WATCHPOINT} and ${EXIT_PORT_BREAKPOINT}.
+`;
+
+const hex = (value, digits) => value.toString(16).padStart(digits, '0').toUpperCase();
+
+/**
+ * A workspace that reads files next to the source from disk the first time
+ * INCLUDE or INCBIN names them. Files are kept as bytes and decoded when
+ * read as text.
+ */
+class DiskWorkspace extends Workspace {
+  constructor(root) {
+    super();
+    this.root = root;
+  }
+  
+  resolve(name, fromFile = '') {
+    const found = super.resolve(name, fromFile);
+    if (found) return found;
+    
+    const candidates = [`${dirname(fromFile)}/${name}`, name];
+    const path = candidates.find(candidate => {
+      const full = resolvePath(this.root, candidate);
+      return existsSync(full) && statSync(full).isFile();
+    });
+    if (!path) return null;
+    
+    this.setFile(path, readFileSync(resolvePath(this.root, path)));
+    return super.resolve(path);
+  }
+  
+  readText(name) {
+    const content = this.getFile(name);
+    return content instanceof Uint8Array ? new TextDecoder().decode(content) : super.readText(name);
+  }
+}
+
+/**
+ * Drive A for CP/M programs: a host directory, read and written in place.
+ */
+class HostDirectory extends Workspace {
+  constructor(root) {
+    super();
+    this.root = root;
+  }
+  
+  listFiles() {
+    return readdirSync(this.root).filter(name => this.hasFile(name)).sort();
+  }
+  
+  hasFile(name) {
+    const path = join(this.root, name);
+    return existsSync(path) && statSync(path).isFile();
+  }
+  
+  getFile(name) {
+    return this.hasFile(name) ? new Uint8Array(readFileSync(join(this.root, name))) : undefined;
+  }
+  
+  setFile(name, content) {
+    writeFileSync(join(this.root, name), typeof content === 'string' ? content : Uint8Array.from(content));
+    this.notify();
+  }
+  
+  removeFile(name) {
+    if (this.hasFile(name)) {
+      unlinkSync(join(this.root, name));
+      this.notify();
+    }
+  }
+}
+
+/**
+ * The CP/M console on stdin and stdout. Piped input is read in full when
+ * first needed; a terminal is read a byte at a time, blocking the run. At
+ * the end of the input, reads return Ctrl-Z. Newlines are passed on as CR.
+ */
+const createConsole = (write) => {
+  const interactive = process.stdin.isTTY;
+  let input = null;
+  
+  const readByte = () => {
+    const buffer = Buffer.alloc(1);
+    for (;;) {
+      try {
+        return readSync(0, buffer, 0, 1, null) === 1 ? buffer[0] : null;
+      } catch (error) {
+        if (error.code !== 'EAGAIN') return null;
+      }
+    }
+  };
+  const pending = () => {
+    if (input === null) {
+      input = interactive ? [] : Array.from(readFileSync(0));
+    }
+    return input;
+  };
+  const toCpm = (code) => (code === 0x0A ? 0x0D : code);
+  
+  return {
+    write,
+    read: () => {
+      const queued = pending();
+      if (queued.length > 0) return toCpm(queued.shift());
+      const code = interactive ? readByte() : null;
+      return code === null ? 0x1A : toCpm(code);
+    },
+    ready: () => pending().length > 0,
+  };
+};
+
+// Parse a hex option value, failing with the option's name
+const parseHexOption = (value, name, max = 0xFFFF) => {
+  const number = parseInt(value, 16);
+  if (!/^[0-9A-Fa-f]+$/.test(value) || number > max) {
+    throw new Error(`--${name} must be a hex value up to ${hex(max, 2)}`);
+  }
+  return number;
+};
+
+const parseCountOption = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive whole number`);
+  }
+  return number;
+};
+
+// Format of a file from its extension. .z80 names both source and Spectrum
+// snapshots; a snapshot is binary, with zero bytes that source never has
+const formatOf = (file) => {
+  const extension = extname(file).toLowerCase();
+  if (extension === '.z80' && existsSync(file) && readFileSync(file).includes(0)) {
+    return 'z80';
+  }
+  return Object.keys(FORMATS).find(format => FORMATS[format].includes(extension)) ?? 'bin';
+};
+
+/**
+ * Load the program into the core.
+ * @returns {number} The entry point
+ * @throws {Error} When the file cannot be read, assembled or parsed
+ */
+const loadProgram = async (core, file, format, address) => {
+  const bytes = readFileSync(file);
+  
+  switch (format) {
+    case 'asm': {
+      const workspace = new DiskWorkspace(dirname(file));
+      const name = basename(file);
+      workspace.setFile(name, bytes);
+      const result = new Z80Assembler({ workspace }).assemble(workspace.readText(name), { origin: address, fileName: name });
+      if (result.errors.length > 0) {
+        const messages = result.errors.map(error =>
+          `${error.file || name}:${error.line}${error.column ? `:${error.column}` : ''}: ${error.message}`);
+        throw new Error(messages.join('\n'));
+      }
+      result.program.forEach(item => core.loadProgram(item.bytes, item.address));
+      return result.entry;
+    }
+    case 'hex': {
+      const { segments, entry } = parseHexFile(bytes.toString('latin1'));
+      segments.forEach(segment => core.loadProgram(segment.bytes, segment.address));
+      return entry ?? (segments.length > 0 ? segments[0].address : address);
+    }
+    case 'snapshot':
+      core.loadSnapshot(parseSnapshot(bytes.toString('utf8')));
+      return core.registers.pc;
+    case 'sna':
+    case 'z80':
+    case 'szx': {
+      const { warnings } = await importSpectrumSnapshot(core, new Uint8Array(bytes), format);
+      warnings.forEach(warning => process.stderr.write(`warning: ${warning}\n`));
+      return core.registers.pc;
+    }
+    default:
+      core.loadProgram(bytes, address);
+      return address;
+  }
+};
+
+// Final register dump, in the layout of the Register Editor
+const formatRegisters = (core) => {
+  const regs = core.registers;
+  const flags = regs.flags;
+  core.exchangeRegisterSets();
+  const alternates = `AF'=${hex(core.getAF(), 4)} BC'=${hex(core.getBC(), 4)} DE'=${hex(core.getDE(), 4)} HL'=${hex(core.getHL(), 4)}`;
+  core.exchangeRegisterSets();
+  
+  const flagText = [['S', flags.s], ['Z', flags.z], ['H', flags.h], ['P', flags.pv], ['N', flags.n], ['C', flags.c]]
+    .map(([name, set]) => (set ? name : '-'))
+    .join('');
+  
+  return [
+    `PC=${hex(regs.pc, 4)} SP=${hex(regs.sp, 4)} AF=${hex(core.getAF(), 4)} BC=${hex(core.getBC(), 4)} ` +
+      `DE=${hex(core.getDE(), 4)} HL=${hex(core.getHL(), 4)} IX=${hex(regs.ix, 4)} IY=${hex(regs.iy, 4)}`,
+    `${alternates} I=${hex(regs.i, 2)} R=${hex(regs.r, 2)}`,
+    `Flags=${flagText} IM ${core.interruptMode} IFF1=${core.iff1 ? 1 : 0} IFF2=${core.iff2 ? 1 : 0}`,
+  ].join('\n');
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f' },
+      disk: { type: 'string', short: 'd' },
+      address: { type: 'string', short: 'a', default: '0' },
+      entry: { type: 'string', short: 'e' },
+      sp: { type: 'string' },
+      limit: { type: 'string', short: 'l', default: String(DEFAULT_LIMIT) },
+      cycles: { type: 'string', short: 'c' },
+      'output-port': { type: 'string', short: 'o', default: '01' },
+      'exit-port': { type: 'string', short: 'x' },
+      undocumented: { type: 'boolean', short: 'u', default: false },
+      trace: { type: 'boolean', short: 't', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_HALTED;
+  }
+  if (positionals.length === 0) {
+    process.stderr.write(USAGE);
+    return EXIT_ERROR;
+  }
+  
+  const [file, ...commandTail] = positionals;
+  const format = values.format ?? formatOf(file);
+  if (format !== 'z80' && !(format in FORMATS)) {
+    throw new Error(`Unknown format "${format}"`);
+  }
+  if (format !== 'com' && commandTail.length > 0) {
+    throw new Error('Only CP/M programs take arguments');
+  }
+  const limit = parseCountOption(values.limit, 'limit');
+  const cycles = values.cycles !== undefined ? parseCountOption(values.cycles, 'cycles') : Infinity;
+  const outputPort = parseHexOption(values['output-port'], 'output-port', 0xFF);
+  const exitPort = values['exit-port'] !== undefined ? parseHexOption(values['exit-port'], 'exit-port', 0xFF) : null;
+  
+  const core = new Z80Core({ undocumented: values.undocumented });
+  core.reset();
+  
+  // Console output is buffered and written in chunks
+  let output = [];
+  const flush = () => {
+    if (output.length > 0) {
+      process.stdout.write(Buffer.from(output));
+      output = [];
+    }
+  };
+  const writeOutput = (value) => {
+    output.push(value);
+    if (output.length >= 4096) flush();
+  };
+  
+  let cpm = null;
+  let entry;
+  if (format === 'com') {
+    cpm = new CpmSystem(core, {
+      disk: new HostDirectory(values.disk ?? dirname(resolvePath(file))),
+      console: createConsole(writeOutput),
+    });
+    cpm.loadProgram(readFileSync(file), commandTail.join(' '));
+    entry = TPA_START;
+  } else {
+    entry = await loadProgram(core, file, format, parseHexOption(values.address, 'address'));
+  }
+  core.registers.pc = values.entry !== undefined ? parseHexOption(values.entry, 'entry') : entry;
+  if (values.sp !== undefined) {
+    core.registers.sp = parseHexOption(values.sp, 'sp');
+  }
+  
+  core.ports.register({
+    name: 'console',
+    start: outputPort,
+    mask: 0xFF,
+    write: (port, value) => writeOutput(value),
+  });
+  
+  let exitStatus = null;
+  if (exitPort !== null) {
+    core.ports.register({
+      name: 'exit',
+      start: exitPort,
+      mask: 0xFF,
+      write: (port, value) => { exitStatus = value; },
+    });
+  }
+  
+  const onStep = values.trace
+    ? (pc) => process.stderr.write(`${hex(pc, 4)}  ${core.decodeAt(pc).text}\n`)
+    : null;
+  const result = core.runUntil(() => exitStatus !== null || core.tstates >= cycles, { limit, onStep });
+  flush();
+  
+  let status;
+  let description;
+  if (exitStatus !== null) {
+    status = exitStatus;
+    description = `exit port write of ${hex(exitStatus, 2)}`;
+  } else if (result.reason === 'halted') {
+    status = EXIT_HALTED;
+    description = cpm && cpm.exited ? 'warm boot' : 'HALT';
+  } else if (result.reason === 'breakpoint') {
+    status = EXIT_BREAKPOINT;
+    description = `breakpoint at ${hex(result.pc, 4)}`;
+  } else if (result.reason === 'watchpoint') {
+    const hit = core.watchpointHit;
+    status = EXIT_WATCHPOINT;
+    description = `watchpoint: ${hit.kind} of ${hex(hit.value, 2)} at ${hex(hit.address, 4)} by ${hex(hit.pc, 4)}`;
+  } else if (result.reason === 'port') {
+    const hit = core.portBreakpointHit;
+    const access = hit.direction === 'in' ? `IN ${hex(hit.value, 2)} from` : `OUT ${hex(hit.value, 2)} to`;
+    status = EXIT_PORT_BREAKPOINT;
+    description = `port breakpoint: ${access} ${hex(hit.port, 4)} by ${hex(hit.pc, 4)}`;
+  } else {
+    status = EXIT_LIMIT;
+    description = result.reason === 'done' ? `T-state limit of ${cycles}` : `instruction limit of ${limit}`;
+  }
+  
+  if (!values.quiet) {
+    process.stderr.write(`\nStopped at ${hex(core.registers.pc, 4)} after ${result.instructions} instructions, ` +
+      `${core.tstates} T-states (${description})\n${formatRegisters(core)}\n`);
+  }
+  return status;
+};
+
+main(process.argv.slice(2)).then(
+  (status) => { process.exitCode = status; },
+  (error) => {
+    error.message.split('\n').forEach(line => process.stderr.write(`z80run: ${line}\n`));
+    process.exitCode = EXIT_ERROR;
+  },
+);
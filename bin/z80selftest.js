@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Instruction Exerciser Runner
+ *
+ * Runs the built-in instruction exerciser groups against Z80Core and reports
+ * pass or fail per group. Given a CP/M exerciser such as ZEXDOC.COM or
+ * ZEXALL.COM, runs that instead under the CP/M emulation and reports the
+ * groups it checked. With --record, runs the groups on an independent
+ * reference core instead and prints the CRCs it gives.
+ *
+ * Exit status: 0 when every group passes, 1 when any fails or the run
+ * cannot start.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import Z80Core from '../src/emulator/Z80Core.js';
+import CpmSystem from '../src/emulator/CpmSystem.js';
+import {
+  TEST_ADDRESS, MEMOP_ADDRESS, MAX_STEPS, runGroup, groupCrc, groupFlagMask, selectGroups, parseExerciserOutput,
+} from '../src/emulator/Exerciser.js';
+import { EXERCISER_GROUPS } from '../src/emulator/ExerciserSuites.js';
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+
+// Instructions a CP/M exerciser runs between checks that it is still going
+const SLICE_INSTRUCTIONS = 1000000;
+
+const USAGE = `Usage: z80selftest [options] [program.com]
+
+Runs the built-in instruction exerciser against the emulator and reports
+each instruction group's CRC. With a CP/M exerciser (ZEXDOC.COM, ZEXALL.COM),
+runs that and reports the groups it prints.
+
+Options:
+  -a, --all              Model undocumented behaviour and compare every flag bit,
+                         including the undocumented groups (like ZEXALL)
+  -g, --group <text>     Only run groups whose name contains the text
+  -r, --record           Print the CRCs of the reference core (z80-emulator) as
+                         JSON, to update ExerciserSuites.js
+  -l, --limit <n>        Stop a CP/M exerciser after n instructions (default: no limit)
+  -h, --help             Show this help
+
+Exit status: 0 when every group passes, 1 otherwise.
+`;
+
+const formatResult = (result) => {
+  const status = result.passed
+    ? 'OK'
+    : `ERROR crc expected:${result.expected ?? 'none'} found:${result.crc ?? 'none'}`;
+  return `${result.name.padEnd(48, '.')} ${status}`;
+};
+
+// Run the built-in groups, printing each result as it comes unless quiet
+const runBuiltIn = ({ all, group, quiet }) => {
+  const groups = selectGroups(EXERCISER_GROUPS, { undocumented: all, filter: group ?? '' });
+  if (groups.length === 0) {
+    throw new Error(`No group matches "${group}"`);
+  }
+  
+  return groups.map(selected => {
+    const result = runGroup(selected, { undocumented: all });
+    if (!quiet) {
+      process.stdout.write(`${formatResult(result)}\n`);
+    }
+    return result;
+  });
+};
+
+// Run the selected groups on z80-emulator, a core written apart from this one
+// that passes the FUSE test suite, and return the CRCs by group name
+const recordReference = async ({ all, group }) => {
+  const { Z80 } = await import('z80-emulator');
+  const groups = selectGroups(EXERCISER_GROUPS, { undocumented: all, filter: group ?? '' });
+  if (groups.length === 0) {
+    throw new Error(`No group matches "${group}"`);
+  }
+  
+  return Object.fromEntries(groups.map(selected => {
+    const memory = new Uint8Array(0x10000);
+    const cpu = new Z80({
+      tStateCount: 0,
+      readMemory: (address) => memory[address],
+      writeMemory: (address, value) => { memory[address] = value; },
+      contendMemory: () => {},
+      readPort: () => 0xFF,
+      writePort: () => {},
+      contendPort: () => {},
+    });
+    cpu.reset();
+    
+    const regs = cpu.regs;
+    const flagMask = groupFlagMask(selected, all);
+    const { crc } = groupCrc(selected, (state) => {
+      const word = (index) => state[index] | (state[index + 1] << 8);
+      memory.set(state.subarray(0, 4), TEST_ADDRESS);
+      memory.set(state.subarray(4, 6), MEMOP_ADDRESS);
+      regs.iy = word(6);
+      regs.ix = word(8);
+      regs.hl = word(10);
+      regs.de = word(12);
+      regs.bc = word(14);
+      regs.f = state[16];
+      regs.a = state[17];
+      regs.sp = word(18);
+      regs.pc = TEST_ADDRESS;
+      regs.memptr = 0;
+      regs.halted = 0;
+      
+      let steps = 0;
+      do {
+        cpu.step();
+        steps++;
+      } while (regs.pc === TEST_ADDRESS && !regs.halted && steps < MAX_STEPS);
+      
+      return [
+        memory[MEMOP_ADDRESS], memory[MEMOP_ADDRESS + 1],
+        regs.iy & 0xFF, regs.iy >> 8, regs.ix & 0xFF, regs.ix >> 8,
+        regs.l, regs.h, regs.e, regs.d, regs.c, regs.b,
+        regs.f & flagMask, regs.a, regs.sp & 0xFF, regs.sp >> 8,
+      ];
+    });
+    return [selected.name, crc];
+  }));
+};
+
+// Run a CP/M exerciser with its output passed through to stdout
+const runProgram = (file, limit) => {
+  const core = new Z80Core({ undocumented: true });
+  core.reset();
+  
+  let output = '';
+  const cpm = new CpmSystem(core, {
+    console: {
+      write: (value) => {
+        const text = String.fromCharCode(value);
+        output += text;
+        process.stdout.write(text);
+      },
+      read: () => 0x1A,
+      ready: () => false,
+    },
+  });
+  cpm.loadProgram(readFileSync(file));
+  
+  let instructions = 0;
+  while (!cpm.exited && instructions < limit) {
+    const result = core.runUntil(() => cpm.exited, { limit: Math.min(SLICE_INSTRUCTIONS, limit - instructions) });
+    instructions += result.instructions;
+    if (result.reason === 'halted' && !cpm.exited) {
+      throw new Error(`The program halted at ${core.registers.pc.toString(16).toUpperCase()}h`);
+    }
+  }
+  if (!cpm.exited) {
+    process.stdout.write(`\nStopped after ${instructions} instructions\n`);
+  }
+  
+  const results = parseExerciserOutput(output);
+  if (results.length === 0) {
+    throw new Error('The program reported no exerciser results');
+  }
+  return results;
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      all: { type: 'boolean', short: 'a', default: false },
+      group: { type: 'string', short: 'g' },
+      record: { type: 'boolean', short: 'r', default: false },
+      limit: { type: 'string', short: 'l' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_PASSED;
+  }
+  if (positionals.length > 1) {
+    process.stderr.write(USAGE);
+    return EXIT_FAILED;
+  }
+  
+  let results;
+  if (positionals.length === 1) {
+    const limit = values.limit !== undefined ? Number(values.limit) : Infinity;
+    if (values.limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error('--limit must be a positive whole number');
+    }
+    results = runProgram(positionals[0], limit);
+  } else if (values.record) {
+    const crcs = await recordReference(values);
+    process.stdout.write(`${JSON.stringify(crcs, null, 2)}\n`);
+    return EXIT_PASSED;
+  } else {
+    results = runBuiltIn(values);
+  }
+  
+  const failed = results.filter(result => !result.passed).length;
+  process.stdout.write(`\n${results.length - failed} of ${results.length} groups passed\n`);
+  return failed === 0 ? EXIT_PASSED : EXIT_FAILED;
+};
+
+main(process.argv.slice(2)).then(
+  (status) => { process.exitCode = status; },
+  (error) => {
+    error.message.split('\n').forEach(line => process.stderr.write(`z80selftest: ${line}\n`));
+    process.exitCode = EXIT_FAILED;
+  },
+);
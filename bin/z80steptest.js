@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Single-Step Test Runner
+ *
+ * Runs JSON single-step test vectors against Z80Core: each test loads an
+ * initial state, executes one instruction and compares every register, flag,
+ * memory cell, port write and the cycle count with the final state. Files
+ * and directories of .json files can be given; failures are summarized by
+ * opcode.
+ *
+ * Exit status: 0 when every test passes, 1 when any fails or a file cannot
+ * be read.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import SingleStepRunner, { parseTestFile, describeMismatches, STATE_FIELDS } from '../src/emulator/SingleStepRunner.js';
+
+const EXIT_PASSED = 0;
+const EXIT_FAILED = 1;
+
+const FIELDS = [...STATE_FIELDS, 'ram', 'ports', 'cycles'];
+
+const USAGE = `Usage: z80steptest [options] <file or directory>...
+
+Runs JSON single-step tests (such as the SingleStepTests Z80 suite) against
+the emulator and summarizes the mismatches by opcode. Directories are
+searched for .json files.
+
+Options:
+  -i, --ignore <fields>    Comma-separated fields not to compare, from:
+                           ${FIELDS.join(' ')}
+  -m, --match <text>       Only run files whose name contains the text
+  -v, --verbose            List every failing test, not just the first per opcode
+  -h, --help               Show this help
+
+Exit status: 0 when every test passes, 1 otherwise.
+`;
+
+// The .json files to run, in name order within each directory
+const collectFiles = (paths) => {
+  return paths.flatMap(path => {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path)
+      .filter(name => name.toLowerCase().endsWith('.json'))
+      .sort()
+      .map(name => join(path, name));
+  });
+};
+
+const main = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      ignore: { type: 'string', short: 'i', default: '' },
+      match: { type: 'string', short: 'm', default: '' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT_PASSED;
+  }
+  if (positionals.length === 0) {
+    process.stderr.write(USAGE);
+    return EXIT_FAILED;
+  }
+  
+  const ignore = values.ignore.split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = ignore.filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field "${unknown[0]}" for --ignore`);
+  }
+  
+  const files = collectFiles(positionals).filter(file => basename(file).includes(values.match));
+  if (files.length === 0) {
+    throw new Error('No test files found');
+  }
+  
+  let total = 0;
+  let failed = 0;
+  let failedOpcodes = 0;
+  files.forEach(file => {
+    let tests;
+    try {
+      tests = parseTestFile(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    
+    // A fresh runner per file, so one opcode's leftovers cannot affect another
+    const runner = new SingleStepRunner({ ignore });
+    const summaries = runner.runAll(tests, (result) => {
+      if (values.verbose && result.mismatches.length > 0) {
+        process.stdout.write(`${result.name}: ${describeMismatches(result)}\n`);
+      }
+    });
+    
+    summaries.forEach(summary => {
+      total += summary.total;
+      failed += summary.failed;
+      if (summary.failed === 0) return;
+      
+      failedOpcodes++;
+      const fields = Object.entries(summary.fields).map(([field, count]) => `${field} ${count}`).join(', ');
+      process.stdout.write(`${summary.opcode}: ${summary.failed} of ${summary.total} failed (${fields})\n`);
+      process.stdout.write(`  first: ${summary.firstFailure.name}: ${describeMismatches(summary.firstFailure)}\n`);
+    });
+  });
+  
+  process.stdout.write(`\n${total - failed} of ${total} tests passed` +
+    (failedOpcodes > 0 ? `; failures in ${failedOpcodes} opcode${failedOpcodes === 1 ? '' : 's'}\n` : '\n'));
+  return failed === 0 ? EXIT_PASSED : EXIT_FAILED;
+};
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  error.message.split('\n').forEach(line => process.stderr.write(`z80steptest: ${line}\n`));
+  process.exitCode = EXIT_FAILED;
+}
@@ -0,0 +1,23 @@
+/**
+ * Assembler Error
+ *
+ * An error tied to a position in the source. The line is filled in by the
+ * assembler when the error surfaces from a lower layer (lexer, expression
+ * evaluator, instruction encoder) that only knows the column.
+ */
+
+class AssemblerError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number|null} [line] - 1-based source line
+   * @param {number|null} [column] - 1-based source column
+   */
+  constructor(message, line = null, column = null) {
+    super(message);
+    this.name = 'AssemblerError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+export default AssemblerError;
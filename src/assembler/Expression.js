@@ -0,0 +1,238 @@
+/**
+ * Z80 Assembler Expressions
+ *
+ * Evaluates operand expressions by recursive descent over the lexer's tokens.
+ * Symbols are looked up through the evaluation context; during the first pass
+ * a symbol that is not defined yet (a forward reference) evaluates to 0 and
+ * marks the result as unresolved, while in the final pass it is an error.
+ *
+ * Operators follow C precedence, from loosest to tightest:
+ *
+ *   ||    &&    |    ^    &    = == !=    < <= > >=    << >>    + -    * / %
+ *
+ * and then the unary - + ~ !. Comparisons and the logical operators give 1
+ * for true and 0 for false, for use in IF conditions.
+ *
+ * Operands are numbers, symbols, '$' (the address of the current statement),
+ * character constants such as 'A', and the HIGH(x) and LOW(x) functions that
+ * select the upper and lower byte of a 16-bit value.
+ *
+ * The debugger reuses the parser for breakpoint conditions, where a context
+ * with readMemory makes Z80-style references such as (HL) read memory.
+ */
+
+import AssemblerError from './AssemblerError.js';
+
+// Binary operators by token; higher precedence binds tighter
+const BINARY_OPERATORS = {
+  '||': { precedence: 1, apply: (left, right) => Number(left !== 0 || right !== 0) },
+  '&&': { precedence: 2, apply: (left, right) => Number(left !== 0 && right !== 0) },
+  '|': { precedence: 3, apply: (left, right) => left | right },
+  '^': { precedence: 4, apply: (left, right) => left ^ right },
+  '&': { precedence: 5, apply: (left, right) => left & right },
+  '=': { precedence: 6, apply: (left, right) => Number(left === right) },
+  '==': { precedence: 6, apply: (left, right) => Number(left === right) },
+  '!=': { precedence: 6, apply: (left, right) => Number(left !== right) },
+  '<': { precedence: 7, apply: (left, right) => Number(left < right) },
+  '<=': { precedence: 7, apply: (left, right) => Number(left <= right) },
+  '>': { precedence: 7, apply: (left, right) => Number(left > right) },
+  '>=': { precedence: 7, apply: (left, right) => Number(left >= right) },
+  '<<': { precedence: 8, apply: (left, right) => left << right },
+  '>>': { precedence: 8, apply: (left, right) => left >> right },
+  '+': { precedence: 9, apply: (left, right) => left + right },
+  '-': { precedence: 9, apply: (left, right) => left - right },
+  '*': { precedence: 10, apply: (left, right) => left * right },
+  '/': { precedence: 10, apply: (left, right) => Math.trunc(left / right) },
+  '%': { precedence: 10, apply: (left, right) => left % right },
+};
+
+const UNARY_OPERATORS = {
+  '+': value => value,
+  '-': value => -value,
+  '~': value => ~value,
+  '!': value => Number(value === 0),
+};
+
+// Functions written NAME(expression)
+const FUNCTIONS = {
+  HIGH: value => (value >> 8) & 0xFF,
+  LOW: value => value & 0xFF,
+};
+
+class ExpressionParser {
+  /**
+   * @param {Array<Object>} tokens - Tokens of a single expression
+   * @param {Object} context
+   * @param {function(string): (number|undefined)} context.lookup - Returns a symbol's value
+   * @param {boolean} context.final - Whether undefined symbols are errors
+   * @param {number} [context.address] - Value of '$'
+   * @param {function(number): number} [context.readMemory] - Reads a byte; when
+   *   given, parentheses that context.isMemoryReference accepts read memory
+   *   at the address inside them instead of grouping
+   * @param {function(Array<Object>): boolean} [context.isMemoryReference] -
+   *   Receives the tokens between the parentheses
+   */
+  constructor(tokens, context) {
+    this.tokens = tokens;
+    this.context = context;
+    this.position = 0;
+    this.unresolved = false;
+  }
+  
+  peek() {
+    return this.tokens[this.position];
+  }
+  
+  next() {
+    return this.tokens[this.position++];
+  }
+  
+  // Column to blame when the expression ends too early
+  endColumn() {
+    const last = this.tokens[this.tokens.length - 1];
+    return last ? last.column + last.text.length : null;
+  }
+  
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new AssemblerError('Expected an expression');
+    }
+    
+    const value = this.parseBinary(0);
+    const extra = this.peek();
+    if (extra) {
+      throw new AssemblerError(`Unexpected "${extra.text}" in expression`, null, extra.column);
+    }
+    return value;
+  }
+  
+  // Precedence climbing: operators of equal precedence associate to the left
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    
+    for (;;) {
+      const token = this.peek();
+      const operator = token && token.type === 'op' ? BINARY_OPERATORS[token.value] : undefined;
+      if (!operator || operator.precedence < minPrecedence) break;
+      
+      this.next();
+      const right = this.parseBinary(operator.precedence + 1);
+      if ((token.value === '/' || token.value === '%') && right === 0) {
+        // A divisor that is still unresolved is 0 until a later pass
+        if (this.context.final && !this.unresolved) {
+          throw new AssemblerError('Division by zero', null, token.column);
+        }
+        left = 0;
+        continue;
+      }
+      left = operator.apply(left, right);
+    }
+    
+    return left;
+  }
+  
+  parseUnary() {
+    const token = this.peek();
+    if (token && token.type === 'op' && UNARY_OPERATORS[token.value]) {
+      this.next();
+      return UNARY_OPERATORS[token.value](this.parseUnary());
+    }
+    return this.parsePrimary();
+  }
+  
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new AssemblerError('Unexpected end of expression', null, this.endColumn());
+    }
+    
+    if (token.type === 'number') {
+      return token.value;
+    }
+    
+    if (token.type === 'string') {
+      if (token.value.length !== 1) {
+        throw new AssemblerError('A character constant must hold exactly one character', null, token.column);
+      }
+      return token.value.charCodeAt(0) & 0xFF;
+    }
+    
+    if (token.type === 'op' && token.value === '$') {
+      return this.context.address ?? 0;
+    }
+    
+    if (token.type === 'ident') {
+      const name = token.value.toUpperCase();
+      const following = this.peek();
+      if (FUNCTIONS[name] && following && following.type === 'op' && following.value === '(') {
+        this.next();
+        return FUNCTIONS[name](this.parseParenthesized(following));
+      }
+      return this.resolveSymbol(token);
+    }
+    
+    if (token.type === 'op' && token.value === '(') {
+      if (this.context.readMemory && this.context.isMemoryReference(this.groupTokens())) {
+        return this.context.readMemory(this.parseParenthesized(token) & 0xFFFF);
+      }
+      return this.parseParenthesized(token);
+    }
+    
+    throw new AssemblerError(`Unexpected "${token.text}" in expression`, null, token.column);
+  }
+  
+  // Tokens up to the ')' that closes a '(' just consumed (or to the end)
+  groupTokens() {
+    let depth = 0;
+    for (let index = this.position; index < this.tokens.length; index++) {
+      const { type, value } = this.tokens[index];
+      if (type === 'op' && value === '(') depth++;
+      if (type === 'op' && value === ')') {
+        if (depth === 0) return this.tokens.slice(this.position, index);
+        depth--;
+      }
+    }
+    return this.tokens.slice(this.position);
+  }
+  
+  // The rest of a parenthesized expression whose '(' has been consumed
+  parseParenthesized(opening) {
+    if (!this.peek()) {
+      throw new AssemblerError('Missing ")"', null, opening.column);
+    }
+    
+    const value = this.parseBinary(0);
+    const closing = this.next();
+    if (!closing || closing.value !== ')') {
+      throw new AssemblerError('Missing ")"', null, closing ? closing.column : this.endColumn());
+    }
+    return value;
+  }
+  
+  resolveSymbol(token) {
+    const value = this.context.lookup(token.value);
+    if (value !== undefined) {
+      return value;
+    }
+    
+    if (this.context.final) {
+      throw new AssemblerError(`Undefined symbol "${token.value}"`, null, token.column);
+    }
+    this.unresolved = true;
+    return 0;
+  }
+}
+
+/**
+ * Evaluate an expression.
+ * @param {Array<Object>} tokens - Tokens of the expression
+ * @param {Object} context - See ExpressionParser
+ * @returns {{value: number, unresolved: boolean}} The value, and whether it
+ *   depended on a symbol that is not defined yet
+ * @throws {AssemblerError} On a syntax error, or an undefined symbol in the final pass
+ */
+export const evaluate = (tokens, context) => {
+  const parser = new ExpressionParser(tokens, context);
+  const value = parser.parse();
+  return { value, unresolved: parser.unresolved };
+};
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from './Expression.js';
+import { tokenize } from './Lexer.js';
+import Z80Assembler from './Z80Assembler.js';
+
+const SYMBOLS = { start: 0x8000, count: 3 };
+
+// Evaluate expression text in the final pass, with '$' at 1234h
+const value = (text, context = {}) => evaluate(tokenize(text), {
+  lookup: name => SYMBOLS[name],
+  final: true,
+  address: 0x1234,
+  ...context,
+}).value;
+
+test('operators follow C precedence and associate to the left', () => {
+  assert.equal(value('2+3*4'), 14);
+  assert.equal(value('(2+3)*4'), 20);
+  assert.equal(value('10-4-3'), 3);
+  assert.equal(value('1<<4+1'), 32);
+  assert.equal(value('6&3|8'), 10);
+  assert.equal(value('1+1==2&&3>2'), 1);
+  assert.equal(value('-count*2'), -6);
+  assert.equal(value('~0&0FFh'), 0xFF);
+  assert.equal(value('!count'), 0);
+  assert.equal(value('7/2+7%2'), 4);
+});
+
+test('$, character constants and HIGH() and LOW() are operands', () => {
+  assert.equal(value('$'), 0x1234);
+  assert.equal(value('$+2'), 0x1236);
+  assert.equal(value("'A'"), 0x41);
+  assert.equal(value("'a'-'A'"), 0x20);
+  assert.equal(value('HIGH(start+1234h)'), 0x92);
+  assert.equal(value('LOW(start+1234h)'), 0x34);
+  assert.equal(value('high($)'), 0x12);
+});
+
+test('an undefined symbol is unresolved before the final pass and an error in it', () => {
+  const early = evaluate(tokenize('later+1'), { lookup: () => undefined, final: false });
+  assert.deepEqual(early, { value: 1, unresolved: true });
+  
+  assert.throws(() => value('later+1'), { name: 'AssemblerError', message: 'Undefined symbol "later"', column: 1 });
+  assert.throws(() => value('4/(count-3)'), { message: 'Division by zero' });
+  assert.throws(() => value('(1+2'), { message: 'Missing ")"' });
+});
+
+test('dot-local labels are scoped to the preceding global label', () => {
+  const result = new Z80Assembler().assemble([
+    'first:  NOP',
+    '.loop:  DJNZ .loop',
+    'second: NOP',
+    '.loop:  DJNZ .loop',
+    '        DW first.loop,.loop',
+  ].join('\n'));
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.symbols, { 'first': 0, 'first.loop': 1, 'second': 3, 'second.loop': 4 });
+  assert.deepEqual(result.program.at(-1).bytes, [0x01, 0x00, 0x04, 0x00]);
+});
@@ -0,0 +1,585 @@
+/**
+ * Z80 Instruction Encoder
+ *
+ * Turns a mnemonic and its operand tokens into machine code. Operands are
+ * first classified (register, register pair, condition, indirect, indexed or
+ * immediate) and each mnemonic's handler picks the encoding that matches the
+ * operand types, returning null when no form fits. An instruction's length
+ * depends only on its operand types, never on the values, so the first pass
+ * can size instructions before every symbol is known.
+ */
+
+import AssemblerError from './AssemblerError.js';
+import { evaluate } from './Expression.js';
+
+const REG8 = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
+const REG16 = { BC: 0, DE: 1, HL: 2, SP: 3 };
+const INDEX_REGISTERS = { IX: 0xDD, IY: 0xFD };
+
+// Undocumented halves of the index registers, with the H/L code they replace
+const INDEX_HALVES = {
+  IXH: { prefix: 0xDD, code: 4 },
+  IXL: { prefix: 0xDD, code: 5 },
+  IYH: { prefix: 0xFD, code: 4 },
+  IYL: { prefix: 0xFD, code: 5 },
+};
+
+// C doubles as a register, so it is only read as a condition by the handlers
+const CONDITIONS = { NZ: 0, Z: 1, NC: 2, C: 3, PO: 4, PE: 5, P: 6, M: 7 };
+
+const SPECIAL_REGISTERS = ['I', 'R', 'AF', "AF'", 'F'];
+
+// Index of the ')' matching the '(' at position start, or -1
+const matchingParen = (tokens, start) => {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (tokens[i].type !== 'op') continue;
+    if (tokens[i].value === '(') depth++;
+    if (tokens[i].value === ')' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Split operand tokens on the commas that are not inside parentheses.
+ * @param {Array<Object>} tokens
+ * @returns {Array<Array<Object>>} One token list per operand
+ */
+export const splitOperands = (tokens) => {
+  if (tokens.length === 0) return [];
+  
+  const operands = [[]];
+  let depth = 0;
+  tokens.forEach(token => {
+    if (token.type === 'op') {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      if (token.value === ',' && depth === 0) {
+        operands.push([]);
+        return;
+      }
+    }
+    operands[operands.length - 1].push(token);
+  });
+  return operands;
+};
+
+class InstructionEncoder {
+  /**
+   * @param {Object} context
+   * @param {number} context.address - Address the instruction is assembled at
+   * @param {boolean} context.final - Whether this is the final pass (values are checked)
+   * @param {function(string): (number|undefined)} context.lookup - Symbol lookup
+   * @param {number} column - Column of the mnemonic, used for operand-less errors
+   */
+  constructor(context, column) {
+    this.context = context;
+    this.column = column;
+  }
+  
+  // Classify one operand from its tokens
+  parseOperand(tokens) {
+    const column = tokens.length > 0 ? tokens[0].column : this.column;
+    if (tokens.length === 0) {
+      throw new AssemblerError('Missing operand', null, column);
+    }
+    
+    if (tokens.length === 1 && tokens[0].type === 'ident') {
+      const name = tokens[0].value.toUpperCase();
+      if (name in REG8) return { type: 'reg8', name, code: REG8[name], column };
+      if (name in INDEX_HALVES) return { type: 'reg8', name, ...INDEX_HALVES[name], column };
+      if (name in REG16) return { type: 'reg16', name, code: REG16[name], column };
+      if (name in INDEX_REGISTERS) return { type: 'index', name, prefix: INDEX_REGISTERS[name], column };
+      if (name in CONDITIONS) return { type: 'condition', name, code: CONDITIONS[name], column };
+      if (SPECIAL_REGISTERS.includes(name)) return { type: 'special', name, column };
+    }
+    
+    // An operand wholly enclosed in parentheses is a memory or port reference
+    if (tokens[0].type === 'op' && tokens[0].value === '(' && matchingParen(tokens, 0) === tokens.length - 1) {
+      const inner = tokens.slice(1, -1);
+      const first = inner[0];
+      const name = first && first.type === 'ident' ? first.value.toUpperCase() : '';
+      
+      if (inner.length === 1 && (name in REG16 || name === 'C')) {
+        return { type: 'indirect', name, column };
+      }
+      if (name in INDEX_REGISTERS) {
+        const offsetTokens = inner.slice(1);
+        if (offsetTokens.length > 0 && !(offsetTokens[0].type === 'op' && '+-'.includes(offsetTokens[0].value))) {
+          throw new AssemblerError(`Expected "+" or "-" after ${name}`, null, offsetTokens[0].column);
+        }
+        const offset = offsetTokens.length > 0 ? this.evaluate(offsetTokens) : { value: 0, unresolved: false };
+        return {
+          type: 'indexed',
+          name,
+          prefix: INDEX_REGISTERS[name],
+          offset: offset.value,
+          unresolved: offset.unresolved,
+          bare: offsetTokens.length === 0,
+          column,
+        };
+      }
+      return { type: 'memory', ...this.evaluate(inner), column };
+    }
+    
+    return { type: 'immediate', ...this.evaluate(tokens), column };
+  }
+  
+  evaluate(tokens) {
+    try {
+      return evaluate(tokens, this.context);
+    } catch (error) {
+      if (error instanceof AssemblerError && error.column === null) {
+        error.column = tokens.length > 0 ? tokens[0].column : this.column;
+      }
+      throw error;
+    }
+  }
+  
+  // Range checks only apply once every symbol is known
+  checkRange(operand, min, max, what) {
+    if (!this.context.final || operand.unresolved) return;
+    
+    const value = operand.type === 'indexed' ? operand.offset : operand.value;
+    if (value < min || value > max) {
+      throw new AssemblerError(`${what} out of range (${value})`, null, operand.column);
+    }
+  }
+  
+  byte(operand) {
+    this.checkRange(operand, -128, 255, 'Byte value');
+    return operand.value & 0xFF;
+  }
+  
+  word(operand) {
+    this.checkRange(operand, -32768, 65535, 'Word value');
+    return [operand.value & 0xFF, (operand.value >> 8) & 0xFF];
+  }
+  
+  displacement(operand) {
+    this.checkRange(operand, -128, 127, 'Index displacement');
+    return operand.offset & 0xFF;
+  }
+  
+  // Offset of a JR/DJNZ target relative to the end of the 2-byte instruction
+  relative(operand) {
+    const offset = operand.value - ((this.context.address + 2) & 0xFFFF);
+    this.checkRange({ ...operand, value: offset }, -128, 127, 'Relative jump');
+    return offset & 0xFF;
+  }
+  
+  /**
+   * Encode an instruction.
+   * @param {string} mnemonic - Upper-case mnemonic
+   * @param {Array<Array<Object>>} operandTokens - Tokens of each operand
+   * @returns {Array<number>} The instruction bytes
+   * @throws {AssemblerError} On an unknown mnemonic or unsupported operands
+   */
+  encode(mnemonic, operandTokens) {
+    const handler = HANDLERS[mnemonic];
+    if (!handler) {
+      throw new AssemblerError(`Unknown instruction "${mnemonic}"`, null, this.column);
+    }
+    
+    const operands = operandTokens.map(tokens => this.parseOperand(tokens));
+    const bytes = handler.call(this, operands);
+    if (!bytes) {
+      const where = operands.length > 0 ? operands[0].column : this.column;
+      throw new AssemblerError(`Invalid operands for ${mnemonic}`, null, where);
+    }
+    return bytes;
+  }
+}
+
+// Whether an operand is a given register or condition name (not in parentheses)
+const is = (operand, name) => operand !== undefined && operand.name === name &&
+  ['reg8', 'reg16', 'index', 'special', 'condition'].includes(operand.type);
+
+// Whether an operand is a register in parentheses, such as (HL) or (C)
+const isIndirect = (operand, name) => operand !== undefined && operand.type === 'indirect' && operand.name === name;
+
+/**
+ * Resolve 8-bit register operands (including (HL) and the index halves) to
+ * their 3-bit codes and the prefix they need. Returns null when an operand
+ * is not an 8-bit register or when the combination cannot be encoded, such
+ * as IXH with H, or IXL with IYL.
+ */
+const registers8 = (...operands) => {
+  const codes = operands.map(operand => {
+    if (operand.type === 'reg8') return { code: operand.code, prefix: operand.prefix || null };
+    if (isIndirect(operand, 'HL')) return { code: 6, prefix: null };
+    return null;
+  });
+  if (codes.includes(null)) return null;
+  
+  const prefixes = codes.map(code => code.prefix).filter(Boolean);
+  const prefix = prefixes[0] || null;
+  if (prefixes.some(other => other !== prefix)) return null;
+  if (prefix && codes.some(code => !code.prefix && code.code >= 4 && code.code <= 6)) return null;
+  
+  return { codes: codes.map(code => code.code), prefix };
+};
+
+const withPrefix = (prefix, bytes) => (prefix ? [prefix, ...bytes] : bytes);
+
+// Condition code of an operand; C is parsed as a register
+const condition = (operand) => {
+  if (!operand) return null;
+  if (operand.type === 'condition') return operand.code;
+  if (operand.type === 'reg8' && operand.name === 'C') return CONDITIONS.C;
+  return null;
+};
+
+// Instructions without operands
+const IMPLIED = {
+  NOP: [0x00], HALT: [0x76], DI: [0xF3], EI: [0xFB], EXX: [0xD9],
+  DAA: [0x27], CPL: [0x2F], SCF: [0x37], CCF: [0x3F],
+  RLCA: [0x07], RRCA: [0x0F], RLA: [0x17], RRA: [0x1F],
+  NEG: [0xED, 0x44], RETI: [0xED, 0x4D], RETN: [0xED, 0x45],
+  RLD: [0xED, 0x6F], RRD: [0xED, 0x67],
+  LDI: [0xED, 0xA0], LDD: [0xED, 0xA8], LDIR: [0xED, 0xB0], LDDR: [0xED, 0xB8],
+  CPI: [0xED, 0xA1], CPD: [0xED, 0xA9], CPIR: [0xED, 0xB1], CPDR: [0xED, 0xB9],
+  INI: [0xED, 0xA2], IND: [0xED, 0xAA], INIR: [0xED, 0xB2], INDR: [0xED, 0xBA],
+  OUTI: [0xED, 0xA3], OUTD: [0xED, 0xAB], OTIR: [0xED, 0xB3], OTDR: [0xED, 0xBB],
+};
+
+// ADD/ADC/SUB/SBC/AND/XOR/OR/CP with an 8-bit operand; "A," is optional
+function encodeAlu(operation, operands) {
+  let source;
+  if (operands.length === 2 && is(operands[0], 'A')) {
+    source = operands[1];
+  } else if (operands.length === 1) {
+    source = operands[0];
+  } else {
+    return null;
+  }
+  
+  const register = registers8(source);
+  if (register) {
+    return withPrefix(register.prefix, [0x80 | (operation << 3) | register.codes[0]]);
+  }
+  if (source.type === 'immediate') {
+    return [0xC6 | (operation << 3), this.byte(source)];
+  }
+  if (source.type === 'indexed') {
+    return [source.prefix, 0x86 | (operation << 3), this.displacement(source)];
+  }
+  return null;
+}
+
+// INC/DEC of an 8-bit or 16-bit operand
+function encodeIncDec(decrement, operands) {
+  if (operands.length !== 1) return null;
+  const [target] = operands;
+  
+  const register = registers8(target);
+  if (register) {
+    return withPrefix(register.prefix, [(decrement ? 0x05 : 0x04) | (register.codes[0] << 3)]);
+  }
+  if (target.type === 'indexed') {
+    return [target.prefix, decrement ? 0x35 : 0x34, this.displacement(target)];
+  }
+  if (target.type === 'reg16') {
+    return [(decrement ? 0x0B : 0x03) | (target.code << 4)];
+  }
+  if (target.type === 'index') {
+    return [target.prefix, decrement ? 0x2B : 0x23];
+  }
+  return null;
+}
+
+// CB-prefixed rotates and shifts; the indexed forms accept an optional
+// register that receives a copy of the result (undocumented)
+function encodeRotate(operation, operands) {
+  const [target, copy] = operands;
+  if (operands.length === 0 || operands.length > 2) return null;
+  
+  if (target.type === 'indexed') {
+    const copyCode = copy ? registers8(copy) : { codes: [6], prefix: null };
+    if (!copyCode || copyCode.prefix || (copy && copyCode.codes[0] === 6)) return null;
+    return [target.prefix, 0xCB, this.displacement(target), (operation << 3) | copyCode.codes[0]];
+  }
+  
+  const register = registers8(target);
+  if (!register || register.prefix || copy) return null;
+  return [0xCB, (operation << 3) | register.codes[0]];
+}
+
+// BIT/RES/SET b,operand
+function encodeBit(base, operands) {
+  const [bitOperand, target, copy] = operands;
+  if (operands.length < 2 || operands.length > 3 || bitOperand.type !== 'immediate') return null;
+  this.checkRange(bitOperand, 0, 7, 'Bit number');
+  const bit = (bitOperand.value & 7) << 3;
+  
+  if (target.type === 'indexed') {
+    // Only RES and SET can copy the result into a register
+    const copyCode = copy ? registers8(copy) : { codes: [6], prefix: null };
+    if (!copyCode || copyCode.prefix || (copy && (base === 0x40 || copyCode.codes[0] === 6))) return null;
+    return [target.prefix, 0xCB, this.displacement(target), base | bit | copyCode.codes[0]];
+  }
+  
+  const register = registers8(target);
+  if (!register || register.prefix || copy) return null;
+  return [0xCB, base | bit | register.codes[0]];
+}
+
+function encodeLd([destination, source, ...rest]) {
+  if (!destination || !source || rest.length > 0) return null;
+  
+  // LD r,r' (including (HL) and the index halves)
+  const pair = registers8(destination, source);
+  if (pair) {
+    if (pair.codes[0] === 6 && pair.codes[1] === 6) return null; // That encoding is HALT
+    return withPrefix(pair.prefix, [0x40 | (pair.codes[0] << 3) | pair.codes[1]]);
+  }
+  
+  const destination8 = registers8(destination);
+  if (destination8 && source.type === 'immediate') {
+    return withPrefix(destination8.prefix, [0x06 | (destination8.codes[0] << 3), this.byte(source)]);
+  }
+  
+  // Indexed memory
+  if (destination.type === 'reg8' && !destination.prefix && source.type === 'indexed') {
+    return [source.prefix, 0x46 | (destination.code << 3), this.displacement(source)];
+  }
+  if (destination.type === 'indexed' && source.type === 'reg8' && !source.prefix) {
+    return [destination.prefix, 0x70 | source.code, this.displacement(destination)];
+  }
+  if (destination.type === 'indexed' && source.type === 'immediate') {
+    return [destination.prefix, 0x36, this.displacement(destination), this.byte(source)];
+  }
+  
+  // Accumulator transfers
+  if (is(destination, 'A')) {
+    if (isIndirect(source, 'BC')) return [0x0A];
+    if (isIndirect(source, 'DE')) return [0x1A];
+    if (source.type === 'memory') return [0x3A, ...this.word(source)];
+    if (is(source, 'I')) return [0xED, 0x57];
+    if (is(source, 'R')) return [0xED, 0x5F];
+  }
+  if (is(source, 'A')) {
+    if (isIndirect(destination, 'BC')) return [0x02];
+    if (isIndirect(destination, 'DE')) return [0x12];
+    if (destination.type === 'memory') return [0x32, ...this.word(destination)];
+    if (is(destination, 'I')) return [0xED, 0x47];
+    if (is(destination, 'R')) return [0xED, 0x4F];
+  }
+  
+  // 16-bit loads
+  if (destination.type === 'reg16') {
+    if (source.type === 'immediate') return [0x01 | (destination.code << 4), ...this.word(source)];
+    if (source.type === 'memory') {
+      return destination.name === 'HL'
+        ? [0x2A, ...this.word(source)]
+        : [0xED, 0x4B | (destination.code << 4), ...this.word(source)];
+    }
+    if (destination.name === 'SP' && is(source, 'HL')) return [0xF9];
+    if (destination.name === 'SP' && source.type === 'index') return [source.prefix, 0xF9];
+  }
+  if (destination.type === 'index') {
+    if (source.type === 'immediate') return [destination.prefix, 0x21, ...this.word(source)];
+    if (source.type === 'memory') return [destination.prefix, 0x2A, ...this.word(source)];
+  }
+  if (destination.type === 'memory') {
+    if (source.type === 'reg16') {
+      return source.name === 'HL'
+        ? [0x22, ...this.word(destination)]
+        : [0xED, 0x43 | (source.code << 4), ...this.word(destination)];
+    }
+    if (source.type === 'index') return [source.prefix, 0x22, ...this.word(destination)];
+  }
+  
+  return null;
+}
+
+// Mnemonic handlers, called with the encoder as this and the classified operands
+const HANDLERS = {
+  ...Object.fromEntries(Object.entries(IMPLIED).map(([mnemonic, bytes]) => [
+    mnemonic,
+    operands => (operands.length === 0 ? bytes : null),
+  ])),
+  
+  LD: encodeLd,
+  
+  ADD(operands) {
+    const [target, source] = operands;
+    if (operands.length === 2 && is(target, 'HL') && source.type === 'reg16') {
+      return [0x09 | (source.code << 4)];
+    }
+    if (operands.length === 2 && target.type === 'index') {
+      if (source.type === 'reg16' && source.name !== 'HL') {
+        return [target.prefix, 0x09 | (source.code << 4)];
+      }
+      if (source.type === 'index' && source.prefix === target.prefix) {
+        return [target.prefix, 0x29];
+      }
+      return null;
+    }
+    return encodeAlu.call(this, 0, operands);
+  },
+  ADC(operands) {
+    if (operands.length === 2 && is(operands[0], 'HL') && operands[1].type === 'reg16') {
+      return [0xED, 0x4A | (operands[1].code << 4)];
+    }
+    return encodeAlu.call(this, 1, operands);
+  },
+  SUB(operands) { return encodeAlu.call(this, 2, operands); },
+  SBC(operands) {
+    if (operands.length === 2 && is(operands[0], 'HL') && operands[1].type === 'reg16') {
+      return [0xED, 0x42 | (operands[1].code << 4)];
+    }
+    return encodeAlu.call(this, 3, operands);
+  },
+  AND(operands) { return encodeAlu.call(this, 4, operands); },
+  XOR(operands) { return encodeAlu.call(this, 5, operands); },
+  OR(operands) { return encodeAlu.call(this, 6, operands); },
+  CP(operands) { return encodeAlu.call(this, 7, operands); },
+  
+  INC(operands) { return encodeIncDec.call(this, false, operands); },
+  DEC(operands) { return encodeIncDec.call(this, true, operands); },
+  
+  RLC(operands) { return encodeRotate.call(this, 0, operands); },
+  RRC(operands) { return encodeRotate.call(this, 1, operands); },
+  RL(operands) { return encodeRotate.call(this, 2, operands); },
+  RR(operands) { return encodeRotate.call(this, 3, operands); },
+  SLA(operands) { return encodeRotate.call(this, 4, operands); },
+  SRA(operands) { return encodeRotate.call(this, 5, operands); },
+  SLL(operands) { return encodeRotate.call(this, 6, operands); },
+  SL1(operands) { return encodeRotate.call(this, 6, operands); },
+  SRL(operands) { return encodeRotate.call(this, 7, operands); },
+  
+  BIT(operands) { return encodeBit.call(this, 0x40, operands); },
+  RES(operands) { return encodeBit.call(this, 0x80, operands); },
+  SET(operands) { return encodeBit.call(this, 0xC0, operands); },
+  
+  JP(operands) {
+    const [first, second] = operands;
+    if (operands.length === 1) {
+      if (first.type === 'immediate') return [0xC3, ...this.word(first)];
+      if (isIndirect(first, 'HL')) return [0xE9];
+      if (first.type === 'indexed' && first.bare) return [first.prefix, 0xE9];
+    }
+    if (operands.length === 2 && condition(first) !== null && second.type === 'immediate') {
+      return [0xC2 | (condition(first) << 3), ...this.word(second)];
+    }
+    return null;
+  },
+  JR(operands) {
+    const [first, second] = operands;
+    if (operands.length === 1 && first.type === 'immediate') {
+      return [0x18, this.relative(first)];
+    }
+    if (operands.length === 2 && condition(first) !== null && condition(first) < 4 && second.type === 'immediate') {
+      return [0x20 | (condition(first) << 3), this.relative(second)];
+    }
+    return null;
+  },
+  DJNZ(operands) {
+    if (operands.length !== 1 || operands[0].type !== 'immediate') return null;
+    return [0x10, this.relative(operands[0])];
+  },
+  CALL(operands) {
+    const [first, second] = operands;
+    if (operands.length === 1 && first.type === 'immediate') {
+      return [0xCD, ...this.word(first)];
+    }
+    if (operands.length === 2 && condition(first) !== null && second.type === 'immediate') {
+      return [0xC4 | (condition(first) << 3), ...this.word(second)];
+    }
+    return null;
+  },
+  RET(operands) {
+    if (operands.length === 0) return [0xC9];
+    if (operands.length === 1 && condition(operands[0]) !== null) {
+      return [0xC0 | (condition(operands[0]) << 3)];
+    }
+    return null;
+  },
+  RST(operands) {
+    const [target] = operands;
+    if (operands.length !== 1 || target.type !== 'immediate') return null;
+    if (this.context.final && !target.unresolved && (target.value & ~0x38) !== 0) {
+      throw new AssemblerError(`Invalid restart address (${target.value})`, null, target.column);
+    }
+    return [0xC7 | (target.value & 0x38)];
+  },
+  
+  PUSH(operands) {
+    const [pair] = operands;
+    if (operands.length !== 1) return null;
+    if (pair.type === 'reg16' && pair.name !== 'SP') return [0xC5 | (pair.code << 4)];
+    if (is(pair, 'AF')) return [0xF5];
+    if (pair.type === 'index') return [pair.prefix, 0xE5];
+    return null;
+  },
+  POP(operands) {
+    const [pair] = operands;
+    if (operands.length !== 1) return null;
+    if (pair.type === 'reg16' && pair.name !== 'SP') return [0xC1 | (pair.code << 4)];
+    if (is(pair, 'AF')) return [0xF1];
+    if (pair.type === 'index') return [pair.prefix, 0xE1];
+    return null;
+  },
+  
+  EX(operands) {
+    const [first, second] = operands;
+    if (operands.length !== 2) return null;
+    if (is(first, 'DE') && is(second, 'HL')) return [0xEB];
+    if (is(first, 'AF') && is(second, "AF'")) return [0x08];
+    if (isIndirect(first, 'SP')) {
+      if (is(second, 'HL')) return [0xE3];
+      if (second.type === 'index') return [second.prefix, 0xE3];
+    }
+    return null;
+  },
+  
+  IM(operands) {
+    const [mode] = operands;
+    if (operands.length !== 1 || mode.type !== 'immediate') return null;
+    this.checkRange(mode, 0, 2, 'Interrupt mode');
+    return [0xED, [0x46, 0x56, 0x5E][mode.value] ?? 0x46];
+  },
+  
+  IN(operands) {
+    const [target, port] = operands;
+    if (operands.length === 1 && isIndirect(target, 'C')) {
+      return [0xED, 0x70];
+    }
+    if (operands.length !== 2) return null;
+    if (is(target, 'A') && port.type === 'memory') return [0xDB, this.byte(port)];
+    if (isIndirect(port, 'C')) {
+      if (is(target, 'F')) return [0xED, 0x70];
+      if (target.type === 'reg8' && !target.prefix) return [0xED, 0x40 | (target.code << 3)];
+    }
+    return null;
+  },
+  OUT(operands) {
+    const [port, source] = operands;
+    if (operands.length !== 2) return null;
+    if (port.type === 'memory' && is(source, 'A')) return [0xD3, this.byte(port)];
+    if (isIndirect(port, 'C')) {
+      if (source.type === 'reg8' && !source.prefix) return [0xED, 0x41 | (source.code << 3)];
+      if (source.type === 'immediate' && (source.value === 0 || source.unresolved)) return [0xED, 0x71];
+    }
+    return null;
+  },
+};
+
+/**
+ * Whether a name is an instruction mnemonic.
+ * @param {string} name
+ */
+export const isMnemonic = (name) => Object.prototype.hasOwnProperty.call(HANDLERS, name.toUpperCase());
+
+/**
+ * Whether a name is a mnemonic, register or condition and so cannot be a symbol.
+ * @param {string} name
+ */
+export const isReservedWord = (name) => {
+  const upper = name.toUpperCase();
+  return isMnemonic(upper) || upper in REG8 || upper in REG16 || upper in INDEX_REGISTERS ||
+    upper in INDEX_HALVES || upper in CONDITIONS || SPECIAL_REGISTERS.includes(upper);
+};
+
+export default InstructionEncoder;
@@ -0,0 +1,155 @@
+/**
+ * Z80 Assembler Lexer
+ *
+ * Splits one source line into tokens. Every token records the 1-based column
+ * it starts at so later stages can report errors precisely. A semicolon
+ * outside a string starts a comment that runs to the end of the line.
+ */
+
+import AssemblerError from './AssemblerError.js';
+
+// Characters that are tokens on their own
+const SINGLE_OPERATORS = '+-*/%&|^~!()<>=,:#';
+
+// Operators made of two characters, checked before the single ones
+const DOUBLE_OPERATORS = ['<<', '>>', '<=', '>=', '==', '!=', '&&', '||'];
+
+const isIdentifierStart = (ch) => /[A-Za-z_.]/.test(ch);
+const isIdentifierPart = (ch) => /[A-Za-z0-9_.]/.test(ch);
+
+/**
+ * Convert a numeric literal to its value. Accepts decimal, hexadecimal
+ * (0x1F, 1Fh), binary (0b101, 101b) and octal (17o, 17q) forms.
+ * @param {string} text - The literal without any '$' or '%' prefix
+ * @returns {number} The value, or NaN when the literal is malformed
+ */
+export const parseNumber = (text) => {
+  const lower = text.toLowerCase();
+  let digits = lower;
+  let radix = 10;
+  
+  if (lower.startsWith('0x')) {
+    digits = lower.slice(2);
+    radix = 16;
+  } else if (lower.endsWith('h')) {
+    digits = lower.slice(0, -1);
+    radix = 16;
+  } else if (lower.startsWith('0b') && /^[01]+$/.test(lower.slice(2))) {
+    digits = lower.slice(2);
+    radix = 2;
+  } else if (lower.endsWith('b') && /^[01]+$/.test(lower.slice(0, -1))) {
+    digits = lower.slice(0, -1);
+    radix = 2;
+  } else if (lower.endsWith('o') || lower.endsWith('q')) {
+    digits = lower.slice(0, -1);
+    radix = 8;
+  } else if (lower.endsWith('d')) {
+    digits = lower.slice(0, -1);
+  }
+  
+  const valid = { 2: /^[01]+$/, 8: /^[0-7]+$/, 10: /^[0-9]+$/, 16: /^[0-9a-f]+$/ }[radix];
+  return valid.test(digits) ? parseInt(digits, radix) : NaN;
+};
+
+/**
+ * Tokenize a source line.
+ * @param {string} text - The line, without its line terminator
+ * @returns {Array<Object>} Tokens of the form { type, value, text, column } where
+ *   type is 'ident', 'number', 'string' or 'op'
+ * @throws {AssemblerError} On a malformed literal or an unexpected character
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  
+  // Whether the previous token ends an operand, which makes '%' the modulo
+  // operator rather than the start of a binary literal
+  const afterOperand = () => {
+    const last = tokens[tokens.length - 1];
+    return last !== undefined && (last.type !== 'op' || last.value === ')');
+  };
+  
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1] ?? '';
+    const column = i + 1;
+    
+    if (ch === ';') break;
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    
+    if (isIdentifierStart(ch)) {
+      let end = i + 1;
+      while (end < text.length && isIdentifierPart(text[end])) end++;
+      let value = text.slice(i, end);
+      
+      // The alternate accumulator pair is written AF'
+      if (value.toUpperCase() === 'AF' && text[end] === "'") {
+        value += "'";
+        end++;
+      }
+      
+      tokens.push({ type: 'ident', value, text: value, column });
+      i = end;
+    } else if (/[0-9]/.test(ch) || (ch === '$' && /[0-9A-Fa-f]/.test(next)) ||
+               (ch === '%' && /[01]/.test(next) && !afterOperand())) {
+      const prefix = /[0-9]/.test(ch) ? '' : ch;
+      let end = i + prefix.length;
+      while (end < text.length && /[0-9A-Za-z]/.test(text[end])) end++;
+      const literal = text.slice(i, end);
+      const digits = literal.slice(prefix.length);
+      
+      let value;
+      if (prefix === '$') {
+        value = /^[0-9A-Fa-f]+$/.test(digits) ? parseInt(digits, 16) : NaN;
+      } else if (prefix === '%') {
+        value = /^[01]+$/.test(digits) ? parseInt(digits, 2) : NaN;
+      } else {
+        value = parseNumber(digits);
+      }
+      
+      if (Number.isNaN(value)) {
+        throw new AssemblerError(`Invalid number "${literal}"`, null, column);
+      }
+      tokens.push({ type: 'number', value, text: literal, column });
+      i = end;
+    } else if (ch === '"' || ch === "'") {
+      // A doubled quote inside a string stands for the quote itself
+      let value = '';
+      let end = i + 1;
+      let closed = false;
+      while (end < text.length) {
+        if (text[end] === ch) {
+          if (text[end + 1] === ch) {
+            value += ch;
+            end += 2;
+            continue;
+          }
+          closed = true;
+          end++;
+          break;
+        }
+        value += text[end];
+        end++;
+      }
+      
+      if (!closed) {
+        throw new AssemblerError('Unterminated string', null, column);
+      }
+      tokens.push({ type: 'string', value, text: text.slice(i, end), quote: ch, column });
+      i = end;
+    } else if (DOUBLE_OPERATORS.includes(ch + next)) {
+      tokens.push({ type: 'op', value: ch + next, text: ch + next, column });
+      i += 2;
+    } else if (SINGLE_OPERATORS.includes(ch) || ch === '$') {
+      tokens.push({ type: 'op', value: ch, text: ch, column });
+      i++;
+    } else {
+      throw new AssemblerError(`Unexpected character "${ch}"`, null, column);
+    }
+  }
+  
+  return tokens;
+};
@@ -0,0 +1,120 @@
+/**
+ * Assembler Project Workspace
+ *
+ * Holds the files of an assembly project: source files as text and binary
+ * files (graphics, tables, ...) as bytes. INCLUDE and INCBIN name files in the
+ * workspace; a name is looked up relative to the directory of the file that
+ * mentions it first, then from the workspace root.
+ */
+
+// Collapse "." and ".." segments and repeated slashes
+const normalizePath = (path) => {
+  const parts = [];
+  path.split('/').forEach(part => {
+    if (part === '' || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+};
+
+const directoryOf = (path) => {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+};
+
+class Workspace {
+  /**
+   * @param {Object<string, (string|Uint8Array)>} [files] - Initial files by name
+   */
+  constructor(files = {}) {
+    this.files = new Map();
+    this.listeners = new Set();
+    
+    Object.entries(files).forEach(([name, content]) => this.files.set(normalizePath(name), content));
+  }
+  
+  /**
+   * Add or replace a file.
+   * @param {string} name - Path of the file within the workspace
+   * @param {string|ArrayLike<number>} content - Text, or bytes for a binary file
+   */
+  setFile(name, content) {
+    const path = normalizePath(name);
+    if (!path) {
+      throw new Error('A workspace file needs a name');
+    }
+    
+    this.files.set(path, typeof content === 'string' ? content : Uint8Array.from(content));
+    this.notify();
+  }
+  
+  removeFile(name) {
+    if (this.files.delete(normalizePath(name))) {
+      this.notify();
+    }
+  }
+  
+  hasFile(name) {
+    return this.files.has(normalizePath(name));
+  }
+  
+  getFile(name) {
+    return this.files.get(normalizePath(name));
+  }
+  
+  isBinary(name) {
+    return this.getFile(name) instanceof Uint8Array;
+  }
+  
+  // File names in alphabetical order
+  listFiles() {
+    return [...this.files.keys()].sort();
+  }
+  
+  /**
+   * Find the file a reference names.
+   * @param {string} name - Name as written in the source
+   * @param {string} [fromFile] - File containing the reference
+   * @returns {string|null} The workspace path, or null if there is no such file
+   */
+  resolve(name, fromFile = '') {
+    const candidates = [normalizePath(`${directoryOf(fromFile)}/${name}`), normalizePath(name)];
+    return candidates.find(path => this.files.has(path)) ?? null;
+  }
+  
+  readText(name) {
+    const content = this.getFile(name);
+    if (content === undefined) {
+      throw new Error(`File "${name}" is not in the workspace`);
+    }
+    if (typeof content !== 'string') {
+      throw new Error(`File "${name}" is a binary file`);
+    }
+    return content;
+  }
+  
+  // Contents as bytes; text files are encoded as UTF-8
+  readBinary(name) {
+    const content = this.getFile(name);
+    if (content === undefined) {
+      throw new Error(`File "${name}" is not in the workspace`);
+    }
+    return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  }
+  
+  // Subscribe to file changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default Workspace;
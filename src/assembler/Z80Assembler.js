@@ -0,0 +1,776 @@
+/**
+ * Z80 Assembler
+ *
+ * A multi-pass assembler. Early passes size every instruction and record the
+ * value of each symbol, repeating while any value is still changing (a
+ * forward reference in ORG or DS can move the labels after it); the final
+ * pass encodes the instructions with all symbols known, so labels can be used
+ * before they are defined. Errors are collected rather than thrown, each with
+ * the file, line and column it refers to, so one run reports every problem in
+ * the source.
+ *
+ * A line holds an optional label, an optional instruction or directive and an
+ * optional comment. A label ends with a colon, or starts in the first column
+ * without one:
+ *
+ *   loop:   DJNZ loop     ; label with a colon
+ *   start   LD A,(IX+2)   ; label in the first column
+ *   SCREEN  EQU 4000h     ; EQU gives the label a value instead of an address
+ *
+ * Labels starting with a dot are local to the closest preceding label that
+ * does not, so ".loop" after "print:" is the symbol "print.loop" and the same
+ * local name can be reused under every global label.
+ *
+ * Macros, conditional assembly and repetition are block directives:
+ *
+ *   PUSHALL MACRO r1, r2  ; parameters are replaced wherever they appear
+ *           LOCAL skip    ; skip gets a fresh name in every expansion
+ *           ...
+ *           ENDM
+ *
+ *           IF DEBUG      ; also IFDEF/IFNDEF name, with optional ELSE
+ *           ...
+ *           ENDIF
+ *
+ *           REPT 8        ; the body is assembled 8 times
+ *           ...
+ *           ENDR
+ *
+ * A macro is called like an instruction, indented so its name is not read as
+ * a label. Program lines produced by an expansion keep the file and line of
+ * the macro (or REPT) body they came from and record the call site.
+ */
+
+import AssemblerError from './AssemblerError.js';
+import { tokenize } from './Lexer.js';
+import InstructionEncoder, { splitOperands, isMnemonic, isReservedWord } from './InstructionEncoder.js';
+
+// Passes made before the final one while symbol values are still changing
+const MAX_PASSES = 10;
+
+const MAX_INCLUDE_DEPTH = 16;
+
+// Nested macro calls and REPT blocks, which also stops runaway recursive macros
+const MAX_EXPANSION_DEPTH = 32;
+
+const DIRECTIVES = [
+  'ORG', 'EQU', 'DB', 'DW', 'DS', 'ALIGN', 'INCLUDE', 'INCBIN', 'END',
+  'MACRO', 'ENDM', 'LOCAL', 'IF', 'IFDEF', 'IFNDEF', 'ELSE', 'ENDIF', 'REPT', 'ENDR',
+];
+
+const CONDITIONALS = ['IF', 'IFDEF', 'IFNDEF'];
+
+// Directives that close a block; they are consumed when blocks are built
+const BLOCK_ENDS = ['ENDM', 'ELSE', 'ENDIF', 'ENDR'];
+
+// Directives whose label names the directive's result rather than an address
+const NAMING_DIRECTIVES = ['EQU', 'MACRO'];
+
+// Alternative spellings of directives
+const DIRECTIVE_ALIASES = {
+  DEFB: 'DB', DEFM: 'DB', DM: 'DB', BYTE: 'DB',
+  DEFW: 'DW', WORD: 'DW',
+  DEFS: 'DS', BLOCK: 'DS',
+  ENDMACRO: 'ENDM',
+};
+
+/**
+ * The canonical name of a directive, accepting aliases and a leading dot
+ * (".org"), or null if the name is not a directive.
+ * @param {string} name
+ */
+export const directiveName = (name) => {
+  const upper = name.toUpperCase().replace(/^\./, '');
+  const canonical = DIRECTIVE_ALIASES[upper] || upper;
+  return DIRECTIVES.includes(canonical) ? canonical : null;
+};
+
+// Whether an operand is a lone string literal
+const isString = (tokens) => tokens.length === 1 && tokens[0].type === 'string';
+
+// The directive a statement holds, if any
+const statementDirective = (statement) =>
+  (statement.valid && statement.mnemonic ? directiveName(statement.mnemonic) : null);
+
+// Source text of an operand
+const operandText = (statement, tokens) => {
+  const last = tokens[tokens.length - 1];
+  return statement.text.slice(tokens[0].column - 1, last.column - 1 + last.text.length);
+};
+
+/**
+ * Replace whole identifiers in a line of source. Strings and comments are
+ * left alone because only identifier tokens are replaced.
+ * @param {string} text - Source line
+ * @param {Map<string, string>} replacements - Replacement text by identifier
+ */
+const substitute = (text, replacements) => {
+  let tokens;
+  try {
+    tokens = tokenize(text);
+  } catch {
+    return text;
+  }
+  
+  return tokens.reduceRight((result, token) => {
+    if (token.type !== 'ident' || !replacements.has(token.value)) return result;
+    const start = token.column - 1;
+    return result.slice(0, start) + replacements.get(token.value) + result.slice(start + token.text.length);
+  }, text);
+};
+
+class Z80Assembler {
+  /**
+   * @param {Object} [options]
+   * @param {Workspace} [options.workspace] - Project files available to INCLUDE and INCBIN
+   */
+  constructor({ workspace = null } = {}) {
+    this.workspace = workspace;
+    this.symbols = new Map();
+    this.errors = [];
+  }
+  
+  /**
+   * Assemble source code.
+   * @param {string} source - Assembly source
+   * @param {Object} [options]
+   * @param {number} [options.origin=0] - Address assembled at until the first ORG
+   * @param {string} [options.fileName=''] - Workspace name of the source, used to
+   *   resolve relative INCLUDE/INCBIN names and in error reports
+   * @returns {Object} The result:
+   *   - program: one { address, bytes, instruction, lineNumber, file, expansion }
+   *     entry per instruction or data directive, in source order; expansion is
+   *     null, or { name, file, lineNumber } of the outermost macro call or REPT
+   *     that produced the line
+   *   - sections: runs of contiguous output as { start, end, size, items }
+   *   - entry: the END address, or else the address of the first output byte
+   *   - errors: { message, file, line, column } entries sorted by position
+   *   - symbols: the value of every label and EQU
+   */
+  assemble(source, { origin = 0, fileName = '' } = {}) {
+    this.symbols = new Map();
+    this.errors = [];
+    this.errorKeys = new Set();
+    this.parsedFiles = new Map();
+    
+    const statements = this.parseSource(source, fileName);
+    
+    let settled = false;
+    for (let pass = 0; pass < MAX_PASSES && !settled; pass++) {
+      this.changed = false;
+      this.runPass(statements, origin, fileName, false);
+      settled = !this.changed;
+    }
+    
+    const result = this.runPass(statements, origin, fileName, true);
+    if (!settled) {
+      this.errors.push({
+        message: `Symbol values did not settle after ${MAX_PASSES} passes`,
+        file: fileName,
+        line: 1,
+        column: null,
+      });
+    }
+    
+    this.errors.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || (a.column ?? 0) - (b.column ?? 0));
+    return {
+      program: result.program,
+      sections: this.buildSections(result.program),
+      entry: result.entry ?? (result.program.length > 0 ? result.program[0].address : origin & 0xFFFF),
+      errors: this.errors,
+      symbols: Object.fromEntries(this.symbols),
+    };
+  }
+  
+  // Parse every line of a source text into statements and nest its blocks
+  parseSource(source, file) {
+    return this.buildBlocks(source.split(/\r?\n/).map((text, index) => this.parseStatement(text, index + 1, file)));
+  }
+  
+  // Parse a workspace file once per assembly
+  parseFile(path, column) {
+    if (!this.parsedFiles.has(path)) {
+      let text;
+      try {
+        text = this.workspace.readText(path);
+      } catch (error) {
+        throw new AssemblerError(error.message, null, column);
+      }
+      this.parsedFiles.set(path, this.parseSource(text, path));
+    }
+    return this.parsedFiles.get(path);
+  }
+  
+  /**
+   * Split a line into its label, mnemonic and operands. Syntax errors are
+   * kept on the statement and reported when the final pass reaches it, so
+   * lines in skipped IF branches or unused macros do not report them.
+   */
+  parseStatement(text, lineNumber, file) {
+    const statement = { file, lineNumber, text, label: null, mnemonic: null, operands: [], valid: true, errors: [] };
+    
+    let tokens;
+    try {
+      tokens = tokenize(text);
+    } catch (error) {
+      statement.errors.push(error);
+      statement.valid = false;
+      return statement;
+    }
+    
+    let position = 0;
+    const [first, second] = tokens;
+    if (first && first.type === 'ident') {
+      if (second && second.type === 'op' && second.value === ':') {
+        statement.label = first;
+        position = 2;
+      } else if ((first.column === 1 && !isMnemonic(first.value) && !directiveName(first.value)) ||
+                 (second && second.type === 'ident' && NAMING_DIRECTIVES.includes(directiveName(second.value)))) {
+        statement.label = first;
+        position = 1;
+      }
+    }
+    
+    if (statement.label && (isReservedWord(statement.label.value) || directiveName(statement.label.value))) {
+      statement.errors.push(new AssemblerError(`"${statement.label.value}" is a reserved word and cannot be a label`,
+        null, statement.label.column));
+      statement.label = null;
+    }
+    
+    const mnemonic = tokens[position];
+    if (!mnemonic) return statement;
+    
+    if (mnemonic.type !== 'ident') {
+      statement.errors.push(new AssemblerError(`Expected an instruction, found "${mnemonic.text}"`, null, mnemonic.column));
+      statement.valid = false;
+      return statement;
+    }
+    
+    const last = tokens[tokens.length - 1];
+    statement.mnemonic = mnemonic.value.toUpperCase();
+    statement.column = mnemonic.column;
+    statement.operands = splitOperands(tokens.slice(position + 1));
+    statement.instruction = text.slice(mnemonic.column - 1, last.column - 1 + last.text.length);
+    return statement;
+  }
+  
+  /**
+   * Nest block directives: a MACRO keeps its body lines for expansion,
+   * IF/IFDEF/IFNDEF get then and else branches and REPT gets its body. A
+   * block that is not closed, or a closing directive without a block, is an
+   * error on that line.
+   */
+  buildBlocks(statements) {
+    let position = 0;
+    
+    const fail = (statement, message) => {
+      statement.errors.push(new AssemblerError(message, null, statement.column));
+      statement.valid = false;
+    };
+    
+    // Nodes up to, but not including, one of the terminators
+    const collect = (terminators) => {
+      const nodes = [];
+      while (position < statements.length) {
+        const statement = statements[position];
+        const directive = statementDirective(statement);
+        if (terminators.includes(directive)) return { nodes, end: statement };
+        position++;
+        
+        if (directive === 'MACRO') {
+          // The body stays flat; it is parsed again after parameter substitution
+          statement.body = [];
+          let depth = 0;
+          let closed = false;
+          while (position < statements.length) {
+            const line = statements[position++];
+            const inner = statementDirective(line);
+            if (inner === 'MACRO') depth++;
+            if (inner === 'ENDM' && depth-- === 0) {
+              closed = true;
+              break;
+            }
+            statement.body.push(line);
+          }
+          if (!closed) fail(statement, 'MACRO without ENDM');
+        } else if (CONDITIONALS.includes(directive)) {
+          const then = collect(['ELSE', 'ENDIF']);
+          statement.thenBody = then.nodes;
+          statement.elseBody = [];
+          
+          let end = then.end;
+          if (end && statementDirective(end) === 'ELSE') {
+            position++;
+            const otherwise = collect(['ENDIF']);
+            statement.elseBody = otherwise.nodes;
+            end = otherwise.end;
+          }
+          if (end) {
+            position++;
+          } else {
+            fail(statement, `${directive} without ENDIF`);
+          }
+        } else if (directive === 'REPT') {
+          const body = collect(['ENDR']);
+          statement.body = body.nodes;
+          if (body.end) {
+            position++;
+          } else {
+            fail(statement, 'REPT without ENDR');
+          }
+        } else if (BLOCK_ENDS.includes(directive)) {
+          fail(statement, `${directive} without a matching block`);
+        }
+        
+        nodes.push(statement);
+      }
+      return { nodes, end: null };
+    };
+    
+    return collect([]).nodes;
+  }
+  
+  /**
+   * Walk the statements once. Early passes only need sizes and symbol values;
+   * the final pass reports errors and collects the program.
+   */
+  runPass(statements, origin, fileName, final) {
+    const state = {
+      address: origin & 0xFFFF,
+      final,
+      program: [],
+      entry: null,
+      ended: false,
+      files: [fileName],
+      scope: '',
+      expansions: [],
+      expansionCount: 0,
+    };
+    this.defined = new Set();
+    this.macros = new Map();
+    
+    this.processStatements(statements, state);
+    return state;
+  }
+  
+  processStatements(statements, state) {
+    const expansion = state.expansions[state.expansions.length - 1];
+    
+    for (const statement of statements) {
+      if (state.ended) break;
+      
+      // Errors are reported once, from the final pass
+      if (state.final) {
+        statement.errors.forEach(error => this.addError(error, statement, expansion));
+      }
+      if (!statement.valid) continue;
+      
+      try {
+        this.processStatement(statement, state);
+      } catch (error) {
+        if (!(error instanceof AssemblerError)) throw error;
+        if (state.final) this.addError(error, statement, expansion);
+      }
+    }
+  }
+  
+  processStatement(statement, state) {
+    const directive = statement.mnemonic ? directiveName(statement.mnemonic) : null;
+    
+    if (statement.label && !NAMING_DIRECTIVES.includes(directive)) {
+      this.defineSymbol(statement.label, state.address, state);
+      if (!statement.label.value.startsWith('.')) {
+        state.scope = statement.label.value;
+      }
+    }
+    if (!statement.mnemonic) return;
+    
+    if (directive) {
+      this[`directive${directive}`](statement, state);
+      return;
+    }
+    
+    const macro = this.macros.get(statement.mnemonic);
+    if (macro) {
+      this.expandMacro(statement, macro, state);
+      return;
+    }
+    
+    const bytes = this.encoder(statement, state).encode(statement.mnemonic, statement.operands);
+    this.emit(statement, bytes, state);
+  }
+  
+  encoder(statement, state) {
+    const context = {
+      address: state.address,
+      final: state.final,
+      lookup: name => this.symbols.get(this.qualify(name, state)),
+    };
+    return new InstructionEncoder(context, statement.column);
+  }
+  
+  // Evaluate an operand expression as the encoder would
+  evaluate(statement, state, tokens) {
+    const encoder = this.encoder(statement, state);
+    return { type: 'immediate', ...encoder.evaluate(tokens), column: tokens[0].column };
+  }
+  
+  // Append output at the current address and advance it
+  emit(statement, bytes, state) {
+    if (state.address + bytes.length > 0x10000) {
+      throw new AssemblerError('Output runs past the end of memory (FFFFh)', null, statement.column);
+    }
+    
+    if (state.final && bytes.length > 0) {
+      state.program.push({
+        address: state.address,
+        bytes,
+        instruction: statement.instruction,
+        lineNumber: statement.lineNumber,
+        file: statement.file,
+        expansion: state.expansions.length > 0 ? state.expansions[0] : null,
+      });
+    }
+    state.address = (state.address + bytes.length) & 0xFFFF;
+  }
+  
+  // The full name of a symbol: local names are prefixed with the current scope
+  qualify(name, state) {
+    return name.startsWith('.') ? `${state.scope}${name}` : name;
+  }
+  
+  defineSymbol(token, value, state) {
+    const name = this.qualify(token.value, state);
+    if (this.defined.has(name)) {
+      throw new AssemblerError(`Duplicate label "${name}"`, null, token.column);
+    }
+    this.defined.add(name);
+    
+    if (this.symbols.get(name) !== value) {
+      this.changed = true;
+      this.symbols.set(name, value);
+    }
+  }
+  
+  expectOperands(statement, min, max) {
+    const count = statement.operands.length;
+    if (count < min || count > max) {
+      let expected = min === max ? `${min}` : `${min} to ${max}`;
+      if (max === Infinity) expected = `at least ${min}`;
+      throw new AssemblerError(`${statement.mnemonic} expects ${expected} operand${max === 1 ? '' : 's'}`,
+        null, statement.column);
+    }
+  }
+  
+  expectString(tokens, statement) {
+    if (!isString(tokens)) {
+      throw new AssemblerError('Expected a quoted file name', null, tokens[0] ? tokens[0].column : statement.column);
+    }
+    return tokens[0].value;
+  }
+  
+  // A count or size that must fit the address space
+  evaluateCount(statement, state, tokens, min) {
+    const operand = this.evaluate(statement, state, tokens);
+    const encoder = this.encoder(statement, state);
+    encoder.checkRange(operand, min, 0x10000, 'Count');
+    return operand.unresolved ? 0 : operand.value;
+  }
+  
+  // Bytes that fill DS and ALIGN gaps
+  fillBytes(statement, state, count, fillTokens) {
+    const fill = fillTokens ? this.encoder(statement, state).byte(this.evaluate(statement, state, fillTokens)) : 0;
+    return new Array(count).fill(fill);
+  }
+  
+  // ORG address
+  directiveORG(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    const operand = this.evaluate(statement, state, statement.operands[0]);
+    this.encoder(statement, state).checkRange(operand, 0, 0xFFFF, 'Address');
+    state.address = operand.value & 0xFFFF;
+  }
+  
+  // name EQU value
+  directiveEQU(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    if (!statement.label) {
+      throw new AssemblerError('EQU needs a label', null, statement.column);
+    }
+    
+    // Left undefined until the value can be computed in a later pass
+    const operand = this.evaluate(statement, state, statement.operands[0]);
+    if (!operand.unresolved) {
+      this.defineSymbol(statement.label, operand.value, state);
+    }
+  }
+  
+  // DB values and strings
+  directiveDB(statement, state) {
+    this.expectOperands(statement, 1, Infinity);
+    const encoder = this.encoder(statement, state);
+    const bytes = [];
+    
+    statement.operands.forEach(tokens => {
+      if (isString(tokens)) {
+        bytes.push(...Array.from(tokens[0].value, ch => ch.charCodeAt(0) & 0xFF));
+      } else {
+        bytes.push(encoder.byte(this.evaluate(statement, state, tokens)));
+      }
+    });
+    this.emit(statement, bytes, state);
+  }
+  
+  // DW values, little-endian
+  directiveDW(statement, state) {
+    this.expectOperands(statement, 1, Infinity);
+    const encoder = this.encoder(statement, state);
+    const bytes = statement.operands.flatMap(tokens => encoder.word(this.evaluate(statement, state, tokens)));
+    this.emit(statement, bytes, state);
+  }
+  
+  // DS count[,fill]
+  directiveDS(statement, state) {
+    this.expectOperands(statement, 1, 2);
+    const [countTokens, fillTokens] = statement.operands;
+    const count = this.evaluateCount(statement, state, countTokens, 0);
+    this.emit(statement, this.fillBytes(statement, state, count, fillTokens), state);
+  }
+  
+  // ALIGN boundary[,fill]
+  directiveALIGN(statement, state) {
+    this.expectOperands(statement, 1, 2);
+    const [boundaryTokens, fillTokens] = statement.operands;
+    const boundary = this.evaluateCount(statement, state, boundaryTokens, 1) || 1;
+    const padding = (boundary - (state.address % boundary)) % boundary;
+    this.emit(statement, this.fillBytes(statement, state, padding, fillTokens), state);
+  }
+  
+  // INCLUDE "file"
+  directiveINCLUDE(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    const path = this.resolveFile(statement, this.expectString(statement.operands[0], statement));
+    
+    if (state.files.includes(path)) {
+      throw new AssemblerError(`"${path}" includes itself`, null, statement.operands[0][0].column);
+    }
+    if (state.files.length > MAX_INCLUDE_DEPTH) {
+      throw new AssemblerError('INCLUDE files are nested too deeply', null, statement.column);
+    }
+    
+    state.files.push(path);
+    this.processStatements(this.parseFile(path, statement.operands[0][0].column), state);
+    state.files.pop();
+  }
+  
+  // INCBIN "file"[,offset[,length]]
+  directiveINCBIN(statement, state) {
+    this.expectOperands(statement, 1, 3);
+    const [nameTokens, offsetTokens, lengthTokens] = statement.operands;
+    const path = this.resolveFile(statement, this.expectString(nameTokens, statement));
+    const data = this.workspace.readBinary(path);
+    
+    const offset = offsetTokens ? this.evaluateCount(statement, state, offsetTokens, 0) : 0;
+    const length = lengthTokens ? this.evaluateCount(statement, state, lengthTokens, 0) : data.length - offset;
+    if (state.final && (offset > data.length || offset + length > data.length)) {
+      throw new AssemblerError(`INCBIN range is outside "${path}" (${data.length} bytes)`, null, statement.column);
+    }
+    
+    this.emit(statement, Array.from(data.subarray(offset, offset + Math.max(length, 0))), state);
+  }
+  
+  // END [entry]
+  directiveEND(statement, state) {
+    this.expectOperands(statement, 0, 1);
+    if (statement.operands.length === 1) {
+      const encoder = this.encoder(statement, state);
+      const operand = this.evaluate(statement, state, statement.operands[0]);
+      encoder.checkRange(operand, 0, 0xFFFF, 'Address');
+      state.entry = operand.value & 0xFFFF;
+    }
+    state.ended = true;
+  }
+  
+  // name MACRO param, ... records the macro; its body is expanded at each call
+  directiveMACRO(statement, state) {
+    if (!statement.label) {
+      throw new AssemblerError('MACRO needs a name', null, statement.column);
+    }
+    
+    // Macro names are case-insensitive, like the mnemonics they stand beside
+    const key = statement.label.value.toUpperCase();
+    if (this.macros.has(key)) {
+      throw new AssemblerError(`Duplicate macro "${statement.label.value}"`, null, statement.label.column);
+    }
+    
+    const names = (operands) => operands.map(tokens => {
+      if (tokens.length !== 1 || tokens[0].type !== 'ident') {
+        throw new AssemblerError('Expected a name', null, tokens.length > 0 ? tokens[0].column : statement.column);
+      }
+      return tokens[0].value;
+    });
+    
+    const localLines = statement.body.filter(line => statementDirective(line) === 'LOCAL');
+    this.macros.set(key, {
+      name: statement.label.value,
+      params: names(statement.operands),
+      locals: localLines.flatMap(line => names(line.operands)),
+      body: statement.body.filter(line => !localLines.includes(line)),
+    });
+  }
+  
+  // A macro call: substitute the arguments and assemble the body in place
+  expandMacro(statement, macro, state) {
+    if (statement.operands.length !== macro.params.length) {
+      const count = macro.params.length;
+      throw new AssemblerError(`Macro "${macro.name}" expects ${count} argument${count === 1 ? '' : 's'}`,
+        null, statement.column);
+    }
+    if (state.expansions.length >= MAX_EXPANSION_DEPTH) {
+      throw new AssemblerError(`Macro "${macro.name}" is nested too deeply`, null, statement.column);
+    }
+    
+    const replacements = new Map();
+    macro.params.forEach((param, index) => {
+      const tokens = statement.operands[index];
+      if (tokens.length === 0) {
+        throw new AssemblerError(`Missing argument "${param}"`, null, statement.column);
+      }
+      replacements.set(param, operandText(statement, tokens));
+    });
+    
+    // Every expansion gets its own copy of the LOCAL labels
+    state.expansionCount++;
+    macro.locals.forEach(name => replacements.set(name, `${name}__${state.expansionCount}`));
+    
+    const lines = macro.body.map(line =>
+      this.parseStatement(substitute(line.text, replacements), line.lineNumber, line.file)
+    );
+    this.expand(statement, macro.name, state, () => this.processStatements(this.buildBlocks(lines), state));
+  }
+  
+  // Run an expansion, recording its call site for the program lines it produces
+  expand(statement, name, state, body) {
+    state.expansions.push({ name, file: statement.file, lineNumber: statement.lineNumber });
+    try {
+      body();
+    } finally {
+      state.expansions.pop();
+    }
+  }
+  
+  directiveLOCAL(statement) {
+    throw new AssemblerError('LOCAL is only allowed in a macro', null, statement.column);
+  }
+  
+  // IF expression: a non-zero value assembles the first branch
+  directiveIF(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    const operand = this.evaluate(statement, state, statement.operands[0]);
+    const holds = !operand.unresolved && operand.value !== 0;
+    this.processStatements(holds ? statement.thenBody : statement.elseBody, state);
+  }
+  
+  // IFDEF name: whether a symbol or macro has been defined above this line
+  directiveIFDEF(statement, state) {
+    this.processStatements(this.isDefined(statement, state) ? statement.thenBody : statement.elseBody, state);
+  }
+  
+  directiveIFNDEF(statement, state) {
+    this.processStatements(this.isDefined(statement, state) ? statement.elseBody : statement.thenBody, state);
+  }
+  
+  isDefined(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    const [tokens] = statement.operands;
+    if (tokens.length !== 1 || tokens[0].type !== 'ident') {
+      throw new AssemblerError('Expected a name', null, tokens.length > 0 ? tokens[0].column : statement.column);
+    }
+    
+    const name = tokens[0].value;
+    return this.defined.has(this.qualify(name, state)) || this.macros.has(name.toUpperCase());
+  }
+  
+  // REPT count: assemble the body count times
+  directiveREPT(statement, state) {
+    this.expectOperands(statement, 1, 1);
+    const count = this.evaluateCount(statement, state, statement.operands[0], 0);
+    if (state.expansions.length >= MAX_EXPANSION_DEPTH) {
+      throw new AssemblerError('REPT is nested too deeply', null, statement.column);
+    }
+    
+    this.expand(statement, 'REPT', state, () => {
+      for (let i = 0; i < count && !state.ended; i++) {
+        this.processStatements(statement.body, state);
+      }
+    });
+  }
+  
+  // Closing directives are consumed when blocks are built
+  directiveENDM(statement) {
+    throw new AssemblerError('ENDM without a matching block', null, statement.column);
+  }
+  
+  directiveELSE(statement) {
+    throw new AssemblerError('ELSE without a matching block', null, statement.column);
+  }
+  
+  directiveENDIF(statement) {
+    throw new AssemblerError('ENDIF without a matching block', null, statement.column);
+  }
+  
+  directiveENDR(statement) {
+    throw new AssemblerError('ENDR without a matching block', null, statement.column);
+  }
+  
+  // Workspace path of a file named by INCLUDE or INCBIN
+  resolveFile(statement, name) {
+    const path = this.workspace ? this.workspace.resolve(name, statement.file) : null;
+    if (!path) {
+      throw new AssemblerError(`File "${name}" is not in the workspace`, null, statement.operands[0][0].column);
+    }
+    return path;
+  }
+  
+  // Group the program into runs of contiguous addresses
+  buildSections(program) {
+    const sections = [];
+    program.forEach(item => {
+      const last = sections[sections.length - 1];
+      if (last && last.end + 1 === item.address) {
+        last.end += item.bytes.length;
+        last.size += item.bytes.length;
+        last.items.push(item);
+      } else {
+        sections.push({
+          start: item.address,
+          end: item.address + item.bytes.length - 1,
+          size: item.bytes.length,
+          items: [item],
+        });
+      }
+    });
+    return sections;
+  }
+  
+  // Record an error; inside an expansion the message names the call site
+  addError(error, statement, expansion = null) {
+    if (!(error instanceof AssemblerError)) throw error;
+    
+    let message = error.message;
+    if (expansion) {
+      const site = expansion.file ? `${expansion.file}:${expansion.lineNumber}` : `line ${expansion.lineNumber}`;
+      message += ` (in ${expansion.name} at ${site})`;
+    }
+    
+    // A line repeated by REPT or several calls reports each distinct error once
+    const entry = { message, file: statement.file, line: error.line ?? statement.lineNumber, column: error.column };
+    const key = `${entry.file}:${entry.line}:${entry.column}:${entry.message}`;
+    if (!this.errorKeys.has(key)) {
+      this.errorKeys.add(key);
+      this.errors.push(entry);
+    }
+  }
+}
+
+export default Z80Assembler;
@@ -0,0 +1,223 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Z80Assembler from './Z80Assembler.js';
+import Workspace from './Workspace.js';
+import Z80Disassembler from '../emulator/Z80Disassembler.js';
+
+// Assemble source and return the result with the output bytes in order
+const assemble = (source, options) => {
+  const result = new Z80Assembler().assemble(source, options);
+  return { ...result, bytes: result.program.flatMap(item => item.bytes) };
+};
+
+test('every opcode encoding disassembles to source that assembles back to its bytes', () => {
+  const disassembler = new Z80Disassembler();
+  const pages = [[], [0xCB], [0xED], [0xDD], [0xFD], [0xDD, 0xCB, 0x05], [0xFD, 0xCB, 0x05]];
+  let count = 0;
+  
+  pages.forEach(page => {
+    for (let opcode = 0; opcode < 256; opcode++) {
+      // The prefixes themselves are the other pages
+      if (page.length === 0 && [0xCB, 0xED, 0xDD, 0xFD].includes(opcode)) continue;
+      
+      const memory = [...page, opcode, 0x34, 0x12, 0x56];
+      const readByte = address => memory[address] ?? 0;
+      const { length } = disassembler.decode(readByte, 0);
+      const source = disassembler.toSource(readByte, 0, length);
+      const result = assemble(source);
+      
+      assert.deepEqual(result.errors, [], source);
+      assert.deepEqual(result.bytes, memory.slice(0, length), source);
+      count++;
+    }
+  });
+  assert.equal(count, 1788);
+});
+
+test('labels can be used before they are defined', () => {
+  const result = assemble([
+    '        JP later',
+    '        LD HL,data',
+    'later:  RET',
+    'data:   DB 1',
+  ].join('\n'));
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.bytes, [0xC3, 0x06, 0x00, 0x21, 0x07, 0x00, 0xC9, 0x01]);
+  assert.deepEqual(result.symbols, { later: 6, data: 7 });
+});
+
+test('a reserved word cannot be a label', () => {
+  const result = assemble('push:   NOP');
+  
+  assert.deepEqual(result.errors, [
+    { message: '"push" is a reserved word and cannot be a label', file: '', line: 1, column: 1 },
+  ]);
+  assert.deepEqual(result.symbols, {});
+});
+
+test('errors report their file, line and column, and assembly carries on past them', () => {
+  const result = assemble([
+    '        NOP',
+    '        LD A,nowhere',
+    '        FOO B',
+    '        HALT',
+  ].join('\n'), { fileName: 'main.asm' });
+  
+  assert.deepEqual(result.errors, [
+    { message: 'Undefined symbol "nowhere"', file: 'main.asm', line: 2, column: 14 },
+    { message: 'Unknown instruction "FOO"', file: 'main.asm', line: 3, column: 9 },
+  ]);
+  assert.deepEqual(result.bytes.slice(-1), [0x76]);
+});
+
+test('ORG starts sections, EQU names values and DB, DW, DS and ALIGN lay out data', () => {
+  const result = assemble([
+    '        ORG 8000h',
+    'start:  LD A,COUNT',
+    'COUNT   EQU 3*4',
+    '        DB "Hi",0,\'!\'',
+    '        DW 1234h,start',
+    '        DS 3,0FFh',
+    '        ALIGN 8',
+    'aligned: NOP',
+    '        ORG 9000h',
+    '        DS 2',
+    '        END start',
+  ].join('\n'));
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.symbols, { start: 0x8000, COUNT: 12, aligned: 0x8010 });
+  assert.deepEqual(result.bytes, [
+    0x3E, 0x0C,
+    0x48, 0x69, 0x00, 0x21,
+    0x34, 0x12, 0x00, 0x80,
+    0xFF, 0xFF, 0xFF,
+    0x00, 0x00, 0x00,
+    0x00,
+    0x00, 0x00,
+  ]);
+  assert.deepEqual(result.sections.map(({ start, end, size }) => ({ start, end, size })), [
+    { start: 0x8000, end: 0x8010, size: 17 },
+    { start: 0x9000, end: 0x9001, size: 2 },
+  ]);
+  assert.equal(result.entry, 0x8000);
+});
+
+test('INCLUDE and INCBIN read workspace files relative to the including file', () => {
+  const workspace = new Workspace({
+    'main.asm': '',
+    'lib/util.asm': '        INCLUDE "consts.asm"\nutil:   LD A,VALUE\n        RET',
+    'lib/consts.asm': 'VALUE   EQU 42',
+    'gfx/tiles.bin': new Uint8Array([1, 2, 3, 4, 5]),
+  });
+  const result = new Z80Assembler({ workspace }).assemble([
+    '        INCLUDE "lib/util.asm"',
+    '        INCBIN "gfx/tiles.bin",1,3',
+  ].join('\n'), { fileName: 'main.asm' });
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.symbols, { VALUE: 42, util: 0 });
+  assert.deepEqual(result.program.map(({ address, bytes, file, lineNumber }) => ({ address, bytes, file, lineNumber })), [
+    { address: 0, bytes: [0x3E, 0x2A], file: 'lib/util.asm', lineNumber: 2 },
+    { address: 2, bytes: [0xC9], file: 'lib/util.asm', lineNumber: 3 },
+    { address: 3, bytes: [2, 3, 4], file: 'main.asm', lineNumber: 2 },
+  ]);
+});
+
+test('INCLUDE and INCBIN of a missing file are errors at the file name', () => {
+  const workspace = new Workspace({ 'main.asm': '' });
+  const result = new Z80Assembler({ workspace }).assemble([
+    '        INCLUDE "missing.asm"',
+    '        INCBIN "gfx/none.bin"',
+  ].join('\n'), { fileName: 'main.asm' });
+  
+  assert.deepEqual(result.errors, [
+    { message: 'File "missing.asm" is not in the workspace', file: 'main.asm', line: 1, column: 17 },
+    { message: 'File "gfx/none.bin" is not in the workspace', file: 'main.asm', line: 2, column: 16 },
+  ]);
+});
+
+test('macro parameters are substituted and LOCAL labels are fresh in each expansion', () => {
+  const result = assemble([
+    'WAIT    MACRO reg, count',
+    '        LOCAL again',
+    '        LD reg,count',
+    'again:  DEC reg',
+    '        JR NZ,again',
+    '        ENDM',
+    '        WAIT B, 2',
+    '        WAIT C, 5',
+  ].join('\n'), { fileName: 'main.asm' });
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.bytes, [0x06, 0x02, 0x05, 0x20, 0xFD, 0x0E, 0x05, 0x0D, 0x20, 0xFD]);
+  assert.deepEqual(result.symbols, { again__1: 2, again__2: 7 });
+  assert.deepEqual(result.program.map(item => item.instruction), [
+    'LD B,2', 'DEC B', 'JR NZ,again__1', 'LD C,5', 'DEC C', 'JR NZ,again__2',
+  ]);
+});
+
+test('IF, IFDEF and IFNDEF nest with ELSE branches', () => {
+  const result = assemble([
+    'DEBUG   EQU 1',
+    '        IF DEBUG',
+    '        IFDEF TRACE',
+    '        DB 1',
+    '        ELSE',
+    '        DB 2',
+    '        ENDIF',
+    '        ELSE',
+    '        DB 3',
+    '        ENDIF',
+    '        IFNDEF TRACE',
+    '        DB 4',
+    '        ENDIF',
+    '        IF DEBUG-1',
+    '        DB 5',
+    '        ENDIF',
+  ].join('\n'));
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.bytes, [2, 4]);
+});
+
+test('REPT assembles its body the given number of times', () => {
+  const result = assemble(['        REPT 3', '        INC A', '        ENDR', '        NOP'].join('\n'));
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.bytes, [0x3C, 0x3C, 0x3C, 0x00]);
+});
+
+test('expanded lines keep their body line and record the outermost call site', () => {
+  const result = assemble([
+    'FILL    MACRO value',
+    '        REPT 2',
+    '        DB value',
+    '        ENDR',
+    '        ENDM',
+    '        NOP',
+    '        FILL 7',
+    '        REPT 1',
+    '        HALT',
+    '        ENDR',
+  ].join('\n'), { fileName: 'main.asm' });
+  
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.program.map(({ address, lineNumber, expansion }) => ({ address, lineNumber, expansion })), [
+    { address: 0, lineNumber: 6, expansion: null },
+    { address: 1, lineNumber: 3, expansion: { name: 'FILL', file: 'main.asm', lineNumber: 7 } },
+    { address: 2, lineNumber: 3, expansion: { name: 'FILL', file: 'main.asm', lineNumber: 7 } },
+    { address: 3, lineNumber: 9, expansion: { name: 'REPT', file: 'main.asm', lineNumber: 8 } },
+  ]);
+});
+
+test('an error inside a macro names the call site', () => {
+  const result = assemble(['BAD     MACRO', '        LD A,nowhere', '        ENDM', '        BAD'].join('\n'), {
+    fileName: 'main.asm',
+  });
+  
+  assert.deepEqual(result.errors, [
+    { message: 'Undefined symbol "nowhere" (in BAD at main.asm:4)', file: 'main.asm', line: 2, column: 14 },
+  ]);
+});
@@ -4,6 +4,13 @@ import RegisterEditor from './RegisterEditor';
 import MemoryEditor from './MemoryEditor';
 import AsmEditor from './AsmEditor';
 import Debugger from './Debugger';
+import IOPanel from './IOPanel';
+import SnapshotPanel from './SnapshotPanel';
+import CpmPanel from './CpmPanel';
+import SelfTestPanel from './SelfTestPanel';
+import Workspace from '../assembler/Workspace';
+import SnapshotSlots from '../emulator/SnapshotSlots';
+import CpmSystem from '../emulator/CpmSystem';
 import './App.css';
 
 /**
@@ -13,19 +20,25 @@ import './App.css';
  */
 const App = () => {
   const [z80, setZ80] = useState(null);
+  const [cpm, setCpm] = useState(null);
   const [assembledProgram, setAssembledProgram] = useState([]);
+  const [symbols, setSymbols] = useState({});
   const [activeTab, setActiveTab] = useState('registers');
+  const [workspace] = useState(() => new Workspace());
+  const [snapshotSlots] = useState(() => new SnapshotSlots());
   
   // Initialize Z80 emulator
   useEffect(() => {
     const emulator = new Z80Core();
     emulator.reset();
     setZ80(emulator);
+    setCpm(new CpmSystem(emulator));
   }, []);
   
   // Handle program load
-  const handleProgramLoad = (program, startAddress) => {
+  const handleProgramLoad = (program, startAddress, programSymbols = {}) => {
     setAssembledProgram(program);
+    setSymbols(programSymbols);
   };
   
   // Handle register change
@@ -50,9 +63,17 @@ const App = () => {
       case 'memory':
         return <MemoryEditor z80={z80} onMemoryChange={handleMemoryChange} />;
       case 'assembly':
-        return <AsmEditor z80={z80} onProgramLoad={handleProgramLoad} />;
+        return <AsmEditor z80={z80} workspace={workspace} onProgramLoad={handleProgramLoad} />;
       case 'debug':
-        return <Debugger z80={z80} assembledProgram={assembledProgram} />;
+        return <Debugger z80={z80} assembledProgram={assembledProgram} symbols={symbols} />;
+      case 'io':
+        return <IOPanel z80={z80} />;
+      case 'snapshots':
+        return <SnapshotPanel z80={z80} slots={snapshotSlots} />;
+      case 'cpm':
+        return <CpmPanel z80={z80} cpm={cpm} />;
+      case 'selftest':
+        return <SelfTestPanel />;
       default:
         return <div>Select a tab</div>;
     }
@@ -91,6 +112,30 @@ const App = () => {
           >
             Debug
           </button>
+          <button 
+            className={`tab-button ${activeTab === 'io' ? 'active' : ''}`}
+            onClick={() => setActiveTab('io')}
+          >
+            I/O
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'snapshots' ? 'active' : ''}`}
+            onClick={() => setActiveTab('snapshots')}
+          >
+            Snapshots
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'cpm' ? 'active' : ''}`}
+            onClick={() => setActiveTab('cpm')}
+          >
+            CP/M
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'selftest' ? 'active' : ''}`}
+            onClick={() => setActiveTab('selftest')}
+          >
+            Self Test
+          </button>
         </div>
         
         <div className="app-content">
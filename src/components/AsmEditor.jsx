@@ -1,4 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react';
+import Z80Assembler from '../assembler/Z80Assembler';
+import Z80Disassembler from '../emulator/Z80Disassembler';
+import { buildSegments, toIntelHex, toSRecord } from '../emulator/HexFile';
+
+// The file that is assembled; other workspace files are reached through INCLUDE and INCBIN
+const MAIN_FILE = 'main.asm';
+
+// Files added from disk with these extensions are read as text
+const SOURCE_EXTENSIONS = ['.asm', '.z80', '.s', '.inc', '.txt'];
+
+// Bytes shown per line in the assembled program table
+const MAX_LISTED_BYTES = 8;
+
+// Object file formats the program or a memory range can be exported in
+const EXPORT_FORMATS = {
+  ihex: { write: toIntelHex, extension: 'hex' },
+  srec: { write: toSRecord, extension: 's19' },
+};
 
 /**
  * AsmEditor Component
@@ -6,276 +24,139 @@ import React, { useState, useEffect, useRef } from 'react';
  * This component provides a UI for editing and parsing Z80 assembly code.
  * It includes syntax highlighting, line numbering, and assembly/disassembly functionality.
  */
-const AsmEditor = ({ z80, onCodeChange, onProgramLoad }) => {
-  const [code, setCode] = useState('');
+const AsmEditor = ({ z80, workspace, onCodeChange, onProgramLoad }) => {
+  const [files, setFiles] = useState([]);
+  const [activeFile, setActiveFile] = useState(MAIN_FILE);
   const [assembledProgram, setAssembledProgram] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [entryAddress, setEntryAddress] = useState(0);
+  const [symbols, setSymbols] = useState({});
   const [errors, setErrors] = useState([]);
   const [startAddress, setStartAddress] = useState(0);
   const editorRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const pendingCursorRef = useRef(null);
   
-  // Z80 instruction set definitions (partial implementation)
-  const Z80_INSTRUCTIONS = {
-    // 8-bit load instructions
-    'LD A,': { opcode: 0x3E, bytes: 2, operands: ['immediate'] },
-    'LD B,': { opcode: 0x06, bytes: 2, operands: ['immediate'] },
-    'LD C,': { opcode: 0x0E, bytes: 2, operands: ['immediate'] },
-    'LD D,': { opcode: 0x16, bytes: 2, operands: ['immediate'] },
-    'LD E,': { opcode: 0x1E, bytes: 2, operands: ['immediate'] },
-    'LD H,': { opcode: 0x26, bytes: 2, operands: ['immediate'] },
-    'LD L,': { opcode: 0x2E, bytes: 2, operands: ['immediate'] },
-    
-    // 16-bit load instructions
-    'LD BC,': { opcode: 0x01, bytes: 3, operands: ['immediate16'] },
-    'LD DE,': { opcode: 0x11, bytes: 3, operands: ['immediate16'] },
-    'LD HL,': { opcode: 0x21, bytes: 3, operands: ['immediate16'] },
-    'LD SP,': { opcode: 0x31, bytes: 3, operands: ['immediate16'] },
-    
-    // Register-to-register loads
-    'LD A,B': { opcode: 0x78, bytes: 1 },
-    'LD A,C': { opcode: 0x79, bytes: 1 },
-    'LD A,D': { opcode: 0x7A, bytes: 1 },
-    'LD A,E': { opcode: 0x7B, bytes: 1 },
-    'LD A,H': { opcode: 0x7C, bytes: 1 },
-    'LD A,L': { opcode: 0x7D, bytes: 1 },
+  // Subscribe to workspace changes; the workspace always has a main file
+  useEffect(() => {
+    if (!workspace) return undefined;
     
-    // Memory operations
-    'LD A,(HL)': { opcode: 0x7E, bytes: 1 },
-    'LD (HL),A': { opcode: 0x77, bytes: 1 },
-    
-    // Arithmetic and logic
-    'ADD A,': { opcode: 0xC6, bytes: 2, operands: ['immediate'] },
-    'SUB ': { opcode: 0xD6, bytes: 2, operands: ['immediate'] },
-    'AND ': { opcode: 0xE6, bytes: 2, operands: ['immediate'] },
-    'OR ': { opcode: 0xF6, bytes: 2, operands: ['immediate'] },
-    'XOR ': { opcode: 0xEE, bytes: 2, operands: ['immediate'] },
-    'CP ': { opcode: 0xFE, bytes: 2, operands: ['immediate'] },
-    
-    // Jump instructions
-    'JP ': { opcode: 0xC3, bytes: 3, operands: ['immediate16'] },
-    'JR ': { opcode: 0x18, bytes: 2, operands: ['relative'] },
-    'CALL ': { opcode: 0xCD, bytes: 3, operands: ['immediate16'] },
-    'RET': { opcode: 0xC9, bytes: 1 },
-    
-    // Misc
-    'NOP': { opcode: 0x00, bytes: 1 },
-    'HALT': { opcode: 0x76, bytes: 1 },
-  };
-  
-  // Parse a line of assembly code
-  const parseLine = (line, lineNumber, currentAddress) => {
-    // Remove comments
-    const commentIndex = line.indexOf(';');
-    if (commentIndex !== -1) {
-      line = line.substring(0, commentIndex);
+    if (!workspace.hasFile(MAIN_FILE)) {
+      workspace.setFile(MAIN_FILE, '');
     }
     
-    // Trim whitespace
-    line = line.trim();
-    
-    // Skip empty lines
-    if (!line) {
-      return { bytes: [], address: currentAddress };
-    }
-    
-    // Check for labels
-    if (line.endsWith(':')) {
-      // This is a label definition, no bytes generated
-      return { bytes: [], address: currentAddress, label: line.slice(0, -1) };
-    }
-    
-    // Parse instruction
-    let matchedInstruction = null;
-    let operandValue = null;
-    
-    // Try to match against known instructions
-    for (const [instructionPattern, details] of Object.entries(Z80_INSTRUCTIONS)) {
-      if (line === instructionPattern.trim()) {
-        // Exact match for instructions without operands
-        matchedInstruction = { ...details, pattern: instructionPattern };
-        break;
-      } else if (line.startsWith(instructionPattern)) {
-        // Match for instructions with operands
-        const operandStr = line.substring(instructionPattern.length).trim();
-        
-        // Parse operand value
-        if (details.operands && details.operands[0] === 'immediate') {
-          // 8-bit immediate value
-          operandValue = parseImmediate(operandStr);
-          if (operandValue !== null && operandValue >= 0 && operandValue <= 255) {
-            matchedInstruction = { ...details, pattern: instructionPattern };
-            break;
-          }
-        } else if (details.operands && details.operands[0] === 'immediate16') {
-          // 16-bit immediate value
-          operandValue = parseImmediate(operandStr);
-          if (operandValue !== null && operandValue >= 0 && operandValue <= 65535) {
-            matchedInstruction = { ...details, pattern: instructionPattern };
-            break;
-          }
-        } else if (details.operands && details.operands[0] === 'relative') {
-          // Relative jump (not fully implemented)
-          operandValue = parseImmediate(operandStr);
-          if (operandValue !== null) {
-            matchedInstruction = { ...details, pattern: instructionPattern };
-            break;
-          }
-        }
-      }
-    }
-    
-    if (!matchedInstruction) {
-      return { 
-        error: `Unknown instruction: ${line}`, 
-        lineNumber, 
-        address: currentAddress 
-      };
+    const updateFiles = (changed) => setFiles(changed.listFiles());
+    updateFiles(workspace);
+    return workspace.addListener(updateFiles);
+  }, [workspace]);
+  
+  // Fall back to the main file when the active file is deleted
+  useEffect(() => {
+    if (files.length > 0 && !files.includes(activeFile)) {
+      setActiveFile(MAIN_FILE);
     }
-    
-    // Generate bytes for the instruction
-    const bytes = [];
-    bytes.push(matchedInstruction.opcode);
-    
-    if (matchedInstruction.operands) {
-      if (matchedInstruction.operands[0] === 'immediate') {
-        bytes.push(operandValue & 0xFF);
-      } else if (matchedInstruction.operands[0] === 'immediate16') {
-        bytes.push(operandValue & 0xFF);
-        bytes.push((operandValue >> 8) & 0xFF);
-      } else if (matchedInstruction.operands[0] === 'relative') {
-        // Simplified relative jump calculation
-        const relativeOffset = operandValue - (currentAddress + 2);
-        if (relativeOffset < -128 || relativeOffset > 127) {
-          return { 
-            error: `Relative jump out of range: ${relativeOffset}`, 
-            lineNumber, 
-            address: currentAddress 
-          };
-        }
-        bytes.push(relativeOffset & 0xFF);
-      }
+  }, [files, activeFile]);
+  
+  // Place the cursor once the file an error refers to is shown
+  useEffect(() => {
+    const pending = pendingCursorRef.current;
+    if (pending && pending.file === activeFile && editorRef.current) {
+      pendingCursorRef.current = null;
+      editorRef.current.focus();
+      editorRef.current.setSelectionRange(pending.offset, pending.offset);
     }
-    
-    return { 
-      bytes, 
-      address: currentAddress,
-      instruction: line,
-      lineNumber
-    };
-  };
+  }, [activeFile]);
+  
+  const activeIsBinary = workspace ? workspace.isBinary(activeFile) : false;
+  const code = workspace && !activeIsBinary ? workspace.getFile(activeFile) ?? '' : '';
   
-  // Parse immediate value (decimal, hex, or binary)
-  const parseImmediate = (str) => {
-    str = str.trim();
+  // Replace the text of the active file
+  const updateCode = (newCode) => {
+    workspace.setFile(activeFile, newCode);
     
-    // Hexadecimal (0xNN or NNh)
-    if (str.startsWith('0x') || str.startsWith('$')) {
-      return parseInt(str.substring(str.startsWith('0x') ? 2 : 1), 16);
-    } else if (str.endsWith('h') || str.endsWith('H')) {
-      return parseInt(str.slice(0, -1), 16);
-    }
-    // Binary (0bNNNN or NNNNb)
-    else if (str.startsWith('0b') || str.startsWith('%')) {
-      return parseInt(str.substring(str.startsWith('0b') ? 2 : 1), 2);
-    } else if (str.endsWith('b') || str.endsWith('B')) {
-      return parseInt(str.slice(0, -1), 2);
-    }
-    // Decimal
-    else {
-      return parseInt(str, 10);
+    if (onCodeChange) {
+      onCodeChange(newCode);
     }
   };
   
-  // Assemble the code
+  // Assemble the main file; INCLUDE and INCBIN read the other workspace files
   const assembleCode = () => {
-    const lines = code.split('\n');
-    const program = [];
-    const newErrors = [];
-    let currentAddress = startAddress;
-    const labels = {};
-    
-    // First pass: collect labels
-    lines.forEach((line, index) => {
-      const result = parseLine(line, index + 1, currentAddress);
-      if (result.label) {
-        labels[result.label] = currentAddress;
-      }
-      if (result.bytes) {
-        currentAddress += result.bytes.length;
-      }
+    const assembler = new Z80Assembler({ workspace });
+    const result = assembler.assemble(workspace.readText(MAIN_FILE), {
+      origin: startAddress,
+      fileName: MAIN_FILE,
     });
     
-    // Second pass: generate code
-    currentAddress = startAddress;
-    lines.forEach((line, index) => {
-      const result = parseLine(line, index + 1, currentAddress);
-      
-      if (result.error) {
-        newErrors.push(result.error + ` (line ${result.lineNumber})`);
-      } else if (result.bytes && result.bytes.length > 0) {
-        program.push({
-          address: result.address,
-          bytes: result.bytes,
-          instruction: result.instruction,
-          lineNumber: result.lineNumber
-        });
-        currentAddress += result.bytes.length;
-      }
-    });
+    setAssembledProgram(result.program);
+    setSections(result.sections);
+    setEntryAddress(result.entry);
+    setSymbols(result.symbols);
+    setErrors(result.errors);
     
-    setAssembledProgram(program);
-    setErrors(newErrors);
+    return result;
+  };
+  
+  // Format an assembler error with its position
+  const formatError = (error) => {
+    const position = error.column ? `line ${error.line}, column ${error.column}` : `line ${error.line}`;
+    const file = error.file !== MAIN_FILE ? `${error.file}, ` : '';
+    return `${error.message} (${file}${position})`;
+  };
+  
+  // Move the editor cursor to the position of an error, switching file if needed
+  const goToError = (error) => {
+    if (workspace.isBinary(error.file)) return;
     
-    return { program, errors: newErrors };
+    const text = workspace.readText(error.file);
+    const lineStart = text.split('\n').slice(0, error.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    pendingCursorRef.current = { file: error.file, offset: lineStart + Math.max((error.column || 1) - 1, 0) };
+    
+    if (error.file !== activeFile) {
+      setActiveFile(error.file);
+    } else if (editorRef.current) {
+      const { offset } = pendingCursorRef.current;
+      pendingCursorRef.current = null;
+      editorRef.current.focus();
+      editorRef.current.setSelectionRange(offset, offset);
+    }
   };
   
   // Load the assembled program into Z80 memory
   const loadProgram = () => {
-    if (assembledProgram.length === 0) {
-      const { program, errors } = assembleCode();
-      if (errors.length > 0) {
+    let program = assembledProgram;
+    let entry = entryAddress;
+    let labels = symbols;
+    
+    if (program.length === 0) {
+      const result = assembleCode();
+      if (result.errors.length > 0) {
         return;
       }
-      
-      // Load program into memory
-      program.forEach(item => {
-        item.bytes.forEach((byte, index) => {
-          z80.writeByte(item.address + index, byte);
-        });
-      });
-      
-      // Set PC to start address
-      z80.setState({ pc: startAddress });
-      
-      // Notify parent component
-      if (onProgramLoad) {
-        onProgramLoad(program, startAddress);
-      }
-    } else {
-      // Load already assembled program
-      assembledProgram.forEach(item => {
-        item.bytes.forEach((byte, index) => {
-          z80.writeByte(item.address + index, byte);
-        });
+      program = result.program;
+      entry = result.entry;
+      labels = result.symbols;
+    }
+    
+    // Load program into memory; older instructions can no longer be undone
+    z80.clearJournal();
+    program.forEach(item => {
+      item.bytes.forEach((byte, index) => {
+        z80.pokeByte(item.address + index, byte);
       });
-      
-      // Set PC to start address
-      z80.setState({ pc: startAddress });
-      
-      // Notify parent component
-      if (onProgramLoad) {
-        onProgramLoad(assembledProgram, startAddress);
-      }
+    });
+    
+    // Set PC to the entry point
+    z80.setState({ pc: entry });
+    
+    // Notify parent component
+    if (onProgramLoad) {
+      onProgramLoad(program, entry, labels);
     }
   };
   
   // Handle code changes
   const handleCodeChange = (e) => {
-    const newCode = e.target.value;
-    setCode(newCode);
-    
-    if (onCodeChange) {
-      onCodeChange(newCode);
-    }
+    updateCode(e.target.value);
   };
   
   // Handle start address changes
@@ -286,7 +167,72 @@ const AsmEditor = ({ z80, onCodeChange, onProgramLoad }) => {
     }
   };
   
-  // Disassemble memory to assembly code
+  // Create an empty source file
+  const createFile = () => {
+    const name = prompt('File name:', 'include.asm');
+    if (!name) return;
+    
+    if (workspace.hasFile(name)) {
+      alert(`A file named "${name}" already exists.`);
+      return;
+    }
+    workspace.setFile(name, '');
+    setActiveFile(name);
+  };
+  
+  // Add files from disk: source files as text, anything else as binary
+  const handleAddFiles = (e) => {
+    Array.from(e.target.files).forEach(file => {
+      const reader = new FileReader();
+      const isSource = SOURCE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+      
+      reader.onload = (event) => {
+        workspace.setFile(file.name, isSource ? event.target.result : new Uint8Array(event.target.result));
+      };
+      
+      if (isSource) {
+        reader.readAsText(file);
+      } else {
+        reader.readAsArrayBuffer(file);
+      }
+    });
+    
+    // Allow the same file to be added again
+    e.target.value = '';
+  };
+  
+  // Delete the active file (the main file is kept)
+  const deleteFile = () => {
+    if (activeFile === MAIN_FILE) return;
+    
+    if (window.confirm(`Delete "${activeFile}"?`)) {
+      workspace.removeFile(activeFile);
+      setActiveFile(MAIN_FILE);
+    }
+  };
+  
+  // Format the bytes of a program line, shortening long data blocks
+  const formatBytes = (bytes) => {
+    const shown = bytes.slice(0, MAX_LISTED_BYTES).map(byte =>
+      byte.toString(16).padStart(2, '0').toUpperCase()
+    ).join(' ');
+    return bytes.length > MAX_LISTED_BYTES ? `${shown} ... (${bytes.length} bytes)` : shown;
+  };
+  
+  // Format an address as hexadecimal
+  const formatAddress = (address) => {
+    return address.toString(16).padStart(4, '0').toUpperCase();
+  };
+  
+  // Source position of a program line, with the macro call or REPT that produced it
+  const formatSource = (item) => {
+    const source = `${item.file}:${item.lineNumber}`;
+    if (!item.expansion) return source;
+    return `${source} (${item.expansion.name} at ${item.expansion.file}:${item.expansion.lineNumber})`;
+  };
+  
+  // Disassemble memory to assembly code, naming addresses with the labels
+  // of the last assembly
   const disassembleMemory = () => {
     const startAddr = parseInt(prompt('Start address (hex):', '0000'), 16);
     const length = parseInt(prompt('Length (bytes):', '100'), 16);
@@ -301,80 +247,51 @@ const AsmEditor = ({ z80, onCodeChange, onProgramLoad }) => {
       return;
     }
     
-    let disassembled = '';
-    let address = startAddr;
     const endAddr = Math.min(0x10000, startAddr + length);
+    const disassembler = new Z80Disassembler({ symbols });
+    updateCode(disassembler.toSource(address => z80.readByte(address), startAddr, endAddr));
+  };
+  
+  /**
+   * Export the assembled program, or a range of memory, as an Intel HEX or
+   * S-record file. The program's entry point goes in the start address record.
+   */
+  const exportObjectFile = (format) => {
+    const range = prompt('Memory range to export (hex, e.g. 8000-80FF), or leave empty for the assembled program:', '');
+    if (range === null) return;
     
-    while (address < endAddr) {
-      const opcode = z80.readByte(address);
-      let instruction = '';
-      let bytes = 1;
-      
-      // Very simplified disassembler (would need to be expanded for a real implementation)
-      switch (opcode) {
-        case 0x00:
-          instruction = 'NOP';
-          break;
-        case 0x3E:
-          instruction = `LD A,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x06:
-          instruction = `LD B,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x0E:
-          instruction = `LD C,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x16:
-          instruction = `LD D,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x1E:
-          instruction = `LD E,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x26:
-          instruction = `LD H,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x2E:
-          instruction = `LD L,${z80.readByte(address + 1).toString(16).padStart(2, '0').toUpperCase()}h`;
-          bytes = 2;
-          break;
-        case 0x01:
-          instruction = `LD BC,${z80.readWord(address + 1).toString(16).padStart(4, '0').toUpperCase()}h`;
-          bytes = 3;
-          break;
-        case 0x11:
-          instruction = `LD DE,${z80.readWord(address + 1).toString(16).padStart(4, '0').toUpperCase()}h`;
-          bytes = 3;
-          break;
-        case 0x21:
-          instruction = `LD HL,${z80.readWord(address + 1).toString(16).padStart(4, '0').toUpperCase()}h`;
-          bytes = 3;
-          break;
-        case 0x31:
-          instruction = `LD SP,${z80.readWord(address + 1).toString(16).padStart(4, '0').toUpperCase()}h`;
-          bytes = 3;
-          break;
-        case 0x76:
-          instruction = 'HALT';
-          break;
-        case 0xC3:
-          instruction = `JP ${z80.readWord(address + 1).toString(16).padStart(4, '0').toUpperCase()}h`;
-          bytes = 3;
-          break;
-        default:
-          instruction = `DB ${opcode.toString(16).padStart(2, '0').toUpperCase()}h ; Unknown opcode`;
+    let segments;
+    let entry = null;
+    if (range.trim() === '') {
+      let program = assembledProgram;
+      entry = entryAddress;
+      if (program.length === 0) {
+        const result = assembleCode();
+        if (result.errors.length > 0) {
+          return;
+        }
+        program = result.program;
+        entry = result.entry;
       }
-      
-      disassembled += `${address.toString(16).padStart(4, '0').toUpperCase()}: ${instruction}\n`;
-      address += bytes;
+      segments = buildSegments(program);
+    } else {
+      const [start, end] = range.split('-').map(part => parseInt(part, 16));
+      if (isNaN(start) || isNaN(end) || start < 0 || end > 0xFFFF || end < start) {
+        alert('Invalid range. Enter two hexadecimal addresses between 0000 and FFFF, such as 8000-80FF.');
+        return;
+      }
+      const bytes = Array.from({ length: end - start + 1 }, (_, offset) => z80.readByte(start + offset));
+      segments = [{ address: start, bytes }];
     }
     
-    setCode(disassembled);
+    const { write, extension } = EXPORT_FORMATS[format];
+    const blob = new Blob([write(segments, { entry, header: MAIN_FILE })], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${MAIN_FILE.replace(/\.asm$/, '')}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
   };
   
   // Load example code
@@ -392,7 +309,7 @@ loop:
 done:
     HALT         ; Stop execution
 `;
-    setCode(example);
+    updateCode(example);
   };
   
   return (
@@ -415,19 +332,49 @@ done:
           <button onClick={assembleCode}>Assemble</button>
           <button onClick={loadProgram}>Load Program</button>
           <button onClick={disassembleMemory}>Disassemble Memory</button>
+          <button onClick={() => exportObjectFile('ihex')}>Export HEX</button>
+          <button onClick={() => exportObjectFile('srec')}>Export S-Record</button>
           <button onClick={loadExampleCode}>Load Example</button>
         </div>
       </div>
       
-      <div className="editor-container">
-        <textarea
-          ref={editorRef}
-          className="code-editor"
-          value={code}
-          onChange={handleCodeChange}
-          spellCheck="false"
-          placeholder="Enter Z80 assembly code here..."
+      <div className="workspace-files">
+        <label htmlFor="active-file">File:</label>
+        <select id="active-file" value={activeFile} onChange={(e) => setActiveFile(e.target.value)}>
+          {files.map(name => (
+            <option key={name} value={name}>
+              {name}{workspace.isBinary(name) ? ' (binary)' : ''}
+            </option>
+          ))}
+        </select>
+        <button onClick={createFile}>New File</button>
+        <button onClick={() => fileInputRef.current.click()}>Add Files</button>
+        <button onClick={deleteFile} disabled={activeFile === MAIN_FILE}>Delete File</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          style={{ display: 'none' }}
+          onChange={handleAddFiles}
         />
+        <span className="workspace-hint">Assemble builds {MAIN_FILE}; other files are used through INCLUDE and INCBIN</span>
+      </div>
+      
+      <div className="editor-container">
+        {activeIsBinary ? (
+          <div className="binary-file">
+            {activeFile} is a binary file of {workspace.getFile(activeFile).length} bytes, available to INCBIN
+          </div>
+        ) : (
+          <textarea
+            ref={editorRef}
+            className="code-editor"
+            value={code}
+            onChange={handleCodeChange}
+            spellCheck="false"
+            placeholder="Enter Z80 assembly code here..."
+          />
+        )}
       </div>
       
       {errors.length > 0 && (
@@ -435,7 +382,9 @@ done:
           <h3>Errors:</h3>
           <ul>
             {errors.map((error, index) => (
-              <li key={index} className="error-item">{error}</li>
+              <li key={index} className="error-item" onClick={() => goToError(error)}>
+                {formatError(error)}
+              </li>
             ))}
           </ul>
         </div>
@@ -444,27 +393,35 @@ done:
       {assembledProgram.length > 0 && (
         <div className="assembled-program">
           <h3>Assembled Program:</h3>
+          <div className="program-summary">
+            Entry point: {formatAddress(entryAddress)}
+          </div>
           <table className="program-table">
             <thead>
               <tr>
                 <th>Address</th>
                 <th>Bytes</th>
                 <th>Instruction</th>
+                <th>Source</th>
               </tr>
             </thead>
-            <tbody>
-              {assembledProgram.map((item, index) => (
-                <tr key={index}>
-                  <td>{item.address.toString(16).padStart(4, '0').toUpperCase()}</td>
-                  <td>
-                    {item.bytes.map(byte => 
-                      byte.toString(16).padStart(2, '0').toUpperCase()
-                    ).join(' ')}
+            {sections.map(section => (
+              <tbody key={`${section.start}-${section.items[0].lineNumber}`}>
+                <tr className="section-row">
+                  <td colSpan={4}>
+                    Section {formatAddress(section.start)}-{formatAddress(section.end)} ({section.size} bytes)
                   </td>
-                  <td>{item.instruction}</td>
                 </tr>
-              ))}
-            </tbody>
+                {section.items.map((item, index) => (
+                  <tr key={index} className={item.expansion ? 'expansion-row' : ''}>
+                    <td>{formatAddress(item.address)}</td>
+                    <td>{formatBytes(item.bytes)}</td>
+                    <td>{item.expansion ? `+ ${item.instruction}` : item.instruction}</td>
+                    <td>{formatSource(item)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            ))}
           </table>
         </div>
       )}
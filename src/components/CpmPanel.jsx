@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Instructions run per timer tick while a program runs, and the tick interval
+const SLICE_INSTRUCTIONS = 20000;
+const SLICE_INTERVAL = 10;
+
+// Why a run stopped before the program ended
+const STOP_REASONS = {
+  breakpoint: 'Stopped at a breakpoint',
+  watchpoint: 'Stopped by a watchpoint',
+  port: 'Stopped by a port breakpoint',
+  halted: 'The CPU executed HALT',
+};
+
+/**
+ * CpmPanel Component
+ *
+ * This component runs CP/M .COM programs: it loads a program with its
+ * command tail, runs it at full speed with a terminal for the console, and
+ * manages the files on the virtual drive A.
+ */
+const CpmPanel = ({ z80, cpm }) => {
+  const [output, setOutput] = useState('');
+  const [installed, setInstalled] = useState(false);
+  const [waiting, setWaiting] = useState(false);
+  const [exited, setExited] = useState(false);
+  const [files, setFiles] = useState([]);
+  const [program, setProgram] = useState(null);
+  const [commandTail, setCommandTail] = useState('');
+  const [running, setRunning] = useState(false);
+  const [message, setMessage] = useState(null);
+  const terminalRef = useRef(null);
+  
+  // Subscribe to console output and program state
+  useEffect(() => {
+    if (!cpm) return undefined;
+    
+    const updateState = (system) => {
+      setOutput(system.output);
+      setInstalled(system.installed);
+      setWaiting(system.waiting);
+      setExited(system.exited);
+    };
+    updateState(cpm);
+    return cpm.addListener(updateState);
+  }, [cpm]);
+  
+  // Subscribe to the files on drive A
+  useEffect(() => {
+    if (!cpm) return undefined;
+    
+    const updateFiles = (disk) => {
+      setFiles(disk.listFiles().map(name => ({ name, size: disk.readBinary(name).length })));
+    };
+    updateFiles(cpm.disk);
+    return cpm.disk.addListener(updateFiles);
+  }, [cpm]);
+  
+  // Keep the newest output in view
+  useEffect(() => {
+    if (terminalRef.current) {
+      terminalRef.current.scrollTop = terminalRef.current.scrollHeight;
+    }
+  }, [output]);
+  
+  // Run in slices until the program ends or something stops it; a program
+  // waiting for input just makes the slices short
+  useEffect(() => {
+    if (!running) return undefined;
+    
+    const timer = setInterval(() => {
+      const result = z80.runUntil(() => cpm.waiting || cpm.exited, { limit: SLICE_INSTRUCTIONS });
+      if (cpm.exited) {
+        setRunning(false);
+        setMessage({ text: 'Program ended (warm boot)', isError: false });
+      } else if (STOP_REASONS[result.reason]) {
+        setRunning(false);
+        setMessage({ text: STOP_REASONS[result.reason], isError: true });
+      }
+    }, SLICE_INTERVAL);
+    
+    return () => clearInterval(timer);
+  }, [running, z80, cpm]);
+  
+  // Load the program and start it with the command tail
+  const runProgram = () => {
+    try {
+      cpm.clearOutput();
+      cpm.loadProgram(program.bytes, commandTail);
+      setMessage(null);
+      setRunning(true);
+      terminalRef.current?.focus();
+    } catch (error) {
+      setMessage({ text: error.message, isError: true });
+    }
+  };
+  
+  // Pick a .COM file to run
+  const handleLoadProgram = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setProgram({ name: file.name, bytes: new Uint8Array(event.target.result) });
+      setMessage({ text: `Loaded ${file.name}`, isError: false });
+    };
+    reader.readAsArrayBuffer(file);
+    
+    // Allow the same file to be loaded again
+    e.target.value = '';
+  };
+  
+  // Copy files from the computer onto drive A
+  const handleUploadFiles = (e) => {
+    Array.from(e.target.files).forEach(file => {
+      const reader = new FileReader();
+      reader.onload = (event) => cpm.disk.setFile(file.name, new Uint8Array(event.target.result));
+      reader.readAsArrayBuffer(file);
+    });
+    e.target.value = '';
+  };
+  
+  const downloadFile = (name) => {
+    const url = URL.createObjectURL(new Blob([cpm.disk.readBinary(name)], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const toggleCpmMode = () => {
+    setRunning(false);
+    if (cpm.installed) {
+      cpm.uninstall();
+    } else {
+      cpm.install();
+    }
+  };
+  
+  // Send keys typed in the terminal to the console
+  const handleKeyDown = (e) => {
+    let code = null;
+    if (e.key === 'Enter') {
+      code = 0x0D;
+    } else if (e.key === 'Backspace') {
+      code = 0x08;
+    } else if (e.key === 'Tab') {
+      code = 0x09;
+    } else if (e.key === 'Escape') {
+      code = 0x1B;
+    } else if (e.ctrlKey && /^[a-z]$/i.test(e.key)) {
+      code = e.key.toUpperCase().charCodeAt(0) - 0x40;
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey) {
+      code = e.key.charCodeAt(0);
+    }
+    
+    if (code !== null) {
+      e.preventDefault();
+      cpm.typeInput(String.fromCharCode(code));
+    }
+  };
+  
+  const handlePaste = (e) => {
+    e.preventDefault();
+    cpm.typeInput(e.clipboardData.getData('text'));
+  };
+  
+  // Describe what the program is doing
+  const describeStatus = () => {
+    if (!installed) return 'CP/M mode is off';
+    if (running) return waiting ? 'Waiting for input' : 'Running';
+    return exited ? 'Ended' : 'Stopped';
+  };
+  
+  return (
+    <div className="cpm-panel">
+      <h2>CP/M</h2>
+      
+      <div className="cpm-section">
+        <h3>Program</h3>
+        <div className="cpm-form">
+          <label className="cpm-mode">
+            <input type="checkbox" checked={installed} onChange={toggleCpmMode} disabled={!cpm} />
+            CP/M mode
+          </label>
+          <label className="file-input-label">
+            Load .COM
+            <input
+              type="file"
+              accept=".com,.COM"
+              onChange={handleLoadProgram}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <span className="cpm-program-name">{program ? program.name : 'No program loaded'}</span>
+        </div>
+        <div className="cpm-form">
+          <input
+            type="text"
+            value={commandTail}
+            onChange={(e) => setCommandTail(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && program && !running && runProgram()}
+            placeholder="Arguments (command tail)"
+          />
+          <button onClick={runProgram} disabled={!program || running}>Run</button>
+          <button onClick={() => setRunning(true)} disabled={running || !installed || exited || z80?.halted}>
+            Continue
+          </button>
+          <button onClick={() => setRunning(false)} disabled={!running}>Stop</button>
+          <span className={`cpm-status ${running ? 'running' : ''}`}>{describeStatus()}</span>
+        </div>
+      </div>
+      
+      <div className="cpm-section">
+        <h3>Console</h3>
+        <pre
+          ref={terminalRef}
+          className="cpm-terminal"
+          tabIndex={0}
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+        >
+          {output}
+          {running && waiting && <span className="cpm-cursor">_</span>}
+        </pre>
+        <div className="cpm-form">
+          <button onClick={() => cpm.clearOutput()} disabled={!cpm}>Clear</button>
+          <span className="cpm-note">Click the console and type to send keys to the program.</span>
+        </div>
+      </div>
+      
+      <div className="cpm-section">
+        <h3>Drive A</h3>
+        <div className="cpm-form">
+          <label className="file-input-label">
+            Add Files
+            <input
+              type="file"
+              multiple
+              onChange={handleUploadFiles}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+        {files.length === 0 ? (
+          <div className="no-cpm-files">No files</div>
+        ) : (
+          <div className="cpm-files">
+            {files.map(file => (
+              <div key={file.name} className="cpm-file">
+                <div className="cpm-file-name">{file.name}</div>
+                <div className="cpm-file-size">{file.size} bytes</div>
+                <button onClick={() => downloadFile(file.name)}>Download</button>
+                <button className="cpm-delete" onClick={() => cpm.disk.removeFile(file.name)}>Delete</button>
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="cpm-note">
+          Programs see these files under their CP/M 8.3 names in upper case; files whose
+          names do not fit are hidden. Files a program writes appear when it closes them
+          or ends.
+        </p>
+      </div>
+      
+      {message && (
+        <div className={`cpm-message ${message.isError ? 'error' : ''}`}>{message.text}</div>
+      )}
+    </div>
+  );
+};
+
+export default CpmPanel;
@@ -1,4 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import Z80Disassembler from '../emulator/Z80Disassembler';
+import { RUN_LIMIT } from '../emulator/Z80Core';
+
+// Instructions shown in the disassembly view, and how many of them precede
+// the address it is anchored on
+const DISASSEMBLY_LINES = 16;
+const DISASSEMBLY_CONTEXT = 4;
+
+// Instructions the core journals for Step Back, Reverse Continue and
+// rewinding to a history entry
+const JOURNAL_LIMIT = 10000;
+
+// Status text for the ways a Step Over, Step Out, Run to Cursor or a
+// reverse command can end
+const STOP_REASONS = {
+  done: '',
+  breakpoint: 'breakpoint',
+  watchpoint: 'watchpoint',
+  port: 'port breakpoint',
+  halted: 'HALT',
+  start: 'start of the journal',
+  limit: `gave up after ${RUN_LIMIT} instructions`,
+};
 
 /**
  * Debugger Component
@@ -6,27 +29,51 @@ import React, { useState, useEffect } from 'react';
  * This component provides debugging functionality for the Z80 emulator,
  * including step execution, breakpoints, and execution control.
  */
-const Debugger = ({ z80, assembledProgram }) => {
+const Debugger = ({ z80, assembledProgram, symbols = {} }) => {
   const [running, setRunning] = useState(false);
-  const [breakpoints, setBreakpoints] = useState(new Set());
+  const [breakpoints, setBreakpoints] = useState(new Map());
+  const [breakpointLog, setBreakpointLog] = useState([]);
+  const [breakpointForm, setBreakpointForm] = useState({ address: '', condition: '', hitCount: '', log: '' });
+  const [breakpointError, setBreakpointError] = useState('');
+  const [portBreakpoints, setPortBreakpoints] = useState([]);
+  const [portForm, setPortForm] = useState({ start: '', end: '', on: 'both', lowByte: true });
+  const [portError, setPortError] = useState('');
+  const [portLog, setPortLog] = useState([]);
   const [currentAddress, setCurrentAddress] = useState(0);
   const [executionSpeed, setExecutionSpeed] = useState(10); // Instructions per second
   const [executionHistory, setExecutionHistory] = useState([]);
   const [maxHistorySize, setMaxHistorySize] = useState(100);
   const [stepCount, setStepCount] = useState(0);
+  const [interruptDataBus, setInterruptDataBus] = useState(0xFF);
+  const [interruptPending, setInterruptPending] = useState(false);
+  const [followPc, setFollowPc] = useState(true);
+  const [viewAddress, setViewAddress] = useState(0);
+  const [viewHistory, setViewHistory] = useState([]);
+  const [gotoAddress, setGotoAddress] = useState('');
+  const [cursorAddress, setCursorAddress] = useState(null);
+  const [stopReason, setStopReason] = useState('');
+  const disassemblyRef = useRef(null);
+  const scrollRef = useRef(null);
+  
+  // Decodes memory, naming addresses with the labels of the loaded program
+  const disassembler = useMemo(() => new Z80Disassembler({ symbols }), [symbols]);
   
-  // Update current address when Z80 state changes
+  // Update current address when Z80 state changes. The journal is only kept
+  // while the Debugger is open, since it slows every other way of running.
   useEffect(() => {
-    if (z80) {
-      setCurrentAddress(z80.registers.pc);
-    }
+    if (!z80) return undefined;
+    
+    z80.setJournalLimit(JOURNAL_LIMIT);
+    setCurrentAddress(z80.registers.pc);
+    setPortLog([...z80.ports.traffic]);
+    return () => z80.setJournalLimit(0);
   }, [z80]);
   
   // Handle execution loop
   useEffect(() => {
     let timer = null;
     
-    if (running && z80 && !z80.halted) {
+    if (running && z80 && canExecute()) {
       timer = setInterval(() => {
         executeStep();
       }, 1000 / executionSpeed);
@@ -39,23 +86,31 @@ const Debugger = ({ z80, assembledProgram }) => {
     };
   }, [running, z80, executionSpeed]);
   
+  // A HALTed CPU can only make progress by accepting an interrupt
+  const canExecute = () => {
+    return z80 && (!z80.halted || z80.interruptPending());
+  };
+  
   // Execute a single instruction
   const executeStep = () => {
-    if (!z80 || z80.halted) {
+    if (!canExecute()) {
       setRunning(false);
       return;
     }
     
     // Record state before execution
     const prevState = {
+      step: z80.instructionCount,
       pc: z80.registers.pc,
       instruction: getInstructionAtAddress(z80.registers.pc),
       registers: { ...z80.registers }
     };
     
-    // Execute instruction
+    // Execute instruction (or accept a pending interrupt)
     z80.step();
     setStepCount(prev => prev + 1);
+    setStopReason(describeAccessStop());
+    setInterruptPending(z80.intPending || z80.nmiPending);
     
     // Update current address
     setCurrentAddress(z80.registers.pc);
@@ -70,8 +125,14 @@ const Debugger = ({ z80, assembledProgram }) => {
       return newHistory;
     });
     
-    // Check for breakpoints
-    if (breakpoints.has(z80.registers.pc)) {
+    // Check for breakpoints (logpoints log and let execution continue)
+    if (z80.hitBreakpoint(z80.registers.pc)) {
+      setRunning(false);
+    }
+    syncBreakpoints();
+    
+    // Stop after an instruction that triggered a watchpoint or port breakpoint
+    if (z80.accessTriggered()) {
       setRunning(false);
     }
     
@@ -81,21 +142,110 @@ const Debugger = ({ z80, assembledProgram }) => {
     }
   };
   
-  // Get instruction at a specific address
+  // Get instruction at a specific address, decoded from memory so code that
+  // was not assembled here (or has been modified since) is shown as it runs
   const getInstructionAtAddress = (address) => {
-    if (!assembledProgram) return 'Unknown';
+    return disassembler.decode(addr => z80.readByte(addr), address).text;
+  };
+  
+  /**
+   * Run one of the core's multi-instruction commands (stepOver, stepOut,
+   * runTo) and bring the view up to date, keeping the tail of the executed
+   * instructions for the history.
+   */
+  const runCommand = (command) => {
+    if (!canExecute()) return;
+    
+    const trail = [];
+    const result = command({
+      onStep: (pc) => {
+        trail.push({ step: z80.instructionCount, pc, registers: { ...z80.registers } });
+        if (trail.length > maxHistorySize * 2) {
+          trail.splice(0, trail.length - maxHistorySize);
+        }
+      },
+    });
+    
+    // Memory may have changed since, but decoding only the kept entries
+    // keeps long runs fast
+    const entries = trail.slice(-maxHistorySize).map(item => ({
+      ...item,
+      instruction: getInstructionAtAddress(item.pc),
+    }));
     
-    const instruction = assembledProgram.find(item => item.address === address);
-    return instruction ? instruction.instruction : 'Unknown';
+    setStepCount(prev => prev + result.instructions);
+    setInterruptPending(z80.intPending || z80.nmiPending);
+    setCurrentAddress(z80.registers.pc);
+    setExecutionHistory(prev => [...prev, ...entries].slice(-maxHistorySize));
+    setStopReason(result.reason === 'watchpoint' || result.reason === 'port'
+      ? describeAccessStop()
+      : STOP_REASONS[result.reason]);
+    syncBreakpoints();
+  };
+  
+  // Step over CALL, RST and repeating block instructions
+  const stepOver = () => runCommand(options => z80.stepOver(options));
+  
+  // Run until the current routine returns
+  const stepOut = () => runCommand(options => z80.stepOut(options));
+  
+  // Run until PC reaches the line selected in a listing
+  const runToCursor = () => {
+    if (cursorAddress === null) return;
+    runCommand(options => z80.runTo(cursorAddress, options));
   };
   
+  /**
+   * Undo instructions with one of the core's reverse commands (rewindTo,
+   * reverseContinue) and drop the history entries that have been undone.
+   */
+  const runBackward = (command) => {
+    const result = command();
+    setStepCount(prev => Math.max(0, prev - result.instructions));
+    setInterruptPending(z80.intPending || z80.nmiPending);
+    setCurrentAddress(z80.registers.pc);
+    setExecutionHistory(prev => prev.filter(item => item.step < z80.instructionCount));
+    setStopReason(STOP_REASONS[result.reason]);
+    syncBreakpoints();
+  };
+  
+  // Undo the last instruction
+  const stepBack = () => runBackward(() => z80.rewindTo(z80.instructionCount - 1));
+  
+  // Run backwards to the previous breakpoint
+  const reverseContinue = () => runBackward(() => z80.reverseContinue());
+  
+  // Restore the state from just before a history entry's instruction ran
+  const rewindToEntry = (item) => runBackward(() => z80.rewindTo(item.step));
+  
   // Start execution
   const startExecution = () => {
-    if (z80 && !z80.halted) {
+    if (canExecute()) {
+      setStopReason('');
       setRunning(true);
     }
   };
   
+  // Fire a maskable interrupt with the given data bus value
+  const fireInterrupt = () => {
+    z80.raiseInt(interruptDataBus);
+    setInterruptPending(true);
+  };
+  
+  // Fire a non-maskable interrupt
+  const fireNmi = () => {
+    z80.raiseNmi();
+    setInterruptPending(true);
+  };
+  
+  // Handle data bus value changes
+  const handleDataBusChange = (e) => {
+    const value = parseInt(e.target.value, 16);
+    if (!isNaN(value) && value >= 0 && value <= 0xFF) {
+      setInterruptDataBus(value);
+    }
+  };
+  
   // Stop execution
   const stopExecution = () => {
     setRunning(false);
@@ -108,27 +258,122 @@ const Debugger = ({ z80, assembledProgram }) => {
     setCurrentAddress(z80.registers.pc);
     setExecutionHistory([]);
     setStepCount(0);
+    setInterruptPending(false);
+    setStopReason('');
+  };
+  
+  // Copy the core's breakpoints and port breakpoints (whose hit counts change
+  // as code runs), logpoint messages and port traffic into state
+  const syncBreakpoints = () => {
+    setBreakpoints(new Map(z80.breakpoints));
+    setBreakpointLog([...z80.breakpointLog]);
+    setPortBreakpoints(z80.portBreakpoints.map(breakpoint => ({ ...breakpoint })));
+    setPortLog([...z80.ports.traffic]);
   };
   
   // Toggle breakpoint
   const toggleBreakpoint = (address) => {
-    setBreakpoints(prev => {
-      const newBreakpoints = new Set(prev);
-      if (newBreakpoints.has(address)) {
-        newBreakpoints.delete(address);
-        z80.clearBreakpoint(address);
-      } else {
-        newBreakpoints.add(address);
-        z80.setBreakpoint(address);
-      }
-      return newBreakpoints;
-    });
+    z80.toggleBreakpoint(address);
+    syncBreakpoints();
   };
   
   // Clear all breakpoints
   const clearAllBreakpoints = () => {
-    setBreakpoints(new Set());
     z80.clearAllBreakpoints();
+    syncBreakpoints();
+  };
+  
+  // Parse a hex address or a label; returns null when it is neither
+  const parseAddress = (text) => {
+    const address = symbols[text.trim()] ?? parseInt(text, 16);
+    return !isNaN(address) && address >= 0 && address <= 0xFFFF ? address : null;
+  };
+  
+  const updateBreakpointForm = (field, value) => {
+    setBreakpointForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  // Set (or replace) the breakpoint described by the manager form
+  const saveBreakpoint = () => {
+    const address = parseAddress(breakpointForm.address);
+    if (address === null) {
+      setBreakpointError('Enter a hex address or a label');
+      return;
+    }
+    
+    try {
+      z80.setBreakpoint(address, {
+        condition: breakpointForm.condition,
+        hitCount: parseInt(breakpointForm.hitCount, 10) || 0,
+        log: breakpointForm.log ? breakpointForm.log : null,
+        enabled: z80.getBreakpoint(address)?.enabled ?? true,
+        symbols,
+      });
+      setBreakpointError('');
+      syncBreakpoints();
+    } catch (error) {
+      setBreakpointError(error.message);
+    }
+  };
+  
+  // Load a breakpoint into the manager form for editing
+  const editBreakpoint = (breakpoint) => {
+    setBreakpointForm({
+      address: formatAddress(breakpoint.address),
+      condition: breakpoint.condition,
+      hitCount: breakpoint.hitCount ? String(breakpoint.hitCount) : '',
+      log: breakpoint.log ?? '',
+    });
+    setBreakpointError('');
+  };
+  
+  const setBreakpointEnabled = (address, enabled) => {
+    z80.enableBreakpoint(address, enabled);
+    syncBreakpoints();
+  };
+  
+  const removeBreakpoint = (address) => {
+    z80.clearBreakpoint(address);
+    syncBreakpoints();
+  };
+  
+  const clearBreakpointLog = () => {
+    z80.clearBreakpointLog();
+    syncBreakpoints();
+  };
+  
+  const updatePortForm = (field, value) => {
+    setPortForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  // Add the port breakpoint described by the form
+  const addPortBreakpoint = () => {
+    const limit = portForm.lowByte ? 0xFF : 0xFFFF;
+    const start = parseInt(portForm.start, 16);
+    const end = portForm.end ? parseInt(portForm.end, 16) : start;
+    if (isNaN(start) || isNaN(end) || start < 0 || start > limit || end < 0 || end > limit) {
+      setPortError(portForm.lowByte ? 'Ports must be hex values between 00 and FF' : 'Ports must be hex values between 0000 and FFFF');
+      return;
+    }
+    
+    z80.addPortBreakpoint({ start, end, on: portForm.on, mask: limit });
+    setPortError('');
+    syncBreakpoints();
+  };
+  
+  const setPortBreakpointEnabled = (id, enabled) => {
+    z80.enablePortBreakpoint(id, enabled);
+    syncBreakpoints();
+  };
+  
+  const removePortBreakpoint = (id) => {
+    z80.clearPortBreakpoint(id);
+    syncBreakpoints();
+  };
+  
+  const clearPortLog = () => {
+    z80.ports.clearTraffic();
+    syncBreakpoints();
   };
   
   // Format address as hexadecimal
@@ -136,14 +381,172 @@ const Debugger = ({ z80, assembledProgram }) => {
     return address.toString(16).padStart(4, '0').toUpperCase();
   };
   
+  const formatByte = (value) => {
+    return value.toString(16).padStart(2, '0').toUpperCase();
+  };
+  
+  // Ports matched on their low byte are shown as bytes
+  const formatPort = (port, mask = 0xFFFF) => {
+    return mask === 0xFF ? formatByte(port) : formatAddress(port);
+  };
+  
+  // Status text for the watchpoint or port breakpoint the last instruction
+  // triggered: what was accessed, and by which instruction
+  const describeAccessStop = () => {
+    const watch = z80.watchpointHit;
+    if (watch) {
+      return `watchpoint: ${watch.kind} of ${formatByte(watch.value)} at ${formatAddress(watch.address)} by ${formatAddress(watch.pc)}`;
+    }
+    
+    const port = z80.portBreakpointHit;
+    if (port) {
+      const access = port.direction === 'in' ? `IN ${formatByte(port.value)} from` : `OUT ${formatByte(port.value)} to`;
+      return `port breakpoint: ${access} ${formatAddress(port.port)} by ${formatAddress(port.pc)}`;
+    }
+    return '';
+  };
+  
+  // The disassembly view follows PC until the user moves it
+  const disassemblyAnchor = followPc ? currentAddress : viewAddress;
+  const disassemblyLines = z80
+    ? disassembler.listAround(addr => z80.readByte(addr), disassemblyAnchor, DISASSEMBLY_CONTEXT, DISASSEMBLY_LINES)
+    : [];
+  
+  // Show an address in the disassembly view, remembering where we came from
+  const showAddress = (address) => {
+    setViewHistory(prev => [...prev, disassemblyAnchor]);
+    setViewAddress(address);
+    setFollowPc(false);
+  };
+  
+  // Return to the address shown before the last jump or call was followed
+  const goBack = () => {
+    if (viewHistory.length === 0) return;
+    setViewAddress(viewHistory[viewHistory.length - 1]);
+    setViewHistory(prev => prev.slice(0, -1));
+    setFollowPc(false);
+  };
+  
+  // Anchor the disassembly view on PC again
+  const followProgramCounter = () => {
+    setFollowPc(true);
+    setViewHistory([]);
+  };
+  
+  // Move the disassembly view by a number of instructions
+  const scrollDisassembly = (lines) => {
+    const index = disassemblyLines.findIndex(line => line.address === disassemblyAnchor);
+    const target = disassemblyLines[index + lines];
+    if (!target) return;
+    setViewAddress(target.address);
+    setFollowPc(false);
+  };
+  scrollRef.current = scrollDisassembly;
+  
+  // The wheel listener is registered directly so it can stop the page from
+  // scrolling along with the view
+  useEffect(() => {
+    const element = disassemblyRef.current;
+    if (!element) return undefined;
+    
+    const handleWheel = (e) => {
+      e.preventDefault();
+      scrollRef.current(e.deltaY > 0 ? 1 : -1);
+    };
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, []);
+  
+  // Jump the view to a hex address or a label
+  const handleGotoKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    
+    const address = parseAddress(gotoAddress);
+    if (address !== null) {
+      showAddress(address);
+    }
+  };
+  
+  // Breakpoint column of a listing line: ● stops, ◐ stops on a condition or
+  // hit count, ◆ logs; disabled breakpoints are greyed out
+  const renderBreakpointMarker = (address) => {
+    const breakpoint = breakpoints.get(address);
+    let symbol = '○';
+    if (breakpoint) {
+      symbol = breakpoint.log !== null ? '◆' : breakpoint.condition || breakpoint.hitCount > 1 ? '◐' : '●';
+    }
+    
+    return (
+      <div 
+        className={`breakpoint-marker ${breakpoint ? 'active' : ''} ${breakpoint && !breakpoint.enabled ? 'disabled' : ''}`}
+        onClick={(e) => {
+          e.stopPropagation();
+          toggleBreakpoint(address);
+        }}
+        title={breakpoint?.condition || undefined}
+      >
+        {symbol}
+      </div>
+    );
+  };
+  
+  // Render the instructions around the anchor, decoded from memory
+  const renderDisassembly = () => {
+    return disassemblyLines.map(line => {
+      const label = disassembler.labelAt(line.address);
+      const classes = ['program-line'];
+      if (line.address === currentAddress) classes.push('current-line');
+      if (!followPc && line.address === viewAddress) classes.push('anchor-line');
+      if (line.address === cursorAddress) classes.push('cursor-line');
+      
+      return (
+        <div key={line.address} className={classes.join(' ')} onClick={() => setCursorAddress(line.address)}>
+          {renderBreakpointMarker(line.address)}
+          <div className="program-address">{formatAddress(line.address)}</div>
+          <div className="program-bytes">
+            {line.bytes.map(byte => 
+              byte.toString(16).padStart(2, '0').toUpperCase()
+            ).join(' ')}
+          </div>
+          <div className="program-instruction">
+            {label && <span className="disassembly-label">{label}:</span>}
+            {line.text}
+          </div>
+          {line.target !== null && (
+            <button
+              className="follow-target"
+              onClick={(e) => {
+                e.stopPropagation();
+                showAddress(line.target);
+              }}
+              title={`Show ${formatAddress(line.target)}`}
+            >
+              →
+            </button>
+          )}
+        </div>
+      );
+    });
+  };
+  
   // Render execution history
+  // Entries still covered by the journal can be clicked to rewind to them
   const renderExecutionHistory = () => {
-    return executionHistory.slice().reverse().map((item, index) => (
-      <div key={index} className="history-item">
-        <div className="history-address">{formatAddress(item.pc)}</div>
-        <div className="history-instruction">{item.instruction}</div>
-      </div>
-    ));
+    const oldestStep = z80 ? z80.instructionCount - z80.journal.length : 0;
+    return executionHistory.slice().reverse().map((item, index) => {
+      const rewindable = !running && item.step >= oldestStep;
+      return (
+        <div
+          key={index}
+          className={`history-item ${rewindable ? 'rewindable' : ''}`}
+          onClick={rewindable ? () => rewindToEntry(item) : undefined}
+          title={rewindable ? 'Rewind to before this instruction' : undefined}
+        >
+          <div className="history-address">{formatAddress(item.pc)}</div>
+          <div className="history-instruction">{item.instruction}</div>
+        </div>
+      );
+    });
   };
   
   // Render program listing with breakpoints and current position
@@ -155,14 +558,10 @@ const Debugger = ({ z80, assembledProgram }) => {
     return assembledProgram.map((item, index) => (
       <div 
         key={index} 
-        className={`program-line ${item.address === currentAddress ? 'current-line' : ''}`}
+        className={`program-line ${item.address === currentAddress ? 'current-line' : ''} ${item.address === cursorAddress ? 'cursor-line' : ''}`}
+        onClick={() => setCursorAddress(item.address)}
       >
-        <div 
-          className={`breakpoint-marker ${breakpoints.has(item.address) ? 'active' : ''}`}
-          onClick={() => toggleBreakpoint(item.address)}
-        >
-          {breakpoints.has(item.address) ? '●' : '○'}
-        </div>
+        {renderBreakpointMarker(item.address)}
         <div className="program-address">{formatAddress(item.address)}</div>
         <div className="program-bytes">
           {item.bytes.map(byte => 
@@ -170,6 +569,12 @@ const Debugger = ({ z80, assembledProgram }) => {
           ).join(' ')}
         </div>
         <div className="program-instruction">{item.instruction}</div>
+        {item.file !== undefined && (
+          <div className="program-source">
+            {item.file}:{item.lineNumber}
+            {item.expansion && ` (${item.expansion.name} at ${item.expansion.lineNumber})`}
+          </div>
+        )}
       </div>
     ));
   };
@@ -182,13 +587,44 @@ const Debugger = ({ z80, assembledProgram }) => {
         <div className="execution-controls">
           <button 
             onClick={executeStep} 
-            disabled={running || !z80 || z80.halted}
+            disabled={running || !canExecute()}
           >
             Step
           </button>
+          <button 
+            onClick={stepBack} 
+            disabled={running || !z80 || z80.journal.length === 0}
+          >
+            Step Back
+          </button>
+          <button 
+            onClick={reverseContinue} 
+            disabled={running || !z80 || z80.journal.length === 0}
+          >
+            Reverse Continue
+          </button>
+          <button 
+            onClick={stepOver} 
+            disabled={running || !canExecute()}
+          >
+            Step Over
+          </button>
+          <button 
+            onClick={stepOut} 
+            disabled={running || !canExecute()}
+          >
+            Step Out
+          </button>
+          <button 
+            onClick={runToCursor} 
+            disabled={running || !canExecute() || cursorAddress === null}
+            title={cursorAddress === null ? 'Select a line in a listing first' : `Run to ${formatAddress(cursorAddress)}`}
+          >
+            Run to Cursor
+          </button>
           <button 
             onClick={startExecution} 
-            disabled={running || !z80 || z80.halted}
+            disabled={running || !canExecute()}
           >
             Run
           </button>
@@ -217,6 +653,19 @@ const Debugger = ({ z80, assembledProgram }) => {
         <div className="breakpoint-controls">
           <button onClick={clearAllBreakpoints}>Clear Breakpoints</button>
         </div>
+        
+        <div className="interrupt-controls">
+          <label htmlFor="interrupt-data-bus">Data bus (hex):</label>
+          <input
+            id="interrupt-data-bus"
+            type="text"
+            value={interruptDataBus.toString(16).padStart(2, '0').toUpperCase()}
+            onChange={handleDataBusChange}
+            maxLength={2}
+          />
+          <button onClick={fireInterrupt} disabled={!z80}>INT</button>
+          <button onClick={fireNmi} disabled={!z80}>NMI</button>
+        </div>
       </div>
       
       <div className="debug-status">
@@ -228,12 +677,54 @@ const Debugger = ({ z80, assembledProgram }) => {
           <span className="status-label">Status:</span>
           <span className="status-value">
             {z80?.halted ? 'Halted' : running ? 'Running' : 'Stopped'}
+            {!running && stopReason ? ` (${stopReason})` : ''}
           </span>
         </div>
         <div className="status-item">
           <span className="status-label">Steps:</span>
           <span className="status-value">{stepCount}</span>
         </div>
+        <div className="status-item">
+          <span className="status-label">Interrupts:</span>
+          <span className="status-value">
+            {z80 ? `IFF1=${z80.iff1 ? 1 : 0} IFF2=${z80.iff2 ? 1 : 0} IM ${z80.interruptMode}` : ''}
+            {interruptPending ? ' (pending)' : ''}
+          </span>
+        </div>
+        <div className="status-item">
+          <span className="status-label">T-states:</span>
+          <span className="status-value">
+            {z80 ? `${z80.tstates} (+${z80.lastTStates})` : 0}
+          </span>
+        </div>
+      </div>
+      
+      <div className="disassembly-view">
+        <h3>Disassembly</h3>
+        <div className="disassembly-controls">
+          <button onClick={() => scrollDisassembly(-1)}>▲</button>
+          <button onClick={() => scrollDisassembly(1)}>▼</button>
+          <button onClick={goBack} disabled={viewHistory.length === 0}>Back</button>
+          <button onClick={followProgramCounter} disabled={followPc}>Follow PC</button>
+          <label htmlFor="disassembly-goto">Go to:</label>
+          <input
+            id="disassembly-goto"
+            type="text"
+            value={gotoAddress}
+            onChange={(e) => setGotoAddress(e.target.value)}
+            onKeyDown={handleGotoKeyDown}
+            placeholder="Address or label"
+          />
+        </div>
+        <div className="listing-header">
+          <div className="breakpoint-header">BP</div>
+          <div className="address-header">Address</div>
+          <div className="bytes-header">Bytes</div>
+          <div className="instruction-header">Instruction</div>
+        </div>
+        <div className="disassembly-content" ref={disassemblyRef}>
+          {renderDisassembly()}
+        </div>
       </div>
       
       <div className="debug-container">
@@ -272,6 +763,199 @@ const Debugger = ({ z80, assembledProgram }) => {
             <button onClick={() => setExecutionHistory([])}>Clear History</button>
           </div>
         </div>
+        
+        <div className="port-log">
+          <h3>Port Access Log</h3>
+          <div className="port-log-header">
+            <div className="port-log-step">Step</div>
+            <div className="port-log-pc">PC</div>
+            <div className="port-log-direction">Dir</div>
+            <div className="port-log-port">Port</div>
+            <div className="port-log-value">Value</div>
+          </div>
+          <div className="port-log-content">
+            {portLog.length === 0 ? (
+              <div className="no-port-traffic">No port accesses yet</div>
+            ) : (
+              portLog.slice().reverse().map((entry, index) => (
+                <div key={index} className={`port-log-item ${entry.direction}`}>
+                  <div className="port-log-step">{entry.step ?? '-'}</div>
+                  <div className="port-log-pc">{entry.pc !== undefined ? formatAddress(entry.pc) : '-'}</div>
+                  <div className="port-log-direction">{entry.direction.toUpperCase()}</div>
+                  <div className="port-log-port">{formatAddress(entry.port)}</div>
+                  <div className="port-log-value">{formatByte(entry.value)}</div>
+                </div>
+              ))
+            )}
+          </div>
+          <div className="history-controls">
+            <button onClick={clearPortLog} disabled={portLog.length === 0}>Clear Log</button>
+          </div>
+        </div>
+      </div>
+      
+      <div className="breakpoint-manager">
+        <h3>Breakpoints</h3>
+        <div className="breakpoint-form">
+          <input
+            type="text"
+            value={breakpointForm.address}
+            onChange={(e) => updateBreakpointForm('address', e.target.value)}
+            placeholder="Address or label"
+          />
+          <input
+            type="text"
+            className="breakpoint-condition"
+            value={breakpointForm.condition}
+            onChange={(e) => updateBreakpointForm('condition', e.target.value)}
+            placeholder="Condition, e.g. A==0 && (HL)>10"
+          />
+          <input
+            type="number"
+            min="0"
+            value={breakpointForm.hitCount}
+            onChange={(e) => updateBreakpointForm('hitCount', e.target.value)}
+            placeholder="Hit count"
+          />
+          <input
+            type="text"
+            className="breakpoint-message"
+            value={breakpointForm.log}
+            onChange={(e) => updateBreakpointForm('log', e.target.value)}
+            placeholder="Log message and continue, e.g. A={A}"
+          />
+          <button onClick={saveBreakpoint}>Set</button>
+        </div>
+        {breakpointError && <div className="breakpoint-error">{breakpointError}</div>}
+        
+        {breakpoints.size === 0 ? (
+          <div className="no-breakpoints">No breakpoints set</div>
+        ) : (
+          <table className="breakpoint-table">
+            <thead>
+              <tr>
+                <th>On</th>
+                <th>Address</th>
+                <th>Condition</th>
+                <th>Hits</th>
+                <th>Action</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...breakpoints.values()].sort((a, b) => a.address - b.address).map(breakpoint => (
+                <tr key={breakpoint.address} className={breakpoint.enabled ? '' : 'disabled'}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={breakpoint.enabled}
+                      onChange={(e) => setBreakpointEnabled(breakpoint.address, e.target.checked)}
+                    />
+                  </td>
+                  <td>
+                    {formatAddress(breakpoint.address)}
+                    {disassembler.labelAt(breakpoint.address) && ` ${disassembler.labelAt(breakpoint.address)}`}
+                  </td>
+                  <td>{breakpoint.condition || 'Always'}</td>
+                  <td>
+                    {breakpoint.hits}
+                    {breakpoint.hitCount > 1 && ` / ${breakpoint.hitCount}`}
+                  </td>
+                  <td>{breakpoint.log !== null ? `Log "${breakpoint.log}"` : 'Stop'}</td>
+                  <td>
+                    <button onClick={() => editBreakpoint(breakpoint)}>Edit</button>
+                    <button onClick={() => removeBreakpoint(breakpoint.address)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        
+        <div className="breakpoint-log">
+          <div className="breakpoint-log-header">
+            <h4>Log</h4>
+            <button onClick={clearBreakpointLog} disabled={breakpointLog.length === 0}>Clear Log</button>
+          </div>
+          <div className="breakpoint-log-content">
+            {breakpointLog.slice().reverse().map((entry, index) => (
+              <div key={index} className="history-item">
+                <div className="history-address">{formatAddress(entry.pc)}</div>
+                <div className="history-instruction">{entry.message}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+        
+        <h3>Port Breakpoints</h3>
+        <div className="breakpoint-form">
+          <input
+            type="text"
+            value={portForm.start}
+            onChange={(e) => updatePortForm('start', e.target.value)}
+            placeholder="Port (hex)"
+          />
+          <input
+            type="text"
+            value={portForm.end}
+            onChange={(e) => updatePortForm('end', e.target.value)}
+            placeholder="To (optional)"
+          />
+          <select value={portForm.on} onChange={(e) => updatePortForm('on', e.target.value)}>
+            <option value="both">IN or OUT</option>
+            <option value="in">IN</option>
+            <option value="out">OUT</option>
+          </select>
+          <label>
+            <input
+              type="checkbox"
+              checked={portForm.lowByte}
+              onChange={(e) => updatePortForm('lowByte', e.target.checked)}
+            />
+            Low byte only
+          </label>
+          <button onClick={addPortBreakpoint}>Add</button>
+        </div>
+        {portError && <div className="breakpoint-error">{portError}</div>}
+        
+        {portBreakpoints.length === 0 ? (
+          <div className="no-breakpoints">No port breakpoints set</div>
+        ) : (
+          <table className="breakpoint-table">
+            <thead>
+              <tr>
+                <th>On</th>
+                <th>Ports</th>
+                <th>Access</th>
+                <th>Hits</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {portBreakpoints.map(breakpoint => (
+                <tr key={breakpoint.id} className={breakpoint.enabled ? '' : 'disabled'}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={breakpoint.enabled}
+                      onChange={(e) => setPortBreakpointEnabled(breakpoint.id, e.target.checked)}
+                    />
+                  </td>
+                  <td>
+                    {formatPort(breakpoint.start, breakpoint.mask)}
+                    {breakpoint.end !== breakpoint.start && `-${formatPort(breakpoint.end, breakpoint.mask)}`}
+                    {breakpoint.mask === 0xFF && ' (low byte)'}
+                  </td>
+                  <td>{breakpoint.on === 'both' ? 'IN/OUT' : breakpoint.on.toUpperCase()}</td>
+                  <td>{breakpoint.hits}</td>
+                  <td>
+                    <button onClick={() => removePortBreakpoint(breakpoint.id)}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
       </div>
     </div>
   );
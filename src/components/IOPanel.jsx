@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * IOPanel Component
+ *
+ * This component lists the devices registered on the Z80's I/O port bus
+ * and shows the most recent port traffic generated by IN/OUT instructions.
+ */
+const IOPanel = ({ z80 }) => {
+  const [devices, setDevices] = useState([]);
+  const [traffic, setTraffic] = useState([]);
+  
+  // Subscribe to port bus changes
+  useEffect(() => {
+    if (!z80) return undefined;
+    
+    const updateView = (bus) => {
+      setDevices([...bus.devices]);
+      setTraffic([...bus.traffic]);
+    };
+    
+    updateView(z80.ports);
+    return z80.ports.addListener(updateView);
+  }, [z80]);
+  
+  // Format a value as hexadecimal
+  const formatHex = (value, digits) => {
+    return value.toString(16).padStart(digits, '0').toUpperCase();
+  };
+  
+  // Describe the port addresses a device decodes
+  const formatPortRange = (device) => {
+    const range = device.start === device.end
+      ? formatHex(device.start, 4)
+      : `${formatHex(device.start, 4)}-${formatHex(device.end, 4)}`;
+    return device.mask === 0xFFFF ? range : `${range} (mask ${formatHex(device.mask, 4)})`;
+  };
+  
+  // Render registered devices
+  const renderDevices = () => {
+    if (devices.length === 0) {
+      return <div className="no-devices">No devices registered</div>;
+    }
+    
+    return devices.map(device => (
+      <div key={device.name} className="device-row">
+        <div className="device-name">{device.name}</div>
+        <div className="device-ports">{formatPortRange(device)}</div>
+        <div className="device-access">
+          {device.read ? 'R' : '-'}{device.write ? 'W' : '-'}
+        </div>
+      </div>
+    ));
+  };
+  
+  // Render port traffic, newest first
+  const renderTraffic = () => {
+    return traffic.slice().reverse().map((item, index) => (
+      <div key={index} className={`traffic-row ${item.direction}`}>
+        <div className="traffic-direction">{item.direction === 'in' ? 'IN' : 'OUT'}</div>
+        <div className="traffic-port">{formatHex(item.port, 4)}</div>
+        <div className="traffic-value">{formatHex(item.value, 2)}</div>
+        <div className="traffic-pc">{item.pc !== undefined ? formatHex(item.pc, 4) : ''}</div>
+        <div className="traffic-device">{item.device || '(unclaimed)'}</div>
+      </div>
+    ));
+  };
+  
+  return (
+    <div className="io-panel">
+      <h2>I/O Ports</h2>
+      
+      <div className="io-container">
+        <div className="io-devices">
+          <h3>Devices</h3>
+          <div className="device-header">
+            <div className="device-name">Name</div>
+            <div className="device-ports">Ports</div>
+            <div className="device-access">Access</div>
+          </div>
+          <div className="device-content">
+            {renderDevices()}
+          </div>
+        </div>
+        
+        <div className="io-traffic">
+          <h3>Port Traffic</h3>
+          <div className="traffic-header">
+            <div className="traffic-direction">Dir</div>
+            <div className="traffic-port">Port</div>
+            <div className="traffic-value">Value</div>
+            <div className="traffic-pc">PC</div>
+            <div className="traffic-device">Device</div>
+          </div>
+          <div className="traffic-content">
+            {renderTraffic()}
+          </div>
+          <div className="traffic-controls">
+            <button onClick={() => z80.ports.clearTraffic()} disabled={!z80}>Clear Traffic</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IOPanel;
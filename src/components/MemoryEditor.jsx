@@ -1,4 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
+import MemoryMap from '../emulator/MemoryMap';
+import { parseHexFile } from '../emulator/HexFile';
 
 /**
  * MemoryEditor Component
@@ -7,6 +9,41 @@ import React, { useState, useEffect, useRef } from 'react';
  * It displays memory contents in a hex editor style interface with both
  * hexadecimal and ASCII representations.
  */
+/**
+ * Memory map presets offered in the editor. Each builds a MemoryMap (or null
+ * for flat RAM); ROM contents are loaded afterwards with "Load Binary".
+ */
+const MEMORY_MAP_PRESETS = {
+  flat: {
+    label: 'Flat 64K RAM',
+    create: () => null,
+  },
+  rom16: {
+    label: '16K ROM + 48K RAM',
+    create: () => {
+      const map = new MemoryMap();
+      map.addRom({ name: 'ROM', start: 0x0000, size: 0x4000 });
+      return map;
+    },
+  },
+  banked128: {
+    label: '16K ROM + 8 x 16K RAM banks at C000 (port 7FFD)',
+    create: () => {
+      const map = new MemoryMap();
+      map.addRom({ name: 'ROM', start: 0x0000, size: 0x4000 });
+      map.addBanked({
+        name: 'RAM banks',
+        start: 0xC000,
+        size: 0x4000,
+        bankCount: 8,
+        port: { mask: 0x8002, start: 0x0000 },
+        select: value => value & 0x07,
+      });
+      return map;
+    },
+  },
+};
+
 const MemoryEditor = ({ z80, onMemoryChange }) => {
   const [startAddress, setStartAddress] = useState(0);
   const [visibleRows, setVisibleRows] = useState(16);
@@ -14,6 +51,14 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
   const [editValue, setEditValue] = useState('');
   const inputRef = useRef(null);
   const [memory, setMemory] = useState([]);
+  const [regions, setRegions] = useState([]);
+  const [romWrites, setRomWrites] = useState([]);
+  const [editError, setEditError] = useState(null);
+  const [mapPreset, setMapPreset] = useState('flat');
+  const [watchpoints, setWatchpoints] = useState([]);
+  const [watchpointLog, setWatchpointLog] = useState([]);
+  const [watchForm, setWatchForm] = useState({ start: '', end: '', on: 'write', value: '' });
+  const [watchError, setWatchError] = useState(null);
   
   // Bytes per row in the display
   const BYTES_PER_ROW = 16;
@@ -25,6 +70,99 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
     }
   }, [z80, startAddress, visibleRows]);
   
+  // Follow region, bank and ROM write changes of the attached memory map
+  useEffect(() => {
+    if (!z80 || !z80.memoryMap) {
+      setRegions([]);
+      setRomWrites([]);
+      return undefined;
+    }
+    
+    const updateMapView = (map) => {
+      setRegions(map.regions.map(region => ({ ...region })));
+      setRomWrites([...map.romWrites]);
+      updateMemoryView();
+    };
+    
+    updateMapView(z80.memoryMap);
+    return z80.memoryMap.addListener(updateMapView);
+  }, [z80, z80?.memoryMap]);
+  
+  // Watchpoints and their hits live on the core; hits are made while the
+  // Debugger runs code, so pick them up whenever the editor is shown
+  useEffect(() => {
+    if (z80) {
+      syncWatchpoints();
+    }
+  }, [z80]);
+  
+  const syncWatchpoints = () => {
+    setWatchpoints(z80.watchpoints.map(watchpoint => ({ ...watchpoint })));
+    setWatchpointLog([...z80.watchpointLog]);
+  };
+  
+  const updateWatchForm = (field, value) => {
+    setWatchForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  // Add the watchpoint described by the form
+  const handleAddWatchpoint = () => {
+    const start = parseInt(watchForm.start, 16);
+    const end = watchForm.end ? parseInt(watchForm.end, 16) : start;
+    const value = watchForm.value ? parseInt(watchForm.value, 16) : null;
+    
+    if (isNaN(start) || isNaN(end) || start < 0 || start > 0xFFFF || end < 0 || end > 0xFFFF) {
+      setWatchError('Watchpoint addresses must be hex values between 0000 and FFFF.');
+      return;
+    }
+    if (value !== null && (isNaN(value) || value < 0 || value > 0xFF)) {
+      setWatchError('The value to watch for must be a hex byte.');
+      return;
+    }
+    
+    try {
+      z80.addWatchpoint({ start, end, on: watchForm.on, value });
+      setWatchError(null);
+      syncWatchpoints();
+    } catch (error) {
+      setWatchError(error.message);
+    }
+  };
+  
+  const handleWatchpointEnabled = (id, enabled) => {
+    z80.enableWatchpoint(id, enabled);
+    syncWatchpoints();
+  };
+  
+  const handleRemoveWatchpoint = (id) => {
+    z80.clearWatchpoint(id);
+    syncWatchpoints();
+  };
+  
+  const handleClearWatchLog = () => {
+    z80.clearWatchpointLog();
+    syncWatchpoints();
+  };
+  
+  // Scroll the view to a watchpoint hit
+  const showWatchHit = (hit) => {
+    setStartAddress(hit.address - (hit.address % BYTES_PER_ROW));
+  };
+  
+  // Swap in a memory map preset
+  const handleMapPresetChange = (e) => {
+    const preset = e.target.value;
+    z80.setMemoryMap(MEMORY_MAP_PRESETS[preset].create());
+    setMapPreset(preset);
+    setEditError(null);
+    updateMemoryView();
+  };
+  
+  // The memory map region covering an address, if any
+  const getRegionAt = (address) => {
+    return z80 && z80.memoryMap ? z80.memoryMap.resolve(address).region : null;
+  };
+  
   // Update the memory view data
   const updateMemoryView = () => {
     if (!z80) return;
@@ -66,6 +204,15 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
     // Ensure value is in valid range for a byte (0-255)
     numValue = Math.max(0, Math.min(255, numValue));
     
+    // Refuse edits into ROM
+    const region = getRegionAt(address);
+    if (region && region.readOnly) {
+      setEditError(`${formatHex(address, 4)} is in read-only region "${region.name}"; the write was refused.`);
+      setSelectedCell(null);
+      return;
+    }
+    setEditError(null);
+    
     // Update Z80 memory
     z80.writeByte(address, numValue);
     
@@ -98,6 +245,26 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
     }
   };
   
+  // Format a value as hexadecimal
+  const formatHex = (value, digits) => {
+    return value.toString(16).padStart(digits, '0').toUpperCase();
+  };
+  
+  // CSS class marking ROM and banked cells
+  const getRegionClass = (address) => {
+    const region = getRegionAt(address);
+    if (!region) return '';
+    return region.readOnly ? 'rom-cell' : 'banked-cell';
+  };
+  
+  // CSS class marking watched cells and the cell of the latest watchpoint hit
+  const getWatchClass = (address) => {
+    if (lastWatchHit && lastWatchHit.address === address) return 'watch-hit';
+    const watched = watchpoints.some(watchpoint =>
+      watchpoint.enabled && address >= watchpoint.start && address <= watchpoint.end);
+    return watched ? 'watched-cell' : '';
+  };
+  
   // Format a byte as ASCII character
   const formatAscii = (byte) => {
     if (byte >= 32 && byte <= 126) {
@@ -127,7 +294,7 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
             return (
               <div 
                 key={index} 
-                className={`memory-cell ${selectedCell === address ? 'selected' : ''}`}
+                className={`memory-cell ${getRegionClass(address)} ${getWatchClass(address)} ${selectedCell === address ? 'selected' : ''}`}
                 onClick={() => handleCellSelect(address)}
               >
                 {selectedCell === address ? (
@@ -225,8 +392,9 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
         return;
       }
       
+      // Loading goes into ROM regions too, so ROM images can be installed
       for (let i = 0; i < bytes.length && (loadAddress + i) < 65536; i++) {
-        z80.writeByte(loadAddress + i, bytes[i]);
+        z80.pokeByte(loadAddress + i, bytes[i]);
       }
       
       updateMemoryView();
@@ -236,6 +404,37 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
     reader.readAsArrayBuffer(file);
   };
   
+  // Load an Intel HEX or S-record file; each segment goes to its own address
+  const handleLoadHex = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      let parsed;
+      try {
+        parsed = parseHexFile(event.target.result);
+      } catch (error) {
+        alert(`Could not load ${file.name}: ${error.message}`);
+        return;
+      }
+      
+      parsed.segments.forEach(segment => z80.loadProgram(segment.bytes, segment.address));
+      
+      updateMemoryView();
+      if (parsed.segments.length > 0) {
+        const first = parsed.segments[0].address;
+        setStartAddress(first - (first % BYTES_PER_ROW));
+      }
+    };
+    
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+  
+  const lastRomWrite = romWrites[romWrites.length - 1];
+  const lastWatchHit = watchpointLog[watchpointLog.length - 1];
+  
   return (
     <div className="memory-editor">
       <h2>Memory Editor</h2>
@@ -264,6 +463,28 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
               style={{ display: 'none' }}
             />
           </label>
+          <label className="file-input-label">
+            Load HEX / S-Record
+            <input
+              type="file"
+              accept=".hex,.ihx,.ihex,.s19,.s28,.s37,.srec,.mot"
+              onChange={handleLoadHex}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+        
+        <div className="map-control">
+          <label htmlFor="memory-map">Memory map:</label>
+          <select
+            id="memory-map"
+            value={mapPreset}
+            onChange={handleMapPresetChange}
+          >
+            {Object.entries(MEMORY_MAP_PRESETS).map(([key, preset]) => (
+              <option key={key} value={key}>{preset.label}</option>
+            ))}
+          </select>
         </div>
         
         <div className="rows-control">
@@ -281,6 +502,102 @@ const MemoryEditor = ({ z80, onMemoryChange }) => {
         </div>
       </div>
       
+      {regions.length > 0 && (
+        <div className="memory-regions">
+          {regions.map(region => (
+            <div key={region.name} className={`memory-region ${region.type}`}>
+              <span className="region-range">
+                {formatHex(region.start, 4)}-{formatHex(region.end, 4)}
+              </span>
+              <span className="region-name">{region.name}</span>
+              <span className="region-detail">
+                {region.type === 'banked' && `bank ${region.current} of ${region.banks.length} paged in`}
+                {region.type === 'mirror' && `mirrors ${formatHex(region.source, 4)}`}
+                {region.readOnly && ' (read-only)'}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {editError && <div className="memory-warning">{editError}</div>}
+      
+      {lastRomWrite && (
+        <div className="memory-warning">
+          {romWrites.length} write(s) into ROM ignored; last: {formatHex(lastRomWrite.value, 2)} to{' '}
+          {formatHex(lastRomWrite.address, 4)}
+          {lastRomWrite.pc !== undefined && ` from PC ${formatHex(lastRomWrite.pc, 4)}`}
+          <button onClick={() => z80.memoryMap.clearRomWrites()}>Dismiss</button>
+        </div>
+      )}
+      
+      <div className="memory-watchpoints">
+        <div className="watchpoint-form">
+          <label htmlFor="watch-start">Watch (hex):</label>
+          <input
+            id="watch-start"
+            type="text"
+            value={watchForm.start}
+            onChange={(e) => updateWatchForm('start', e.target.value)}
+            placeholder="From"
+            maxLength={4}
+          />
+          <input
+            type="text"
+            value={watchForm.end}
+            onChange={(e) => updateWatchForm('end', e.target.value)}
+            placeholder="To"
+            maxLength={4}
+          />
+          <select value={watchForm.on} onChange={(e) => updateWatchForm('on', e.target.value)}>
+            <option value="write">Write</option>
+            <option value="read">Read</option>
+            <option value="access">Read or write</option>
+            <option value="change">Value change</option>
+          </select>
+          <input
+            type="text"
+            value={watchForm.value}
+            onChange={(e) => updateWatchForm('value', e.target.value)}
+            placeholder="Value"
+            maxLength={2}
+            disabled={watchForm.on === 'read'}
+          />
+          <button onClick={handleAddWatchpoint}>Add Watchpoint</button>
+        </div>
+        
+        {watchError && <div className="memory-warning">{watchError}</div>}
+        
+        {watchpoints.map(watchpoint => (
+          <div key={watchpoint.id} className={`watchpoint-item ${watchpoint.enabled ? '' : 'disabled'}`}>
+            <input
+              type="checkbox"
+              checked={watchpoint.enabled}
+              onChange={(e) => handleWatchpointEnabled(watchpoint.id, e.target.checked)}
+            />
+            <span className="region-range">
+              {formatHex(watchpoint.start, 4)}
+              {watchpoint.end !== watchpoint.start && `-${formatHex(watchpoint.end, 4)}`}
+            </span>
+            <span>
+              {watchpoint.on}
+              {watchpoint.value !== null && ` of ${formatHex(watchpoint.value, 2)}`}
+            </span>
+            <span className="watchpoint-hits">{watchpoint.hits} hit(s)</span>
+            <button onClick={() => handleRemoveWatchpoint(watchpoint.id)}>Remove</button>
+          </div>
+        ))}
+        
+        {lastWatchHit && (
+          <div className="watchpoint-hit">
+            {watchpointLog.length} watchpoint hit(s); last: {lastWatchHit.kind} of {formatHex(lastWatchHit.value, 2)} at{' '}
+            {formatHex(lastWatchHit.address, 4)} by the instruction at PC {formatHex(lastWatchHit.pc, 4)}
+            <button onClick={() => showWatchHit(lastWatchHit)}>Show</button>
+            <button onClick={handleClearWatchLog}>Dismiss</button>
+          </div>
+        )}
+      </div>
+      
       <div className="memory-header">
         <div className="memory-address-header">Address</div>
         <div className="memory-hex-header">
@@ -9,6 +9,7 @@ import React, { useState, useEffect } from 'react';
 const RegisterEditor = ({ z80, onRegisterChange }) => {
   const [registers, setRegisters] = useState({});
   const [flags, setFlags] = useState({});
+  const [undocumented, setUndocumented] = useState(false);
 
   // Update local state when Z80 state changes
   useEffect(() => {
@@ -16,6 +17,7 @@ const RegisterEditor = ({ z80, onRegisterChange }) => {
       const state = z80.getState();
       setRegisters(state.registers);
       setFlags(state.flags);
+      setUndocumented(z80.undocumented);
     }
   }, [z80]);
 
@@ -75,6 +77,16 @@ const RegisterEditor = ({ z80, onRegisterChange }) => {
     }
   };
 
+  // Toggle modelling of undocumented behaviour (X/Y flags, IXH/IXL, SLL, ...)
+  const handleUndocumentedChange = (checked) => {
+    z80.undocumented = checked;
+    setUndocumented(checked);
+    
+    if (onRegisterChange) {
+      onRegisterChange('undocumented', checked ? 1 : 0);
+    }
+  };
+
   // Format register value as hexadecimal
   const formatRegister = (value, bits = 8) => {
     if (value === undefined) return '';
@@ -317,6 +329,13 @@ const RegisterEditor = ({ z80, onRegisterChange }) => {
               maxLength={2}
             />
           </div>
+          
+          {undocumented && (
+            <div className="register-row">
+              <div className="register-label">WZ:</div>
+              <div className="register-value">{formatRegister(registers.wz, 16)}</div>
+            </div>
+          )}
         </div>
       </div>
       
@@ -382,6 +401,40 @@ const RegisterEditor = ({ z80, onRegisterChange }) => {
             />
             <label htmlFor="flag-c">C (Carry)</label>
           </div>
+          
+          {undocumented && (
+            <>
+              <div className="flag-item">
+                <input
+                  type="checkbox"
+                  id="flag-y"
+                  checked={flags.y === 1}
+                  onChange={(e) => handleFlagChange('y', e.target.checked)}
+                />
+                <label htmlFor="flag-y">Y (Bit 5)</label>
+              </div>
+              
+              <div className="flag-item">
+                <input
+                  type="checkbox"
+                  id="flag-x"
+                  checked={flags.x === 1}
+                  onChange={(e) => handleFlagChange('x', e.target.checked)}
+                />
+                <label htmlFor="flag-x">X (Bit 3)</label>
+              </div>
+            </>
+          )}
+        </div>
+        
+        <div className="flag-item">
+          <input
+            type="checkbox"
+            id="undocumented-mode"
+            checked={undocumented}
+            onChange={(e) => handleUndocumentedChange(e.target.checked)}
+          />
+          <label htmlFor="undocumented-mode">Undocumented mode</label>
         </div>
       </div>
       
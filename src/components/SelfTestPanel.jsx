@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Z80Core from '../emulator/Z80Core';
+import CpmSystem from '../emulator/CpmSystem';
+import { runGroup, selectGroups, iterationCount, parseExerciserOutput } from '../emulator/Exerciser';
+import { EXERCISER_GROUPS } from '../emulator/ExerciserSuites';
+import SingleStepRunner, { parseTestFile, describeMismatches } from '../emulator/SingleStepRunner';
+
+// Instructions a CP/M exerciser runs per timer tick, and the tick interval
+const SLICE_INSTRUCTIONS = 200000;
+const SLICE_INTERVAL = 10;
+
+/**
+ * SelfTestPanel Component
+ *
+ * This component checks the emulator's instructions: it runs the built-in
+ * exerciser groups one at a time and shows each group's CRC against the
+ * expected value, it can run a CP/M exerciser such as ZEXDOC.COM on a
+ * separate machine and collect the groups it reports, and it runs JSON
+ * single-step test files and lists the opcodes with mismatches.
+ */
+const SelfTestPanel = () => {
+  const [undocumented, setUndocumented] = useState(false);
+  const [results, setResults] = useState([]);
+  const [pending, setPending] = useState([]);
+  const [program, setProgram] = useState(null);
+  const [programOutput, setProgramOutput] = useState('');
+  const [programRunning, setProgramRunning] = useState(false);
+  const [stepFiles, setStepFiles] = useState([]);
+  const [stepSummaries, setStepSummaries] = useState([]);
+  const [message, setMessage] = useState(null);
+  const machineRef = useRef(null);
+  const outputRef = useRef(null);
+  
+  const groups = selectGroups(EXERCISER_GROUPS, { undocumented });
+  const failed = results.filter(result => !result.passed).length;
+  
+  // Run the next pending group, one per tick so the page stays responsive
+  useEffect(() => {
+    if (pending.length === 0) return undefined;
+    
+    const timer = setTimeout(() => {
+      const [group, ...rest] = pending;
+      setResults(previous => [...previous, runGroup(group, { undocumented })]);
+      setPending(rest);
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [pending, undocumented]);
+  
+  // Run the CP/M exerciser in slices until it ends
+  useEffect(() => {
+    if (!programRunning) return undefined;
+    
+    const timer = setInterval(() => {
+      const { core, cpm } = machineRef.current;
+      const result = core.runUntil(() => cpm.exited, { limit: SLICE_INSTRUCTIONS });
+      setProgramOutput(machineRef.current.output);
+      if (cpm.exited) {
+        setProgramRunning(false);
+        setMessage({ text: 'The exerciser finished', isError: false });
+      } else if (result.reason === 'halted') {
+        setProgramRunning(false);
+        setMessage({ text: 'The exerciser halted', isError: true });
+      }
+    }, SLICE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [programRunning]);
+  
+  // Run the next single-step test file, one per tick
+  useEffect(() => {
+    if (stepFiles.length === 0) return undefined;
+    
+    const timer = setTimeout(() => {
+      const [file, ...rest] = stepFiles;
+      try {
+        const summaries = new SingleStepRunner().runAll(parseTestFile(file.text));
+        setStepSummaries(previous => [...previous, ...summaries]);
+      } catch (error) {
+        setMessage({ text: `${file.name}: ${error.message}`, isError: true });
+      }
+      setStepFiles(rest);
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [stepFiles]);
+  
+  // Keep the newest exerciser output in view
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [programOutput]);
+  
+  const runAll = () => {
+    setResults([]);
+    setPending(groups);
+  };
+  
+  const changeMode = (e) => {
+    setPending([]);
+    setResults([]);
+    setUndocumented(e.target.value === 'all');
+  };
+  
+  // Pick a CP/M exerciser to run
+  const handleLoadProgram = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      setProgram({ name: file.name, bytes: new Uint8Array(event.target.result) });
+      setMessage({ text: `Loaded ${file.name}`, isError: false });
+    };
+    reader.readAsArrayBuffer(file);
+    e.target.value = '';
+  };
+  
+  // Start the exerciser on a machine of its own, keeping all its output
+  const runProgram = () => {
+    const core = new Z80Core({ undocumented: true });
+    core.reset();
+    const machine = { core, output: '' };
+    machine.cpm = new CpmSystem(core, {
+      console: {
+        write: (code) => { machine.output += String.fromCharCode(code); },
+        read: () => 0x1A,
+        ready: () => false,
+      },
+    });
+    
+    try {
+      machine.cpm.loadProgram(program.bytes);
+      machineRef.current = machine;
+      setProgramOutput('');
+      setMessage(null);
+      setProgramRunning(true);
+    } catch (error) {
+      setMessage({ text: error.message, isError: true });
+    }
+  };
+  
+  // Read the chosen test files, then run them in name order
+  const handleLoadStepTests = (e) => {
+    const chosen = Array.from(e.target.files).sort((a, b) => a.name.localeCompare(b.name));
+    e.target.value = '';
+    if (chosen.length === 0) return;
+    
+    Promise.all(chosen.map(file => file.text().then(text => ({ name: file.name, text }))))
+      .then(loaded => {
+        setStepSummaries([]);
+        setMessage(null);
+        setStepFiles(loaded);
+      });
+  };
+  
+  const programResults = parseExerciserOutput(programOutput);
+  const stepTotal = stepSummaries.reduce((sum, summary) => sum + summary.total, 0);
+  const stepFailed = stepSummaries.reduce((sum, summary) => sum + summary.failed, 0);
+  const failingOpcodes = stepSummaries.filter(summary => summary.failed > 0);
+  
+  return (
+    <div className="selftest-panel">
+      <h2>Self Test</h2>
+      
+      <div className="selftest-section">
+        <h3>Instruction Exerciser</h3>
+        <div className="selftest-form">
+          <select value={undocumented ? 'all' : 'documented'} onChange={changeMode} disabled={pending.length > 0}>
+            <option value="documented">Documented flags (ZEXDOC)</option>
+            <option value="all">All flags and undocumented (ZEXALL)</option>
+          </select>
+          <button onClick={runAll} disabled={pending.length > 0}>Run All</button>
+          <button onClick={() => setPending([])} disabled={pending.length === 0}>Stop</button>
+          <span className="selftest-summary">
+            {pending.length > 0
+              ? `Running ${results.length + 1} of ${results.length + pending.length}...`
+              : results.length > 0 && `${results.length - failed} of ${results.length} groups passed`}
+          </span>
+        </div>
+        <div className="selftest-results">
+          <div className="selftest-header">
+            <div className="selftest-name">Group</div>
+            <div className="selftest-count">States</div>
+            <div className="selftest-crc">Expected</div>
+            <div className="selftest-crc">Found</div>
+            <div className="selftest-result">Result</div>
+          </div>
+          {groups.map(group => {
+            const result = results.find(item => item.name === group.name);
+            return (
+              <div key={group.name} className="selftest-row">
+                <div className="selftest-name">{group.name}</div>
+                <div className="selftest-count">{iterationCount(group)}</div>
+                <div className="selftest-crc">{(undocumented ? group.crcAll : group.crc) ?? '-'}</div>
+                <div className="selftest-crc">{result ? result.crc : '-'}</div>
+                <div className={`selftest-result ${result ? (result.passed ? 'passed' : 'failed') : ''}`}>
+                  {result ? (result.passed ? 'PASS' : 'FAIL') : ''}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      <div className="selftest-section">
+        <h3>CP/M Exerciser</h3>
+        <div className="selftest-form">
+          <label className="file-input-label">
+            Load .COM
+            <input
+              type="file"
+              accept=".com,.COM"
+              onChange={handleLoadProgram}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <span className="selftest-program-name">{program ? program.name : 'No program loaded'}</span>
+          <button onClick={runProgram} disabled={!program || programRunning}>Run</button>
+          <button onClick={() => setProgramRunning(false)} disabled={!programRunning}>Stop</button>
+          {programResults.length > 0 && (
+            <span className="selftest-summary">
+              {programResults.filter(result => result.passed).length} of {programResults.length} groups passed
+            </span>
+          )}
+        </div>
+        <pre ref={outputRef} className="selftest-output">{programOutput}</pre>
+        <p className="selftest-note">
+          Runs ZEXDOC.COM, ZEXALL.COM or a similar exerciser under CP/M on a separate
+          machine, with undocumented behaviour modelled. A full run takes a long time; the
+          command line (npm run selftest -- ZEXDOC.COM) is faster.
+        </p>
+      </div>
+      
+      <div className="selftest-section">
+        <h3>Single-Step Tests</h3>
+        <div className="selftest-form">
+          <label className="file-input-label">
+            Load JSON Tests
+            <input
+              type="file"
+              accept=".json"
+              multiple
+              onChange={handleLoadStepTests}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <button onClick={() => setStepFiles([])} disabled={stepFiles.length === 0}>Stop</button>
+          <span className="selftest-summary">
+            {stepFiles.length > 0
+              ? `${stepFiles.length} files to go...`
+              : stepTotal > 0 && `${stepTotal - stepFailed} of ${stepTotal} tests passed`}
+          </span>
+        </div>
+        {failingOpcodes.length > 0 && (
+          <div className="selftest-results">
+            <div className="selftest-header">
+              <div className="selftest-opcode">Opcode</div>
+              <div className="selftest-count">Failed</div>
+              <div className="selftest-name">First mismatch</div>
+            </div>
+            {failingOpcodes.map(summary => (
+              <div key={summary.opcode} className="selftest-row">
+                <div className="selftest-opcode">{summary.opcode}</div>
+                <div className="selftest-count">{summary.failed}/{summary.total}</div>
+                <div className="selftest-name">
+                  {summary.firstFailure.name}: {describeMismatches(summary.firstFailure)}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="selftest-note">
+          Load one or more files of single-step tests (such as the SingleStepTests Z80
+          suite). Each test loads a state, executes one instruction and compares the
+          registers, flags, memory, port writes and cycle count with the expected state.
+        </p>
+      </div>
+      
+      {message && (
+        <div className={`selftest-message ${message.isError ? 'error' : ''}`}>{message.text}</div>
+      )}
+    </div>
+  );
+};
+
+export default SelfTestPanel;
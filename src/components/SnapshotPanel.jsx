@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { parseSnapshot } from '../emulator/Snapshot';
+import {
+  SPECTRUM_FORMATS, spectrumFormatOf, importSpectrumSnapshot, exportSpectrumSnapshot,
+} from '../emulator/SpectrumSnapshot';
+
+/**
+ * SnapshotPanel Component
+ *
+ * This component saves and restores complete machine snapshots: to named
+ * quick-save slots kept in the browser, or as JSON files to download and
+ * load again later. It also imports and exports the ZX Spectrum snapshot
+ * formats other emulators use.
+ */
+const SnapshotPanel = ({ z80, slots }) => {
+  const [slotList, setSlotList] = useState([]);
+  const [slotName, setSlotName] = useState('');
+  const [message, setMessage] = useState(null);
+  
+  // Subscribe to slot changes
+  useEffect(() => {
+    const updateSlots = (changed) => setSlotList(changed.list());
+    updateSlots(slots);
+    return slots.addListener(updateSlots);
+  }, [slots]);
+  
+  // Show the outcome of the last action
+  const report = (text, isError = false) => {
+    setMessage({ text, isError });
+  };
+  
+  // Restore a snapshot, reporting why it could not be
+  const restore = (snapshot, source) => {
+    try {
+      z80.loadSnapshot(snapshot);
+      report(`Restored ${source}`);
+    } catch (error) {
+      report(error.message, true);
+    }
+  };
+  
+  // Save the machine to the named slot
+  const quickSave = () => {
+    try {
+      const name = slotName.trim();
+      slots.save(name, z80.saveSnapshot(name));
+      report(`Saved slot "${name}"`);
+    } catch (error) {
+      report(error.message, true);
+    }
+  };
+  
+  const quickLoad = (name) => {
+    restore(slots.get(name), `slot "${name}"`);
+  };
+  
+  // Offer data as a file download
+  const downloadFile = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const downloadSnapshot = (snapshot, name) => {
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `${name || 'snapshot'}.json`);
+  };
+  
+  // Load a snapshot file from disk
+  const handleLoadFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        restore(parseSnapshot(event.target.result), file.name);
+      } catch (error) {
+        report(error.message, true);
+      }
+    };
+    reader.readAsText(file);
+    
+    // Allow the same file to be loaded again
+    e.target.value = '';
+  };
+  
+  // Load a .sna, .z80 or .szx file, replacing registers and RAM
+  const handleImportSpectrum = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const format = spectrumFormatOf(file.name);
+    if (!format) {
+      report(`${file.name} is not a .sna, .z80 or .szx file`, true);
+      e.target.value = '';
+      return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      try {
+        const { model, warnings } = await importSpectrumSnapshot(z80, new Uint8Array(event.target.result), format);
+        report([`Loaded ${file.name} (${model.toUpperCase()})`, ...warnings].join('. '));
+      } catch (error) {
+        report(error.message, true);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    
+    // Allow the same file to be loaded again
+    e.target.value = '';
+  };
+  
+  // Save the machine in one of the Spectrum formats
+  const exportSpectrum = async (format) => {
+    try {
+      const bytes = await exportSpectrumSnapshot(z80, format);
+      downloadFile(new Blob([bytes], { type: 'application/octet-stream' }), `snapshot.${format}`);
+    } catch (error) {
+      report(error.message, true);
+    }
+  };
+  
+  // Format a slot's save time for display
+  const formatTime = (created) => {
+    return new Date(created).toLocaleString();
+  };
+  
+  return (
+    <div className="snapshot-panel">
+      <h2>Snapshots</h2>
+      
+      <div className="snapshot-section">
+        <h3>Quick-Save Slots</h3>
+        <div className="snapshot-form">
+          <input
+            type="text"
+            value={slotName}
+            onChange={(e) => setSlotName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && quickSave()}
+            placeholder="Slot name"
+          />
+          <button onClick={quickSave} disabled={!z80 || !slotName.trim()}>Quick Save</button>
+        </div>
+        
+        {slotList.length === 0 ? (
+          <div className="no-snapshots">No saved slots</div>
+        ) : (
+          <div className="snapshot-slots">
+            {slotList.map(slot => (
+              <div key={slot.name} className="snapshot-slot">
+                <div className="snapshot-slot-name">{slot.name}</div>
+                <div className="snapshot-slot-time">{formatTime(slot.created)}</div>
+                <button onClick={() => quickLoad(slot.name)}>Load</button>
+                <button onClick={() => downloadSnapshot(slots.get(slot.name), slot.name)}>Download</button>
+                <button className="snapshot-delete" onClick={() => slots.remove(slot.name)}>Delete</button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      
+      <div className="snapshot-section">
+        <h3>Files</h3>
+        <div className="snapshot-form">
+          <button onClick={() => downloadSnapshot(z80.saveSnapshot(), 'snapshot')} disabled={!z80}>
+            Download Snapshot
+          </button>
+          <label className="file-input-label">
+            Load Snapshot
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleLoadFile}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+        <p className="snapshot-note">
+          A snapshot holds the registers, flags, interrupt state, T-state count, memory
+          (including banked and ROM regions), the state of I/O devices that support it,
+          and the breakpoints, watchpoints and port breakpoints.
+        </p>
+      </div>
+      
+      <div className="snapshot-section">
+        <h3>ZX Spectrum Snapshots</h3>
+        <div className="snapshot-form">
+          <label className="file-input-label">
+            Import .SNA / .Z80 / .SZX
+            <input
+              type="file"
+              accept={SPECTRUM_FORMATS.map(format => `.${format}`).join(',')}
+              onChange={handleImportSpectrum}
+              style={{ display: 'none' }}
+            />
+          </label>
+          {SPECTRUM_FORMATS.map(format => (
+            <button key={format} onClick={() => exportSpectrum(format)} disabled={!z80}>
+              Export .{format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+        <p className="snapshot-note">
+          Imports set the registers, interrupt mode and the RAM from 4000h up; load the
+          Spectrum ROM at 0000h separately. 128K snapshots use all eight RAM banks when
+          a memory map region pages 16K banks in at C000h.
+        </p>
+      </div>
+      
+      {message && (
+        <div className={`snapshot-message ${message.isError ? 'error' : ''}`}>{message.text}</div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotPanel;
@@ -0,0 +1,185 @@
+/**
+ * Z80 Breakpoints
+ *
+ * A breakpoint fires when PC reaches its address. It can carry a condition,
+ * fire only from a given hit onwards, be disabled without being removed, or
+ * log a message and let execution continue (a logpoint).
+ *
+ * Conditions use the assembler's expression syntax. They can name registers
+ * (A, HL, IXH, SP, PC, ...), the flags as ZF, CF, SF, HF, PF (or VF) and NF,
+ * and the labels of the loaded program. As in Z80 source, parentheses around
+ * a 16-bit register or a lone number or label read the byte at that address:
+ * A==0 && (HL)>10, (IX+2)==0FFh, (counter)>=3. Other parentheses group.
+ */
+
+import { tokenize } from '../assembler/Lexer.js';
+import { evaluate } from '../assembler/Expression.js';
+
+// Values a condition can name, read from the CPU
+const CPU_VALUES = {
+  A: cpu => cpu.registers.a,
+  B: cpu => cpu.registers.b,
+  C: cpu => cpu.registers.c,
+  D: cpu => cpu.registers.d,
+  E: cpu => cpu.registers.e,
+  H: cpu => cpu.registers.h,
+  L: cpu => cpu.registers.l,
+  F: cpu => cpu.getF(),
+  I: cpu => cpu.registers.i,
+  R: cpu => cpu.registers.r,
+  AF: cpu => cpu.getAF(),
+  BC: cpu => cpu.getBC(),
+  DE: cpu => cpu.getDE(),
+  HL: cpu => cpu.getHL(),
+  IX: cpu => cpu.registers.ix,
+  IY: cpu => cpu.registers.iy,
+  SP: cpu => cpu.registers.sp,
+  PC: cpu => cpu.registers.pc,
+  IXH: cpu => cpu.registers.ix >> 8,
+  IXL: cpu => cpu.registers.ix & 0xFF,
+  IYH: cpu => cpu.registers.iy >> 8,
+  IYL: cpu => cpu.registers.iy & 0xFF,
+  ZF: cpu => cpu.registers.flags.z,
+  CF: cpu => cpu.registers.flags.c,
+  SF: cpu => cpu.registers.flags.s,
+  HF: cpu => cpu.registers.flags.h,
+  PF: cpu => cpu.registers.flags.pv,
+  VF: cpu => cpu.registers.flags.pv,
+  NF: cpu => cpu.registers.flags.n,
+};
+
+// Registers that hold addresses; parentheses containing one read memory
+const ADDRESS_REGISTERS = ['BC', 'DE', 'HL', 'IX', 'IY', 'SP', 'PC'];
+
+const isMemoryReference = (tokens) => {
+  const upper = tokens.map(token => (token.type === 'ident' ? token.value.toUpperCase() : null));
+  if (upper.some(name => ADDRESS_REGISTERS.includes(name))) return true;
+  return tokens.length === 1 &&
+    (tokens[0].type === 'number' || (tokens[0].type === 'ident' && !(upper[0] in CPU_VALUES)));
+};
+
+const isLabel = (symbols, name) => Object.prototype.hasOwnProperty.call(symbols, name);
+
+// Register and flag names are case-insensitive; labels are not
+const lookupValue = (cpu, symbols, name) => {
+  const read = CPU_VALUES[name.toUpperCase()];
+  if (read) return read(cpu);
+  return isLabel(symbols, name) ? symbols[name] : undefined;
+};
+
+/**
+ * Tokenize an expression and check that it parses and names only known
+ * registers, flags and labels.
+ * @throws {Error} Describing the first problem
+ */
+const compile = (text, symbols, what) => {
+  try {
+    const tokens = tokenize(text);
+    const unknown = [];
+    evaluate(tokens, {
+      final: false,
+      lookup: (name) => {
+        const known = name.toUpperCase() in CPU_VALUES || isLabel(symbols, name);
+        if (!known) unknown.push(name);
+        return known ? 0 : undefined;
+      },
+      readMemory: () => 0,
+      isMemoryReference,
+    });
+    if (unknown.length > 0) {
+      throw new Error(`Unknown name "${unknown[0]}"`);
+    }
+    return tokens;
+  } catch (error) {
+    throw new Error(`Invalid ${what} "${text}": ${error.message}`);
+  }
+};
+
+// Split a log message into text and {expression} parts
+const compileMessage = (message, symbols) => {
+  const parts = [];
+  const pattern = /\{([^}]*)\}/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(message)) !== null) {
+    parts.push(message.slice(last, match.index));
+    parts.push(compile(match[1], symbols, 'log expression'));
+    last = pattern.lastIndex;
+  }
+  parts.push(message.slice(last));
+  return parts;
+};
+
+// Values in log messages are shown in hex, as in the rest of the debugger
+const formatValue = (value) => {
+  const masked = value & 0xFFFF;
+  return masked.toString(16).padStart(masked > 0xFF ? 4 : 2, '0').toUpperCase();
+};
+
+class Breakpoint {
+  /**
+   * @param {number} address - Address PC must reach
+   * @param {Object} [options]
+   * @param {string} [options.condition] - Expression that must be non-zero for
+   *   the breakpoint to fire
+   * @param {number} [options.hitCount=0] - Fire only once the breakpoint has been
+   *   reached this many times with its condition true (0 or 1: every time)
+   * @param {boolean} [options.enabled=true] - Disabled breakpoints are ignored
+   * @param {string} [options.log] - Log this message and continue instead of
+   *   stopping; {expression} parts are replaced by their values in hex
+   * @param {Object<string, number>} [options.symbols] - Labels the condition and
+   *   message can use
+   * @throws {Error} When the condition or a message expression is invalid
+   */
+  constructor(address, { condition = '', hitCount = 0, enabled = true, log = null, symbols = {} } = {}) {
+    this.address = address & 0xFFFF;
+    this.condition = condition.trim();
+    this.hitCount = Math.max(0, Math.floor(hitCount) || 0);
+    this.enabled = enabled;
+    this.log = log;
+    this.symbols = symbols;
+    this.hits = 0;
+    
+    this.conditionTokens = this.condition ? compile(this.condition, symbols, 'condition') : null;
+    this.messageParts = log !== null ? compileMessage(log, symbols) : null;
+  }
+  
+  // Evaluate compiled tokens against the CPU state
+  evaluate(cpu, tokens) {
+    return evaluate(tokens, {
+      final: false,
+      lookup: name => lookupValue(cpu, this.symbols, name),
+      readMemory: address => cpu.readByte(address),
+      isMemoryReference,
+    }).value;
+  }
+  
+  /**
+   * Called as PC reaches the address. Counts a hit when the breakpoint is
+   * enabled and its condition holds.
+   * @param {Z80Core} cpu
+   * @returns {string|null} 'stop', 'log', or null to carry on silently
+   */
+  reached(cpu) {
+    if (!this.holds(cpu)) return null;
+    
+    this.hits++;
+    if (this.hits < this.hitCount) return null;
+    return this.messageParts ? 'log' : 'stop';
+  }
+  
+  // Whether the breakpoint is enabled and its condition (if any) is true
+  holds(cpu) {
+    if (!this.enabled) return false;
+    return !this.conditionTokens || this.evaluate(cpu, this.conditionTokens) !== 0;
+  }
+  
+  // The log message with its {expression} parts evaluated
+  formatMessage(cpu) {
+    return this.messageParts
+      .map(part => (typeof part === 'string' ? part : formatValue(this.evaluate(cpu, part))))
+      .join('');
+  }
+}
+
+export default Breakpoint;
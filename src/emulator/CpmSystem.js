@@ -0,0 +1,785 @@
+/**
+ * CP/M 2.2 System
+ *
+ * Runs CP/M .COM programs on a Z80Core. Instead of a real BDOS and BIOS,
+ * small stubs in high memory write a trap code to a port device, and the
+ * device carries out the call in JavaScript: console I/O, strings, and file
+ * I/O on a Workspace that stands in for drive A. Page zero is set up as CP/M
+ * leaves it: JP to the BIOS warm boot at 0000h, JP to the BDOS at 0005h, the
+ * default FCBs at 005Ch and 006Ch and the command tail at 0080h. A warm boot
+ * (a jump to 0000h, RET from the program or BDOS function 0) ends the
+ * program and halts the CPU.
+ *
+ * Disk files are matched to CP/M's 8.3 upper-case names case-insensitively;
+ * files whose names do not fit are not visible. Written records are kept in
+ * memory until the file is closed or the program ends, as CP/M only updates
+ * the directory on close.
+ */
+
+import Workspace from '../assembler/Workspace.js';
+
+// Port the BDOS and BIOS stubs write their trap codes to (low byte decoded)
+export const CPM_TRAP_PORT = 0xFF;
+
+export const TPA_START = 0x0100;
+
+// Memory layout above the TPA: the BDOS entry (whose address at 0006h is
+// the top of the TPA), a disk parameter block, the allocation vector and
+// the BIOS jump table followed by its stubs
+const BDOS_BASE = 0xFC00;
+const BDOS_ENTRY = BDOS_BASE + 6;
+const DPB_ADDRESS = 0xFC10;
+const ALV_ADDRESS = 0xFD00;
+const BIOS_BASE = 0xFE00;
+const BIOS_STUBS = 0xFE40;
+
+// Page zero
+const IOBYTE = 0x0003;
+const DRIVE_USER = 0x0004;
+const DEFAULT_FCB = 0x005C;
+const DEFAULT_DMA = 0x0080;
+
+// Trap codes: BIOS calls use their jump table index, the BDOS this one
+const BDOS_TRAP = 0x80;
+const BIOS_FUNCTIONS = 17;
+
+// A stub is LD A,code / OUT (port),A / RET
+const STUB_SIZE = 5;
+
+const RECORD_SIZE = 128;
+const RECORDS_PER_EXTENT = 128;
+const EOF_CHAR = 0x1A;
+const MAX_OUTPUT = 65536;
+
+// 2K blocks, 2048 of them and 512 directory entries: a 4M drive
+const DISK_PARAMETERS = [
+  0x40, 0x00, // SPT: sectors per track
+  0x04, // BSH: block shift
+  0x0F, // BLM: block mask
+  0x00, // EXM: extent mask
+  0xFF, 0x07, // DSM: highest block number
+  0xFF, 0x01, // DRM: highest directory entry
+  0xFF, 0x00, // AL0, AL1: directory blocks
+  0x00, 0x00, // CKS: checked directory entries
+  0x00, 0x00, // OFF: reserved tracks
+];
+
+// Characters CP/M does not allow in file names
+const INVALID_NAME_CHARS = /[^!-~]|[<>.,;:=?*[\]]/;
+
+// File operation return codes
+const FILE_OK = 0x00;
+const FILE_EOF = 0x01;
+const FILE_SEEK_PAST_END = 0x06;
+const FILE_ERROR = 0xFF;
+
+/**
+ * The 11-character directory form of a file name ("FOO.TXT" becomes
+ * "FOO     TXT"), or null when the name does not fit CP/M's 8.3 rules.
+ */
+const directoryName = (fileName) => {
+  if (fileName.includes('/')) return null;
+  const dot = fileName.lastIndexOf('.');
+  const name = dot === -1 ? fileName : fileName.slice(0, dot);
+  const type = dot === -1 ? '' : fileName.slice(dot + 1);
+  if (!name || name.length > 8 || type.length > 3 || INVALID_NAME_CHARS.test(name + type)) {
+    return null;
+  }
+  return name.toUpperCase().padEnd(8) + type.toUpperCase().padEnd(3);
+};
+
+// "FOO     TXT" back to "FOO.TXT"
+const fileNameOf = (entry) => {
+  const name = entry.slice(0, 8).trimEnd();
+  const type = entry.slice(8).trimEnd();
+  return type ? `${name}.${type}` : name;
+};
+
+/**
+ * Parse a command-line word into a drive number and 11-character name, the
+ * way the CCP fills the default FCBs ("*" becomes "?"s).
+ */
+const parseFileSpec = (word = '') => {
+  let drive = 0;
+  let spec = word.toUpperCase();
+  if (/^[A-P]:/.test(spec)) {
+    drive = spec.charCodeAt(0) - 64;
+    spec = spec.slice(2);
+  }
+  
+  const field = (text, length) => {
+    const star = text.indexOf('*');
+    const chars = star === -1 ? text.slice(0, length) : text.slice(0, star).padEnd(length, '?');
+    return chars.slice(0, length).padEnd(length);
+  };
+  const dot = spec.indexOf('.');
+  const name = field(dot === -1 ? spec : spec.slice(0, dot), 8);
+  const type = field(dot === -1 ? '' : spec.slice(dot + 1), 3);
+  return { drive, name: name + type };
+};
+
+class CpmSystem {
+  /**
+   * @param {Z80Core} core
+   * @param {Object} [options]
+   * @param {Workspace} [options.disk] - Files of drive A
+   * @param {number} [options.trapPort=CPM_TRAP_PORT] - Port of the trap device
+   * @param {Object} [options.console] - Console with write(code), read()
+   *   returning a character code or null when none is waiting, and ready();
+   *   by default output collects in `output` and input is queued with
+   *   typeInput()
+   */
+  constructor(core, { disk = new Workspace(), trapPort = CPM_TRAP_PORT, console = null } = {}) {
+    this.core = core;
+    this.disk = disk;
+    this.trapPort = trapPort & 0xFF;
+    this.console = console ?? {
+      write: (code) => this.appendOutput(code),
+      read: () => this.input.shift() ?? null,
+      ready: () => this.input.length > 0,
+    };
+    this.installed = false;
+    
+    // Default console
+    this.input = [];
+    this.output = '';
+    
+    // Program state
+    this.dma = DEFAULT_DMA;
+    this.drive = 0;
+    this.user = 0;
+    this.exited = false;
+    this.waiting = false;
+    this.lineBuffer = null;
+    this.searchResults = [];
+    
+    // Written files not yet closed, by workspace path
+    this.openFiles = new Map();
+    
+    this.listeners = new Set();
+  }
+  
+  // Write page zero and the BDOS and BIOS stubs, and attach the trap device
+  install() {
+    const poke = (address, bytes) => bytes.forEach((value, index) => this.core.pokeByte(address + index, value));
+    const stub = (code) => [0x3E, code, 0xD3, this.trapPort, 0xC9];
+    const jump = (address) => [0xC3, address & 0xFF, address >> 8];
+    
+    poke(0x0000, jump(BIOS_BASE + 3));
+    poke(IOBYTE, [0x00, 0x00]);
+    poke(0x0005, jump(BDOS_ENTRY));
+    poke(BDOS_BASE, [0, 0, 0, 0, 0, 0]);
+    poke(BDOS_ENTRY, stub(BDOS_TRAP));
+    poke(DPB_ADDRESS, DISK_PARAMETERS);
+    poke(ALV_ADDRESS, new Array(256).fill(0));
+    for (let i = 0; i < BIOS_FUNCTIONS; i++) {
+      poke(BIOS_BASE + i * 3, jump(BIOS_STUBS + i * STUB_SIZE));
+      poke(BIOS_STUBS + i * STUB_SIZE, stub(i));
+    }
+    
+    if (!this.installed) {
+      this.core.ports.register({
+        name: 'cpm',
+        start: this.trapPort,
+        mask: 0xFF,
+        write: (port, value) => this.trap(value),
+        saveState: () => ({ dma: this.dma, drive: this.drive, user: this.user, exited: this.exited }),
+        loadState: (state) => Object.assign(this, state),
+      });
+      this.installed = true;
+    }
+    this.notify();
+  }
+  
+  // Detach the trap device; memory is left as it is
+  uninstall() {
+    if (!this.installed) return;
+    this.flush();
+    this.core.ports.unregister('cpm');
+    this.installed = false;
+    this.notify();
+  }
+  
+  /**
+   * Load a .COM program at 0100h and prepare to run it: reset the CPU, set
+   * up page zero with the command tail and default FCBs, and point SP at
+   * the top of the TPA with a return address of 0000h (warm boot) pushed.
+   * @param {ArrayLike<number>} program - The .COM file
+   * @param {string} [commandTail] - Arguments, as typed after the command name
+   * @throws {Error} When the program does not fit in the TPA
+   */
+  loadProgram(program, commandTail = '') {
+    if (program.length > BDOS_BASE - TPA_START) {
+      throw new Error(`Program is ${program.length} bytes, larger than the ${BDOS_BASE - TPA_START} byte TPA`);
+    }
+    
+    this.flush();
+    this.core.reset();
+    this.install();
+    this.core.loadProgram(program, TPA_START);
+    
+    // The CCP upper-cases the tail and parses its first two words into FCBs
+    const tail = commandTail.trim().toUpperCase().slice(0, 126);
+    const words = tail.split(/\s+/).filter(Boolean);
+    [DEFAULT_FCB, DEFAULT_FCB + 16].forEach((address, index) => {
+      const { drive, name } = parseFileSpec(words[index]);
+      this.core.pokeByte(address, drive);
+      Array.from(name).forEach((char, offset) => this.core.pokeByte(address + 1 + offset, char.charCodeAt(0)));
+      for (let offset = 12; offset < 16; offset++) this.core.pokeByte(address + offset, 0);
+    });
+    this.core.pokeByte(DEFAULT_FCB + 32, 0);
+    
+    const text = tail ? ` ${tail}` : '';
+    this.core.pokeByte(DEFAULT_DMA, text.length);
+    Array.from(text).forEach((char, index) => this.core.pokeByte(DEFAULT_DMA + 1 + index, char.charCodeAt(0)));
+    this.core.pokeByte(DEFAULT_DMA + 1 + text.length, 0);
+    
+    this.dma = DEFAULT_DMA;
+    this.drive = 0;
+    this.user = 0;
+    this.exited = false;
+    this.waiting = false;
+    this.lineBuffer = null;
+    this.searchResults = [];
+    
+    this.core.registers.sp = BDOS_BASE;
+    this.core.pushStack(0x0000);
+    this.core.registers.pc = TPA_START;
+    this.notify();
+  }
+  
+  // Queue keyboard input for the default console; newlines become CR
+  typeInput(text) {
+    Array.from(text.replace(/\r?\n/g, '\r')).forEach(char => this.input.push(char.charCodeAt(0) & 0xFF));
+    this.notify();
+  }
+  
+  // Default console output, applying backspaces and keeping the tail end
+  appendOutput(code) {
+    if (code === 0x08) {
+      this.output = this.output.slice(0, -1);
+    } else if (code === 0x0A || code === 0x09 || code >= 0x20) {
+      this.output += String.fromCharCode(code);
+    }
+    if (this.output.length > MAX_OUTPUT * 2) {
+      this.output = this.output.slice(-MAX_OUTPUT);
+    }
+    this.notify();
+  }
+  
+  clearOutput() {
+    this.output = '';
+    this.notify();
+  }
+  
+  // Write every file with unsaved records back to the disk
+  flush() {
+    this.openFiles.forEach((file, path) => this.disk.setFile(path, file.bytes.subarray(0, file.length)));
+    this.openFiles.clear();
+  }
+  
+  // Handle a trap code written by a stub
+  trap(code) {
+    if (code === BDOS_TRAP) {
+      this.bdos(this.core.registers.c, this.core.registers.e, this.core.getDE());
+    } else if (code < BIOS_FUNCTIONS) {
+      this.bios(code);
+    }
+  }
+  
+  // The program is waiting for console input: move PC from the stub's RET
+  // back to its OUT, so the call is made again until some arrives
+  waitForInput() {
+    const regs = this.core.registers;
+    regs.pc = (regs.pc - 2) & 0xFFFF;
+    if (!this.waiting) {
+      this.waiting = true;
+      this.notify();
+    }
+  }
+  
+  // Read a console character, or start waiting for one
+  readConsole() {
+    const code = this.console.read();
+    if (code === null) {
+      this.waitForInput();
+      return null;
+    }
+    if (this.waiting) {
+      this.waiting = false;
+      this.notify();
+    }
+    return code & 0xFF;
+  }
+  
+  // End the program: CP/M would reload the CCP here
+  warmBoot() {
+    this.flush();
+    this.exited = true;
+    this.core.halted = true;
+    this.notify();
+  }
+  
+  // Return a BDOS result: A and L hold the low byte, B and H the high byte
+  setResult(value) {
+    const regs = this.core.registers;
+    regs.a = regs.l = value & 0xFF;
+    regs.b = regs.h = (value >> 8) & 0xFF;
+  }
+  
+  readMemory(address, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+      bytes[i] = this.core.peekByte(address + i);
+    }
+    return bytes;
+  }
+  
+  writeMemory(address, bytes) {
+    bytes.forEach((value, index) => this.core.writeByte((address + index) & 0xFFFF, value));
+  }
+  
+  /**
+   * Carry out a BDOS call.
+   * @param {number} fn - Function number (register C)
+   * @param {number} e - Register E, for byte parameters
+   * @param {number} de - Register pair DE, for addresses
+   */
+  bdos(fn, e, de) {
+    switch (fn) {
+      case 0: // System reset
+        this.warmBoot();
+        break;
+      case 1: { // Console input, echoed
+        const code = this.readConsole();
+        if (code === null) return;
+        this.console.write(code);
+        this.setResult(code);
+        break;
+      }
+      case 2: // Console output
+        this.console.write(e);
+        break;
+      case 3: // Reader input: there is no reader
+        this.setResult(EOF_CHAR);
+        break;
+      case 4: // Punch output
+      case 5: // List output
+        break;
+      case 6: // Direct console I/O
+        if (e === 0xFF) {
+          this.setResult(this.console.ready() ? this.readConsole() : 0);
+        } else if (e === 0xFE) {
+          this.setResult(this.console.ready() ? 0xFF : 0);
+        } else {
+          this.console.write(e);
+        }
+        break;
+      case 7: // Get IOBYTE
+        this.setResult(this.core.peekByte(IOBYTE));
+        break;
+      case 8: // Set IOBYTE
+        this.core.writeByte(IOBYTE, e);
+        break;
+      case 9: // Print string, ended by "$"
+        for (let address = de, count = 0; count < 0x10000; address = (address + 1) & 0xFFFF, count++) {
+          const code = this.core.peekByte(address);
+          if (code === 0x24) break;
+          this.console.write(code);
+        }
+        break;
+      case 10: // Read console buffer
+        this.readLine(de);
+        break;
+      case 11: // Console status
+        this.setResult(this.console.ready() ? 0xFF : 0);
+        break;
+      case 12: // Version: CP/M 2.2
+        this.setResult(0x0022);
+        break;
+      case 13: // Reset disk system
+        this.flush();
+        this.dma = DEFAULT_DMA;
+        this.drive = 0;
+        this.core.writeByte(DRIVE_USER, (this.user << 4) | this.drive);
+        this.setResult(0);
+        break;
+      case 14: // Select disk
+        this.drive = e & 0x0F;
+        this.core.writeByte(DRIVE_USER, (this.user << 4) | this.drive);
+        this.setResult(0);
+        break;
+      case 15: // Open file
+        this.setResult(this.openFile(de));
+        break;
+      case 16: // Close file
+        this.setResult(this.closeFile(de));
+        break;
+      case 17: // Search for first
+        this.searchResults = this.findFiles(de);
+        this.setResult(this.nextSearchResult());
+        break;
+      case 18: // Search for next
+        this.setResult(this.nextSearchResult());
+        break;
+      case 19: // Delete file
+        this.setResult(this.deleteFiles(de));
+        break;
+      case 20: // Read sequential
+        this.setResult(this.transferSequential(de, false));
+        break;
+      case 21: // Write sequential
+        this.setResult(this.transferSequential(de, true));
+        break;
+      case 22: // Make file
+        this.setResult(this.makeFile(de));
+        break;
+      case 23: // Rename file
+        this.setResult(this.renameFile(de));
+        break;
+      case 24: // Login vector: only drive A
+        this.setResult(0x0001);
+        break;
+      case 25: // Current disk
+        this.setResult(this.drive);
+        break;
+      case 26: // Set DMA address
+        this.dma = de;
+        break;
+      case 27: // Allocation vector address
+        this.setResult(ALV_ADDRESS);
+        break;
+      case 28: // Write protect disk
+        break;
+      case 29: // Read-only vector
+        this.setResult(0);
+        break;
+      case 30: // Set file attributes
+        this.setResult(this.findFiles(de).length > 0 ? 0 : FILE_ERROR);
+        break;
+      case 31: // Disk parameter block address
+        this.setResult(DPB_ADDRESS);
+        break;
+      case 32: // Get or set user code
+        if (e === 0xFF) {
+          this.setResult(this.user);
+        } else {
+          this.user = e & 0x0F;
+          this.core.writeByte(DRIVE_USER, (this.user << 4) | this.drive);
+        }
+        break;
+      case 33: // Read random
+        this.setResult(this.transferRandom(de, false));
+        break;
+      case 34: // Write random
+      case 40: // Write random with zero fill (new records are always zeroed)
+        this.setResult(this.transferRandom(de, true));
+        break;
+      case 35: // Compute file size
+        this.computeFileSize(de);
+        break;
+      case 36: // Set random record
+        this.setRandomRecord(de, this.sequentialRecord(de));
+        break;
+      case 37: // Reset drive
+        this.setResult(0);
+        break;
+      default:
+        this.setResult(0);
+    }
+  }
+  
+  // Line input for BDOS function 10: characters are echoed as they are
+  // typed, and the call finishes when CR or LF arrives or the buffer fills
+  readLine(buffer) {
+    const max = this.core.peekByte(buffer);
+    if (this.lineBuffer === null) {
+      this.lineBuffer = [];
+    }
+    
+    while (this.lineBuffer.length < max) {
+      const code = this.readConsole();
+      if (code === null) return;
+      if (code === 0x0D || code === 0x0A) break;
+      
+      if (code === 0x08 || code === 0x7F) {
+        if (this.lineBuffer.length > 0) {
+          this.lineBuffer.pop();
+          [0x08, 0x20, 0x08].forEach(value => this.console.write(value));
+        }
+      } else {
+        this.lineBuffer.push(code);
+        this.console.write(code);
+      }
+    }
+    
+    this.core.writeByte(buffer + 1, this.lineBuffer.length);
+    this.writeMemory(buffer + 2, this.lineBuffer);
+    this.console.write(0x0D);
+    this.lineBuffer = null;
+  }
+  
+  /**
+   * Carry out a BIOS call made through the jump table. Console calls work
+   * as the BDOS ones do; the sector-level disk calls report errors, since
+   * drive A is only reachable through the BDOS file functions.
+   * @param {number} fn - Index in the jump table
+   */
+  bios(fn) {
+    const regs = this.core.registers;
+    switch (fn) {
+      case 0: // BOOT
+      case 1: // WBOOT
+        this.warmBoot();
+        break;
+      case 2: // CONST
+        regs.a = this.console.ready() ? 0xFF : 0;
+        break;
+      case 3: { // CONIN
+        const code = this.readConsole();
+        if (code !== null) regs.a = code;
+        break;
+      }
+      case 4: // CONOUT
+        this.console.write(regs.c);
+        break;
+      case 7: // READER
+        regs.a = EOF_CHAR;
+        break;
+      case 9: // SELDSK: no sector-level disks
+        regs.h = regs.l = 0;
+        break;
+      case 13: // READ
+      case 14: // WRITE
+        regs.a = 1;
+        break;
+      case 15: // LISTST
+        regs.a = 0xFF;
+        break;
+      case 16: // SECTRAN: no skew
+        regs.h = regs.b;
+        regs.l = regs.c;
+        break;
+      default:
+        // LIST, PUNCH, HOME, SETTRK, SETSEC and SETDMA have nothing to do
+        break;
+    }
+  }
+  
+  // The 11-character name pattern of an FCB, with attribute bits removed
+  fcbPattern(fcb) {
+    return String.fromCharCode(...this.readMemory(fcb + 1, 11).map(code => code & 0x7F));
+  }
+  
+  /**
+   * Files on the disk matching an FCB, as { path, entry } where entry is the
+   * 11-character directory name. "?" in the FCB matches any character. Only
+   * drive A has files.
+   */
+  findFiles(fcb) {
+    const drive = this.core.peekByte(fcb);
+    if (drive !== 0x3F && (drive === 0 ? this.drive : drive - 1) !== 0) {
+      return [];
+    }
+    
+    const pattern = this.fcbPattern(fcb);
+    const names = new Set([...this.disk.listFiles(), ...this.openFiles.keys()]);
+    return [...names]
+      .map(path => ({ path, entry: directoryName(path) }))
+      .filter(({ entry }) => entry && Array.from(pattern).every((char, i) => char === '?' || char === entry[i]))
+      .sort((a, b) => a.entry.localeCompare(b.entry));
+  }
+  
+  // Contents of a file, including records not yet flushed
+  fileData(path) {
+    const file = this.openFiles.get(path);
+    return file ? file.bytes.subarray(0, file.length) : this.disk.readBinary(path);
+  }
+  
+  recordCount(path) {
+    return Math.ceil(this.fileData(path).length / RECORD_SIZE);
+  }
+  
+  // The file an FCB names, when exactly one matches
+  fcbFile(fcb) {
+    const pattern = this.fcbPattern(fcb);
+    if (pattern.includes('?')) return null;
+    return this.findFiles(fcb)[0] ?? null;
+  }
+  
+  // Record number the next sequential read or write uses
+  sequentialRecord(fcb) {
+    const extent = (this.core.peekByte(fcb + 12) & 0x1F) + (this.core.peekByte(fcb + 14) & 0x3F) * 32;
+    return extent * RECORDS_PER_EXTENT + (this.core.peekByte(fcb + 32) & 0x7F);
+  }
+  
+  // Move an FCB's sequential position, setting EX, S2, CR and the record
+  // count of the extent
+  setSequentialRecord(fcb, record, path) {
+    const extent = Math.floor(record / RECORDS_PER_EXTENT);
+    const records = path ? this.recordCount(path) : 0;
+    const inExtent = Math.min(Math.max(records - extent * RECORDS_PER_EXTENT, 0), RECORDS_PER_EXTENT);
+    this.core.writeByte(fcb + 12, extent & 0x1F);
+    this.core.writeByte(fcb + 14, (extent >> 5) & 0x3F);
+    this.core.writeByte(fcb + 15, inExtent);
+    this.core.writeByte(fcb + 32, record % RECORDS_PER_EXTENT);
+  }
+  
+  setRandomRecord(fcb, record) {
+    this.writeMemory(fcb + 33, [record & 0xFF, (record >> 8) & 0xFF, (record >> 16) & 0xFF]);
+  }
+  
+  openFile(fcb) {
+    const file = this.fcbFile(fcb) ?? this.findFiles(fcb)[0];
+    if (!file) return FILE_ERROR;
+    
+    this.writeMemory(fcb + 1, Array.from(file.entry, char => char.charCodeAt(0)));
+    this.core.writeByte(fcb + 13, 0);
+    const extent = (this.core.peekByte(fcb + 12) & 0x1F) + (this.core.peekByte(fcb + 14) & 0x3F) * 32;
+    this.setSequentialRecord(fcb, extent * RECORDS_PER_EXTENT, file.path);
+    return FILE_OK;
+  }
+  
+  closeFile(fcb) {
+    const file = this.fcbFile(fcb);
+    if (!file) return FILE_ERROR;
+    
+    const open = this.openFiles.get(file.path);
+    if (open) {
+      this.disk.setFile(file.path, open.bytes.subarray(0, open.length));
+      this.openFiles.delete(file.path);
+    }
+    return FILE_OK;
+  }
+  
+  makeFile(fcb) {
+    const pattern = this.fcbPattern(fcb);
+    const drive = this.core.peekByte(fcb);
+    if (pattern.includes('?') || (drive === 0 ? this.drive : drive - 1) !== 0) {
+      return FILE_ERROR;
+    }
+    
+    // Reuse the name of an existing file that differs only in case
+    const path = this.findFiles(fcb)[0]?.path ?? fileNameOf(pattern);
+    this.openFiles.set(path, { bytes: new Uint8Array(RECORD_SIZE * 8), length: 0 });
+    this.core.writeByte(fcb + 13, 0);
+    this.setSequentialRecord(fcb, 0, path);
+    return FILE_OK;
+  }
+  
+  deleteFiles(fcb) {
+    const files = this.findFiles(fcb);
+    files.forEach(({ path }) => {
+      this.openFiles.delete(path);
+      if (this.disk.hasFile(path)) this.disk.removeFile(path);
+    });
+    return files.length > 0 ? FILE_OK : FILE_ERROR;
+  }
+  
+  // The new name is in the second half of the FCB
+  renameFile(fcb) {
+    const file = this.fcbFile(fcb);
+    const newName = String.fromCharCode(...this.readMemory(fcb + 17, 11).map(code => code & 0x7F));
+    if (!file || newName.includes('?')) return FILE_ERROR;
+    
+    const data = this.fileData(file.path).slice();
+    this.openFiles.delete(file.path);
+    this.disk.removeFile(file.path);
+    this.disk.setFile(fileNameOf(newName), data);
+    return FILE_OK;
+  }
+  
+  // Next entry of a directory search, written to the DMA buffer
+  nextSearchResult() {
+    const file = this.searchResults.shift();
+    if (!file) return FILE_ERROR;
+    
+    const records = this.recordCount(file.path);
+    const extent = records > 0 ? Math.floor((records - 1) / RECORDS_PER_EXTENT) : 0;
+    const entry = new Array(32).fill(0);
+    entry[0] = this.user;
+    Array.from(file.entry).forEach((char, i) => { entry[1 + i] = char.charCodeAt(0); });
+    entry[12] = extent & 0x1F;
+    entry[14] = (extent >> 5) & 0x3F;
+    entry[15] = records - extent * RECORDS_PER_EXTENT;
+    this.writeMemory(this.dma, entry);
+    return 0;
+  }
+  
+  // Read or write one record at the DMA address
+  transferRecord(path, record, write) {
+    const offset = record * RECORD_SIZE;
+    
+    if (!write) {
+      const data = this.fileData(path);
+      if (offset >= data.length) return FILE_EOF;
+      const bytes = new Uint8Array(RECORD_SIZE).fill(EOF_CHAR);
+      bytes.set(data.subarray(offset, offset + RECORD_SIZE));
+      this.writeMemory(this.dma, bytes);
+      return FILE_OK;
+    }
+    
+    let file = this.openFiles.get(path);
+    if (!file) {
+      const data = this.disk.hasFile(path) ? this.disk.readBinary(path) : new Uint8Array(0);
+      file = { bytes: new Uint8Array(Math.max(data.length, RECORD_SIZE * 8)), length: data.length };
+      file.bytes.set(data);
+      this.openFiles.set(path, file);
+    }
+    if (offset + RECORD_SIZE > file.bytes.length) {
+      const bytes = new Uint8Array(Math.max(file.bytes.length * 2, offset + RECORD_SIZE));
+      bytes.set(file.bytes);
+      file.bytes = bytes;
+    }
+    file.bytes.set(this.readMemory(this.dma, RECORD_SIZE), offset);
+    file.length = Math.max(file.length, offset + RECORD_SIZE);
+    return FILE_OK;
+  }
+  
+  // BDOS functions 20 and 21: transfer a record and advance
+  transferSequential(fcb, write) {
+    const file = this.fcbFile(fcb);
+    if (!file) return write ? FILE_ERROR : FILE_EOF;
+    
+    const record = this.sequentialRecord(fcb);
+    const result = this.transferRecord(file.path, record, write);
+    if (result === FILE_OK) {
+      this.setSequentialRecord(fcb, record + 1, file.path);
+    }
+    return result;
+  }
+  
+  // BDOS functions 33, 34 and 40: transfer the record R0-R2 names; the
+  // sequential position moves to it, as in CP/M
+  transferRandom(fcb, write) {
+    const file = this.fcbFile(fcb);
+    if (!file) return write ? FILE_ERROR : FILE_EOF;
+    
+    const [r0, r1, r2] = this.readMemory(fcb + 33, 3);
+    if (r2 !== 0) return FILE_SEEK_PAST_END;
+    
+    const record = r0 | (r1 << 8);
+    const result = this.transferRecord(file.path, record, write);
+    this.setSequentialRecord(fcb, record, file.path);
+    return result;
+  }
+  
+  computeFileSize(fcb) {
+    const file = this.fcbFile(fcb);
+    this.setRandomRecord(fcb, file ? this.recordCount(file.path) : 0);
+    this.setResult(file ? FILE_OK : FILE_ERROR);
+  }
+  
+  // Subscribe to output, input and program state changes; returns an
+  // unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default CpmSystem;
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Z80Core from './Z80Core.js';
+import CpmSystem from './CpmSystem.js';
+import Workspace from '../assembler/Workspace.js';
+import Z80Assembler from '../assembler/Z80Assembler.js';
+
+// Prompts, reads a key and a line, saves the line to OUT.TXT, counts the
+// records of IN.TXT and returns to CP/M
+const PROGRAM = `
+BDOS    EQU 5
+        ORG 100h
+        LD DE,prompt
+        LD C,9          ; print string
+        CALL BDOS
+        LD C,1          ; console input
+        CALL BDOS
+        LD (key),A
+        LD DE,line
+        LD C,10         ; read console buffer
+        CALL BDOS
+        
+        LD DE,outFcb
+        LD C,22         ; make file
+        CALL BDOS
+        LD DE,line
+        LD C,26         ; set DMA address
+        CALL BDOS
+        LD DE,outFcb
+        LD C,21         ; write sequential
+        CALL BDOS
+        LD DE,outFcb
+        LD C,16         ; close file
+        CALL BDOS
+        
+        LD DE,80h
+        LD C,26
+        CALL BDOS
+        LD DE,inFcb
+        LD C,15         ; open file
+        CALL BDOS
+count:  LD DE,inFcb
+        LD C,20         ; read sequential
+        CALL BDOS
+        OR A
+        RET NZ          ; end of file: warm boot
+        LD HL,records
+        INC (HL)
+        JR count
+
+prompt: DB "Name? $"
+key:    DB 0
+records: DB 0
+outFcb: DB 0,"OUT     TXT"
+        DS 24
+inFcb:  DB 0,"IN      TXT"
+        DS 24
+line:   DB 20,0
+        DS 126
+`;
+
+const createSystem = (files) => {
+  const { program, symbols, errors } = new Z80Assembler().assemble(PROGRAM);
+  assert.deepEqual(errors, []);
+  
+  const core = new Z80Core();
+  const disk = new Workspace(files);
+  const cpm = new CpmSystem(core, { disk });
+  cpm.loadProgram(program.flatMap(item => item.bytes));
+  return { core, disk, cpm, symbols };
+};
+
+test('a .COM program reads the console, writes a file, reads one to its end and warm boots', () => {
+  const { core, disk, cpm, symbols } = createSystem({ 'IN.TXT': new Uint8Array(300).fill(0x41) });
+  // Runs stop when input is needed, or when the warm boot halts the CPU
+  const run = () => core.runUntil(() => cpm.waiting);
+  
+  // Function 9 prints, then function 1 waits for a key
+  run();
+  assert.equal(cpm.output, 'Name? ');
+  assert.equal(cpm.waiting, true);
+  
+  // Function 1 echoes the key; function 10 waits for a whole line
+  cpm.typeInput('y');
+  run();
+  assert.equal(cpm.output, 'Name? y');
+  assert.equal(cpm.waiting, true);
+  assert.equal(core.peekByte(symbols.key), 0x79);
+  
+  cpm.typeInput('Ada\n');
+  const result = run();
+  
+  assert.equal(result.reason, 'halted');
+  assert.equal(cpm.exited, true);
+  assert.equal(core.halted, true);
+  assert.equal(cpm.output, 'Name? yAda');
+  
+  // The line buffer went out as one record: its size, length and the text
+  const written = disk.readBinary('OUT.TXT');
+  assert.equal(written.length, 128);
+  assert.deepEqual(Array.from(written.subarray(0, 5)), [20, 3, 0x41, 0x64, 0x61]);
+  
+  // 300 bytes are three records, the last one padded with ^Z
+  assert.equal(core.peekByte(symbols.records), 3);
+  assert.equal(core.peekByte(0x80 + 43), 0x41);
+  assert.equal(core.peekByte(0x80 + 44), 0x1A);
+});
@@ -0,0 +1,218 @@
+/**
+ * Instruction Exerciser
+ *
+ * Checks Z80Core's instructions the way the ZEXDOC and ZEXALL exercisers
+ * check a real CPU. A group names one instruction pattern and three test
+ * states: a base state, a counter state whose set bits are cycled through
+ * every combination, and a shift state whose set bits are flipped one at a
+ * time. For each resulting state the instruction runs once from fresh
+ * registers, and the machine state after it (with the flags masked) is fed
+ * into a CRC-32. A group passes when its CRC matches the known-good value.
+ *
+ * The groups are in ExerciserSuites.js, with CRCs recorded from an
+ * independent reference core (see bin/z80selftest.js --record). The same
+ * report can be had from the original CP/M exercisers with
+ * parseExerciserOutput().
+ */
+
+import Z80Core from './Z80Core.js';
+
+// Where the instruction under test and its memory operand live
+export const TEST_ADDRESS = 0x8000;
+export const MEMOP_ADDRESS = 0x9000;
+
+// Flags a documented-only run compares: all but the X and Y bits
+export const DOCUMENTED_FLAGS = 0xD7;
+
+// A test state is 4 instruction bytes, the 16-bit memory operand, IY, IX,
+// HL, DE and BC (low byte first), F, A and SP
+const STATE_SIZE = 20;
+
+// Enough for a repeating block instruction with a small count to finish
+export const MAX_STEPS = 0x10000;
+
+/**
+ * Build a test state, with the fields in the order of ZEXDOC's tstr macro.
+ * @param {number[]} instruction - Up to 4 instruction bytes
+ * @returns {Uint8Array}
+ */
+export const testState = (instruction, memop = 0, iy = 0, ix = 0, hl = 0, de = 0, bc = 0, f = 0, a = 0, sp = 0) => {
+  const state = new Uint8Array(STATE_SIZE);
+  state.set(instruction.slice(0, 4));
+  [memop, iy, ix, hl, de, bc].forEach((word, index) => {
+    state[4 + index * 2] = word & 0xFF;
+    state[5 + index * 2] = (word >> 8) & 0xFF;
+  });
+  state[16] = f & 0xFF;
+  state[17] = a & 0xFF;
+  state[18] = sp & 0xFF;
+  state[19] = (sp >> 8) & 0xFF;
+  return state;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? (value >>> 1) ^ 0xEDB88320 : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+// Standard CRC-32 (as used by zip); the caller starts with FFFFFFFFh and
+// inverts the result
+const updateCrc = (crc, bytes) => {
+  let value = crc;
+  for (let i = 0; i < bytes.length; i++) {
+    value = CRC_TABLE[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+  }
+  return value >>> 0;
+};
+
+// [byte index, bit value] of every bit set in a state
+const setBits = (state) => {
+  const bits = [];
+  state.forEach((byte, index) => {
+    for (let bit = 0x01; bit <= 0x80; bit <<= 1) {
+      if (byte & bit) bits.push([index, bit]);
+    }
+  });
+  return bits;
+};
+
+// States a group runs: every counter combination with no bit, then each
+// shift bit, flipped
+export const iterationCount = (group) => 2 ** setBits(group.counter).length * (setBits(group.shift).length + 1);
+
+// Load a state, run its instruction and return the resulting state bytes
+const execute = (core, flagMask, state) => {
+  const regs = core.registers;
+  const word = (index) => state[index] | (state[index + 1] << 8);
+  
+  for (let i = 0; i < 4; i++) {
+    core.pokeByte(TEST_ADDRESS + i, state[i]);
+  }
+  core.pokeByte(MEMOP_ADDRESS, state[4]);
+  core.pokeByte(MEMOP_ADDRESS + 1, state[5]);
+  regs.iy = word(6);
+  regs.ix = word(8);
+  core.setHL(word(10));
+  core.setDE(word(12));
+  core.setBC(word(14));
+  core.setF(state[16]);
+  regs.a = state[17];
+  regs.sp = word(18);
+  regs.pc = TEST_ADDRESS;
+  regs.wz = 0;
+  core.halted = false;
+  
+  // Repeating block instructions run until they finish
+  let steps = 0;
+  do {
+    core.step();
+    steps++;
+  } while (regs.pc === TEST_ADDRESS && !core.halted && steps < MAX_STEPS);
+  
+  return [
+    core.peekByte(MEMOP_ADDRESS), core.peekByte(MEMOP_ADDRESS + 1),
+    regs.iy & 0xFF, regs.iy >> 8, regs.ix & 0xFF, regs.ix >> 8,
+    regs.l, regs.h, regs.e, regs.d, regs.c, regs.b,
+    core.getF() & flagMask, regs.a, regs.sp & 0xFF, regs.sp >> 8,
+  ];
+};
+
+/**
+ * The flag bits a group compares.
+ * @param {Object} group
+ * @param {boolean} undocumented - Compare the X and Y flags too
+ * @returns {number}
+ */
+export const groupFlagMask = (group, undocumented) => {
+  return undocumented ? group.flagMask : group.flagMask & DOCUMENTED_FLAGS;
+};
+
+/**
+ * Run every state of a group through a CPU and CRC the results.
+ * @param {Object} group - A group from ExerciserSuites.js
+ * @param {function(Uint8Array): number[]} run - Loads a test state, runs its
+ *   instruction at TEST_ADDRESS and returns the memory operand, IY, IX, HL, DE
+ *   and BC (low byte first), the masked F, A and SP
+ * @returns {{crc: string, iterations: number}}
+ */
+export const groupCrc = (group, run) => {
+  const counterBits = setBits(group.counter);
+  const shiftBits = setBits(group.shift);
+  const state = new Uint8Array(STATE_SIZE);
+  let crc = 0xFFFFFFFF;
+  let iterations = 0;
+  
+  for (let count = 0; count < 2 ** counterBits.length; count++) {
+    for (let shift = -1; shift < shiftBits.length; shift++) {
+      state.set(group.base);
+      counterBits.forEach(([index, bit], position) => {
+        if (count & (1 << position)) state[index] ^= bit;
+      });
+      if (shift >= 0) {
+        state[shiftBits[shift][0]] ^= shiftBits[shift][1];
+      }
+      crc = updateCrc(crc, run(state));
+      iterations++;
+    }
+  }
+  
+  return { crc: ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0'), iterations };
+};
+
+/**
+ * Run one group on a fresh core.
+ * @param {Object} group - A group from ExerciserSuites.js
+ * @param {Object} [options]
+ * @param {boolean} [options.undocumented=false] - Model undocumented behaviour
+ *   and compare the X and Y flags (as ZEXALL does), against group.crcAll
+ * @returns {{name: string, crc: string, expected: string|null, passed: boolean, iterations: number}}
+ */
+export const runGroup = (group, { undocumented = false } = {}) => {
+  const core = new Z80Core({ undocumented });
+  core.reset();
+  
+  const flagMask = groupFlagMask(group, undocumented);
+  const { crc, iterations } = groupCrc(group, state => execute(core, flagMask, state));
+  const expected = (undocumented ? group.crcAll : group.crc) ?? null;
+  return { name: group.name, crc, expected, passed: crc === expected, iterations };
+};
+
+/**
+ * The groups a run covers: groups of undocumented instructions only run
+ * when undocumented behaviour is modelled.
+ * @param {Object[]} groups
+ * @param {Object} [options]
+ * @param {boolean} [options.undocumented=false]
+ * @param {string} [options.filter] - Only groups whose name contains this
+ */
+export const selectGroups = (groups, { undocumented = false, filter = '' } = {}) => {
+  return groups.filter(group => (undocumented || !group.undocumented) &&
+    group.name.toLowerCase().includes(filter.toLowerCase()));
+};
+
+/**
+ * Read the per-group results from the console output of the CP/M ZEXDOC or
+ * ZEXALL programs: lines of a group name, dots, and "OK" or "ERROR **** crc
+ * expected:... found:...".
+ * @param {string} text
+ * @returns {Array<{name: string, passed: boolean, expected: string|null, crc: string|null}>}
+ */
+export const parseExerciserOutput = (text) => {
+  const results = [];
+  text.split(/[\r\n]+/).forEach(line => {
+    const match = /^(\S.*?)\.{2,}\s*(OK|ERROR\b.*)$/.exec(line.trimEnd());
+    if (!match) return;
+    
+    const crcs = /expected:\s*([0-9a-f]{8})\s+found:\s*([0-9a-f]{8})/i.exec(match[2]);
+    results.push({
+      name: match[1],
+      passed: match[2] === 'OK',
+      expected: crcs ? crcs[1].toLowerCase() : null,
+      crc: crcs ? crcs[2].toLowerCase() : null,
+    });
+  });
+  return results;
+};
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runGroup, selectGroups } from './Exerciser.js';
+import { EXERCISER_GROUPS } from './ExerciserSuites.js';
+
+// The expected CRCs are the reference core's, so these compare Z80Core with it
+test('every documented group gives the reference CRC', () => {
+  selectGroups(EXERCISER_GROUPS).forEach(group => {
+    const result = runGroup(group);
+    assert.equal(result.crc, result.expected, group.name);
+  });
+});
+
+test('every group gives the reference CRC with undocumented behaviour modelled', () => {
+  selectGroups(EXERCISER_GROUPS, { undocumented: true }).forEach(group => {
+    const result = runGroup(group, { undocumented: true });
+    assert.equal(result.crc, result.expected, group.name);
+  });
+});
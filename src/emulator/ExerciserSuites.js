@@ -0,0 +1,385 @@
+/**
+ * Instruction Exerciser Groups
+ *
+ * The groups the exerciser runs, modelled on those of ZEXDOC and ZEXALL:
+ * each covers one instruction pattern, with counter bits in the opcode
+ * selecting the variants (registers, operations, bit numbers) and the other
+ * counter and shift bits varying the operands and flags. Registers that
+ * point at the memory operand (HL, or IX and IY with a displacement of +1)
+ * are held fixed.
+ *
+ * `crc` is the expected CRC with the documented flags compared and `crcAll`
+ * with every flag bit and undocumented behaviour modelled. The base vectors
+ * are ZEXDOC's, but the memory operand lives elsewhere and each state is
+ * loaded and CRCed differently, so ZEXDOC's published CRCs do not apply.
+ * The CRCs here come instead from running the same vectors on z80-emulator,
+ * a separately written core that passes the FUSE test suite; print them with
+ * `node bin/z80selftest.js --record` (and `--all --record`). They must never
+ * be recorded from Z80Core. Undocumented instructions are kept to groups of
+ * their own, as Z80Core leaves them alone unless undocumented behaviour is
+ * modelled.
+ */
+
+import { testState, MEMOP_ADDRESS } from './Exerciser.js';
+
+// The memory operand, and its address split for instruction operands
+const M = MEMOP_ADDRESS;
+const M_LOW = M & 0xFF;
+const M_HIGH = M >> 8;
+
+// IX and IY for (IX+1) and (IY+1) to address the memory operand
+const M_INDEX = M - 1;
+
+export const EXERCISER_GROUPS = [
+  {
+    name: '<adc,sbc> hl,<bc,de,hl,sp>',
+    flagMask: 0xFF,
+    base: testState([0xED, 0x42], 0x832C, 0x4F88, 0xF22B, 0xB339, 0x7E1F, 0x1563, 0xD3, 0x89, 0x465E),
+    counter: testState([0x00, 0x38], 0, 0, 0, 0xF821, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0, 0xFFFF),
+    crc: 'e33a5782',
+    crcAll: '40f35ee1',
+  },
+  {
+    name: 'add hl,<bc,de,hl,sp>',
+    flagMask: 0xFF,
+    base: testState([0x09], 0xC4A5, 0xC4C7, 0xD226, 0xA050, 0x58EA, 0x8566, 0xC6, 0xDE, 0x9BC9),
+    counter: testState([0x30], 0, 0, 0, 0xF821, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD7, 0, 0xFFFF),
+    crc: '07c19af3',
+    crcAll: 'de231c1f',
+  },
+  {
+    name: 'add ix,<bc,de,ix,sp>',
+    flagMask: 0xFF,
+    base: testState([0xDD, 0x09], 0xD5BE, 0x1CE3, 0xE20E, 0x8F2C, 0xE0F5, 0x1B06, 0x4C, 0xC1, 0x56C4),
+    counter: testState([0x00, 0x30], 0, 0, 0xF821, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD7, 0, 0xFFFF),
+    crc: '1c108cbe',
+    crcAll: '81cf03d5',
+  },
+  {
+    name: 'add iy,<bc,de,iy,sp>',
+    flagMask: 0xFF,
+    base: testState([0xFD, 0x09], 0xD7C6, 0xC1AD, 0x1F2E, 0x9A5F, 0xF21E, 0x4B4A, 0x2D, 0x3F, 0x67D9),
+    counter: testState([0x00, 0x30], 0, 0xF821, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD7, 0, 0xFFFF),
+    crc: '584dc8f6',
+    crcAll: 'cc909022',
+  },
+  {
+    name: 'aluop a,nn',
+    flagMask: 0xFF,
+    base: testState([0xC6, 0x00], 0x9140, 0x7E3C, 0x7A67, 0xDF6D, 0x5B61, 0x0B29, 0x10, 0x66, 0x85B2),
+    counter: testState([0x38, 0xFF], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0xD6, 0xFF, 0),
+    crc: 'ee3ec13c',
+    crcAll: '9365a80a',
+  },
+  {
+    name: 'aluop a,<b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xFF,
+    base: testState([0x80], 0xC53E, 0x573A, 0x4C4D, M, 0xE309, 0xA666, 0xD0, 0x3B, 0xADBB),
+    counter: testState([0x3F], 0, 0, 0, 0, 0, 0, 0x01, 0x81, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crc: '9aa179bb',
+    crcAll: '29106c47',
+  },
+  {
+    name: 'aluop a,<ixh,ixl,iyh,iyl>',
+    flagMask: 0xFF,
+    undocumented: true,
+    base: testState([0xDD, 0x84], 0xD6F7, 0xC76E, 0xACCF, 0x2847, 0x22DD, 0xC035, 0xC5, 0x38, 0x234B),
+    counter: testState([0x20, 0x39], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0, 0xFFFF, 0xFFFF, 0, 0, 0, 0xD6, 0xFF, 0),
+    crcAll: '755a0d03',
+  },
+  {
+    name: 'aluop a,(<ix,iy>+1)',
+    flagMask: 0xFF,
+    base: testState([0xDD, 0x86, 0x01], 0x90B7, M_INDEX, M_INDEX, 0x32FD, 0x406E, 0xC1DC, 0x45, 0x6E, 0xE5FA),
+    counter: testState([0x20, 0x38], 0x0081, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD6, 0xFF, 0),
+    crc: '7881983d',
+    crcAll: 'f6b14f8b',
+  },
+  {
+    name: 'bit n,(<ix,iy>+1)',
+    flagMask: 0x53,
+    base: testState([0xDD, 0xCB, 0x01, 0x46], 0x2075, M_INDEX, M_INDEX, 0x3CFC, 0xA79A, 0x3D74, 0x51, 0x27, 0xCA14),
+    counter: testState([0x20, 0x00, 0x00, 0x38], 0, 0, 0, 0, 0, 0, 0x53, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0, 0, 0),
+    crc: '881182fd',
+    crcAll: '881182fd',
+  },
+  {
+    name: 'bit n,<b,c,d,e,h,l,(hl),a>',
+    flagMask: 0x53,
+    base: testState([0xCB, 0x40], 0xF1FE, 0x3579, 0xD871, M, 0x8D2E, 0x6A13, 0x82, 0x1A, 0x4C93),
+    counter: testState([0x00, 0x3F], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0x52, 0xFF, 0),
+    crc: '420f8f43',
+    crcAll: '420f8f43',
+  },
+  {
+    name: 'cp<i,d><r>',
+    flagMask: 0xD7,
+    base: testState([0xED, 0xA1], 0x14F6, 0x4884, 0x7C0E, M, 0x22D3, 0x0001, 0x93, 0xF6, 0x1B6C),
+    counter: testState([0x00, 0x18], 0, 0, 0, 0, 0, 0x000E, 0x01, 0, 0),
+    shift: testState([], 0xFFFF, 0, 0, 0, 0, 0, 0xD6, 0xFF, 0),
+    crc: '110de5a6',
+    crcAll: '110de5a6',
+  },
+  {
+    name: '<daa,cpl,scf,ccf>',
+    flagMask: 0xD7,
+    base: testState([0x27], 0x2141, 0x09FA, 0x1D60, 0xA559, 0x8D5B, 0x9079, 0x04, 0x8E, 0x299D),
+    counter: testState([0x18], 0, 0, 0, 0, 0, 0, 0xD7, 0xFF, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    crc: '64b4598a',
+    crcAll: '64b4598a',
+  },
+  {
+    name: '<inc,dec> <b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xFF,
+    base: testState([0x04], 0xB66E, 0x0BE1, 0x56A4, M, 0x3C95, 0x7E80, 0xD6, 0x7F, 0x5F77),
+    counter: testState([0x39], 0x0001, 0, 0, 0, 0x0101, 0x0101, 0x01, 0x81, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crc: '8fe00127',
+    crcAll: 'a1248d09',
+  },
+  {
+    name: '<inc,dec> <bc,de,hl,sp>',
+    flagMask: 0xFF,
+    base: testState([0x03], 0x3F17, 0x18E8, 0x2ABF, 0xE81F, 0x00FF, 0xFFFF, 0xC7, 0x91, 0x8000),
+    counter: testState([0x38], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0xFFFF, 0xFFFF, 0xFFFF, 0xD7, 0, 0xFFFF),
+    crc: '0e38af2c',
+    crcAll: '0e38af2c',
+  },
+  {
+    name: '<inc,dec> (<ix,iy>+1)',
+    flagMask: 0xFF,
+    base: testState([0xDD, 0x34, 0x01], 0x0F7F, M_INDEX, M_INDEX, 0x5A16, 0x15C2, 0x5E8A, 0xA5, 0x4E, 0x7D39),
+    counter: testState([0x20, 0x01], 0x00FF, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crc: '2942b014',
+    crcAll: '103c4442',
+  },
+  {
+    name: '<inc,dec> <ixh,ixl,iyh,iyl>',
+    flagMask: 0xFF,
+    undocumented: true,
+    base: testState([0xDD, 0x24], 0x5D44, 0x7F80, 0x0F7F, 0xC81C, 0x0A21, 0x4BDE, 0x66, 0x3A, 0x69E6),
+    counter: testState([0x20, 0x09], 0, 0x8181, 0x8181, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0, 0xFFFF, 0xFFFF, 0, 0, 0, 0xD6, 0, 0),
+    crcAll: 'ac513e8f',
+  },
+  {
+    name: 'ld <bc,de,hl,sp>,(nnnn)',
+    flagMask: 0xD7,
+    base: testState([0xED, 0x4B, M_LOW, M_HIGH], 0xF9A8, 0x0F41, 0x9E4B, 0x3E1D, 0xA1E5, 0x4D3F, 0x0A, 0x58, 0x1D0C),
+    counter: testState([0x00, 0x30], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0xFFFF, 0, 0, 0, 0, 0, 0, 0, 0),
+    crc: 'c935e79e',
+    crcAll: 'c935e79e',
+  },
+  {
+    name: 'ld (nnnn),<bc,de,hl,sp>',
+    flagMask: 0xD7,
+    base: testState([0xED, 0x43, M_LOW, M_HIGH], 0x1F70, 0x4C7F, 0xA3E2, 0x6BC5, 0x9FD8, 0x8106, 0x54, 0xE2, 0x2311),
+    counter: testState([0x00, 0x30], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0xFFFF, 0xFFFF, 0xFFFF, 0, 0, 0xFFFF),
+    crc: 'a46f3dcd',
+    crcAll: 'a46f3dcd',
+  },
+  {
+    name: 'ld <ix,iy>,(nnnn) and ld (nnnn),<ix,iy>',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0x22, M_LOW, M_HIGH], 0x8D2B, 0xB5A0, 0x61D6, 0x1EC1, 0x5D85, 0xF6E9, 0xC3, 0x65, 0x90AE),
+    counter: testState([0x20, 0x08], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0xFFFF, 0xFFFF, 0xFFFF, 0xFFFF, 0, 0, 0, 0, 0),
+    crc: 'a656e300',
+    crcAll: 'a656e300',
+  },
+  {
+    name: 'ld <(bc),(de)>,a and ld a,<(bc),(de)>',
+    flagMask: 0xD7,
+    base: testState([0x02], 0xA6B1, 0xA07B, 0x3D0B, 0xB2C4, M, M, 0x0D, 0x72, 0x5E3B),
+    counter: testState([0x18], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0xFFFF, 0, 0, 0, 0, 0, 0xD7, 0xFF, 0),
+    crc: 'a57b1f70',
+    crcAll: 'a57b1f70',
+  },
+  {
+    name: 'ld <b,c,d,e,h,l,(hl),a>,nn',
+    flagMask: 0xD7,
+    base: testState([0x06, 0x00], 0x3C8A, 0x1FB7, 0xE4B6, M, 0x0AA8, 0x3E50, 0x93, 0xC7, 0x6604),
+    counter: testState([0x38, 0x00], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([0x00, 0xFF], 0x00FF, 0, 0, 0, 0, 0, 0, 0, 0),
+    crc: '2d028c9b',
+    crcAll: '2d028c9b',
+  },
+  {
+    name: 'ld <b,c,d,e>,(<ix,iy>+1)',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0x46, 0x01], 0xE4A2, M_INDEX, M_INDEX, 0x2B6E, 0x3C9A, 0xF1A6, 0xB9, 0x0E, 0x5A2B),
+    counter: testState([0x20, 0x18], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0, 0, 0),
+    crc: '0d224871',
+    crcAll: '0d224871',
+  },
+  {
+    name: 'ld (<ix,iy>+1),<b,c,d,e>',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0x70, 0x01], 0x27F3, M_INDEX, M_INDEX, 0x7A1C, 0xC4DB, 0x3E20, 0x2E, 0x8D, 0xE1CC),
+    counter: testState([0x20, 0x03], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0, 0, 0),
+    crc: '072548cb',
+    crcAll: '072548cb',
+  },
+  {
+    name: 'ld <b,c,d,e,h,l,(hl),a>,<b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    base: testState([0x40], 0x72A4, 0xA024, 0x61AC, M, 0x82C7, 0x718F, 0x97, 0x8F, 0xEF8E),
+    counter: testState([0x3F], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0, 0xFF, 0),
+    crc: '8d21f93b',
+    crcAll: '8d21f93b',
+  },
+  {
+    name: 'ld <ixh,ixl,iyh,iyl>,<b,c,d,e,ixh,ixl,a>',
+    flagMask: 0xD7,
+    undocumented: true,
+    base: testState([0xDD, 0x60], 0x6E1E, 0x9A46, 0x0D53, 0x4D31, 0xA8A3, 0x5EA8, 0x3A, 0x71, 0x8C1F),
+    counter: testState([0x20, 0x0F], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0xFFFF, 0xFFFF, 0, 0xFFFF, 0xFFFF, 0, 0xFF, 0),
+    crcAll: 'a5d71e65',
+  },
+  {
+    name: 'ld<i,d><r>',
+    flagMask: 0xD7,
+    base: testState([0xED, 0xA0], 0x3C4A, 0xE9E2, 0xB7A0, M, M + 0x10, 0x0001, 0x4B, 0x67, 0x2CF1),
+    counter: testState([0x00, 0x18], 0, 0, 0, 0, 0, 0x000E, 0, 0, 0),
+    shift: testState([], 0xFFFF, 0, 0, 0, 0, 0, 0xD7, 0, 0),
+    crc: 'e9c6ef57',
+    crcAll: 'e9c6ef57',
+  },
+  {
+    name: 'neg',
+    flagMask: 0xD7,
+    base: testState([0xED, 0x44], 0x38A2, 0x5F6B, 0xD934, 0x57E4, 0xD2D6, 0x4642, 0x43, 0x5A, 0x09CC),
+    counter: testState([], 0, 0, 0, 0, 0, 0, 0, 0xFF, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0xD7, 0, 0),
+    crc: 'bca097f6',
+    crcAll: 'bca097f6',
+  },
+  {
+    name: '<rld,rrd>',
+    flagMask: 0xD7,
+    base: testState([0xED, 0x67], 0x91CB, 0xC48B, 0xFA62, M, 0xE720, 0xB479, 0x40, 0x06, 0x8AE2),
+    counter: testState([0x00, 0x08], 0x00FF, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0xD7, 0xFF, 0),
+    crc: 'ce5972e5',
+    crcAll: 'ce5972e5',
+  },
+  {
+    name: '<rlca,rrca,rla,rra>',
+    flagMask: 0xD7,
+    base: testState([0x07], 0x0FB6, 0x6F8E, 0x56F7, 0x45BC, 0x84D6, 0xC04A, 0xC2, 0xD2, 0x7E3B),
+    counter: testState([0x18], 0, 0, 0, 0, 0, 0, 0x01, 0xFF, 0),
+    shift: testState([], 0, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crc: 'c949a991',
+    crcAll: 'c949a991',
+  },
+  {
+    name: '<rlc,rrc,rl,rr> <b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    base: testState([0xCB, 0x00], 0x5E28, 0x3F7A, 0x2D58, M, 0x5C8F, 0x8D31, 0xB0, 0x6B, 0x29AE),
+    counter: testState([0x00, 0x1F], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crc: '202a4f0d',
+    crcAll: '202a4f0d',
+  },
+  {
+    name: '<sla,sra> <b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    base: testState([0xCB, 0x20], 0x8B0C, 0xE4C2, 0x72EB, M, 0x1D46, 0x7EB7, 0x07, 0xB9, 0xC2D5),
+    counter: testState([0x00, 0x0F], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crc: 'edeca5cd',
+    crcAll: 'edeca5cd',
+  },
+  {
+    name: 'srl <b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    base: testState([0xCB, 0x38], 0x6C1A, 0x0E3B, 0xF0D9, M, 0x48E5, 0x2697, 0x14, 0x5C, 0x3B80),
+    counter: testState([0x00, 0x07], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crc: '6a4cee8e',
+    crcAll: '6a4cee8e',
+  },
+  {
+    name: 'sll <b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    undocumented: true,
+    base: testState([0xCB, 0x30], 0xAA71, 0x32D0, 0x5B37, M, 0x9B5E, 0x0E0C, 0x51, 0xA4, 0x70E2),
+    counter: testState([0x00, 0x07], 0, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD6, 0xFF, 0),
+    crcAll: '4a78b9f6',
+  },
+  {
+    name: '<rlc,rrc,rl,rr> (<ix,iy>+1)',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0xCB, 0x01, 0x06], 0xDDAF, M_INDEX, M_INDEX, 0xFF3C, 0xDBF6, 0x94F4, 0x82, 0x80, 0x61D9),
+    counter: testState([0x20, 0x00, 0x00, 0x18], 0x0080, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crc: '2ac63137',
+    crcAll: '2ac63137',
+  },
+  {
+    name: '<sla,sra> (<ix,iy>+1)',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0xCB, 0x01, 0x26], 0xDDAF, M_INDEX, M_INDEX, 0xFF3C, 0xDBF6, 0x94F4, 0x82, 0x80, 0x61D9),
+    counter: testState([0x20, 0x00, 0x00, 0x08], 0x0080, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crc: 'a418abb9',
+    crcAll: 'a418abb9',
+  },
+  {
+    name: 'srl (<ix,iy>+1)',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0xCB, 0x01, 0x3E], 0xDDAF, M_INDEX, M_INDEX, 0xFF3C, 0xDBF6, 0x94F4, 0x82, 0x80, 0x61D9),
+    counter: testState([0x20, 0x00, 0x00, 0x00], 0x0080, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crc: '4741fbbe',
+    crcAll: '4741fbbe',
+  },
+  {
+    name: 'sll (<ix,iy>+1)',
+    flagMask: 0xD7,
+    undocumented: true,
+    base: testState([0xDD, 0xCB, 0x01, 0x36], 0xDDAF, M_INDEX, M_INDEX, 0xFF3C, 0xDBF6, 0x94F4, 0x82, 0x80, 0x61D9),
+    counter: testState([0x20, 0x00, 0x00, 0x00], 0x0080, 0, 0, 0, 0, 0, 0x01, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD6, 0, 0),
+    crcAll: '8a0d9eff',
+  },
+  {
+    name: '<set,res> n,<b,c,d,e,h,l,(hl),a>',
+    flagMask: 0xD7,
+    base: testState([0xCB, 0x80], 0x2CD5, 0x97AB, 0x39FF, M, 0xD14B, 0x6AB2, 0x53, 0x27, 0xB538),
+    counter: testState([0x00, 0x7F], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0xFFFF, 0xFFFF, 0xD7, 0xFF, 0),
+    crc: '4f49ea4a',
+    crcAll: '4f49ea4a',
+  },
+  {
+    name: '<set,res> n,(<ix,iy>+1)',
+    flagMask: 0xD7,
+    base: testState([0xDD, 0xCB, 0x01, 0x86], 0x447F, M_INDEX, M_INDEX, 0x7D5A, 0x5C26, 0x1B80, 0x8E, 0xCB, 0x0B1F),
+    counter: testState([0x20, 0x00, 0x00, 0x78], 0, 0, 0, 0, 0, 0, 0, 0, 0),
+    shift: testState([], 0x00FF, 0, 0, 0, 0, 0, 0xD7, 0, 0),
+    crc: '641493f5',
+    crcAll: '641493f5',
+  },
+];
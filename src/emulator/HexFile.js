@@ -0,0 +1,277 @@
+/**
+ * Intel HEX and Motorola S-Record Files
+ *
+ * The text formats build tools and EPROM programmers use for binary images.
+ * Each line is a checksummed record holding a few bytes for an address, so a
+ * file can describe several separate areas of memory. Parsing checks every
+ * checksum and returns the data as contiguous segments; writing produces
+ * the same formats from segments.
+ */
+
+// Data bytes per record when writing
+const RECORD_SIZE = 16;
+
+// Longest S0 header: the length byte also counts the address and checksum
+const MAX_SRECORD_HEADER = 0xFF - 3;
+
+const hex = (value, digits) => value.toString(16).padStart(digits, '0').toUpperCase();
+
+const lineError = (index, message) => new Error(`Line ${index + 1}: ${message}`);
+
+// Decode the hex digits of a record into bytes
+const decodeRecord = (text, index) => {
+  if (!/^([0-9A-Fa-f]{2})+$/.test(text)) {
+    throw lineError(index, 'record is not an even number of hex digits');
+  }
+  const bytes = [];
+  for (let i = 0; i < text.length; i += 2) {
+    bytes.push(parseInt(text.slice(i, i + 2), 16));
+  }
+  return bytes;
+};
+
+const sum = (bytes) => bytes.reduce((total, value) => total + value, 0) & 0xFF;
+
+const checkChecksum = (index, found, expected) => {
+  if (found !== expected) {
+    throw lineError(index, `checksum is ${hex(found, 2)}, expected ${hex(expected, 2)}`);
+  }
+};
+
+/**
+ * Collects data records into a 64K image and returns it as contiguous
+ * segments. Where records overlap, the later one wins.
+ */
+const createImage = () => {
+  const data = new Uint8Array(0x10000);
+  const used = new Uint8Array(0x10000);
+
+  return {
+    write(address, bytes, index) {
+      if (address + bytes.length > 0x10000) {
+        throw lineError(index, `data at ${hex(address, 5)}h is outside the 64K address space`);
+      }
+      data.set(bytes, address);
+      used.fill(1, address, address + bytes.length);
+    },
+
+    segments() {
+      const segments = [];
+      let address = 0;
+      while (address < 0x10000) {
+        if (!used[address]) {
+          address++;
+          continue;
+        }
+        const start = address;
+        while (address < 0x10000 && used[address]) address++;
+        segments.push({ address: start, bytes: data.slice(start, address) });
+      }
+      return segments;
+    },
+  };
+};
+
+/**
+ * Merge blocks of bytes (such as the lines of an assembled program) into
+ * contiguous segments, in address order.
+ * @param {Array<{address: number, bytes: ArrayLike<number>}>} blocks
+ * @returns {Array<{address: number, bytes: Uint8Array}>}
+ */
+export const buildSegments = (blocks) => {
+  const image = createImage();
+  blocks.forEach((block, index) => image.write(block.address, Array.from(block.bytes), index));
+  return image.segments();
+};
+
+/**
+ * Parse an Intel HEX file. Extended segment (02) and linear (04) address
+ * records move the base address; start address records (03, 05) give the
+ * entry point.
+ * @returns {{format: string, segments: Array<{address: number, bytes: Uint8Array}>, entry: number|null}}
+ * @throws {Error} Naming the line of the first bad record
+ */
+export const parseIntelHex = (text) => {
+  const image = createImage();
+  let base = 0;
+  let entry = null;
+  let ended = false;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || ended) return;
+    if (line[0] !== ':') {
+      throw lineError(index, 'record does not start with ":"');
+    }
+
+    const bytes = decodeRecord(line.slice(1), index);
+    if (bytes.length < 5 || bytes.length !== bytes[0] + 5) {
+      throw lineError(index, 'record length does not match its byte count');
+    }
+    checkChecksum(index, bytes[bytes.length - 1], (0x100 - sum(bytes.slice(0, -1))) & 0xFF);
+
+    const address = (bytes[1] << 8) | bytes[2];
+    const type = bytes[3];
+    const data = bytes.slice(4, -1);
+    const value = data.reduce((total, byte) => total * 0x100 + byte, 0);
+    const expectLength = (length) => {
+      if (data.length !== length) {
+        throw lineError(index, `record type ${hex(type, 2)} needs ${length} data bytes`);
+      }
+    };
+
+    switch (type) {
+      case 0x00:
+        image.write(base + address, data, index);
+        break;
+      case 0x01:
+        ended = true;
+        break;
+      case 0x02:
+        expectLength(2);
+        base = value * 16;
+        break;
+      case 0x03:
+        expectLength(4);
+        entry = (((data[0] << 8) | data[1]) * 16 + ((data[2] << 8) | data[3])) & 0xFFFF;
+        break;
+      case 0x04:
+        expectLength(2);
+        base = value * 0x10000;
+        break;
+      case 0x05:
+        expectLength(4);
+        entry = value & 0xFFFF;
+        break;
+      default:
+        throw lineError(index, `unknown record type ${hex(type, 2)}`);
+    }
+  });
+
+  if (!ended) {
+    throw new Error('Intel HEX file has no end-of-file record; it may be truncated');
+  }
+  return { format: 'ihex', segments: image.segments(), entry };
+};
+
+// Address bytes in each kind of S-record
+const SREC_ADDRESS_SIZE = { 0: 2, 1: 2, 2: 3, 3: 4, 5: 2, 6: 3, 7: 4, 8: 3, 9: 2 };
+
+/**
+ * Parse a Motorola S-record file (S19, S28 or S37). The S5/S6 record count
+ * is checked when present, and S7-S9 give the entry point.
+ * @returns {{format: string, segments: Array<{address: number, bytes: Uint8Array}>, entry: number|null, header: string}}
+ * @throws {Error} Naming the line of the first bad record
+ */
+export const parseSRecord = (text) => {
+  const image = createImage();
+  let entry = null;
+  let header = '';
+  let dataRecords = 0;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const type = Number(line[1]);
+    if (line[0] !== 'S' || !(type in SREC_ADDRESS_SIZE)) {
+      throw lineError(index, `"${line.slice(0, 2)}" is not an S-record type`);
+    }
+
+    const bytes = decodeRecord(line.slice(2), index);
+    if (bytes.length < 2 || bytes.length !== bytes[0] + 1) {
+      throw lineError(index, 'record length does not match its byte count');
+    }
+    checkChecksum(index, bytes[bytes.length - 1], ~sum(bytes.slice(0, -1)) & 0xFF);
+
+    const addressSize = SREC_ADDRESS_SIZE[type];
+    if (bytes[0] < addressSize + 1) {
+      throw lineError(index, 'record is too short for its address');
+    }
+    const address = bytes.slice(1, 1 + addressSize).reduce((total, byte) => total * 0x100 + byte, 0);
+    const data = bytes.slice(1 + addressSize, -1);
+
+    if (type === 0) {
+      header = String.fromCharCode(...data);
+    } else if (type <= 3) {
+      image.write(address, data, index);
+      dataRecords++;
+    } else if (type === 5 || type === 6) {
+      if (address !== dataRecords) {
+        throw lineError(index, `record count is ${address}, but ${dataRecords} data records precede it`);
+      }
+    } else {
+      entry = address & 0xFFFF;
+    }
+  });
+
+  return { format: 'srec', segments: image.segments(), entry, header };
+};
+
+/**
+ * Parse either format, telling them apart by the first record.
+ * @throws {Error} When the text is in neither format
+ */
+export const parseHexFile = (text) => {
+  const first = text.trimStart()[0];
+  if (first === ':') return parseIntelHex(text);
+  if (first === 'S') return parseSRecord(text);
+  throw new Error('Not an Intel HEX or S-record file');
+};
+
+// Split segments into records of at most RECORD_SIZE bytes
+const eachRecord = (segments, callback) => {
+  segments.forEach(segment => {
+    for (let offset = 0; offset < segment.bytes.length; offset += RECORD_SIZE) {
+      callback((segment.address + offset) & 0xFFFF, Array.from(segment.bytes.slice(offset, offset + RECORD_SIZE)));
+    }
+  });
+};
+
+const encodeBytes = (bytes) => bytes.map(byte => hex(byte, 2)).join('');
+
+/**
+ * Write segments as Intel HEX, with a start segment address record when an
+ * entry point is given.
+ * @returns {string} The file text
+ */
+export const toIntelHex = (segments, { entry = null } = {}) => {
+  const lines = [];
+  const record = (type, address, data) => {
+    const bytes = [data.length, address >> 8, address & 0xFF, type, ...data];
+    lines.push(`:${encodeBytes(bytes)}${hex((0x100 - sum(bytes)) & 0xFF, 2)}`);
+  };
+
+  eachRecord(segments, (address, data) => record(0x00, address, data));
+  if (entry !== null) {
+    record(0x03, 0, [0, 0, (entry >> 8) & 0xFF, entry & 0xFF]);
+  }
+  record(0x01, 0, []);
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Write segments as S19 records: an S0 header, S1 data, an S5 count and an
+ * S9 record holding the entry point. A header longer than 252 characters is
+ * cut to fit its record.
+ * @returns {string} The file text
+ */
+export const toSRecord = (segments, { entry = null, header = '' } = {}) => {
+  const lines = [];
+  const record = (type, address, data) => {
+    const bytes = [data.length + 3, address >> 8, address & 0xFF, ...data];
+    lines.push(`S${type}${encodeBytes(bytes)}${hex(~sum(bytes) & 0xFF, 2)}`);
+  };
+
+  let count = 0;
+  record(0, 0, Array.from(header.slice(0, MAX_SRECORD_HEADER), char => char.charCodeAt(0) & 0xFF));
+  eachRecord(segments, (address, data) => {
+    record(1, address, data);
+    count++;
+  });
+  if (count <= 0xFFFF) {
+    record(5, count, []);
+  }
+  record(9, entry ?? 0, []);
+  return `${lines.join('\n')}\n`;
+};
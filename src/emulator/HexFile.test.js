@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHexFile, parseIntelHex, parseSRecord, toIntelHex, toSRecord } from './HexFile.js';
+
+const SEGMENTS = [
+  { address: 0x0000, bytes: Uint8Array.from({ length: 20 }, (_, index) => index) },
+  { address: 0x4000, bytes: Uint8Array.of(0xC3, 0x00, 0x40) },
+  { address: 0xFFF0, bytes: new Uint8Array(16).fill(0xAA) },
+];
+
+test('a bad checksum is reported with its line number', () => {
+  assert.throws(() => parseIntelHex(':0100200001DE\n:0100200001DF\n:00000001FF\n'), {
+    message: 'Line 2: checksum is DF, expected DE',
+  });
+  assert.throws(() => parseSRecord('S0030000FC\nS1040000AA50\n'), {
+    message: 'Line 2: checksum is 50, expected 51',
+  });
+});
+
+test('extended segment (02) and linear (04) address records move the base address', () => {
+  const { segments } = parseIntelHex([
+    ':020000020100FB',
+    ':02001000AABB89',
+    ':020000040000FA',
+    ':0100200001DE',
+    ':00000001FF',
+  ].join('\n'));
+  
+  assert.deepEqual(segments, [
+    { address: 0x0020, bytes: Uint8Array.of(0x01) },
+    { address: 0x1010, bytes: Uint8Array.of(0xAA, 0xBB) },
+  ]);
+  assert.throws(() => parseIntelHex(':020000040001F9\n:0100200001DE\n:00000001FF\n'), {
+    message: 'Line 2: data at 10020h is outside the 64K address space',
+  });
+});
+
+test('an Intel HEX file without an end-of-file record is rejected as truncated', () => {
+  assert.throws(() => parseIntelHex(':0100200001DE\n'), {
+    message: 'Intel HEX file has no end-of-file record; it may be truncated',
+  });
+});
+
+test('an S5 record count that does not match the data records is an error', () => {
+  const lines = toSRecord([{ address: 0x8000, bytes: new Uint8Array(32) }]).trim().split('\n');
+  assert.deepEqual(lines.map(line => line.slice(0, 2)), ['S0', 'S1', 'S1', 'S5', 'S9']);
+  
+  lines.splice(1, 1);
+  assert.throws(() => parseSRecord(lines.join('\n')), {
+    message: 'Line 3: record count is 2, but 1 data records precede it',
+  });
+});
+
+test('an S0 header longer than a record holds is cut to 252 characters', () => {
+  const text = toSRecord([], { header: 'x'.repeat(300) });
+  
+  assert.ok(text.startsWith('S0FF0000'));
+  assert.equal(parseSRecord(text).header, 'x'.repeat(252));
+});
+
+test('segments and the entry point survive a round trip through either format', () => {
+  const intel = toIntelHex(SEGMENTS, { entry: 0x4000 });
+  assert.deepEqual(parseHexFile(intel), { format: 'ihex', segments: SEGMENTS, entry: 0x4000 });
+  
+  const motorola = toSRecord(SEGMENTS, { entry: 0x4000, header: 'test' });
+  assert.deepEqual(parseHexFile(motorola), { format: 'srec', segments: SEGMENTS, entry: 0x4000, header: 'test' });
+});
@@ -0,0 +1,287 @@
+/**
+ * Z80 Memory Map
+ *
+ * Overlays regions on the core's flat 64K memory: read-only ROM, bank-switched
+ * areas whose paged bank is selected through a port write, and mirrors that
+ * alias another address range. Addresses not covered by any region fall
+ * through to the flat memory as plain RAM. When regions overlap, the region
+ * declared last wins.
+ */
+
+class MemoryMap {
+  constructor() {
+    this.regions = [];
+    this.core = null;
+    
+    // Recent writes that were ignored because they targeted read-only memory
+    this.romWrites = [];
+    this.maxRomWrites = 100;
+    
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Declare a read-only region.
+   * @param {Object} options
+   * @param {string} options.name - Region name
+   * @param {number} options.start - First address
+   * @param {number} [options.size] - Size in bytes (defaults to the data length)
+   * @param {ArrayLike<number>} [options.data] - Initial contents
+   */
+  addRom({ name, start, size, data = [] }) {
+    const length = size ?? data.length;
+    const contents = new Uint8Array(length);
+    contents.set(Array.from(data).slice(0, length));
+    
+    return this.addRegion({
+      name,
+      type: 'rom',
+      start,
+      size: length,
+      readOnly: true,
+      banks: [contents],
+      current: 0,
+    });
+  }
+  
+  /**
+   * Declare a bank-switched region.
+   * @param {Object} options
+   * @param {string} options.name - Region name
+   * @param {number} options.start - First address of the paging window
+   * @param {number} options.size - Size of the window (and of each bank)
+   * @param {number} options.bankCount - Number of banks
+   * @param {boolean} [options.readOnly=false] - Banks hold ROM
+   * @param {Object} [options.port] - Port that selects the bank ({ start, end, mask } as on PortBus)
+   * @param {function(number): number} [options.select] - Maps the byte written to the
+   *   port to a bank number (defaults to the value modulo bankCount)
+   */
+  addBanked({ name, start, size, bankCount, readOnly = false, port = null, select = null }) {
+    const banks = Array.from({ length: bankCount }, () => new Uint8Array(size));
+    
+    const region = this.addRegion({
+      name,
+      type: 'banked',
+      start,
+      size,
+      readOnly,
+      banks,
+      current: 0,
+      port,
+      select: select || (value => value % bankCount),
+      // Last byte written to the select port, whose other bits may control
+      // more than the bank (null until a write)
+      latch: null,
+    });
+    
+    if (this.core && port) {
+      this.registerBankPort(region);
+    }
+    return region;
+  }
+  
+  /**
+   * Declare a mirror: accesses in start..end are redirected to the range
+   * beginning at source, repeating every sourceSize bytes.
+   * @param {Object} options
+   * @param {string} options.name - Region name
+   * @param {number} options.start - First mirrored address
+   * @param {number} options.end - Last mirrored address
+   * @param {number} options.source - First address of the mirrored range
+   * @param {number} [options.sourceSize] - Size of the mirrored range (defaults to end - start + 1)
+   */
+  addMirror({ name, start, end, source, sourceSize }) {
+    return this.addRegion({
+      name,
+      type: 'mirror',
+      start,
+      size: end - start + 1,
+      readOnly: false,
+      source: source & 0xFFFF,
+      sourceSize: sourceSize ?? (end - start + 1),
+    });
+  }
+  
+  addRegion(region) {
+    if (!region.name) {
+      throw new Error('A memory region needs a name');
+    }
+    if (region.start < 0 || region.size <= 0 || region.start + region.size > 0x10000) {
+      throw new Error(`Memory region "${region.name}" does not fit in the 64K address space`);
+    }
+    if (this.regions.some(existing => existing.name === region.name)) {
+      throw new Error(`Memory region "${region.name}" is already declared`);
+    }
+    
+    const added = { ...region, end: region.start + region.size - 1 };
+    this.regions.push(added);
+    this.notify();
+    return added;
+  }
+  
+  removeRegion(name) {
+    const region = this.getRegion(name);
+    if (!region) return;
+    
+    if (this.core && region.port) {
+      this.core.ports.unregister(this.bankPortName(region));
+    }
+    this.regions = this.regions.filter(existing => existing !== region);
+    this.notify();
+  }
+  
+  getRegion(name) {
+    return this.regions.find(region => region.name === name) || null;
+  }
+  
+  // The region covering an address, or null for plain RAM
+  regionAt(address) {
+    address &= 0xFFFF;
+    for (let i = this.regions.length - 1; i >= 0; i--) {
+      const region = this.regions[i];
+      if (address >= region.start && address <= region.end) {
+        return region;
+      }
+    }
+    return null;
+  }
+  
+  // Follow mirrors to the region and address that actually hold the byte
+  resolve(address) {
+    address &= 0xFFFF;
+    let region = this.regionAt(address);
+    
+    // Mirrors of mirrors are followed a bounded number of times
+    for (let hops = 0; region && region.type === 'mirror' && hops < 8; hops++) {
+      address = (region.source + ((address - region.start) % region.sourceSize)) & 0xFFFF;
+      region = this.regionAt(address);
+    }
+    
+    return { region: region && region.type !== 'mirror' ? region : null, address };
+  }
+  
+  read(address) {
+    const { region, address: resolved } = this.resolve(address);
+    if (!region) {
+      return this.core ? this.core.memory[resolved] : 0xFF;
+    }
+    return region.banks[region.current][resolved - region.start];
+  }
+  
+  /**
+   * Write a byte as the CPU would: writes into read-only regions are ignored
+   * and logged in romWrites.
+   * @returns {boolean} Whether the write took effect
+   */
+  write(address, value, pc) {
+    const { region, address: resolved } = this.resolve(address);
+    if (region && region.readOnly) {
+      this.romWrites.push({ address: address & 0xFFFF, value: value & 0xFF, pc, region: region.name });
+      if (this.romWrites.length > this.maxRomWrites) {
+        this.romWrites.splice(0, this.romWrites.length - this.maxRomWrites);
+      }
+      this.notify();
+      return false;
+    }
+    this.store(region, resolved, value);
+    return true;
+  }
+  
+  // Write a byte even into ROM (used by loaders and the debugger)
+  poke(address, value) {
+    const { region, address: resolved } = this.resolve(address);
+    this.store(region, resolved, value);
+  }
+  
+  store(region, address, value) {
+    if (!region) {
+      if (this.core) this.core.memory[address] = value & 0xFF;
+      return;
+    }
+    region.banks[region.current][address - region.start] = value & 0xFF;
+  }
+  
+  // Page a bank into a banked region
+  selectBank(name, bank) {
+    const region = this.getRegion(name);
+    if (!region || region.type !== 'banked') {
+      throw new Error(`"${name}" is not a banked memory region`);
+    }
+    if (bank < 0 || bank >= region.banks.length) {
+      throw new Error(`Bank ${bank} is out of range for "${name}"`);
+    }
+    region.current = bank;
+    this.notify();
+  }
+  
+  // Bank selected in each region, for restoring with setBankState
+  getBankState() {
+    return this.regions.map(region => region.current);
+  }
+  
+  setBankState(state) {
+    if (state.length !== this.regions.length) return;
+    
+    let changed = false;
+    this.regions.forEach((region, index) => {
+      if (region.current !== state[index]) {
+        region.current = state[index];
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.notify();
+    }
+  }
+  
+  clearRomWrites() {
+    this.romWrites = [];
+    this.notify();
+  }
+  
+  // Connect to a core; bank select ports are registered on its port bus
+  attach(core) {
+    this.core = core;
+    this.regions.filter(region => region.port).forEach(region => this.registerBankPort(region));
+  }
+  
+  detach() {
+    if (!this.core) return;
+    this.regions.filter(region => region.port).forEach(region => {
+      this.core.ports.unregister(this.bankPortName(region));
+    });
+    this.core = null;
+  }
+  
+  bankPortName(region) {
+    return `${region.name} bank select`;
+  }
+  
+  registerBankPort(region) {
+    this.core.ports.register({
+      ...region.port,
+      name: this.bankPortName(region),
+      write: (port, value) => {
+        region.latch = value;
+        region.current = region.select(value) % region.banks.length;
+        this.notify();
+      },
+      saveState: () => region.latch,
+      loadState: (latch) => {
+        region.latch = latch ?? null;
+      },
+    });
+  }
+  
+  // Subscribe to region, bank and ROM write changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default MemoryMap;
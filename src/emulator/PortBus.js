@@ -0,0 +1,166 @@
+/**
+ * Z80 I/O Port Bus
+ *
+ * Routes IN/OUT accesses to registered devices. The Z80 puts a full 16-bit
+ * address on the bus for every port access (A or B on the upper half), so
+ * devices match on the whole address through a mask and an inclusive range,
+ * which covers both fully and partially decoded hardware.
+ */
+
+class PortBus {
+  constructor() {
+    // Registered devices, in registration order
+    this.devices = [];
+    
+    // Recent port accesses, oldest first
+    this.traffic = [];
+    this.maxTraffic = 256;
+    
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Register a device.
+   * @param {Object} device
+   * @param {string} device.name - Unique device name shown in the I/O panel
+   * @param {number} [device.start=0] - First matching (masked) port address
+   * @param {number} [device.end=device.start] - Last matching (masked) port address
+   * @param {number} [device.mask=0xFFFF] - Address bits the device decodes
+   * @param {function(number): number} [device.read] - Returns the byte read from a port
+   * @param {function(number, number): void} [device.write] - Receives a port and a byte
+   * @param {function(): *} [device.saveState] - Returns the device's state as
+   *   JSON-compatible data, for machine snapshots
+   * @param {function(*): void} [device.loadState] - Restores a saved state
+   * @returns {Object} The registered device
+   */
+  register(device) {
+    if (!device || !device.name) {
+      throw new Error('A port device needs a name');
+    }
+    if (this.devices.some(existing => existing.name === device.name)) {
+      throw new Error(`Port device "${device.name}" is already registered`);
+    }
+    
+    const start = (device.start ?? 0) & 0xFFFF;
+    const registered = {
+      ...device,
+      start,
+      end: (device.end ?? start) & 0xFFFF,
+      mask: (device.mask ?? 0xFFFF) & 0xFFFF,
+    };
+    
+    this.devices.push(registered);
+    this.notify();
+    return registered;
+  }
+  
+  unregister(name) {
+    const count = this.devices.length;
+    this.devices = this.devices.filter(device => device.name !== name);
+    if (this.devices.length !== count) {
+      this.notify();
+    }
+  }
+  
+  getDevice(name) {
+    return this.devices.find(device => device.name === name) || null;
+  }
+  
+  // Whether a device decodes the given 16-bit port address
+  matches(device, port) {
+    const masked = port & device.mask;
+    return masked >= device.start && masked <= device.end;
+  }
+  
+  /**
+   * Read a port. Unclaimed ports float high (FFh); when several devices
+   * respond their outputs are ANDed, as on an open-collector bus.
+   * @param {number} port - 16-bit port address
+   * @param {number} [pc] - Address of the instruction making the access
+   * @param {number} [step] - Number of that instruction since the CPU was reset
+   */
+  read(port, pc, step) {
+    port &= 0xFFFF;
+    let value = 0xFF;
+    let device = null;
+    
+    this.devices.forEach(candidate => {
+      if (candidate.read && this.matches(candidate, port)) {
+        value &= candidate.read(port) & 0xFF;
+        device = device || candidate.name;
+      }
+    });
+    
+    this.record('in', port, value, pc, device, step);
+    return value;
+  }
+  
+  /**
+   * Write a port; every matching device receives the value.
+   * @param {number} port - 16-bit port address
+   * @param {number} value - Byte written
+   * @param {number} [pc] - Address of the instruction making the access
+   * @param {number} [step] - Number of that instruction since the CPU was reset
+   */
+  write(port, value, pc, step) {
+    port &= 0xFFFF;
+    value &= 0xFF;
+    let device = null;
+    
+    this.devices.forEach(candidate => {
+      if (candidate.write && this.matches(candidate, port)) {
+        candidate.write(port, value);
+        device = device || candidate.name;
+      }
+    });
+    
+    this.record('out', port, value, pc, device, step);
+  }
+  
+  // State of every device that can save it, by device name
+  saveState() {
+    const states = {};
+    this.devices.forEach(device => {
+      if (device.saveState) {
+        states[device.name] = device.saveState();
+      }
+    });
+    return states;
+  }
+  
+  // Hand saved states back to the devices registered under the same names
+  loadState(states) {
+    this.devices.forEach(device => {
+      if (device.loadState && Object.prototype.hasOwnProperty.call(states, device.name)) {
+        device.loadState(states[device.name]);
+      }
+    });
+    this.notify();
+  }
+  
+  // Append an access to the traffic log
+  record(direction, port, value, pc, device, step) {
+    this.traffic.push({ direction, port, value, pc, device, step });
+    if (this.traffic.length > this.maxTraffic) {
+      this.traffic.splice(0, this.traffic.length - this.maxTraffic);
+    }
+    this.notify();
+  }
+  
+  clearTraffic() {
+    this.traffic = [];
+    this.notify();
+  }
+  
+  // Subscribe to device and traffic changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default PortBus;
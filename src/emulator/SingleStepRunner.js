@@ -0,0 +1,236 @@
+/**
+ * Single-Step Test Runner
+ *
+ * Runs JSON single-step test vectors (the format of the SingleStepTests Z80
+ * suite) against Z80Core. Each test gives the CPU state and the memory bytes
+ * before one instruction, the state and bytes after it, the bus cycles it
+ * takes and the port accesses it makes. The runner loads the initial state,
+ * calls step() once and diffs every register, flag, memory cell and port
+ * write against the final state.
+ *
+ * Z80Core does not model the per-T-state bus activity, so only the number
+ * of cycles is compared; the internal Q and P latches are not modelled
+ * either and are ignored.
+ */
+
+import Z80Core from './Z80Core.js';
+
+// Compared state fields, in the order mismatches are reported
+export const STATE_FIELDS = [
+  'pc', 'sp', 'a', 'f', 'b', 'c', 'd', 'e', 'h', 'l', 'ix', 'iy',
+  'af_', 'bc_', 'de_', 'hl_', 'i', 'r', 'wz', 'im', 'iff1', 'iff2', 'ei',
+];
+
+// Fields shown as four hex digits
+const WORD_FIELDS = ['pc', 'sp', 'ix', 'iy', 'af_', 'bc_', 'de_', 'hl_', 'wz'];
+
+// Device that answers every port with the values a test supplies
+const PORT_DEVICE = 'single-step-test';
+
+const hex = (value, digits) => value.toString(16).padStart(digits, '0');
+
+/**
+ * Parse a test file: a JSON array of tests with name, initial and final.
+ * @param {string} text
+ * @returns {Object[]}
+ * @throws {Error} When the text is not a list of tests
+ */
+export const parseTestFile = (text) => {
+  const tests = JSON.parse(text);
+  if (!Array.isArray(tests) || tests.some(test => !test || !test.initial || !test.final)) {
+    throw new Error('A test file must be a JSON array of tests with initial and final states');
+  }
+  return tests;
+};
+
+// The opcode a test exercises: its name without the trailing test number
+export const testOpcode = (test) => String(test.name).replace(/\s+\S+$/, '');
+
+// Read the alternate register pairs by swapping them in for a moment
+const readAlternates = (core) => {
+  core.exchangeRegisterSets();
+  const values = { af_: core.getAF(), bc_: core.getBC(), de_: core.getDE(), hl_: core.getHL() };
+  core.exchangeRegisterSets();
+  return values;
+};
+
+// Load a test's initial state and memory
+const applyState = (core, state) => {
+  const regs = core.registers;
+  
+  core.exchangeRegisterSets();
+  core.setAF(state.af_ ?? 0);
+  core.setBC(state.bc_ ?? 0);
+  core.setDE(state.de_ ?? 0);
+  core.setHL(state.hl_ ?? 0);
+  core.exchangeRegisterSets();
+  
+  regs.a = state.a;
+  core.setF(state.f);
+  regs.b = state.b;
+  regs.c = state.c;
+  regs.d = state.d;
+  regs.e = state.e;
+  regs.h = state.h;
+  regs.l = state.l;
+  regs.ix = state.ix;
+  regs.iy = state.iy;
+  regs.sp = state.sp;
+  regs.pc = state.pc;
+  regs.i = state.i;
+  regs.r = state.r;
+  regs.wz = state.wz ?? 0;
+  core.interruptMode = state.im ?? 0;
+  core.iff1 = !!state.iff1;
+  core.iff2 = !!state.iff2;
+  core.eiDelay = !!state.ei;
+  core.halted = false;
+  core.intPending = false;
+  core.nmiPending = false;
+  
+  (state.ram ?? []).forEach(([address, value]) => core.pokeByte(address, value));
+};
+
+// The core's state in the test format
+const readState = (core) => {
+  const regs = core.registers;
+  return {
+    pc: regs.pc,
+    sp: regs.sp,
+    a: regs.a,
+    f: core.getF(),
+    b: regs.b,
+    c: regs.c,
+    d: regs.d,
+    e: regs.e,
+    h: regs.h,
+    l: regs.l,
+    ix: regs.ix,
+    iy: regs.iy,
+    ...readAlternates(core),
+    i: regs.i,
+    r: regs.r,
+    wz: regs.wz,
+    im: core.interruptMode,
+    iff1: core.iff1 ? 1 : 0,
+    iff2: core.iff2 ? 1 : 0,
+    ei: core.eiDelay ? 1 : 0,
+  };
+};
+
+/**
+ * Runs tests on a core of its own, with undocumented behaviour modelled (the
+ * vectors come from real hardware) and every port answered from the test.
+ */
+class SingleStepRunner {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.ignore=[]] - Fields not to compare
+   */
+  constructor({ ignore = [] } = {}) {
+    this.ignore = ignore;
+    this.core = new Z80Core({ undocumented: true });
+    this.core.reset();
+    
+    // Port reads the current test supplies, and the writes it made
+    this.portReads = [];
+    this.portWrites = [];
+    this.core.ports.register({
+      name: PORT_DEVICE,
+      start: 0,
+      mask: 0,
+      read: () => {
+        const next = this.portReads.shift();
+        return next ? next[1] : 0xFF;
+      },
+      write: (port, value) => this.portWrites.push([port, value]),
+    });
+  }
+  
+  /**
+   * Run one test.
+   * @param {Object} test - A test with name, initial, final and optionally
+   *   cycles and ports
+   * @returns {{name: string, opcode: string, mismatches: Array<{field: string, expected: string, actual: string}>}}
+   */
+  run(test) {
+    const core = this.core;
+    const ports = test.ports ?? [];
+    this.portReads = ports.filter(([, , direction]) => direction === 'r');
+    this.portWrites = [];
+    applyState(core, test.initial);
+    core.step();
+    
+    const mismatches = [];
+    const compare = (field, expected, actual) => {
+      if (!this.ignore.includes(field) && expected !== actual) {
+        mismatches.push({ field, expected, actual });
+      }
+    };
+    
+    const state = readState(core);
+    STATE_FIELDS.forEach(field => {
+      if (test.final[field] !== undefined) {
+        const digits = WORD_FIELDS.includes(field) ? 4 : 2;
+        compare(field, hex(Number(test.final[field]), digits), hex(state[field], digits));
+      }
+    });
+    
+    (test.final.ram ?? []).forEach(([address, value]) => {
+      const location = hex(address, 4);
+      compare('ram', `${location}=${hex(value, 2)}`, `${location}=${hex(core.peekByte(address), 2)}`);
+    });
+    
+    const describeWrites = (writes) => writes.map(([port, value]) => `${hex(port, 4)}=${hex(value, 2)}`).join(' ') || 'none';
+    compare('ports', describeWrites(ports.filter(([, , direction]) => direction === 'w')), describeWrites(this.portWrites));
+    
+    if (test.cycles) {
+      compare('cycles', String(test.cycles.length), String(core.lastTStates));
+    }
+    
+    // Clear what the test touched so the next one starts from zeroed memory
+    [...(test.initial.ram ?? []), ...(test.final.ram ?? [])].forEach(([address]) => core.pokeByte(address, 0));
+    
+    return { name: test.name, opcode: testOpcode(test), mismatches };
+  }
+  
+  /**
+   * Run a list of tests and summarize the mismatches by opcode.
+   * @param {Object[]} tests
+   * @param {function(Object): void} [onResult] - Called with each test's result
+   * @returns {Array<{opcode: string, total: number, failed: number, fields: Object<string, number>, firstFailure: Object|null}>}
+   *   One entry per opcode, in the order the opcodes first appear
+   */
+  runAll(tests, onResult = null) {
+    const summaries = new Map();
+    
+    tests.forEach(test => {
+      const result = this.run(test);
+      if (onResult) onResult(result);
+      if (!summaries.has(result.opcode)) {
+        summaries.set(result.opcode, { opcode: result.opcode, total: 0, failed: 0, fields: {}, firstFailure: null });
+      }
+      
+      const summary = summaries.get(result.opcode);
+      summary.total++;
+      if (result.mismatches.length > 0) {
+        summary.failed++;
+        summary.firstFailure = summary.firstFailure ?? result;
+        new Set(result.mismatches.map(mismatch => mismatch.field)).forEach(field => {
+          summary.fields[field] = (summary.fields[field] ?? 0) + 1;
+        });
+      }
+    });
+    
+    return [...summaries.values()];
+  }
+}
+
+// One line describing a test's mismatches, e.g. "f: expected 44, got 40"
+export const describeMismatches = (result) => {
+  return result.mismatches
+    .map(mismatch => `${mismatch.field}: expected ${mismatch.expected}, got ${mismatch.actual}`)
+    .join('; ');
+};
+
+export default SingleStepRunner;
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import SingleStepRunner, { describeMismatches, parseTestFile } from './SingleStepRunner.js';
+
+// A few vectors in the SingleStepTests format, with final states from the
+// reference core (z80-emulator); their bus cycles only give the count
+const VECTORS = parseTestFile(readFileSync(new URL('./SingleStepVectors.json', import.meta.url), 'utf8'));
+
+test('every vector passes, with one summary per opcode', () => {
+  const summaries = new SingleStepRunner().runAll(VECTORS);
+  
+  assert.deepEqual(summaries.map(summary => [summary.opcode, summary.total, summary.failed]), [
+    ['00', 1, 0],
+    ['3c', 2, 0],
+    ['ed 44', 1, 0],
+    ['cb 06', 1, 0],
+    ['dd 34', 1, 0],
+    ['d3', 1, 0],
+    ['db', 1, 0],
+  ]);
+});
+
+test('a wrong final state is reported field by field and counted against its opcode', () => {
+  const vector = VECTORS.find(({ name }) => name === '3c 0001');
+  const wrong = {
+    ...vector,
+    name: '3c 0002',
+    final: { ...vector.final, a: 0x01, f: 0x00, ram: [[0x1000, 0x3D]] },
+    cycles: vector.cycles.slice(1),
+  };
+  const results = [];
+  const summaries = new SingleStepRunner().runAll([...VECTORS, wrong], result => results.push(result));
+  
+  const result = results.at(-1);
+  assert.deepEqual(result.mismatches, [
+    { field: 'a', expected: '01', actual: '00' },
+    { field: 'f', expected: '00', actual: '51' },
+    { field: 'ram', expected: '1000=3d', actual: '1000=3c' },
+    { field: 'cycles', expected: '3', actual: '4' },
+  ]);
+  assert.equal(describeMismatches(result).split('; ')[0], 'a: expected 01, got 00');
+  
+  const summary = summaries.find(({ opcode }) => opcode === '3c');
+  assert.equal(summary.total, 3);
+  assert.equal(summary.failed, 1);
+  assert.deepEqual(summary.fields, { a: 1, f: 1, ram: 1, cycles: 1 });
+  assert.equal(summary.firstFailure, result);
+  assert.ok(summaries.filter(({ opcode }) => opcode !== '3c').every(({ failed }) => failed === 0));
+});
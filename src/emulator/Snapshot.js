@@ -0,0 +1,179 @@
+/**
+ * Machine Snapshots
+ *
+ * A snapshot records everything needed to resume a machine exactly where it
+ * was: all registers and both flag sets, interrupt and timing state, the 64K
+ * of memory, the contents and paging of memory map regions, the state of
+ * port devices that can save it, and the breakpoints, watchpoints and port
+ * breakpoints. Snapshots are plain JSON-compatible objects, so they can be
+ * downloaded, kept in quick-save slots or compared in tests.
+ */
+
+import Breakpoint from './Breakpoint.js';
+
+export const SNAPSHOT_FORMAT = 'z80-emulator-snapshot';
+
+// Bump when the layout changes, and teach restoreSnapshot to read the old one
+export const SNAPSHOT_VERSION = 1;
+
+// Interrupt state saved alongside the registers
+const CPU_FIELDS = ['halted', 'iff1', 'iff2', 'interruptMode', 'intPending', 'intDataBus', 'nmiPending', 'eiDelay'];
+
+const TIMING_FIELDS = ['tstates', 'lastTStates', 'instructionCount'];
+
+// Byte arrays are stored as base64 to keep snapshot files compact
+const encodeBytes = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(text);
+};
+
+const decodeBytes = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// The fields a source has, so restoring leaves anything missing untouched
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]),
+);
+
+/**
+ * Capture the full state of a core.
+ * @param {Z80Core} core
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name stored with the snapshot
+ * @returns {Object} The snapshot
+ */
+export const createSnapshot = (core, { name = '' } = {}) => {
+  const regs = core.registers;
+  const breakpoints = [...core.breakpoints.values()];
+  
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    name,
+    created: new Date().toISOString(),
+    cpu: {
+      registers: { ...regs, flags: { ...regs.flags }, flags_prime: { ...regs.flags_prime } },
+      ...pick(core, CPU_FIELDS),
+      undocumented: core.undocumented,
+    },
+    timing: pick(core, TIMING_FIELDS),
+    memory: encodeBytes(core.memory),
+    memoryMap: core.memoryMap
+      ? core.memoryMap.regions.filter(region => region.banks).map(region => ({
+        name: region.name,
+        current: region.current,
+        banks: region.banks.map(encodeBytes),
+      }))
+      : null,
+    devices: core.ports.saveState(),
+    debug: {
+      breakpoints: breakpoints.map(breakpoint => pick(breakpoint, ['address', 'condition', 'hitCount', 'enabled', 'log'])),
+      // Labels the breakpoint conditions and messages were written against
+      symbols: Object.assign({}, ...breakpoints.map(breakpoint => breakpoint.symbols)),
+      watchpoints: core.watchpoints.map(watchpoint => pick(watchpoint, ['start', 'end', 'on', 'value', 'enabled'])),
+      portBreakpoints: core.portBreakpoints.map(breakpoint => pick(breakpoint, ['start', 'end', 'mask', 'on', 'enabled'])),
+    },
+  };
+};
+
+/**
+ * Check that an object is a snapshot this version can restore.
+ * @throws {Error} Describing why it cannot be restored
+ */
+export const validateSnapshot = (snapshot) => {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a Z80 emulator snapshot');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error(`Invalid snapshot version ${snapshot.version}`);
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than this emulator supports (${SNAPSHOT_VERSION})`);
+  }
+  if (!snapshot.cpu || !snapshot.cpu.registers || typeof snapshot.memory !== 'string') {
+    throw new Error('Snapshot is missing the CPU state or memory');
+  }
+};
+
+// Parse a snapshot file's text
+export const parseSnapshot = (text) => {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Snapshot is not valid JSON: ${error.message}`);
+  }
+  validateSnapshot(snapshot);
+  return snapshot;
+};
+
+/**
+ * Put a core back into the state a snapshot recorded. Memory map regions and
+ * port devices are matched by name, so the machine must be configured as it
+ * was when the snapshot was taken; the snapshot does not create them. Nothing
+ * is changed when the snapshot cannot be restored.
+ * @param {Z80Core} core
+ * @param {Object} snapshot
+ * @throws {Error} When the snapshot is invalid
+ */
+export const restoreSnapshot = (core, snapshot) => {
+  validateSnapshot(snapshot);
+  
+  // Decode and compile everything that can fail before touching the core
+  const memory = decodeBytes(snapshot.memory);
+  if (memory.length !== core.memory.length) {
+    throw new Error(`Snapshot memory is ${memory.length} bytes, expected ${core.memory.length}`);
+  }
+  const regions = (snapshot.memoryMap || []).map(saved => ({
+    ...saved,
+    banks: saved.banks.map(decodeBytes),
+  }));
+  const debug = snapshot.debug || {};
+  const breakpoints = (debug.breakpoints || []).map(({ address, ...options }) =>
+    new Breakpoint(address, { ...options, symbols: debug.symbols || {} }));
+  const watchpoints = debug.watchpoints || [];
+  watchpoints.forEach(watchpoint => core.validateWatchpoint(watchpoint));
+  const portBreakpoints = debug.portBreakpoints || [];
+  portBreakpoints.forEach(breakpoint => core.validatePortBreakpoint(breakpoint));
+  
+  const { flags, flags_prime: flagsPrime, ...values } = snapshot.cpu.registers;
+  Object.assign(core.registers, values);
+  Object.assign(core.registers.flags, flags);
+  Object.assign(core.registers.flags_prime, flagsPrime);
+  Object.assign(core, pick(snapshot.cpu, CPU_FIELDS));
+  core.undocumented = !!snapshot.cpu.undocumented;
+  Object.assign(core, pick(snapshot.timing || {}, TIMING_FIELDS));
+  
+  core.memory.set(memory);
+  if (core.memoryMap) {
+    regions.forEach(saved => {
+      const region = core.memoryMap.getRegion(saved.name);
+      if (!region || !region.banks || region.banks.length !== saved.banks.length) return;
+      
+      region.banks.forEach((bank, index) => bank.set(saved.banks[index].subarray(0, bank.length)));
+      region.current = saved.current;
+    });
+    core.memoryMap.notify();
+  }
+  core.ports.loadState(snapshot.devices || {});
+  
+  core.breakpoints = new Map(breakpoints.map(breakpoint => [breakpoint.address, breakpoint]));
+  core.clearAllWatchpoints();
+  watchpoints.forEach(watchpoint => core.addWatchpoint(watchpoint));
+  core.clearAllPortBreakpoints();
+  portBreakpoints.forEach(breakpoint => core.addPortBreakpoint(breakpoint));
+  
+  // Undoing instructions from before the snapshot would mix the two states
+  core.clearJournal();
+  core.watchpointHit = null;
+  core.portBreakpointHit = null;
+};
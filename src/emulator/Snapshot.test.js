@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Z80Core from './Z80Core.js';
+import MemoryMap from './MemoryMap.js';
+import { createSnapshot, parseSnapshot, restoreSnapshot } from './Snapshot.js';
+
+// A core with a banked region paged by port 7Fh and a device that keeps a byte
+const createMachine = () => {
+  const core = new Z80Core({ undocumented: true });
+  core.reset();
+  const memoryMap = new MemoryMap();
+  memoryMap.addBanked({ name: 'upper', start: 0xC000, size: 0x4000, bankCount: 4, port: { start: 0x7F, mask: 0xFF } });
+  core.setMemoryMap(memoryMap);
+  
+  const latch = { value: 0 };
+  core.ports.register({
+    name: 'latch',
+    start: 0x10,
+    mask: 0xFF,
+    write: (port, value) => { latch.value = value; },
+    saveState: () => latch.value,
+    loadState: (value) => { latch.value = value; },
+  });
+  return { core, latch };
+};
+
+// Everything but the creation time, which differs between snapshots
+const contents = (core) => {
+  const { created, ...rest } = createSnapshot(core);
+  return rest;
+};
+
+const PROGRAM = [
+  0x3E, 0x02, //       LD A,2
+  0xD3, 0x7F, //       OUT (7Fh),A    ; page bank 2 in at C000h
+  0x3E, 0x5A, //       LD A,5Ah
+  0x32, 0x00, 0xC0, // LD (0C000h),A
+  0xD3, 0x10, //       OUT (10h),A
+  0x37, //             SCF
+  0x08, //             EX AF,AF'
+  0x3E, 0x80, //       LD A,80h
+  0xB7, //             OR A
+  0x76, //             HALT
+];
+
+test('a snapshot restores registers, flags, memory, banks, devices, debug state and timing', () => {
+  const { core } = createMachine();
+  PROGRAM.forEach((value, index) => core.pokeByte(index, value));
+  core.registers.ix = 0x1234;
+  core.registers.sp = 0x8000;
+  core.runUntil(() => core.halted, { limit: 100 });
+  core.setBreakpoint(0x0010, { condition: 'A == 80h', hitCount: 2, symbols: { target: 0x10 } });
+  core.setBreakpoint(0x0020, { enabled: false, log: 'at {PC}' });
+  core.addWatchpoint({ start: 0x4000, end: 0x4001, on: 'change' });
+  core.addWatchpoint({ start: 0x5000, on: 'write', value: 0x12, enabled: false });
+  core.addPortBreakpoint({ start: 0xFE, mask: 0xFF, on: 'out' });
+  
+  const text = JSON.stringify(createSnapshot(core, { name: 'test' }));
+  const { core: restored, latch } = createMachine();
+  restoreSnapshot(restored, parseSnapshot(text));
+  
+  assert.deepEqual(contents(restored), contents(core));
+  assert.equal(restored.registers.a, 0x80);
+  assert.equal(restored.registers.ix, 0x1234);
+  assert.equal(restored.registers.flags.s, 1);
+  assert.equal(restored.registers.flags_prime.c, 1);
+  assert.equal(restored.halted, true);
+  assert.equal(restored.tstates, core.tstates);
+  assert.equal(restored.instructionCount, 10);
+  assert.equal(restored.memoryMap.getRegion('upper').current, 2);
+  assert.equal(restored.peekByte(0xC000), 0x5A);
+  assert.equal(latch.value, 0x5A);
+  assert.equal(restored.breakpoints.get(0x0010).hitCount, 2);
+  assert.equal(restored.watchpoints.length, 2);
+  assert.equal(restored.portBreakpoints[0].on, 'out');
+});
+
+test('a snapshot with an invalid watchpoint or port breakpoint leaves the core untouched', () => {
+  const { core } = createMachine();
+  core.pokeByte(0x0000, 0x3C);
+  core.setBreakpoint(0x0000);
+  const before = contents(core);
+  
+  const source = createMachine().core;
+  source.registers.pc = 0x1234;
+  source.pokeByte(0x0000, 0xFF);
+  const snapshot = createSnapshot(source);
+  
+  const badWatchpoint = { ...snapshot, debug: { ...snapshot.debug, watchpoints: [{ start: 0, on: 'bogus' }] } };
+  assert.throws(() => restoreSnapshot(core, badWatchpoint), /Unknown watchpoint kind "bogus"/);
+  assert.deepEqual(contents(core), before);
+  
+  const badPort = { ...snapshot, debug: { ...snapshot.debug, portBreakpoints: [{ start: 0xFE, on: 'sideways' }] } };
+  assert.throws(() => restoreSnapshot(core, badPort), /Unknown port breakpoint direction "sideways"/);
+  assert.deepEqual(contents(core), before);
+});
+
+test('parseSnapshot rejects text that is not a snapshot this version can read', () => {
+  assert.throws(() => parseSnapshot('{'), /not valid JSON/);
+  assert.throws(() => parseSnapshot('{"format":"other"}'), /Not a Z80 emulator snapshot/);
+  
+  const future = { ...createSnapshot(createMachine().core), version: 99 };
+  assert.throws(() => parseSnapshot(JSON.stringify(future)), /newer than this emulator supports/);
+});
@@ -0,0 +1,101 @@
+/**
+ * Quick-Save Slots
+ *
+ * Named machine snapshots, kept in localStorage (when there is one) so they
+ * survive a page reload. Each slot is stored under its own key, so a slot
+ * that does not fit in the storage quota does not affect the others.
+ */
+
+import { validateSnapshot } from './Snapshot.js';
+
+const KEY_PREFIX = 'z80-emulator-snapshot:';
+
+const defaultStorage = () => {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    // Access to localStorage throws when storage is blocked
+    return null;
+  }
+};
+
+class SnapshotSlots {
+  /**
+   * @param {Storage|null} [storage] - Where slots persist (localStorage by
+   *   default); with null they are kept in memory only
+   */
+  constructor(storage = defaultStorage()) {
+    this.storage = storage;
+    this.slots = new Map();
+    this.listeners = new Set();
+    
+    if (storage) {
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key || !key.startsWith(KEY_PREFIX)) continue;
+        
+        try {
+          const snapshot = JSON.parse(storage.getItem(key));
+          validateSnapshot(snapshot);
+          this.slots.set(key.slice(KEY_PREFIX.length), snapshot);
+        } catch {
+          // Unreadable or incompatible slots are left alone but not listed
+        }
+      }
+    }
+  }
+  
+  // Slot names with the time each was saved, most recent first
+  list() {
+    return [...this.slots.entries()]
+      .map(([name, snapshot]) => ({ name, created: snapshot.created }))
+      .sort((a, b) => b.created.localeCompare(a.created));
+  }
+  
+  get(name) {
+    return this.slots.get(name) ?? null;
+  }
+  
+  /**
+   * Store a snapshot in a slot, replacing what was there.
+   * @throws {Error} When the name is empty or storage is full
+   */
+  save(name, snapshot) {
+    const slot = name.trim();
+    if (!slot) {
+      throw new Error('A quick-save slot needs a name');
+    }
+    validateSnapshot(snapshot);
+    
+    if (this.storage) {
+      try {
+        this.storage.setItem(KEY_PREFIX + slot, JSON.stringify(snapshot));
+      } catch (error) {
+        throw new Error(`Could not store slot "${slot}": ${error.message}`);
+      }
+    }
+    this.slots.set(slot, snapshot);
+    this.notify();
+  }
+  
+  remove(name) {
+    if (!this.slots.delete(name)) return;
+    
+    if (this.storage) {
+      this.storage.removeItem(KEY_PREFIX + name);
+    }
+    this.notify();
+  }
+  
+  // Subscribe to slot changes; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+}
+
+export default SnapshotSlots;
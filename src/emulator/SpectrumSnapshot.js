@@ -0,0 +1,691 @@
+/**
+ * ZX Spectrum Snapshot Formats
+ *
+ * Reads and writes the snapshot files Spectrum emulators exchange: .sna
+ * (48K and 128K), .z80 (versions 1 to 3, with their run-length compression)
+ * and .szx (zx-state, with zlib-compressed RAM pages). Files are read into a
+ * common machine state, which is then applied to the core in one step.
+ *
+ * The files hold RAM only, from 4000h up; the ROM is the machine's own. The
+ * 128K machines page one of eight 16K banks in at C000h, with banks 5 and 2
+ * always at 4000h and 8000h (a 48K machine is laid out as banks 5, 2 and 0).
+ * A 128K snapshot fills every bank when the core's memory map has a banked
+ * region of eight 16K banks at C000h, and is saved as 128K when it has one;
+ * without it, only the three banks in view are loaded.
+ */
+
+export const SPECTRUM_FORMATS = ['sna', 'z80', 'szx'];
+
+const BANK_SIZE = 0x4000;
+
+// Banks visible at 4000h and 8000h, whatever is paged in at C000h
+const FIXED_BANKS = [5, 2];
+
+const SNA_HEADER_SIZE = 27;
+const SNA_48K_SIZE = SNA_HEADER_SIZE + 3 * BANK_SIZE;
+
+// .z80 version 1 header, and the extra header written for version 3
+const Z80_HEADER_SIZE = 30;
+const Z80_V2_EXTRA = 23;
+const Z80_V3_EXTRA = 54;
+
+// .z80 hardware modes, which version 3 renumbered
+const Z80_MODELS = {
+  2: { 0: '48k', 1: '48k', 3: '128k', 4: '128k' },
+  3: { 0: '48k', 1: '48k', 3: '48k', 4: '128k', 5: '128k', 6: '128k', 7: '128k', 8: '128k', 12: '128k', 13: '128k' },
+};
+
+// .z80 page numbers of the 48K machine's RAM, by bank, and the reverse
+// (128K pages are bank + 3)
+const Z80_48K_PAGES = { 5: 8, 2: 4, 0: 5 };
+const Z80_48K_BANKS = { 8: 5, 4: 2, 5: 0 };
+
+// .szx machine ids this emulator can load
+const SZX_MODELS = { 0: '48k', 1: '48k', 15: '48k', 2: '128k', 3: '128k', 4: '128k', 5: '128k', 7: '128k', 16: '128k' };
+const SZX_MACHINE_48K = 1;
+const SZX_MACHINE_128K = 2;
+
+const readWord = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const writeWord = (bytes, offset, value) => {
+  bytes[offset] = value & 0xFF;
+  bytes[offset + 1] = (value >> 8) & 0xFF;
+};
+
+const writeDword = (bytes, offset, value) => {
+  writeWord(bytes, offset, value & 0xFFFF);
+  writeWord(bytes, offset + 2, (value >>> 16) & 0xFFFF);
+};
+
+const concat = (parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+// Bank paged in at C000h
+const pagedBank = (state) => (state.port7ffd === null ? 0 : state.port7ffd & 7);
+
+// An empty machine state, filled in by the readers
+const createState = (model) => ({
+  model,
+  registers: {},
+  iff1: false,
+  iff2: false,
+  interruptMode: 0,
+  halted: false,
+  eiDelay: false,
+  border: 7,
+  port7ffd: null,
+  banks: new Array(8).fill(null),
+});
+
+// Run a byte array through a compression stream (as in browsers and Node 18+)
+const transform = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/*
+ * .sna
+ */
+
+// Registers in the 27-byte header shared by the 48K and 128K layouts
+const readSnaHeader = (bytes, state) => {
+  state.registers = {
+    i: bytes[0],
+    hl2: readWord(bytes, 1),
+    de2: readWord(bytes, 3),
+    bc2: readWord(bytes, 5),
+    af2: readWord(bytes, 7),
+    hl: readWord(bytes, 9),
+    de: readWord(bytes, 11),
+    bc: readWord(bytes, 13),
+    iy: readWord(bytes, 15),
+    ix: readWord(bytes, 17),
+    r: bytes[20],
+    af: readWord(bytes, 21),
+    sp: readWord(bytes, 23),
+  };
+  state.iff2 = (bytes[19] & 0x04) !== 0;
+  state.iff1 = state.iff2;
+  state.interruptMode = bytes[25] & 3;
+  state.border = bytes[26] & 7;
+};
+
+const writeSnaHeader = (bytes, state, sp) => {
+  const regs = state.registers;
+  bytes[0] = regs.i;
+  writeWord(bytes, 1, regs.hl2);
+  writeWord(bytes, 3, regs.de2);
+  writeWord(bytes, 5, regs.bc2);
+  writeWord(bytes, 7, regs.af2);
+  writeWord(bytes, 9, regs.hl);
+  writeWord(bytes, 11, regs.de);
+  writeWord(bytes, 13, regs.bc);
+  writeWord(bytes, 15, regs.iy);
+  writeWord(bytes, 17, regs.ix);
+  bytes[19] = state.iff2 ? 0x04 : 0;
+  bytes[20] = regs.r;
+  writeWord(bytes, 21, regs.af);
+  writeWord(bytes, 23, sp);
+  bytes[25] = state.interruptMode;
+  bytes[26] = state.border;
+};
+
+/**
+ * Read a .sna file. The 48K layout keeps PC on the stack; the 128K layout
+ * stores it after the first 48K, followed by the banks not yet stored.
+ */
+export const readSna = (bytes) => {
+  const is48k = bytes.length === SNA_48K_SIZE;
+  if (!is48k && bytes.length !== SNA_48K_SIZE + 4 + 5 * BANK_SIZE && bytes.length !== SNA_48K_SIZE + 4 + 6 * BANK_SIZE) {
+    throw new Error(`Not a .sna file: unexpected size of ${bytes.length} bytes`);
+  }
+  
+  const state = createState(is48k ? '48k' : '128k');
+  readSnaHeader(bytes, state);
+  
+  const bank = (index) => bytes.slice(SNA_HEADER_SIZE + index * BANK_SIZE, SNA_HEADER_SIZE + (index + 1) * BANK_SIZE);
+  state.banks[5] = bank(0);
+  state.banks[2] = bank(1);
+  
+  if (is48k) {
+    state.banks[0] = bank(2);
+    // RETN in the loading emulator pops PC
+    const sp = state.registers.sp;
+    state.registers.pc = readRam(state, sp) | (readRam(state, sp + 1) << 8);
+    state.registers.sp = (sp + 2) & 0xFFFF;
+    return state;
+  }
+  
+  let offset = SNA_48K_SIZE;
+  state.registers.pc = readWord(bytes, offset);
+  state.port7ffd = bytes[offset + 2];
+  state.banks[pagedBank(state)] = bank(2);
+  
+  offset += 4;
+  for (let index = 0; index < 8; index++) {
+    if (FIXED_BANKS.includes(index) || index === pagedBank(state)) continue;
+    state.banks[index] = bytes.slice(offset, offset + BANK_SIZE);
+    offset += BANK_SIZE;
+  }
+  return state;
+};
+
+export const writeSna = (state) => {
+  const paged = pagedBank(state);
+  
+  if (state.model === '48k') {
+    const bytes = new Uint8Array(SNA_48K_SIZE);
+    [5, 2, 0].forEach((bank, index) => bytes.set(state.banks[bank], SNA_HEADER_SIZE + index * BANK_SIZE));
+    
+    // PC goes on the stack, in the file's copy of RAM only
+    const sp = (state.registers.sp - 2) & 0xFFFF;
+    [sp, (sp + 1) & 0xFFFF].forEach((address, index) => {
+      if (address >= 0x4000) {
+        bytes[SNA_HEADER_SIZE + address - 0x4000] = (state.registers.pc >> (index * 8)) & 0xFF;
+      }
+    });
+    writeSnaHeader(bytes, state, sp);
+    return bytes;
+  }
+  
+  const rest = [0, 1, 3, 4, 6, 7].filter(bank => bank !== paged);
+  const bytes = new Uint8Array(SNA_48K_SIZE + 4 + rest.length * BANK_SIZE);
+  writeSnaHeader(bytes, state, state.registers.sp);
+  [5, 2, paged].forEach((bank, index) => bytes.set(state.banks[bank], SNA_HEADER_SIZE + index * BANK_SIZE));
+  writeWord(bytes, SNA_48K_SIZE, state.registers.pc);
+  bytes[SNA_48K_SIZE + 2] = state.port7ffd;
+  rest.forEach((bank, index) => bytes.set(state.banks[bank], SNA_48K_SIZE + 4 + index * BANK_SIZE));
+  return bytes;
+};
+
+/*
+ * .z80
+ */
+
+/**
+ * Undo the .z80 run-length compression, where ED ED nn bb stands for nn
+ * copies of bb.
+ * @throws {Error} When the data ends before `size` bytes are produced
+ */
+export const decompressZ80 = (data, size) => {
+  const result = new Uint8Array(size);
+  let input = 0;
+  let output = 0;
+  
+  while (output < size && input < data.length) {
+    if (data[input] === 0xED && data[input + 1] === 0xED) {
+      result.fill(data[input + 3], output, Math.min(size, output + data[input + 2]));
+      output += data[input + 2];
+      input += 4;
+    } else {
+      result[output++] = data[input++];
+    }
+  }
+  
+  if (output < size) {
+    throw new Error('.z80 memory block is truncated');
+  }
+  return result;
+};
+
+/**
+ * Compress with the .z80 scheme: runs of five or more equal bytes, and any
+ * run of EDs, become ED ED nn bb. The byte after a single ED is never the
+ * start of a run, so ED ED cannot appear by accident.
+ */
+export const compressZ80 = (data) => {
+  const result = [];
+  let index = 0;
+  
+  while (index < data.length) {
+    const value = data[index];
+    let run = 1;
+    while (index + run < data.length && data[index + run] === value && run < 255) {
+      run++;
+    }
+    
+    if (run >= 5 || (value === 0xED && run >= 2)) {
+      result.push(0xED, 0xED, run, value);
+      index += run;
+    } else {
+      result.push(value);
+      index++;
+      if (value === 0xED && index < data.length) {
+        result.push(data[index++]);
+      }
+    }
+  }
+  
+  return Uint8Array.from(result);
+};
+
+/**
+ * Read a .z80 file. Version 1 files (PC non-zero in the header) hold 48K
+ * of RAM in one optionally compressed block; later versions store 16K
+ * pages in separate blocks after an extra header.
+ */
+export const readZ80 = (bytes) => {
+  if (bytes.length < Z80_HEADER_SIZE) {
+    throw new Error('Not a .z80 file: the header is incomplete');
+  }
+  
+  // Byte 12 was 255 in some old files, meaning 1
+  const flags = bytes[12] === 0xFF ? 1 : bytes[12];
+  const registers = {
+    af: (bytes[0] << 8) | bytes[1],
+    bc: readWord(bytes, 2),
+    hl: readWord(bytes, 4),
+    pc: readWord(bytes, 6),
+    sp: readWord(bytes, 8),
+    i: bytes[10],
+    r: (bytes[11] & 0x7F) | ((flags & 1) << 7),
+    de: readWord(bytes, 13),
+    bc2: readWord(bytes, 15),
+    de2: readWord(bytes, 17),
+    hl2: readWord(bytes, 19),
+    af2: (bytes[21] << 8) | bytes[22],
+    iy: readWord(bytes, 23),
+    ix: readWord(bytes, 25),
+  };
+  
+  const fill = (state) => {
+    state.registers = registers;
+    state.border = (flags >> 1) & 7;
+    state.iff1 = bytes[27] !== 0;
+    state.iff2 = bytes[28] !== 0;
+    state.interruptMode = bytes[29] & 3;
+    return state;
+  };
+  
+  if (registers.pc !== 0) {
+    const state = fill(createState('48k'));
+    const data = bytes.subarray(Z80_HEADER_SIZE);
+    const ram = flags & 0x20 ? decompressZ80(data, 3 * BANK_SIZE) : data.slice(0, 3 * BANK_SIZE);
+    if (ram.length < 3 * BANK_SIZE) {
+      throw new Error('.z80 memory is truncated');
+    }
+    [5, 2, 0].forEach((bank, index) => {
+      state.banks[bank] = ram.slice(index * BANK_SIZE, (index + 1) * BANK_SIZE);
+    });
+    return state;
+  }
+  
+  const extra = readWord(bytes, Z80_HEADER_SIZE);
+  const version = extra === Z80_V2_EXTRA ? 2 : 3;
+  const hardware = bytes[Z80_HEADER_SIZE + 4];
+  const model = Z80_MODELS[version][hardware];
+  if (!model) {
+    throw new Error(`Unsupported .z80 hardware mode ${hardware} (version ${version})`);
+  }
+  
+  const state = fill(createState(model));
+  registers.pc = readWord(bytes, Z80_HEADER_SIZE + 2);
+  if (model === '128k') {
+    state.port7ffd = bytes[Z80_HEADER_SIZE + 5];
+  }
+  
+  let offset = Z80_HEADER_SIZE + 2 + extra;
+  while (offset + 3 <= bytes.length) {
+    const length = readWord(bytes, offset);
+    const page = bytes[offset + 2];
+    offset += 3;
+    
+    // A length of FFFFh marks an uncompressed page
+    const stored = length === 0xFFFF ? BANK_SIZE : length;
+    const data = bytes.subarray(offset, offset + stored);
+    offset += stored;
+    
+    const bank = model === '128k' ? page - 3 : Z80_48K_BANKS[page];
+    if (bank === undefined || bank < 0 || bank > 7) continue;
+    state.banks[bank] = length === 0xFFFF ? data.slice() : decompressZ80(data, BANK_SIZE);
+  }
+  return state;
+};
+
+// Always written as version 3, with compressed pages
+export const writeZ80 = (state) => {
+  const regs = state.registers;
+  const header = new Uint8Array(Z80_HEADER_SIZE + 2 + Z80_V3_EXTRA);
+  header[0] = regs.af >> 8;
+  header[1] = regs.af & 0xFF;
+  writeWord(header, 2, regs.bc);
+  writeWord(header, 4, regs.hl);
+  writeWord(header, 8, regs.sp);
+  header[10] = regs.i;
+  header[11] = regs.r & 0x7F;
+  header[12] = (regs.r >> 7) | (state.border << 1);
+  writeWord(header, 13, regs.de);
+  writeWord(header, 15, regs.bc2);
+  writeWord(header, 17, regs.de2);
+  writeWord(header, 19, regs.hl2);
+  header[21] = regs.af2 >> 8;
+  header[22] = regs.af2 & 0xFF;
+  writeWord(header, 23, regs.iy);
+  writeWord(header, 25, regs.ix);
+  header[27] = state.iff1 ? 1 : 0;
+  header[28] = state.iff2 ? 1 : 0;
+  header[29] = state.interruptMode;
+  
+  writeWord(header, Z80_HEADER_SIZE, Z80_V3_EXTRA);
+  writeWord(header, Z80_HEADER_SIZE + 2, regs.pc);
+  header[Z80_HEADER_SIZE + 4] = state.model === '128k' ? 4 : 0;
+  header[Z80_HEADER_SIZE + 5] = state.port7ffd ?? 0;
+  // Both halves of the lower 16K are ROM
+  header[Z80_HEADER_SIZE + 31] = 0xFF;
+  header[Z80_HEADER_SIZE + 32] = 0xFF;
+  
+  const banks = state.model === '128k' ? [0, 1, 2, 3, 4, 5, 6, 7] : [5, 2, 0];
+  const blocks = banks.map(bank => {
+    const compressed = compressZ80(state.banks[bank]);
+    const raw = compressed.length >= BANK_SIZE;
+    const data = raw ? state.banks[bank] : compressed;
+    const block = new Uint8Array(3 + data.length);
+    writeWord(block, 0, raw ? 0xFFFF : data.length);
+    block[2] = state.model === '128k' ? bank + 3 : Z80_48K_PAGES[bank];
+    block.set(data, 3);
+    return block;
+  });
+  
+  return concat([header, ...blocks]);
+};
+
+/*
+ * .szx
+ */
+
+const blockId = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const szxBlock = (id, data) => {
+  const block = new Uint8Array(8 + data.length);
+  block.set([...id].map(char => char.charCodeAt(0)));
+  writeDword(block, 4, data.length);
+  block.set(data, 8);
+  return block;
+};
+
+/**
+ * Read a .szx file: a ZXST header followed by tagged blocks, of which the
+ * registers (Z80R), the Spectrum ports (SPCR) and the RAM pages (RAMP) are
+ * used. Others (sound chips, peripherals, ...) are skipped.
+ */
+export const readSzx = async (bytes) => {
+  if (bytes.length < 8 || blockId(bytes, 0) !== 'ZXST') {
+    throw new Error('Not a .szx file: the ZXST header is missing');
+  }
+  const model = SZX_MODELS[bytes[6]];
+  if (!model) {
+    throw new Error(`Unsupported .szx machine id ${bytes[6]}`);
+  }
+  
+  const state = createState(model);
+  let registersFound = false;
+  let offset = 8;
+  
+  while (offset + 8 <= bytes.length) {
+    const id = blockId(bytes, offset);
+    const size = readWord(bytes, offset + 4) | (readWord(bytes, offset + 6) << 16);
+    const data = bytes.subarray(offset + 8, offset + 8 + size);
+    offset += 8 + size;
+    
+    if (id === 'Z80R') {
+      state.registers = {
+        af: readWord(data, 0),
+        bc: readWord(data, 2),
+        de: readWord(data, 4),
+        hl: readWord(data, 6),
+        af2: readWord(data, 8),
+        bc2: readWord(data, 10),
+        de2: readWord(data, 12),
+        hl2: readWord(data, 14),
+        ix: readWord(data, 16),
+        iy: readWord(data, 18),
+        sp: readWord(data, 20),
+        pc: readWord(data, 22),
+        i: data[24],
+        r: data[25],
+        wz: readWord(data, 35),
+      };
+      state.iff1 = data[26] !== 0;
+      state.iff2 = data[27] !== 0;
+      state.interruptMode = data[28] & 3;
+      state.eiDelay = (data[34] & 0x01) !== 0;
+      state.halted = (data[34] & 0x02) !== 0;
+      registersFound = true;
+    } else if (id === 'SPCR') {
+      state.border = data[0] & 7;
+      if (model === '128k') {
+        state.port7ffd = data[1];
+      }
+    } else if (id === 'RAMP') {
+      const page = data[2];
+      if (page > 7) continue;
+      // Bit 0 of the flags marks a zlib-compressed page
+      const contents = readWord(data, 0) & 1 ? await transform(data.subarray(3), new DecompressionStream('deflate')) : data.slice(3);
+      if (contents.length !== BANK_SIZE) {
+        throw new Error(`.szx RAM page ${page} is ${contents.length} bytes, expected ${BANK_SIZE}`);
+      }
+      state.banks[page] = contents;
+    }
+  }
+  
+  if (!registersFound) {
+    throw new Error('.szx file has no Z80R register block');
+  }
+  return state;
+};
+
+export const writeSzx = async (state) => {
+  const regs = state.registers;
+  const header = Uint8Array.from([...'ZXST'].map(char => char.charCodeAt(0)).concat([1, 4,
+    state.model === '128k' ? SZX_MACHINE_128K : SZX_MACHINE_48K, 0]));
+  
+  const z80r = new Uint8Array(37);
+  ['af', 'bc', 'de', 'hl', 'af2', 'bc2', 'de2', 'hl2', 'ix', 'iy', 'sp', 'pc'].forEach((name, index) => {
+    writeWord(z80r, index * 2, regs[name]);
+  });
+  z80r[24] = regs.i;
+  z80r[25] = regs.r;
+  z80r[26] = state.iff1 ? 1 : 0;
+  z80r[27] = state.iff2 ? 1 : 0;
+  z80r[28] = state.interruptMode;
+  z80r[34] = (state.eiDelay ? 0x01 : 0) | (state.halted ? 0x02 : 0);
+  writeWord(z80r, 35, regs.wz);
+  
+  const spcr = new Uint8Array(8);
+  spcr[0] = state.border;
+  spcr[1] = state.port7ffd ?? 0;
+  
+  const banks = state.model === '128k' ? [0, 1, 2, 3, 4, 5, 6, 7] : [5, 2, 0];
+  const pages = await Promise.all(banks.map(async bank => {
+    const compressed = await transform(state.banks[bank], new CompressionStream('deflate'));
+    const data = new Uint8Array(3 + compressed.length);
+    writeWord(data, 0, 1);
+    data[2] = bank;
+    data.set(compressed, 3);
+    return szxBlock('RAMP', data);
+  }));
+  
+  return concat([header, szxBlock('Z80R', z80r), szxBlock('SPCR', spcr), ...pages]);
+};
+
+/*
+ * Core state
+ */
+
+// Byte of RAM at an address from 4000h up, as laid out in the state's banks
+const readRam = (state, address) => {
+  address &= 0xFFFF;
+  if (address < 0x4000) return 0xFF;
+  const bank = [5, 2, pagedBank(state)][(address >> 14) - 1];
+  return state.banks[bank] ? state.banks[bank][address & 0x3FFF] : 0xFF;
+};
+
+// The memory map region that pages the 128K banks in at C000h, if any
+const pagingRegion = (core) => {
+  if (!core.memoryMap) return null;
+  return core.memoryMap.regions.find(region =>
+    region.type === 'banked' && region.start === 0xC000 && region.size === BANK_SIZE && region.banks.length === 8) ?? null;
+};
+
+/**
+ * Capture the core as a Spectrum machine state: 128K when the memory map
+ * pages banks in at C000h, 48K otherwise.
+ */
+export const captureSpectrumState = (core) => {
+  const region = pagingRegion(core);
+  const state = createState(region ? '128k' : '48k');
+  const regs = core.registers;
+  
+  core.exchangeRegisterSets();
+  const alternates = { af2: core.getAF(), bc2: core.getBC(), de2: core.getDE(), hl2: core.getHL() };
+  core.exchangeRegisterSets();
+  
+  state.registers = {
+    af: core.getAF(),
+    bc: core.getBC(),
+    de: core.getDE(),
+    hl: core.getHL(),
+    ...alternates,
+    ix: regs.ix,
+    iy: regs.iy,
+    sp: regs.sp,
+    pc: regs.pc,
+    i: regs.i,
+    r: regs.r,
+    wz: regs.wz,
+  };
+  state.iff1 = core.iff1;
+  state.iff2 = core.iff2;
+  state.interruptMode = core.interruptMode;
+  state.halted = core.halted;
+  state.eiDelay = core.eiDelay;
+  
+  if (region) {
+    // The bank comes from the region, which can be paged without a port
+    // write; ROM select, shadow screen and lock from the last write
+    state.port7ffd = ((region.latch ?? 0) & ~7) | region.current;
+    region.banks.forEach((bank, index) => {
+      state.banks[index] = bank.slice();
+    });
+  }
+  
+  // What is in view wins over the region's copy of the same bank
+  const ram = (start) => Uint8Array.from({ length: BANK_SIZE }, (_, offset) => core.peekByte(start + offset));
+  state.banks[5] = ram(0x4000);
+  state.banks[2] = ram(0x8000);
+  state.banks[pagedBank(state)] = ram(0xC000);
+  return state;
+};
+
+/**
+ * Load a Spectrum machine state into the core: registers, interrupt state
+ * and RAM from 4000h up.
+ * @returns {{model: string, warnings: string[]}}
+ * @throws {Error} When RAM in view is missing from the state; nothing is changed
+ */
+export const applySpectrumState = (core, state) => {
+  const paged = pagedBank(state);
+  [5, 2, paged].forEach(bank => {
+    if (!state.banks[bank]) {
+      throw new Error(`Snapshot has no contents for RAM bank ${bank}`);
+    }
+  });
+  
+  const warnings = [];
+  const region = pagingRegion(core);
+  const regs = state.registers;
+  
+  core.exchangeRegisterSets();
+  core.setAF(regs.af2);
+  core.setBC(regs.bc2);
+  core.setDE(regs.de2);
+  core.setHL(regs.hl2);
+  core.exchangeRegisterSets();
+  core.setAF(regs.af);
+  core.setBC(regs.bc);
+  core.setDE(regs.de);
+  core.setHL(regs.hl);
+  Object.assign(core.registers, {
+    ix: regs.ix,
+    iy: regs.iy,
+    sp: regs.sp,
+    pc: regs.pc,
+    i: regs.i,
+    r: regs.r,
+    wz: regs.wz ?? core.registers.wz,
+  });
+  core.iff1 = state.iff1;
+  core.iff2 = state.iff2;
+  core.interruptMode = state.interruptMode;
+  core.halted = state.halted;
+  core.eiDelay = state.eiDelay;
+  core.intPending = false;
+  core.nmiPending = false;
+  
+  const poke = (start, bank) => {
+    state.banks[bank].forEach((value, offset) => core.pokeByte(start + offset, value));
+  };
+  poke(0x4000, 5);
+  poke(0x8000, 2);
+  
+  if (state.model === '128k' && region) {
+    state.banks.forEach((bank, index) => {
+      if (bank) region.banks[index].set(bank);
+    });
+    region.current = paged;
+    region.latch = state.port7ffd ?? paged;
+    core.memoryMap.notify();
+  } else {
+    poke(0xC000, paged);
+    if (state.model === '128k') {
+      warnings.push(`Only RAM banks 5, 2 and ${paged} were loaded: add a memory map region of eight 16K banks at C000h for the others`);
+    }
+  }
+  
+  core.clearJournal();
+  return { model: state.model, warnings };
+};
+
+/*
+ * Files
+ */
+
+// Format of a file, from its extension
+export const spectrumFormatOf = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return SPECTRUM_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Load a .sna, .z80 or .szx file into the core.
+ * @param {Z80Core} core
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} format - 'sna', 'z80' or 'szx'
+ * @returns {Promise<{model: string, warnings: string[]}>}
+ */
+export const importSpectrumSnapshot = async (core, bytes, format) => {
+  const readers = { sna: readSna, z80: readZ80, szx: readSzx };
+  if (!readers[format]) {
+    throw new Error(`Unknown Spectrum snapshot format "${format}"`);
+  }
+  return applySpectrumState(core, await readers[format](bytes));
+};
+
+/**
+ * Save the core as a .sna, .z80 or .szx file.
+ * @returns {Promise<Uint8Array>} The file contents
+ */
+export const exportSpectrumSnapshot = async (core, format) => {
+  const writers = { sna: writeSna, z80: writeZ80, szx: writeSzx };
+  if (!writers[format]) {
+    throw new Error(`Unknown Spectrum snapshot format "${format}"`);
+  }
+  return writers[format](captureSpectrumState(core));
+};
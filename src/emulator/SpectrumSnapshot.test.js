@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Z80Core from './Z80Core.js';
+import MemoryMap from './MemoryMap.js';
+import {
+  SPECTRUM_FORMATS,
+  compressZ80,
+  decompressZ80,
+  exportSpectrumSnapshot,
+  importSpectrumSnapshot,
+} from './SpectrumSnapshot.js';
+
+// A 48K machine has flat RAM; a 128K one pages eight banks in at C000h
+// through port 7FFDh, as the Spectrum decodes it
+const createMachine = (model) => {
+  const core = new Z80Core();
+  core.reset();
+  if (model === '128k') {
+    const memoryMap = new MemoryMap();
+    memoryMap.addRom({ name: 'ROM', start: 0x0000, size: 0x4000 });
+    memoryMap.addBanked({
+      name: 'RAM banks',
+      start: 0xC000,
+      size: 0x4000,
+      bankCount: 8,
+      port: { start: 0x0000, mask: 0x8002 },
+      select: value => value & 7,
+    });
+    core.setMemoryMap(memoryMap);
+  }
+  return core;
+};
+
+// Registers and RAM that a snapshot has to carry over
+const fillMachine = (core) => {
+  core.setAF(0x1234);
+  core.setBC(0x5678);
+  core.exchangeRegisterSets();
+  core.setHL(0x9ABC);
+  core.exchangeRegisterSets();
+  Object.assign(core.registers, { ix: 0xDEF0, iy: 0x5C3A, sp: 0xFF00, pc: 0x8123, i: 0x3F, r: 0x45 });
+  core.interruptMode = 1;
+  core.iff1 = true;
+  core.iff2 = true;
+  
+  // Runs, lone bytes and EDs, so the .z80 compression has work to do
+  for (let address = 0x4000; address < 0x10000; address++) {
+    const value = (address & 0x100) ? 0x00 : (address * 7) & 0xFF;
+    core.pokeByte(address, address % 97 === 0 ? 0xED : value);
+  }
+};
+
+const ram = (core) => Array.from({ length: 0xC000 }, (_, offset) => core.peekByte(0x4000 + offset));
+
+const registers = (core) => ({
+  af: core.getAF(),
+  bc: core.getBC(),
+  hl: core.getHL(),
+  ix: core.registers.ix,
+  iy: core.registers.iy,
+  sp: core.registers.sp,
+  pc: core.registers.pc,
+  i: core.registers.i,
+  interruptMode: core.interruptMode,
+  iff1: core.iff1,
+});
+
+test('compressZ80 escapes ED ED and never starts a run on the byte after a single ED', () => {
+  assert.deepEqual(Array.from(compressZ80([0xED, 0xED])), [0xED, 0xED, 0x02, 0xED]);
+  
+  const edThenRun = [0x01, 0xED, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00];
+  assert.deepEqual(Array.from(compressZ80(edThenRun)), [0x01, 0xED, 0x00, 0xED, 0xED, 0x05, 0x00]);
+  assert.deepEqual(Array.from(decompressZ80(compressZ80(edThenRun), edThenRun.length)), edThenRun);
+  
+  const short = [0xED, 0x00, 0x00, 0x00, 0x00, 0x00];
+  assert.deepEqual(Array.from(compressZ80(short)), short);
+  assert.deepEqual(Array.from(decompressZ80(short, short.length)), short);
+});
+
+test('runs longer than 255 bytes are split, and decompression stops at the size', () => {
+  const long = new Array(300).fill(0x11);
+  const compressed = compressZ80(long);
+  assert.deepEqual(Array.from(compressed), [0xED, 0xED, 0xFF, 0x11, 0xED, 0xED, 0x2D, 0x11]);
+  assert.deepEqual(Array.from(decompressZ80(compressed, 300)), long);
+  assert.deepEqual(Array.from(decompressZ80(compressed, 256)), long.slice(0, 256));
+  
+  assert.throws(() => decompressZ80(compressed, 301), /truncated/);
+});
+
+test('a 48K machine survives a round trip through every format', async () => {
+  const core = createMachine('48k');
+  fillMachine(core);
+  
+  for (const format of SPECTRUM_FORMATS) {
+    const bytes = await exportSpectrumSnapshot(core, format);
+    const restored = createMachine('48k');
+    const { model, warnings } = await importSpectrumSnapshot(restored, bytes, format);
+    
+    assert.equal(model, '48k', format);
+    assert.deepEqual(warnings, [], format);
+    assert.deepEqual(registers(restored), registers(core), format);
+    
+    // A 48K .sna keeps PC on the stack, so it is left just below SP
+    const expected = ram(core);
+    if (format === 'sna') {
+      expected.splice(0xFEFE - 0x4000, 2, 0x23, 0x81);
+    }
+    assert.deepEqual(ram(restored), expected, format);
+  }
+});
+
+test('a 128K machine keeps every bank and the whole 7FFDh byte through every format', async () => {
+  const core = createMachine('128k');
+  fillMachine(core);
+  const region = core.memoryMap.getRegion('RAM banks');
+  region.banks.forEach((bank, index) => {
+    if (index !== 0) bank.fill(0x10 + index);
+  });
+  
+  // Bank 3 at C000h, with the shadow screen and the 48K ROM selected
+  core.writePort(0x7FFD, 0x1B);
+  core.pokeByte(0xC000, 0x99);
+  
+  for (const format of SPECTRUM_FORMATS) {
+    const bytes = await exportSpectrumSnapshot(core, format);
+    const restored = createMachine('128k');
+    const { model, warnings } = await importSpectrumSnapshot(restored, bytes, format);
+    const restoredRegion = restored.memoryMap.getRegion('RAM banks');
+    
+    assert.equal(model, '128k', format);
+    assert.deepEqual(warnings, [], format);
+    assert.deepEqual(registers(restored), registers(core), format);
+    assert.deepEqual(ram(restored), ram(core), format);
+    assert.equal(restoredRegion.current, 3, format);
+    assert.equal(restoredRegion.latch, 0x1B, format);
+    // Banks 5 and 2 are the RAM at 4000h and 8000h, compared above
+    [0, 1, 3, 4, 6, 7].forEach(index => {
+      assert.deepEqual(restoredRegion.banks[index], region.banks[index], `${format} bank ${index}`);
+    });
+    assert.deepEqual(await exportSpectrumSnapshot(restored, format), bytes, format);
+  }
+});
+
+test('a 128K snapshot loads the banks in view into a 48K machine, with a warning', async () => {
+  const core = createMachine('128k');
+  fillMachine(core);
+  core.writePort(0x7FFD, 0x04);
+  
+  const restored = createMachine('48k');
+  const { model, warnings } = await importSpectrumSnapshot(restored, await exportSpectrumSnapshot(core, 'sna'), 'sna');
+  
+  assert.equal(model, '128k');
+  assert.match(warnings[0], /Only RAM banks 5, 2 and 4 were loaded/);
+  assert.deepEqual(ram(restored), ram(core));
+});
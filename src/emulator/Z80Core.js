@@ -2,11 +2,63 @@
  * Z80 Emulator Core
  * 
  * This module implements the core functionality of a Z80 CPU emulator,
- * including registers, flags, memory, and instruction execution.
+ * including registers, flags, memory, and instruction execution. Opcodes
+ * are dispatched through the tables of Z80Opcodes.js, and flags are mostly
+ * looked up in those of Z80Flags.js.
  */
 
+import {
+  CYCLES_MAIN, CYCLES_CB, CYCLES_ED, CYCLES_INDEXED, CYCLES_INDEXED_CB,
+  REPEAT_EXTRA, HALT_CYCLES, NMI_CYCLES, IM0_EXTRA, IM1_CYCLES, IM2_CYCLES,
+} from './Z80Timings.js';
+import {
+  FLAG_C, FLAG_N, FLAG_PV, FLAG_X, FLAG_H, FLAG_Y, FLAG_Z, FLAG_S, FLAGS_XY, FLAGS_DOCUMENTED,
+  PARITY, SZ, SZXY, SZXYP, INC_FLAGS, DEC_FLAGS,
+  HALF_CARRY_ADD, HALF_CARRY_SUB, OVERFLOW_ADD, OVERFLOW_SUB, carryIndex, carryIndex16, createFlagView,
+} from './Z80Flags.js';
+import {
+  REG8, CONDITION_FLAGS, ALU_OPERATIONS,
+  MAIN_OPCODES, CB_OPCODES, ED_OPCODES, INDEXED_OPCODES, INDEXED_CB_OPCODES,
+} from './Z80Opcodes.js';
+import PortBus from './PortBus.js';
+import Z80Disassembler from './Z80Disassembler.js';
+import Breakpoint from './Breakpoint.js';
+import { createSnapshot, restoreSnapshot } from './Snapshot.js';
+
+// Most instructions stepOver, stepOut and runTo execute before giving up, so
+// a routine that never returns cannot hang the caller
+export const RUN_LIMIT = 1000000;
+
+// Accesses a watchpoint can trigger on: 'access' is a read or a write, and
+// 'change' a write that changes the stored byte
+const WATCH_KINDS = ['read', 'write', 'access', 'change'];
+
+// Directions a port breakpoint can trigger on
+const PORT_DIRECTIONS = ['in', 'out', 'both'];
+
+// Length of the state arrays of captureState: the registers but the flag
+// views, then the halt, interrupt and timing fields
+const STATE_SIZE = 34;
+
+// How far SP has moved up from a reference value, treating the 64K stack
+// space as circular so LD SP,0 stacks compare correctly (negative when deeper)
+const stackRise = (sp, reference) => {
+  const distance = (sp - reference) & 0xFFFF;
+  return distance < 0x8000 ? distance : distance - 0x10000;
+};
+
 class Z80Core {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.undocumented=false] - Model undocumented behaviour:
+   *   the X/Y flag bits in F, IXH/IXL/IYH/IYL operands, SLL, the DDCB/FDCB
+   *   register-copy forms and the ED opcode mirrors
+   */
+  constructor(options = {}) {
+    // Opt-in undocumented behaviour
+    this.undocumented = !!options.undocumented;
+    
+    
     // Initialize registers
     this.registers = {
       // Main registers
@@ -17,34 +69,91 @@ class Z80Core {
       i: 0, r: 0,
       // 16-bit registers
       ix: 0, iy: 0, sp: 0, pc: 0,
-      // Flags (stored in F register)
-      flags: {
-        s: 0, // Sign flag
-        z: 0, // Zero flag
-        h: 0, // Half carry flag
-        pv: 0, // Parity/Overflow flag
-        n: 0, // Add/Subtract flag
-        c: 0, // Carry flag
-      },
-      // Shadow flags
-      flags_prime: {
-        s: 0, z: 0, h: 0, pv: 0, n: 0, c: 0,
-      }
+      // Internal MEMPTR register (only observable through the X/Y flags)
+      wz: 0,
+      // Flags, packed as in F (see Z80Flags.js); X and Y are always kept
+      f: 0, f_prime: 0,
     };
-
-    // Initialize 64K memory
+    
+    // The flags of F and F' as s, z, h, pv, n, c, x and y properties, for
+    // the register editor, breakpoint conditions and snapshots
+    this.registers.flags = createFlagView(this.registers, 'f');
+    this.registers.flags_prime = createFlagView(this.registers, 'f_prime');
+    
+    // Initialize 64K memory, optionally overlaid with ROM/banked/mirrored regions
     this.memory = new Uint8Array(65536);
+    this.memoryMap = null;
+    
+    // I/O space: devices register on the port bus for IN/OUT
+    this.ports = new PortBus();
     
     // Execution state
     this.halted = false;
-    this.interruptsEnabled = false;
     
-    // Debug state
-    this.breakpoints = new Set();
+    // Interrupt state: the two interrupt flip-flops, the IM mode, the pending
+    // INT/NMI requests and the one-instruction delay after EI
+    this.iff1 = false;
+    this.iff2 = false;
+    this.interruptMode = 0;
+    this.intPending = false;
+    this.intDataBus = 0xFF;
+    this.nmiPending = false;
+    this.eiDelay = false;
+    // Optional callback invoked when RETI executes (for daisy-chained peripherals)
+    this.onReti = null;
+    
+    // Timing state: total T-states, T-states of the last instruction, and an
+    // optional memory contention hook (see setContentionHandler)
+    this.tstates = 0;
+    this.lastTStates = 0;
+    this.contentionHandler = null;
+    this.executing = false;
+    
+    // Address of the instruction being executed
+    this.instructionPc = 0;
+    
+    // Debug state: breakpoints by address, and the messages logged by
+    // logpoints, oldest first
+    this.breakpoints = new Map();
+    this.breakpointLog = [];
+    this.maxBreakpointLog = 256;
     this.isDebugging = false;
     this.stepMode = false;
+    
+    // Memory watchpoints, the first one triggered by the last instruction and
+    // every trigger, oldest first. Opcode and operand fetches are not watched.
+    this.watchpoints = [];
+    this.nextWatchpointId = 1;
+    this.watchpointHit = null;
+    this.watchpointLog = [];
+    this.maxWatchpointLog = 256;
+    this.fetching = false;
+    
+    // I/O port breakpoints, and the first one triggered by the last instruction
+    this.portBreakpoints = [];
+    this.nextPortBreakpointId = 1;
+    this.portBreakpointHit = null;
+    
+    // Instructions (and accepted interrupts) executed since reset, for the
+    // step numbers in the port traffic log
+    this.instructionCount = 0;
+    
+    // Reverse execution journal: for each of the most recent instructions,
+    // the CPU state before it and the bytes it overwrote. Off while the
+    // limit is 0 (see setJournalLimit).
+    this.journal = [];
+    this.journalLimit = 0;
+    this.journalEntry = null;
+    this.journalPool = [];
+    
+    // Classifies instructions for stepOver and stepOut
+    this.disassembler = new Z80Disassembler();
   }
-
+  
+  // IFF1 is what the rest of the UI knows as "interrupts enabled"
+  get interruptsEnabled() { return this.iff1; }
+  set interruptsEnabled(value) { this.iff1 = !!value; }
+  
   // Get 16-bit register pairs
   getBC() { return (this.registers.b << 8) | this.registers.c; }
   getDE() { return (this.registers.d << 8) | this.registers.e; }
@@ -65,21 +174,20 @@ class Z80Core {
     this.registers.h = (value >> 8) & 0xFF;
     this.registers.l = value & 0xFF;
   }
-
-  // Get F register (flags)
+  
+  // Get F register (flags); bits 3 and 5 read as zero unless undocumented mode is on
   getF() {
-    const { s, z, h, pv, n, c } = this.registers.flags;
-    return (s << 7) | (z << 6) | (h << 4) | (pv << 2) | (n << 1) | c;
+    return this.undocumented ? this.registers.f : this.registers.f & FLAGS_DOCUMENTED;
   }
   
   // Set F register (flags)
   setF(value) {
-    this.registers.flags.s = (value & 0x80) >> 7;
-    this.registers.flags.z = (value & 0x40) >> 6;
-    this.registers.flags.h = (value & 0x10) >> 4;
-    this.registers.flags.pv = (value & 0x04) >> 2;
-    this.registers.flags.n = (value & 0x02) >> 1;
-    this.registers.flags.c = value & 0x01;
+    this.registers.f = value & 0xFF;
+  }
+  
+  // Copy the undocumented X/Y flags from bits 3 and 5 of a value
+  setXY(value) {
+    this.registers.f = (this.registers.f & ~FLAGS_XY) | (value & FLAGS_XY);
   }
   
   // Exchange register sets
@@ -94,19 +202,78 @@ class Z80Core {
     [this.registers.l, this.registers.l_prime] = [this.registers.l_prime, this.registers.l];
     
     // Exchange flags
-    [this.registers.flags, this.registers.flags_prime] = 
-      [this.registers.flags_prime, this.registers.flags];
+    [this.registers.f, this.registers.f_prime] = [this.registers.f_prime, this.registers.f];
   }
   
   // Memory access methods
   readByte(address) {
-    return this.memory[address & 0xFFFF];
+    if (this.executing) this.contend(address, 'memory');
+    const value = this.peekByte(address);
+    if (this.executing && !this.fetching && this.watchpoints.length > 0) {
+      this.checkWatchpoints('read', address & 0xFFFF, value);
+    }
+    return value;
   }
   
+  // Writes into ROM regions of the memory map are ignored (and logged by the map)
   writeByte(address, value) {
+    if (this.executing) {
+      this.contend(address, 'memory');
+      if (this.watchpoints.length > 0) {
+        this.checkWatchpoints('write', address & 0xFFFF, value & 0xFF);
+      }
+      if (this.journalEntry) {
+        this.journalEntry.writes.push(address & 0xFFFF, this.peekByte(address));
+      }
+    }
+    if (this.memoryMap) {
+      this.memoryMap.write(address & 0xFFFF, value, this.instructionPc);
+      return;
+    }
+    this.memory[address & 0xFFFF] = value & 0xFF;
+  }
+  
+  // Read a byte without contention or watchpoints
+  peekByte(address) {
+    return this.memoryMap ? this.memoryMap.read(address & 0xFFFF) : this.memory[address & 0xFFFF];
+  }
+  
+  // Write a byte even into ROM, for loaders and debugger edits
+  pokeByte(address, value) {
+    if (this.memoryMap) {
+      this.memoryMap.poke(address & 0xFFFF, value);
+      return;
+    }
     this.memory[address & 0xFFFF] = value & 0xFF;
   }
   
+  // Attach a MemoryMap (or null for flat 64K RAM)
+  setMemoryMap(memoryMap) {
+    if (this.memoryMap) {
+      this.memoryMap.detach();
+    }
+    this.memoryMap = memoryMap;
+    if (memoryMap) {
+      memoryMap.attach(this);
+    }
+  }
+  
+  /**
+   * Install a contention hook called for every memory and I/O access made while
+   * an instruction executes. It receives the address (or port), the T-state
+   * count at that point and the access kind ('memory' or 'io'), and returns the
+   * number of extra T-states the access is delayed by. Pass null to remove it.
+   */
+  setContentionHandler(handler) {
+    this.contentionHandler = handler;
+  }
+  
+  contend(address, kind) {
+    if (this.contentionHandler) {
+      this.tstates += this.contentionHandler(address & 0xFFFF, this.tstates, kind) || 0;
+    }
+  }
+  
   readWord(address) {
     const low = this.readByte(address);
     const high = this.readByte((address + 1) & 0xFFFF);
@@ -149,19 +316,42 @@ class Z80Core {
     
     // Reset execution state
     this.halted = false;
-    this.interruptsEnabled = false;
+    this.iff1 = false;
+    this.iff2 = false;
+    this.interruptMode = 0;
+    this.intPending = false;
+    this.intDataBus = 0xFF;
+    this.nmiPending = false;
+    this.eiDelay = false;
+    this.tstates = 0;
+    this.lastTStates = 0;
+    this.instructionCount = 0;
+    this.journal = [];
   }
   
-  // Load program into memory
+  // Load program into memory (ROM regions included). The journal is
+  // discarded, since undoing older instructions would overwrite the program.
   loadProgram(program, startAddress = 0) {
+    this.clearJournal();
     for (let i = 0; i < program.length; i++) {
-      this.writeByte(startAddress + i, program[i]);
+      this.pokeByte(startAddress + i, program[i]);
     }
   }
   
   // Debug methods
-  setBreakpoint(address) {
-    this.breakpoints.add(address & 0xFFFF);
+  
+  /**
+   * Set a breakpoint, replacing any at the same address.
+   * @param {number} address - Address PC must reach
+   * @param {Object} [options] - Condition, hit count, enabled state, log
+   *   message and labels; see Breakpoint
+   * @returns {Breakpoint} The new breakpoint
+   * @throws {Error} When the condition or log message is invalid
+   */
+  setBreakpoint(address, options = {}) {
+    const breakpoint = new Breakpoint(address, options);
+    this.breakpoints.set(breakpoint.address, breakpoint);
+    return breakpoint;
   }
   
   clearBreakpoint(address) {
@@ -174,74 +364,1063 @@ class Z80Core {
       this.breakpoints.delete(address);
       return false;
     } else {
-      this.breakpoints.add(address);
+      this.setBreakpoint(address);
       return true;
     }
   }
   
+  getBreakpoint(address) {
+    return this.breakpoints.get(address & 0xFFFF) ?? null;
+  }
+  
+  // Enable or disable a breakpoint without removing it
+  enableBreakpoint(address, enabled = true) {
+    const breakpoint = this.getBreakpoint(address);
+    if (breakpoint) {
+      breakpoint.enabled = !!enabled;
+    }
+  }
+  
   clearAllBreakpoints() {
     this.breakpoints.clear();
   }
   
+  clearBreakpointLog() {
+    this.breakpointLog = [];
+  }
+  
+  /**
+   * Check the breakpoint at an address as PC reaches it. A logpoint appends
+   * its message to breakpointLog and lets execution continue.
+   * @param {number} address - The new PC
+   * @returns {boolean} Whether execution should stop
+   */
+  hitBreakpoint(address) {
+    const breakpoint = this.breakpoints.get(address & 0xFFFF);
+    if (!breakpoint) return false;
+    
+    const action = breakpoint.reached(this);
+    if (action === 'log') {
+      this.breakpointLog.push({ pc: breakpoint.address, message: breakpoint.formatMessage(this), tstates: this.tstates });
+      if (this.breakpointLog.length > this.maxBreakpointLog) {
+        this.breakpointLog.splice(0, this.breakpointLog.length - this.maxBreakpointLog);
+      }
+    }
+    return action === 'stop';
+  }
+  
+  /**
+   * Watch an address or a range of memory. A watchpoint triggers while an
+   * instruction executes; the run stops once that instruction completes.
+   * @param {Object} options
+   * @param {number} options.start - First address watched
+   * @param {number} [options.end=start] - Last address watched (inclusive)
+   * @param {string} [options.on='write'] - 'read', 'write', 'access' (either)
+   *   or 'change' (a write that changes the byte)
+   * @param {number} [options.value] - Only writes of this value trigger
+   * @param {boolean} [options.enabled=true]
+   * @returns {Object} The watchpoint; its id identifies it to the other methods
+   * @throws {Error} On an unknown access kind or a value filter on reads
+   */
+  addWatchpoint({ start, end = start, on = 'write', value = null, enabled = true }) {
+    this.validateWatchpoint({ on, value });
+    
+    const watchpoint = {
+      id: this.nextWatchpointId++,
+      start: Math.min(start, end) & 0xFFFF,
+      end: Math.max(start, end) & 0xFFFF,
+      on,
+      value: value === null ? null : value & 0xFF,
+      enabled: !!enabled,
+      hits: 0,
+    };
+    this.watchpoints.push(watchpoint);
+    return watchpoint;
+  }
+  
+  // Throws the error addWatchpoint would for these options
+  validateWatchpoint({ on = 'write', value = null }) {
+    if (!WATCH_KINDS.includes(on)) {
+      throw new Error(`Unknown watchpoint kind "${on}" (expected ${WATCH_KINDS.join(', ')})`);
+    }
+    if (value !== null && on === 'read') {
+      throw new Error('A value filter only applies to watchpoints on writes');
+    }
+  }
+  
+  clearWatchpoint(id) {
+    this.watchpoints = this.watchpoints.filter(watchpoint => watchpoint.id !== id);
+  }
+  
+  clearAllWatchpoints() {
+    this.watchpoints = [];
+  }
+  
+  enableWatchpoint(id, enabled = true) {
+    const watchpoint = this.watchpoints.find(candidate => candidate.id === id);
+    if (watchpoint) {
+      watchpoint.enabled = !!enabled;
+    }
+  }
+  
+  clearWatchpointLog() {
+    this.watchpointLog = [];
+  }
+  
+  // Record the watchpoints a memory access made by the current instruction triggers
+  checkWatchpoints(kind, address, value) {
+    this.watchpoints.forEach(watchpoint => {
+      if (!watchpoint.enabled || address < watchpoint.start || address > watchpoint.end) return;
+      if (kind === 'read' ? !['read', 'access'].includes(watchpoint.on) : watchpoint.on === 'read') return;
+      if (kind === 'write' && watchpoint.value !== null && value !== watchpoint.value) return;
+      if (watchpoint.on === 'change') {
+        const previous = this.peekByte(address);
+        if (previous === value) return;
+      }
+      
+      const hit = { id: watchpoint.id, kind, address, value, pc: this.instructionPc, tstates: this.tstates };
+      watchpoint.hits++;
+      this.watchpointHit = this.watchpointHit || hit;
+      this.watchpointLog.push(hit);
+      if (this.watchpointLog.length > this.maxWatchpointLog) {
+        this.watchpointLog.splice(0, this.watchpointLog.length - this.maxWatchpointLog);
+      }
+    });
+  }
+  
+  // Instruction fetch helpers
+  fetchByte() {
+    this.fetching = true;
+    const value = this.readByte(this.registers.pc);
+    this.fetching = false;
+    this.registers.pc = (this.registers.pc + 1) & 0xFFFF;
+    return value;
+  }
+  
+  fetchWord() {
+    const low = this.fetchByte();
+    const high = this.fetchByte();
+    return (high << 8) | low;
+  }
+  
+  // Signed 8-bit displacement used by JR, DJNZ and (IX+d)/(IY+d)
+  fetchDisplacement() {
+    const value = this.fetchByte();
+    return value < 0x80 ? value : value - 256;
+  }
+  
+  // The low 7 bits of R count opcode fetches; bit 7 is only changed by LD R,A
+  incrementR() {
+    const r = this.registers.r;
+    this.registers.r = (r & 0x80) | ((r + 1) & 0x7F);
+  }
+  
+  // I/O space: the full 16-bit port address goes out on the port bus
+  readPort(port) {
+    if (this.executing) this.contend(port, 'io');
+    const value = this.ports.read(port & 0xFFFF, this.instructionPc, this.instructionCount);
+    if (this.executing && this.portBreakpoints.length > 0) {
+      this.checkPortBreakpoints('in', port & 0xFFFF, value);
+    }
+    return value;
+  }
+  
+  writePort(port, value) {
+    if (this.executing) this.contend(port, 'io');
+    this.ports.write(port & 0xFFFF, value & 0xFF, this.instructionPc, this.instructionCount);
+    if (this.executing && this.portBreakpoints.length > 0) {
+      this.checkPortBreakpoints('out', port & 0xFFFF, value & 0xFF);
+    }
+  }
+  
+  /**
+   * Break on I/O port accesses. Ports match as port devices do: the port
+   * address is masked, then compared with an inclusive range, so with a
+   * mask of 00FFh only the low byte (the port number in IN A,(n)) counts.
+   * The run stops once the accessing instruction completes.
+   * @param {Object} options
+   * @param {number} options.start - First (masked) port
+   * @param {number} [options.end=start] - Last (masked) port
+   * @param {number} [options.mask=0xFFFF] - Port address bits compared
+   * @param {string} [options.on='both'] - 'in', 'out' or 'both'
+   * @param {boolean} [options.enabled=true]
+   * @returns {Object} The port breakpoint; its id identifies it to the other methods
+   * @throws {Error} On an unknown direction
+   */
+  addPortBreakpoint({ start, end = start, mask = 0xFFFF, on = 'both', enabled = true }) {
+    this.validatePortBreakpoint({ on });
+    
+    const breakpoint = {
+      id: this.nextPortBreakpointId++,
+      start: Math.min(start, end) & 0xFFFF,
+      end: Math.max(start, end) & 0xFFFF,
+      mask: mask & 0xFFFF,
+      on,
+      enabled: !!enabled,
+      hits: 0,
+    };
+    this.portBreakpoints.push(breakpoint);
+    return breakpoint;
+  }
+  
+  // Throws the error addPortBreakpoint would for these options
+  validatePortBreakpoint({ on = 'both' }) {
+    if (!PORT_DIRECTIONS.includes(on)) {
+      throw new Error(`Unknown port breakpoint direction "${on}" (expected ${PORT_DIRECTIONS.join(', ')})`);
+    }
+  }
+  
+  clearPortBreakpoint(id) {
+    this.portBreakpoints = this.portBreakpoints.filter(breakpoint => breakpoint.id !== id);
+  }
+  
+  clearAllPortBreakpoints() {
+    this.portBreakpoints = [];
+  }
+  
+  enablePortBreakpoint(id, enabled = true) {
+    const breakpoint = this.portBreakpoints.find(candidate => candidate.id === id);
+    if (breakpoint) {
+      breakpoint.enabled = !!enabled;
+    }
+  }
+  
+  // Record the port breakpoints an IN or OUT made by the current instruction triggers
+  checkPortBreakpoints(direction, port, value) {
+    this.portBreakpoints.forEach(breakpoint => {
+      if (!breakpoint.enabled || (breakpoint.on !== 'both' && breakpoint.on !== direction)) return;
+      const masked = port & breakpoint.mask;
+      if (masked < breakpoint.start || masked > breakpoint.end) return;
+      
+      breakpoint.hits++;
+      this.portBreakpointHit = this.portBreakpointHit ||
+        { id: breakpoint.id, direction, port, value, pc: this.instructionPc, step: this.instructionCount };
+    });
+  }
+  
+  // Whether the last instruction triggered a watchpoint or a port breakpoint
+  accessTriggered() {
+    return this.watchpointHit !== null || this.portBreakpointHit !== null;
+  }
+  
+  // Register access by the 3-bit operand encoding: B, C, D, E, H, L, (HL), A
+  getReg8(index) {
+    if (index === 6) return this.readByte(this.getHL());
+    return this.registers[REG8[index]];
+  }
+  
+  setReg8(index, value) {
+    if (index === 6) {
+      this.writeByte(this.getHL(), value);
+    } else {
+      this.registers[REG8[index]] = value & 0xFF;
+    }
+  }
+  
+  // Register pair access by the 2-bit encoding: BC, DE, HL, SP
+  getRP(index) {
+    switch (index) {
+      case 0: return this.getBC();
+      case 1: return this.getDE();
+      case 2: return this.getHL();
+      default: return this.registers.sp;
+    }
+  }
+  
+  setRP(index, value) {
+    switch (index) {
+      case 0: this.setBC(value); break;
+      case 1: this.setDE(value); break;
+      case 2: this.setHL(value); break;
+      default: this.registers.sp = value & 0xFFFF;
+    }
+  }
+  
+  getAF() { return (this.registers.a << 8) | this.getF(); }
+  
+  setAF(value) {
+    this.registers.a = (value >> 8) & 0xFF;
+    this.setF(value & 0xFF);
+  }
+  
+  // PUSH/POP use AF in place of SP
+  getRP2(index) { return index === 3 ? this.getAF() : this.getRP(index); }
+  setRP2(index, value) {
+    if (index === 3) {
+      this.setAF(value);
+    } else {
+      this.setRP(index, value);
+    }
+  }
+  
+  // Exchange AF with AF' (EX AF,AF')
+  exchangeAF() {
+    const regs = this.registers;
+    [regs.a, regs.a_prime] = [regs.a_prime, regs.a];
+    [regs.f, regs.f_prime] = [regs.f_prime, regs.f];
+  }
+  
+  // Exchange BC, DE and HL with their alternates (EXX)
+  exchangeBCDEHL() {
+    ['b', 'c', 'd', 'e', 'h', 'l'].forEach(name => {
+      const prime = `${name}_prime`;
+      [this.registers[name], this.registers[prime]] = [this.registers[prime], this.registers[name]];
+    });
+  }
+  
+  // Evaluate a condition code: NZ, Z, NC, C, PO, PE, P, M
+  checkCondition(cc) {
+    const set = (this.registers.f & CONDITION_FLAGS[cc]) !== 0;
+    return cc & 1 ? set : !set;
+  }
+  
+  // 8-bit arithmetic and logic
+  add8(value, carry = 0) {
+    const regs = this.registers;
+    const result = regs.a + value + carry;
+    const lookup = carryIndex(regs.a, value, result);
+    regs.a = result & 0xFF;
+    regs.f = (result > 0xFF ? FLAG_C : 0) | HALF_CARRY_ADD[lookup & 7] | OVERFLOW_ADD[lookup >> 4] |
+      SZXY[regs.a];
+  }
+  
+  // Subtract from A; CP discards the result and keeps A (X/Y then come from the operand)
+  sub8(value, carry = 0, store = true) {
+    const regs = this.registers;
+    const result = regs.a - value - carry;
+    const lookup = carryIndex(regs.a, value, result);
+    const flags = (result < 0 ? FLAG_C : 0) | FLAG_N | HALF_CARRY_SUB[lookup & 7] | OVERFLOW_SUB[lookup >> 4];
+    if (store) {
+      regs.a = result & 0xFF;
+      regs.f = flags | SZXY[regs.a];
+    } else {
+      regs.f = flags | SZ[result & 0xFF] | (value & FLAGS_XY);
+    }
+  }
+  
+  // AND, XOR and OR: halfCarry is FLAG_H for AND and 0 otherwise
+  logic8(result, halfCarry) {
+    this.registers.a = result & 0xFF;
+    this.registers.f = SZXYP[this.registers.a] | halfCarry;
+  }
+  
+  // ALU operation by the 3-bit encoding: ADD, ADC, SUB, SBC, AND, XOR, OR, CP
+  alu(operation, value) {
+    ALU_OPERATIONS[operation](this, value);
+  }
+  
+  inc8(value) {
+    const result = (value + 1) & 0xFF;
+    this.registers.f = (this.registers.f & FLAG_C) | INC_FLAGS[result];
+    return result;
+  }
+  
+  dec8(value) {
+    const result = (value - 1) & 0xFF;
+    this.registers.f = (this.registers.f & FLAG_C) | DEC_FLAGS[result];
+    return result;
+  }
+  
+  // 16-bit arithmetic on HL (or IX/IY for ADD); X/Y come from the high byte
+  // of the result
+  add16(left, right) {
+    const regs = this.registers;
+    const result = left + right;
+    regs.f = (regs.f & (FLAG_S | FLAG_Z | FLAG_PV)) | (result > 0xFFFF ? FLAG_C : 0) |
+      (((left ^ right ^ result) >> 8) & FLAG_H) | ((result >> 8) & FLAGS_XY);
+    regs.wz = (left + 1) & 0xFFFF;
+    return result & 0xFFFF;
+  }
+  
+  adc16(value) {
+    const regs = this.registers;
+    const hl = this.getHL();
+    const result = hl + value + (regs.f & FLAG_C);
+    const lookup = carryIndex16(hl, value, result);
+    regs.f = (result > 0xFFFF ? FLAG_C : 0) | HALF_CARRY_ADD[lookup & 7] | OVERFLOW_ADD[lookup >> 4] |
+      ((result >> 8) & (FLAG_S | FLAGS_XY)) | ((result & 0xFFFF) === 0 ? FLAG_Z : 0);
+    regs.wz = (hl + 1) & 0xFFFF;
+    this.setHL(result);
+  }
+  
+  sbc16(value) {
+    const regs = this.registers;
+    const hl = this.getHL();
+    const result = hl - value - (regs.f & FLAG_C);
+    const lookup = carryIndex16(hl, value, result);
+    regs.f = (result < 0 ? FLAG_C : 0) | FLAG_N | HALF_CARRY_SUB[lookup & 7] | OVERFLOW_SUB[lookup >> 4] |
+      ((result >> 8) & (FLAG_S | FLAGS_XY)) | ((result & 0xFFFF) === 0 ? FLAG_Z : 0);
+    regs.wz = (hl + 1) & 0xFFFF;
+    this.setHL(result);
+  }
+  
+  // CB-prefixed rotate/shift by the 3-bit encoding: RLC, RRC, RL, RR, SLA, SRA, (SLL), SRL
+  rotateShift(operation, value) {
+    const carryIn = this.registers.f & FLAG_C;
+    let result;
+    let carry;
+    switch (operation) {
+      case 0: carry = value >> 7; result = (value << 1) | carry; break;
+      case 1: carry = value & 1; result = (value >> 1) | (carry << 7); break;
+      case 2: carry = value >> 7; result = (value << 1) | carryIn; break;
+      case 3: carry = value & 1; result = (value >> 1) | (carryIn << 7); break;
+      case 4: carry = value >> 7; result = value << 1; break;
+      case 5: carry = value & 1; result = (value >> 1) | (value & 0x80); break;
+      case 7: carry = value & 1; result = value >> 1; break;
+      default:
+        // SLL shifts a 1 into bit 0; without undocumented mode the operand is left untouched
+        if (!this.undocumented) return value;
+        carry = value >> 7;
+        result = (value << 1) | 1;
+    }
+    result &= 0xFF;
+    this.registers.f = SZXYP[result] | carry;
+    return result;
+  }
+  
+  // BIT n: X/Y come from the tested register, or from the high byte of WZ for memory operands
+  bitTest(bit, value, xySource = value) {
+    const regs = this.registers;
+    const zero = ((value >> bit) & 1) === 0;
+    regs.f = (regs.f & FLAG_C) | FLAG_H | (xySource & FLAGS_XY) | (zero ? FLAG_Z | FLAG_PV : 0) |
+      (bit === 7 && (value & 0x80) ? FLAG_S : 0);
+  }
+  
+  daa() {
+    const regs = this.registers;
+    const a = regs.a;
+    const halfCarry = regs.f & FLAG_H;
+    let correction = 0;
+    let carry = regs.f & FLAG_C;
+    if (halfCarry || (a & 0x0F) > 9) {
+      correction |= 0x06;
+    }
+    if (carry || a > 0x99) {
+      correction |= 0x60;
+      carry = FLAG_C;
+    }
+    let result;
+    let newHalfCarry;
+    if (regs.f & FLAG_N) {
+      newHalfCarry = halfCarry && (a & 0x0F) < 6 ? FLAG_H : 0;
+      result = (a - correction) & 0xFF;
+    } else {
+      newHalfCarry = (a & 0x0F) > 9 ? FLAG_H : 0;
+      result = (a + correction) & 0xFF;
+    }
+    regs.a = result;
+    regs.f = SZXYP[result] | newHalfCarry | (regs.f & FLAG_N) | carry;
+  }
+  
+  // IN r,(C) sets S, Z and P/V from the value read
+  inWithFlags(port) {
+    const value = this.readPort(port);
+    this.registers.f = (this.registers.f & FLAG_C) | SZXYP[value];
+    return value;
+  }
+  
+  // Interrupt methods
+  
+  /**
+   * Assert the maskable interrupt line. The request stays pending until the
+   * CPU accepts it (IFF1 set and not straight after EI) or clearInt() is called.
+   * @param {number} [dataBus=0xFF] - Byte the interrupting device places on the
+   *   data bus: the opcode executed in IM 0 (normally an RST) or the low byte of
+   *   the vector table address in IM 2
+   */
+  raiseInt(dataBus = 0xFF) {
+    this.intPending = true;
+    this.intDataBus = dataBus & 0xFF;
+  }
+  
+  clearInt() {
+    this.intPending = false;
+  }
+  
+  // Request a non-maskable interrupt (edge triggered: accepted once)
+  raiseNmi() {
+    this.nmiPending = true;
+  }
+  
+  // Whether an interrupt would be accepted before the next instruction
+  interruptPending() {
+    return this.nmiPending || (this.intPending && this.iff1 && !this.eiDelay);
+  }
+  
+  // Accept a pending interrupt, if any. Returns true when one was serviced.
+  acceptInterrupt() {
+    if (!this.interruptPending()) return false;
+    
+    const regs = this.registers;
+    this.halted = false;
+    this.incrementR();
+    
+    if (this.nmiPending) {
+      // NMI: IFF2 remembers the interrupt state for RETN
+      this.nmiPending = false;
+      this.iff1 = false;
+      this.pushStack(regs.pc);
+      regs.pc = 0x0066;
+      this.tstates += NMI_CYCLES;
+    } else {
+      this.intPending = false;
+      this.iff1 = false;
+      this.iff2 = false;
+      
+      switch (this.interruptMode) {
+        case 0:
+          // Execute the opcode on the data bus (single-byte instructions such as RST)
+          this.tstates += IM0_EXTRA;
+          this.executeInstruction(this.intDataBus);
+          break;
+        case 1:
+          this.pushStack(regs.pc);
+          regs.pc = 0x0038;
+          this.tstates += IM1_CYCLES;
+          break;
+        default:
+          this.pushStack(regs.pc);
+          regs.pc = this.readWord((regs.i << 8) | this.intDataBus);
+          this.tstates += IM2_CYCLES;
+      }
+    }
+    
+    regs.wz = regs.pc;
+    return true;
+  }
+  
   // Execution methods
   step() {
-    if (this.halted) return false;
+    if (this.halted && !this.interruptPending()) return false;
     
-    // Fetch instruction
-    const opcode = this.readByte(this.registers.pc);
-    this.registers.pc = (this.registers.pc + 1) & 0xFFFF;
+    const start = this.tstates;
+    this.executing = true;
+    this.instructionPc = this.registers.pc;
+    this.watchpointHit = null;
+    this.portBreakpointHit = null;
+    if (this.journalLimit > 0) {
+      this.journalEntry = this.newJournalEntry();
+    }
+    this.instructionCount++;
+    
+    // Interrupts are sampled between instructions, except straight after EI
+    if (!((this.nmiPending || this.intPending) && this.acceptInterrupt())) {
+      this.eiDelay = false;
+      
+      // Fetch instruction
+      const opcode = this.fetchByte();
+      this.incrementR();
+      
+      this.executeInstruction(opcode);
+    }
     
-    // Execute instruction (placeholder - actual implementation would be much more complex)
-    // In a real implementation, this would decode and execute the Z80 instruction set
-    this.executeInstruction(opcode);
+    this.executing = false;
+    this.lastTStates = this.tstates - start;
+    
+    if (this.journalEntry) {
+      this.journal.push(this.journalEntry);
+      this.journalEntry = null;
+      // Trimmed in batches so long runs do not shift the array every step;
+      // the trimmed entries are reused rather than left to the collector
+      if (this.journal.length > this.journalLimit * 2) {
+        this.journalPool = this.journal.splice(0, this.journal.length - this.journalLimit);
+      }
+    }
     
     return true;
   }
   
+  // Execute an unprefixed opcode (the prefixes dispatch to their own tables)
   executeInstruction(opcode) {
-    // This is a placeholder for the actual instruction execution
-    // A full Z80 emulator would implement all opcodes here
+    this.tstates += CYCLES_MAIN[opcode];
+    MAIN_OPCODES[opcode](this);
+  }
+  
+  // CB prefix: rotates, shifts and bit operations
+  executeCB() {
+    const opcode = this.fetchByte();
+    this.incrementR();
+    this.tstates += CYCLES_CB[opcode];
+    CB_OPCODES[opcode](this);
+  }
+  
+  // ED prefix: extended instructions
+  executeED() {
+    const opcode = this.fetchByte();
+    this.incrementR();
+    this.tstates += CYCLES_ED[opcode];
+    ED_OPCODES[opcode](this);
+  }
+  
+  // LDI / LDD / LDIR / LDDR
+  blockLoad(decrement, repeat) {
+    const delta = decrement ? -1 : 1;
+    const regs = this.registers;
     
-    // For now, we'll just implement a few simple instructions as examples
+    const value = this.readByte(this.getHL());
+    this.writeByte(this.getDE(), value);
+    this.setHL(this.getHL() + delta);
+    this.setDE(this.getDE() + delta);
+    this.setBC(this.getBC() - 1);
     
-    // NOP (0x00)
-    if (opcode === 0x00) {
-      // No operation
-      return;
+    // H and N are reset; X is bit 3 and Y is bit 1 of the transferred byte plus A
+    const sum = (value + regs.a) & 0xFF;
+    regs.f = (regs.f & (FLAG_S | FLAG_Z | FLAG_C)) | (this.getBC() !== 0 ? FLAG_PV : 0) |
+      (sum & FLAG_X) | ((sum << 4) & FLAG_Y);
+    
+    if (repeat && this.getBC() !== 0) {
+      this.repeatBlockInstruction();
     }
+  }
+  
+  // CPI / CPD / CPIR / CPDR
+  blockCompare(decrement, repeat) {
+    const delta = decrement ? -1 : 1;
+    const regs = this.registers;
+    const a = regs.a;
+    const value = this.readByte(this.getHL());
+    const result = (a - value) & 0xFF;
     
-    // LD A, n (0x3E)
-    if (opcode === 0x3E) {
-      const value = this.readByte(this.registers.pc);
-      this.registers.pc = (this.registers.pc + 1) & 0xFFFF;
-      this.registers.a = value;
-      return;
+    this.setHL(this.getHL() + delta);
+    this.setBC(this.getBC() - 1);
+    regs.wz = (regs.wz + delta) & 0xFFFF;
+    
+    // X and Y come from bits 3 and 1 of the result less the half carry
+    const halfCarry = (a ^ value ^ result) & FLAG_H;
+    const adjusted = (result - (halfCarry >> 4)) & 0xFF;
+    regs.f = (regs.f & FLAG_C) | FLAG_N | SZ[result] | halfCarry | (this.getBC() !== 0 ? FLAG_PV : 0) |
+      (adjusted & FLAG_X) | ((adjusted << 4) & FLAG_Y);
+    
+    if (repeat && this.getBC() !== 0 && result !== 0) {
+      this.repeatBlockInstruction();
+    }
+  }
+  
+  // INI / IND / INIR / INDR
+  blockIn(decrement, repeat) {
+    const regs = this.registers;
+    const delta = decrement ? -1 : 1;
+    
+    const value = this.readPort(this.getBC());
+    regs.wz = (this.getBC() + delta) & 0xFFFF;
+    this.writeByte(this.getHL(), value);
+    this.setHL(this.getHL() + delta);
+    regs.b = (regs.b - 1) & 0xFF;
+    
+    this.setBlockIOFlags(value, value + ((regs.c + delta) & 0xFF));
+    
+    if (repeat && regs.b !== 0) {
+      this.repeatBlockInstruction();
     }
+  }
+  
+  // OUTI / OUTD / OTIR / OTDR
+  blockOut(decrement, repeat) {
+    const regs = this.registers;
+    const delta = decrement ? -1 : 1;
     
-    // HALT (0x76)
-    if (opcode === 0x76) {
-      this.halted = true;
-      return;
+    const value = this.readByte(this.getHL());
+    regs.b = (regs.b - 1) & 0xFF;
+    this.writePort(this.getBC(), value);
+    regs.wz = (this.getBC() + delta) & 0xFFFF;
+    this.setHL(this.getHL() + delta);
+    
+    this.setBlockIOFlags(value, value + regs.l);
+    
+    if (repeat && regs.b !== 0) {
+      this.repeatBlockInstruction();
+    }
+  }
+  
+  // Block I/O flags depend on the transferred byte and the updated B
+  setBlockIOFlags(value, sum) {
+    const b = this.registers.b;
+    this.registers.f = SZXY[b] | ((value >> 6) & FLAG_N) | (sum > 0xFF ? FLAG_H | FLAG_C : 0) |
+      PARITY[(sum & 7) ^ b];
+  }
+  
+  // Repeating block instructions re-execute themselves by rewinding PC;
+  // while repeating, WZ and the X/Y flags are taken from the rewound PC
+  repeatBlockInstruction() {
+    const regs = this.registers;
+    regs.pc = (regs.pc - 2) & 0xFFFF;
+    regs.wz = (regs.pc + 1) & 0xFFFF;
+    this.setXY(regs.wz >> 8);
+    this.tstates += REPEAT_EXTRA;
+  }
+  
+  // DD/FD prefix: HL is replaced by IX/IY and (HL) by (IX+d)/(IY+d)
+  executeIndexed(indexReg) {
+    const opcode = this.fetchByte();
+    this.incrementR();
+    this.tstates += CYCLES_INDEXED[opcode];
+    INDEXED_OPCODES[opcode](this, indexReg);
+  }
+  
+  // Compute IX+d / IY+d from the displacement byte at PC
+  indexedAddress(indexReg) {
+    const address = (this.registers[indexReg] + this.fetchDisplacement()) & 0xFFFF;
+    this.registers.wz = address;
+    return address;
+  }
+  
+  // Register access where H and L stand for the high and low halves of IX/IY
+  getIndexReg8(indexReg, index) {
+    if (index === 4) return this.registers[indexReg] >> 8;
+    if (index === 5) return this.registers[indexReg] & 0xFF;
+    return this.getReg8(index);
+  }
+  
+  setIndexReg8(indexReg, index, value) {
+    const word = this.registers[indexReg];
+    if (index === 4) {
+      this.registers[indexReg] = ((value & 0xFF) << 8) | (word & 0xFF);
+    } else if (index === 5) {
+      this.registers[indexReg] = (word & 0xFF00) | (value & 0xFF);
+    } else {
+      this.setReg8(index, value);
     }
+  }
+  
+  // DDCB/FDCB: the displacement precedes the opcode and every operation targets (IX+d)
+  executeIndexedCB(indexReg) {
+    const address = this.indexedAddress(indexReg);
+    const opcode = this.fetchByte();
+    const value = this.readByte(address);
+    this.tstates += CYCLES_INDEXED_CB[opcode];
+    INDEXED_CB_OPCODES[opcode](this, address, value);
+  }
+  
+  /**
+   * Run for a budget of T-states, e.g. one video frame of a 3.5 MHz machine.
+   * A HALTed CPU keeps burning 4 T-state NOPs until the budget is spent. Stops
+   * early at a breakpoint (other than one at the starting PC) or after an
+   * instruction that triggers a watchpoint or port breakpoint.
+   * @param {number} budget - T-states to run for
+   * @returns {number} T-states actually executed (may overshoot by part of an instruction)
+   */
+  runCycles(budget) {
+    const start = this.tstates;
+    const end = start + budget;
+    this.isDebugging = false;
     
-    // In a complete implementation, all Z80 instructions would be handled here
+    while (this.tstates < end) {
+      if (this.tstates !== start && this.hitBreakpoint(this.registers.pc)) {
+        this.isDebugging = true;
+        break;
+      }
+      if (this.halted && !this.interruptPending()) {
+        this.incrementR();
+        this.tstates += HALT_CYCLES;
+      } else {
+        this.step();
+        if (this.accessTriggered()) {
+          this.isDebugging = true;
+          break;
+        }
+      }
+    }
+    
+    return this.tstates - start;
   }
   
   run() {
     this.isDebugging = false;
     while (!this.halted) {
-      if (this.breakpoints.has(this.registers.pc)) {
+      if (this.hitBreakpoint(this.registers.pc)) {
         this.isDebugging = true;
         break;
       }
       this.step();
+      if (this.accessTriggered()) {
+        this.isDebugging = true;
+        break;
+      }
     }
   }
   
+  /**
+   * Run until a condition holds, a breakpoint, watchpoint or port breakpoint
+   * is reached, the CPU halts or the instruction limit is used up. A breakpoint at the starting PC does not
+   * stop the run, so a run can resume from one.
+   * @param {function(): boolean} condition - Checked after every instruction
+   * @param {Object} [options]
+   * @param {number} [options.limit=RUN_LIMIT] - Most instructions to execute
+   * @param {function(number)} [options.onStep] - Called with PC before each instruction
+   * @returns {{reason: string, pc: number, instructions: number}} Why the run
+   *   stopped ('done', 'breakpoint', 'watchpoint', 'port', 'halted' or
+   *   'limit'), where, and after how many instructions
+   */
+  runUntil(condition, { limit = RUN_LIMIT, onStep = null } = {}) {
+    let instructions = 0;
+    let reason = 'limit';
+    
+    while (instructions < limit) {
+      if (instructions > 0 && this.hitBreakpoint(this.registers.pc)) {
+        reason = 'breakpoint';
+        break;
+      }
+      if (this.halted && !this.interruptPending()) {
+        reason = 'halted';
+        break;
+      }
+      
+      if (onStep) onStep(this.registers.pc);
+      this.step();
+      instructions++;
+      
+      if (this.accessTriggered()) {
+        reason = this.watchpointHit ? 'watchpoint' : 'port';
+        break;
+      }
+      if (condition()) {
+        reason = 'done';
+        break;
+      }
+    }
+    
+    this.isDebugging = ['breakpoint', 'watchpoint', 'port'].includes(reason);
+    return { reason, pc: this.registers.pc, instructions };
+  }
+  
+  // Decode the instruction at an address without executing it
+  decodeAt(address) {
+    return this.disassembler.decode(addr => this.readByte(addr), address);
+  }
+  
+  /**
+   * Execute one instruction, but run CALL, RST and the repeating block
+   * instructions to completion: stop once PC reaches the next instruction
+   * with the stack no deeper than it is now (so recursion is handled).
+   * @param {Object} [options] - As for runUntil
+   * @returns {Object} The runUntil result
+   */
+  stepOver(options = {}) {
+    const { pc, sp } = this.registers;
+    const instruction = this.decodeAt(pc);
+    
+    if (instruction.flow !== 'call' && instruction.flow !== 'repeat') {
+      return this.runUntil(() => true, { ...options, limit: 1 });
+    }
+    
+    const next = (pc + instruction.length) & 0xFFFF;
+    return this.runUntil(() => this.registers.pc === next && stackRise(this.registers.sp, sp) >= 0, options);
+  }
+  
+  /**
+   * Run until the current routine returns: a RET, RETI or RETN that leaves SP
+   * above its value now. Returns from nested calls, interrupt handlers and
+   * conditional RETs that are not taken do not count.
+   * @param {Object} [options] - As for runUntil
+   * @returns {Object} The runUntil result
+   */
+  stepOut(options = {}) {
+    const { sp } = this.registers;
+    let returning = false;
+    
+    return this.runUntil(() => returning && stackRise(this.registers.sp, sp) > 0, {
+      ...options,
+      onStep: (pc) => {
+        returning = this.decodeAt(pc).flow === 'return';
+        if (options.onStep) options.onStep(pc);
+      },
+    });
+  }
+  
+  /**
+   * Run until PC reaches an address (Run to Cursor).
+   * @param {number} address - Address to stop at
+   * @param {Object} [options] - As for runUntil
+   * @returns {Object} The runUntil result
+   */
+  runTo(address, options = {}) {
+    const target = address & 0xFFFF;
+    return this.runUntil(() => this.registers.pc === target, options);
+  }
+  
+  /**
+   * Journal the most recent instructions so they can be undone with
+   * stepBack, reverseContinue and rewindTo. At least `limit` instructions
+   * are kept; 0 turns journaling off and discards the journal.
+   */
+  setJournalLimit(limit) {
+    this.journalLimit = Math.max(0, Math.floor(limit) || 0);
+    if (this.journalLimit === 0) {
+      this.clearJournal();
+    }
+  }
+  
+  clearJournal() {
+    this.journal = [];
+    this.journalPool = [];
+  }
+  
+  // Journal entry for the instruction about to run, reusing a trimmed one
+  // when there is one
+  newJournalEntry() {
+    const entry = this.journalPool.pop();
+    if (!entry) {
+      return {
+        state: this.captureState(),
+        writes: [],
+        banks: this.memoryMap ? this.memoryMap.getBankState() : null,
+      };
+    }
+    this.captureState(entry.state);
+    entry.writes.length = 0;
+    entry.banks = this.memoryMap ? this.memoryMap.getBankState() : null;
+    return entry;
+  }
+  
+  // CPU state an instruction can change, apart from memory, as a flat array
+  // since the journal takes one per step. An earlier state array can be
+  // passed in to be overwritten.
+  captureState(state = new Array(STATE_SIZE)) {
+    const regs = this.registers;
+    state[0] = regs.a;
+    state[1] = regs.b;
+    state[2] = regs.c;
+    state[3] = regs.d;
+    state[4] = regs.e;
+    state[5] = regs.h;
+    state[6] = regs.l;
+    state[7] = regs.f;
+    state[8] = regs.a_prime;
+    state[9] = regs.b_prime;
+    state[10] = regs.c_prime;
+    state[11] = regs.d_prime;
+    state[12] = regs.e_prime;
+    state[13] = regs.h_prime;
+    state[14] = regs.l_prime;
+    state[15] = regs.f_prime;
+    state[16] = regs.i;
+    state[17] = regs.r;
+    state[18] = regs.ix;
+    state[19] = regs.iy;
+    state[20] = regs.sp;
+    state[21] = regs.pc;
+    state[22] = regs.wz;
+    state[23] = this.halted;
+    state[24] = this.iff1;
+    state[25] = this.iff2;
+    state[26] = this.interruptMode;
+    state[27] = this.intPending;
+    state[28] = this.intDataBus;
+    state[29] = this.nmiPending;
+    state[30] = this.eiDelay;
+    state[31] = this.tstates;
+    state[32] = this.lastTStates;
+    state[33] = this.instructionCount;
+    return state;
+  }
+  
+  // Registers are restored in place, since the UI holds on to the objects
+  restoreState(state) {
+    const regs = this.registers;
+    regs.a = state[0];
+    regs.b = state[1];
+    regs.c = state[2];
+    regs.d = state[3];
+    regs.e = state[4];
+    regs.h = state[5];
+    regs.l = state[6];
+    regs.f = state[7];
+    regs.a_prime = state[8];
+    regs.b_prime = state[9];
+    regs.c_prime = state[10];
+    regs.d_prime = state[11];
+    regs.e_prime = state[12];
+    regs.h_prime = state[13];
+    regs.l_prime = state[14];
+    regs.f_prime = state[15];
+    regs.i = state[16];
+    regs.r = state[17];
+    regs.ix = state[18];
+    regs.iy = state[19];
+    regs.sp = state[20];
+    regs.pc = state[21];
+    regs.wz = state[22];
+    this.halted = state[23];
+    this.iff1 = state[24];
+    this.iff2 = state[25];
+    this.interruptMode = state[26];
+    this.intPending = state[27];
+    this.intDataBus = state[28];
+    this.nmiPending = state[29];
+    this.eiDelay = state[30];
+    this.tstates = state[31];
+    this.lastTStates = state[32];
+    this.instructionCount = state[33];
+  }
+  
+  /**
+   * Undo the last journaled instruction: the bytes it wrote, the bank it
+   * paged in and the CPU state are put back. Port devices are not rewound.
+   * @returns {boolean} false when the journal is empty
+   */
+  stepBack() {
+    const entry = this.journal.pop();
+    if (!entry) return false;
+    
+    // Later writes are undone first, so a byte written twice ends up with
+    // the value from before the instruction
+    for (let i = entry.writes.length - 2; i >= 0; i -= 2) {
+      this.pokeByte(entry.writes[i], entry.writes[i + 1]);
+    }
+    if (entry.banks) {
+      this.memoryMap.setBankState(entry.banks);
+    }
+    this.restoreState(entry.state);
+    this.watchpointHit = null;
+    this.portBreakpointHit = null;
+    return true;
+  }
+  
+  /**
+   * Step back until PC reaches an enabled breakpoint whose condition holds
+   * (hit counts are ignored and logpoints skipped) or the journal runs out.
+   * At least one instruction is undone.
+   * @returns {{reason: string, pc: number, instructions: number}} Why it
+   *   stopped ('breakpoint' or 'start'), where, and how many instructions
+   *   were undone
+   */
+  reverseContinue() {
+    let instructions = 0;
+    let reason = 'start';
+    
+    while (this.stepBack()) {
+      instructions++;
+      const breakpoint = this.breakpoints.get(this.registers.pc);
+      if (breakpoint && breakpoint.log === null && breakpoint.holds(this)) {
+        reason = 'breakpoint';
+        break;
+      }
+    }
+    
+    return { reason, pc: this.registers.pc, instructions };
+  }
+  
+  /**
+   * Step back to the state after `count` instructions since reset, as
+   * recorded in instructionCount.
+   * @returns {{reason: string, pc: number, instructions: number}} reason is
+   *   'done', or 'start' when the journal ran out first
+   */
+  rewindTo(count) {
+    let instructions = 0;
+    while (this.instructionCount > count) {
+      if (!this.stepBack()) {
+        return { reason: 'start', pc: this.registers.pc, instructions };
+      }
+      instructions++;
+    }
+    return { reason: 'done', pc: this.registers.pc, instructions };
+  }
+  
   debug() {
     this.isDebugging = true;
     if (!this.halted && !this.stepMode) {
-      if (this.breakpoints.has(this.registers.pc)) {
+      if (this.hitBreakpoint(this.registers.pc)) {
         return { stopped: true, address: this.registers.pc };
       }
       this.step();
@@ -251,21 +1430,37 @@ class Z80Core {
   
   // Get the current state of the CPU
   getState() {
+    // F and F' are left out of the registers: they change with the flags,
+    // which are edited separately
+    const { f, f_prime: fPrime, ...registers } = this.registers;
     return {
-      registers: { ...this.registers },
+      registers,
       pc: this.registers.pc,
       sp: this.registers.sp,
       flags: { ...this.registers.flags },
       halted: this.halted,
-      interruptsEnabled: this.interruptsEnabled
+      interruptsEnabled: this.iff1,
+      iff1: this.iff1,
+      iff2: this.iff2,
+      interruptMode: this.interruptMode
     };
   }
   
+  // Complete, versioned machine state (see Snapshot.js); getState only
+  // covers the registers the editors show
+  saveSnapshot(name = '') {
+    return createSnapshot(this, { name });
+  }
+  
+  loadSnapshot(snapshot) {
+    restoreSnapshot(this, snapshot);
+  }
+  
   // Set the state of the CPU
   setState(state) {
     if (state.registers) {
       Object.keys(state.registers).forEach(key => {
-        if (this.registers[key] !== undefined) {
+        if (this.registers[key] !== undefined && key !== 'flags' && key !== 'flags_prime') {
           this.registers[key] = state.registers[key];
         }
       });
@@ -282,7 +1477,10 @@ class Z80Core {
     if (state.pc !== undefined) this.registers.pc = state.pc & 0xFFFF;
     if (state.sp !== undefined) this.registers.sp = state.sp & 0xFFFF;
     if (state.halted !== undefined) this.halted = state.halted;
-    if (state.interruptsEnabled !== undefined) this.interruptsEnabled = state.interruptsEnabled;
+    if (state.interruptsEnabled !== undefined) this.iff1 = !!state.interruptsEnabled;
+    if (state.iff1 !== undefined) this.iff1 = !!state.iff1;
+    if (state.iff2 !== undefined) this.iff2 = !!state.iff2;
+    if (state.interruptMode !== undefined) this.interruptMode = state.interruptMode;
   }
 }
 
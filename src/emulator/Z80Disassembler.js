@@ -0,0 +1,496 @@
+/**
+ * Z80 Disassembler
+ *
+ * Table-driven decoder for the complete instruction set: the unprefixed
+ * opcodes, the CB, ED, DD/FD and DDCB/FDCB pages, and the undocumented forms
+ * (SLL, IXH/IXL/IYH/IYL, the indexed register-copy rotates, IN F,(C),
+ * OUT (C),0 and the ED mirrors). The output uses the syntax the assembler
+ * accepts, so a disassembly can be assembled again.
+ *
+ * The tables hold text templates in which {n} is an immediate byte, {nn} an
+ * immediate word, {d} an index displacement and {e} a relative jump offset.
+ * Operands are read in the order their placeholders appear, which matches
+ * the order of the bytes in memory.
+ */
+
+const REGISTERS = ['B', 'C', 'D', 'E', 'H', 'L', '(HL)', 'A'];
+const PAIRS = ['BC', 'DE', 'HL', 'SP'];
+const PAIRS_AF = ['BC', 'DE', 'HL', 'AF'];
+const CONDITIONS = ['NZ', 'Z', 'NC', 'C', 'PO', 'PE', 'P', 'M'];
+const ALU = ['ADD A,', 'ADC A,', 'SUB ', 'SBC A,', 'AND ', 'XOR ', 'OR ', 'CP '];
+const ROTATES = ['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'];
+const ACCUMULATOR_OPS = ['RLCA', 'RRCA', 'RLA', 'RRA', 'DAA', 'CPL', 'SCF', 'CCF'];
+const BLOCK_OPS = [
+  ['LDI', 'CPI', 'INI', 'OUTI'],
+  ['LDD', 'CPD', 'IND', 'OUTD'],
+  ['LDIR', 'CPIR', 'INIR', 'OTIR'],
+  ['LDDR', 'CPDR', 'INDR', 'OTDR'],
+];
+
+// Block instructions that repeat until BC (or B) reaches zero
+const REPEATING = ['LDIR', 'CPIR', 'INIR', 'OTIR', 'LDDR', 'CPDR', 'INDR', 'OTDR'];
+
+/**
+ * Format a byte or word as an assembler hex literal (0FFh, 1234h). A leading
+ * zero is added when the first digit is a letter so it cannot be read as a name.
+ */
+export const formatHex = (value, digits = 2) => {
+  const hex = value.toString(16).padStart(digits, '0').toUpperCase();
+  return /^[A-F]/.test(hex) ? `0${hex}h` : `${hex}h`;
+};
+
+// Table entry: undocumented marks forms outside the official instruction
+// set; alias marks encodings the assembler writes with different bytes
+const entry = (template, { undocumented = false, alias = false } = {}) => ({ template, undocumented, alias });
+
+const buildMainTable = () => {
+  const table = [];
+  for (let opcode = 0; opcode < 256; opcode++) {
+    const x = opcode >> 6;
+    const y = (opcode >> 3) & 7;
+    const z = opcode & 7;
+    const p = y >> 1;
+    const q = y & 1;
+    let template = null;
+    
+    if (x === 0) {
+      if (z === 0) {
+        template = ['NOP', "EX AF,AF'", 'DJNZ {e}', 'JR {e}'][y] ?? `JR ${CONDITIONS[y - 4]},{e}`;
+      } else if (z === 1) {
+        template = q === 0 ? `LD ${PAIRS[p]},{nn}` : `ADD HL,${PAIRS[p]}`;
+      } else if (z === 2) {
+        template = q === 0
+          ? ['LD (BC),A', 'LD (DE),A', 'LD ({nn}),HL', 'LD ({nn}),A'][p]
+          : ['LD A,(BC)', 'LD A,(DE)', 'LD HL,({nn})', 'LD A,({nn})'][p];
+      } else if (z === 3) {
+        template = `${q === 0 ? 'INC' : 'DEC'} ${PAIRS[p]}`;
+      } else if (z === 4) {
+        template = `INC ${REGISTERS[y]}`;
+      } else if (z === 5) {
+        template = `DEC ${REGISTERS[y]}`;
+      } else if (z === 6) {
+        template = `LD ${REGISTERS[y]},{n}`;
+      } else {
+        template = ACCUMULATOR_OPS[y];
+      }
+    } else if (x === 1) {
+      template = opcode === 0x76 ? 'HALT' : `LD ${REGISTERS[y]},${REGISTERS[z]}`;
+    } else if (x === 2) {
+      template = ALU[y] + REGISTERS[z];
+    } else if (z === 0) {
+      template = `RET ${CONDITIONS[y]}`;
+    } else if (z === 1) {
+      template = q === 0 ? `POP ${PAIRS_AF[p]}` : ['RET', 'EXX', 'JP (HL)', 'LD SP,HL'][p];
+    } else if (z === 2) {
+      template = `JP ${CONDITIONS[y]},{nn}`;
+    } else if (z === 3) {
+      // 0xCB is a prefix and has no entry of its own
+      template = ['JP {nn}', null, 'OUT ({n}),A', 'IN A,({n})', 'EX (SP),HL', 'EX DE,HL', 'DI', 'EI'][y];
+    } else if (z === 4) {
+      template = `CALL ${CONDITIONS[y]},{nn}`;
+    } else if (z === 5) {
+      // 0xDD, 0xED and 0xFD are prefixes
+      template = q === 0 ? `PUSH ${PAIRS_AF[p]}` : (p === 0 ? 'CALL {nn}' : null);
+    } else if (z === 6) {
+      template = `${ALU[y]}{n}`;
+    } else {
+      template = `RST ${formatHex(y * 8)}`;
+    }
+    
+    table.push(template === null ? null : entry(template));
+  }
+  return table;
+};
+
+const buildCbTable = () => {
+  const table = [];
+  for (let opcode = 0; opcode < 256; opcode++) {
+    const x = opcode >> 6;
+    const y = (opcode >> 3) & 7;
+    const register = REGISTERS[opcode & 7];
+    
+    if (x === 0) {
+      table.push(entry(`${ROTATES[y]} ${register}`, { undocumented: y === 6 }));
+    } else {
+      table.push(entry(`${['BIT', 'RES', 'SET'][x - 1]} ${y},${register}`));
+    }
+  }
+  return table;
+};
+
+const buildEdTable = () => {
+  const table = new Array(256).fill(null);
+  for (let opcode = 0x40; opcode < 0x80; opcode++) {
+    const y = (opcode >> 3) & 7;
+    const z = opcode & 7;
+    const p = y >> 1;
+    const q = y & 1;
+    
+    if (z === 0) {
+      table[opcode] = y === 6 ? entry('IN F,(C)', { undocumented: true }) : entry(`IN ${REGISTERS[y]},(C)`);
+    } else if (z === 1) {
+      table[opcode] = y === 6 ? entry('OUT (C),0', { undocumented: true }) : entry(`OUT (C),${REGISTERS[y]}`);
+    } else if (z === 2) {
+      table[opcode] = entry(`${q === 0 ? 'SBC' : 'ADC'} HL,${PAIRS[p]}`);
+    } else if (z === 3) {
+      // The ED forms of LD (nn),HL and LD HL,(nn) duplicate the shorter 0x22/0x2A
+      const alias = p === 2;
+      table[opcode] = entry(q === 0 ? `LD ({nn}),${PAIRS[p]}` : `LD ${PAIRS[p]},({nn})`, { alias });
+    } else if (z === 4) {
+      table[opcode] = entry('NEG', { undocumented: y !== 0, alias: y !== 0 });
+    } else if (z === 5) {
+      const mirror = y !== 0 && y !== 1;
+      table[opcode] = entry(y === 1 ? 'RETI' : 'RETN', { undocumented: mirror, alias: mirror });
+    } else if (z === 6) {
+      // 66, 76 and 7E repeat the three modes; 4E and 6E select IM 0 as well
+      const mirror = y !== 0 && y !== 2 && y !== 3;
+      table[opcode] = entry(`IM ${[0, 0, 1, 2][y & 3]}`, { undocumented: mirror, alias: mirror });
+    } else if (y < 6) {
+      table[opcode] = entry(['LD I,A', 'LD R,A', 'LD A,I', 'LD A,R', 'RRD', 'RLD'][y]);
+    }
+  }
+  
+  BLOCK_OPS.forEach((row, y) => row.forEach((name, z) => {
+    table[0xA0 | (y << 3) | z] = entry(name);
+  }));
+  return table;
+};
+
+/**
+ * Derive the DD page from the unprefixed table: (HL) becomes (IX+d), HL becomes
+ * IX and, when neither appears, H and L become the undocumented IXH and IXL.
+ * Opcodes that do not involve HL are left out; the prefix is then ignored.
+ */
+const buildIndexTable = (mainTable) => mainTable.map((main, opcode) => {
+  if (!main || opcode === 0xEB || opcode === 0xD9) return null;
+  const { template } = main;
+  
+  if (opcode === 0xE9) return entry('JP (IX)');
+  if (template.includes('(HL)')) return entry(template.replace('(HL)', '(IX{d})'));
+  if (/\bHL\b/.test(template)) return entry(template.replace(/\bHL\b/g, 'IX'));
+  if (/\b[HL]\b/.test(template)) {
+    return entry(template.replace(/\b([HL])\b/g, (match, half) => `IX${half}`), { undocumented: true });
+  }
+  return null;
+});
+
+// DDCB page: every opcode operates on (IX+d); the register field, when not
+// 6, names a register that also receives the result (undocumented)
+const buildIndexCbTable = () => {
+  const table = [];
+  for (let opcode = 0; opcode < 256; opcode++) {
+    const x = opcode >> 6;
+    const y = (opcode >> 3) & 7;
+    const z = opcode & 7;
+    const copy = z === 6 ? '' : `,${REGISTERS[z]}`;
+    
+    if (x === 0) {
+      table.push(entry(`${ROTATES[y]} (IX{d})${copy}`, { undocumented: y === 6 || z !== 6 }));
+    } else if (x === 1) {
+      // BIT only reads, so the other register fields are plain duplicates
+      table.push(entry(`BIT ${y},(IX{d})`, { undocumented: z !== 6, alias: z !== 6 }));
+    } else {
+      table.push(entry(`${x === 2 ? 'RES' : 'SET'} ${y},(IX{d})${copy}`, { undocumented: z !== 6 }));
+    }
+  }
+  return table;
+};
+
+const MAIN_TABLE = buildMainTable();
+const CB_TABLE = buildCbTable();
+const ED_TABLE = buildEdTable();
+const INDEX_TABLE = buildIndexTable(MAIN_TABLE);
+const INDEX_CB_TABLE = buildIndexCbTable();
+
+const signed = (value) => (value & 0x80 ? value - 0x100 : value);
+
+// Control flow of an instruction, used by the debugger to follow jumps and
+// step over calls
+const classifyFlow = (mnemonic) => {
+  switch (mnemonic) {
+    case 'JP':
+    case 'JR':
+    case 'DJNZ':
+      return 'jump';
+    case 'CALL':
+    case 'RST':
+      return 'call';
+    case 'RET':
+    case 'RETI':
+    case 'RETN':
+      return 'return';
+    case 'HALT':
+      return 'halt';
+    default:
+      return REPEATING.includes(mnemonic) ? 'repeat' : null;
+  }
+};
+
+class Z80Disassembler {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.symbols] - Labels by name; addresses
+   *   that carry a label are shown by name
+   */
+  constructor({ symbols = {} } = {}) {
+    this.setSymbols(symbols);
+    
+    // Labels used while building a source listing, by name
+    this.referenced = null;
+  }
+  
+  /**
+   * Replace the known labels. When several labels share an address the first
+   * one that is not a dot-local or macro-local name wins.
+   * @param {Object<string, number>} symbols - Labels by name
+   */
+  setSymbols(symbols) {
+    this.labels = new Map();
+    const names = Object.keys(symbols).sort((a, b) => this.rankLabel(a) - this.rankLabel(b));
+    names.forEach(name => {
+      const address = symbols[name] & 0xFFFF;
+      if (!this.labels.has(address)) {
+        this.labels.set(address, name);
+      }
+    });
+  }
+  
+  // Prefer global labels over scoped ones (print.loop) and macro locals (loop__3)
+  rankLabel(name) {
+    return (name.includes('.') ? 1 : 0) + (name.includes('__') ? 2 : 0);
+  }
+  
+  labelAt(address) {
+    return this.labels.get(address & 0xFFFF) ?? null;
+  }
+  
+  formatAddress(address) {
+    const label = this.labelAt(address);
+    if (label === null) {
+      return formatHex(address & 0xFFFF, 4);
+    }
+    
+    if (this.referenced) {
+      this.referenced.set(label, address & 0xFFFF);
+    }
+    return label;
+  }
+  
+  /**
+   * Decode the instruction at an address.
+   * @param {function(number): number} readByte - Reads memory
+   * @param {number} address - Address of the first byte
+   * @returns {Object} { address, length, bytes, text, mnemonic, target, flow,
+   *   conditional, undocumented, alias } where target is the destination of a
+   *   jump, call or restart (null when it is not known statically) and flow is
+   *   'jump', 'call', 'return', 'halt', 'repeat' or null
+   */
+  decode(readByte, address) {
+    const bytes = [];
+    let pc = address & 0xFFFF;
+    const next = () => {
+      const value = readByte(pc) & 0xFF;
+      bytes.push(value);
+      pc = (pc + 1) & 0xFFFF;
+      return value;
+    };
+    
+    const opcode = next();
+    let index = null;
+    let displacement = null;
+    let found = null;
+    
+    if (opcode === 0xCB) {
+      found = CB_TABLE[next()];
+    } else if (opcode === 0xED) {
+      found = ED_TABLE[next()];
+    } else if (opcode === 0xDD || opcode === 0xFD) {
+      index = opcode === 0xDD ? 'IX' : 'IY';
+      const following = readByte(pc) & 0xFF;
+      if (following === 0xCB) {
+        next();
+        displacement = signed(next());
+        found = INDEX_CB_TABLE[next()];
+      } else if (INDEX_TABLE[following]) {
+        found = INDEX_TABLE[next()];
+      } else if (following !== 0xDD && following !== 0xFD) {
+        // The core runs the next instruction unprefixed as part of the same
+        // step, so the prefix is decoded with it
+        const inner = this.decode(readByte, pc);
+        const text = inner.mnemonic === 'DB'
+          ? `DB ${[opcode, ...inner.bytes].map(value => formatHex(value)).join(',')}`
+          : inner.text;
+        return this.result(address, [opcode, ...inner.bytes], text, { undocumented: true, alias: true }, inner.target);
+      }
+      // Otherwise another prefix follows and this one has no effect
+    } else {
+      found = MAIN_TABLE[opcode];
+    }
+    
+    if (!found) {
+      // An undefined ED opcode or a prefix with no effect
+      return this.result(address, bytes, `DB ${bytes.map(value => formatHex(value)).join(',')}`, {
+        undocumented: true,
+        alias: false,
+      });
+    }
+    
+    // IY is swapped in before the operands are, so labels keep their names
+    const template = index ? found.template.replace(/IX/g, index) : found.template;
+    let target = null;
+    const text = template.replace(/\{(nn|n|d|e)\}/g, (match, kind) => {
+      if (kind === 'n') {
+        return formatHex(next());
+      }
+      if (kind === 'nn') {
+        const low = next();
+        const value = low | (next() << 8);
+        target = value;
+        return this.formatAddress(value);
+      }
+      if (kind === 'd') {
+        if (displacement === null) {
+          displacement = signed(next());
+        }
+        return `${displacement < 0 ? '-' : '+'}${formatHex(Math.abs(displacement))}`;
+      }
+      const offset = signed(next());
+      target = (pc + offset) & 0xFFFF;
+      return this.formatAddress(target);
+    });
+    
+    const [mnemonic] = text.split(' ');
+    if (mnemonic === 'RST') {
+      target = parseInt(text.slice(4), 16);
+    }
+    
+    return this.result(address, bytes, text, found, target);
+  }
+  
+  result(address, bytes, text, { undocumented, alias }, target = null) {
+    const [mnemonic, operandText = ''] = text.split(' ');
+    const flow = mnemonic === 'DB' ? null : classifyFlow(mnemonic);
+    const conditional = mnemonic === 'DJNZ' ||
+      (['JP', 'JR', 'CALL', 'RET'].includes(mnemonic) && CONDITIONS.includes(operandText.split(',')[0]));
+    
+    return {
+      address: address & 0xFFFF,
+      length: bytes.length,
+      bytes,
+      text,
+      mnemonic,
+      // Only jumps, calls and restarts have a destination; JP (HL) has none
+      // that is known before it runs
+      target: flow === 'jump' || flow === 'call' ? target : null,
+      flow,
+      conditional,
+      undocumented,
+      alias,
+    };
+  }
+  
+  /**
+   * Decode consecutive instructions.
+   * @param {function(number): number} readByte - Reads memory
+   * @param {number} start - Address of the first instruction
+   * @param {number} end - Address after the last byte to decode (exclusive)
+   * @returns {Array<Object>} Decoded instructions as returned by decode()
+   */
+  disassemble(readByte, start, end) {
+    const instructions = [];
+    let address = start;
+    while (address < end) {
+      const instruction = this.decode(readByte, address);
+      instructions.push(instruction);
+      address += instruction.length;
+    }
+    return instructions;
+  }
+  
+  /**
+   * Decode the instructions surrounding an address. Code has no markers that
+   * show where an instruction starts, so the preceding lines come from the
+   * furthest start point whose decoding lands exactly on the address.
+   * @param {function(number): number} readByte - Reads memory
+   * @param {number} address - Address of an instruction
+   * @param {number} before - Number of instructions to show before it
+   * @param {number} count - Total number of instructions to return
+   * @returns {Array<Object>} Decoded instructions as returned by decode()
+   */
+  listAround(readByte, address, before, count) {
+    const anchor = address & 0xFFFF;
+    let preceding = [];
+    
+    for (let back = before * 4; back > 0; back--) {
+      if (anchor - back < 0) continue;
+      const candidate = this.disassemble(readByte, anchor - back, anchor);
+      const last = candidate[candidate.length - 1];
+      if (last.address + last.length === anchor) {
+        preceding = candidate.slice(-before);
+        break;
+      }
+    }
+    
+    const instructions = [...preceding];
+    let next = anchor;
+    while (instructions.length < count) {
+      const instruction = this.decode(readByte, next);
+      instructions.push(instruction);
+      next = (next + instruction.length) & 0xFFFF;
+    }
+    return instructions;
+  }
+  
+  /**
+   * Disassemble a memory range as source the assembler accepts. Jump and call
+   * targets inside the range that have no label are given one (L8005), labels
+   * used outside it become EQUs, and aliased encodings are written as DB so
+   * the bytes are reproduced exactly.
+   * @param {function(number): number} readByte - Reads memory
+   * @param {number} start - Address of the first instruction
+   * @param {number} end - Address after the last byte to decode (exclusive)
+   * @returns {string} Source text starting with an ORG
+   */
+  toSource(readByte, start, end) {
+    const knownLabels = this.labels;
+    this.labels = new Map(knownLabels);
+    this.referenced = new Map();
+    
+    let instructions = this.disassemble(readByte, start, end);
+    const starts = new Set(instructions.map(instruction => instruction.address));
+    const targets = instructions
+      .map(instruction => instruction.target)
+      .filter(target => target !== null && starts.has(target) && !this.labels.has(target));
+    if (targets.length > 0) {
+      targets.forEach(target => this.labels.set(target, `L${target.toString(16).padStart(4, '0').toUpperCase()}`));
+      this.referenced = new Map();
+      instructions = this.disassemble(readByte, start, end);
+    }
+    
+    const placed = new Set(instructions.map(instruction => this.labelAt(instruction.address)));
+    const lines = [...this.referenced]
+      .filter(([name]) => !placed.has(name))
+      .map(([name, value]) => `${name} EQU ${formatHex(value, 4)}`);
+    lines.push(`        ORG ${formatHex(start & 0xFFFF, 4)}`);
+    instructions.forEach(instruction => {
+      const label = this.labelAt(instruction.address);
+      if (label) {
+        lines.push(`${label}:`);
+      }
+      
+      const bytes = instruction.bytes.map(value => value.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+      const address = instruction.address.toString(16).padStart(4, '0').toUpperCase();
+      const text = instruction.alias
+        ? `DB ${instruction.bytes.map(value => formatHex(value)).join(',')}`
+        : instruction.text;
+      const note = instruction.alias ? `  ${instruction.text}` : '';
+      lines.push(`        ${text.padEnd(24)}; ${address}  ${bytes}${note}`);
+    });
+    
+    this.labels = knownLabels;
+    this.referenced = null;
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export default Z80Disassembler;
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Z80Disassembler from './Z80Disassembler.js';
+
+// Decode bytes placed at address 0
+const decode = (disassembler, bytes) => disassembler.decode(address => bytes[address] ?? 0, 0);
+
+test('FD instructions name IY without touching labels that contain IX', () => {
+  const disassembler = new Z80Disassembler({ symbols: { FIXUP: 0x4000 } });
+  
+  assert.equal(decode(disassembler, [0xFD, 0x21, 0x00, 0x40]).text, 'LD IY,FIXUP');
+  assert.equal(decode(disassembler, [0xDD, 0x21, 0x00, 0x40]).text, 'LD IX,FIXUP');
+  assert.equal(decode(disassembler, [0xFD, 0x2A, 0x00, 0x40]).text, 'LD IY,(FIXUP)');
+});
+
+test('a DD or FD prefix on an opcode without an index form is decoded with that opcode', () => {
+  const disassembler = new Z80Disassembler();
+  const call = decode(disassembler, [0xDD, 0xCD, 0x10, 0x00]);
+  
+  assert.equal(call.text, 'CALL 0010h');
+  assert.equal(call.length, 4);
+  assert.deepEqual(call.bytes, [0xDD, 0xCD, 0x10, 0x00]);
+  assert.equal(call.flow, 'call');
+  assert.equal(call.target, 0x0010);
+  assert.equal(call.undocumented, true);
+  
+  assert.equal(decode(disassembler, [0xFD, 0x18, 0xFE]).target, 0x0001);
+  assert.equal(decode(disassembler, [0xDD, 0xDD, 0x21, 0x00, 0x40]).text, 'DB 0DDh');
+});
@@ -0,0 +1,91 @@
+/**
+ * Z80 Flag Tables
+ *
+ * The F register is kept packed in one byte, and the flags an instruction
+ * produces are mostly looked up rather than computed bit by bit: sign, zero,
+ * parity and the undocumented X/Y copies by result byte, and the half carry
+ * and overflow of 8- and 16-bit arithmetic by the top bits of the nibbles
+ * involved.
+ */
+
+// Bits of F
+export const FLAG_C = 0x01;
+export const FLAG_N = 0x02;
+export const FLAG_PV = 0x04;
+export const FLAG_X = 0x08;
+export const FLAG_H = 0x10;
+export const FLAG_Y = 0x20;
+export const FLAG_Z = 0x40;
+export const FLAG_S = 0x80;
+
+// The undocumented copies of bits 3 and 5 of a result
+export const FLAGS_XY = FLAG_X | FLAG_Y;
+
+// Flags a documented-only F reads back: all but X and Y
+export const FLAGS_DOCUMENTED = 0xFF & ~FLAGS_XY;
+
+const byteTable = (compute) => Uint8Array.from({ length: 256 }, (_, value) => compute(value));
+
+// P/V when the byte has an even number of set bits
+export const PARITY = byteTable(value => {
+  let bits = value;
+  bits ^= bits >> 4;
+  bits ^= bits >> 2;
+  bits ^= bits >> 1;
+  return bits & 1 ? 0 : FLAG_PV;
+});
+
+// S and Z of a result
+export const SZ = byteTable(value => (value & FLAG_S) | (value === 0 ? FLAG_Z : 0));
+
+// S, Z, X and Y of a result
+export const SZXY = byteTable(value => SZ[value] | (value & FLAGS_XY));
+
+// S, Z, X, Y and parity of a result
+export const SZXYP = byteTable(value => SZXY[value] | PARITY[value]);
+
+// All flags but C after INC and DEC, by the result
+export const INC_FLAGS = byteTable(value =>
+  SZXY[value] | ((value & 0x0F) === 0 ? FLAG_H : 0) | (value === 0x80 ? FLAG_PV : 0));
+export const DEC_FLAGS = byteTable(value =>
+  SZXY[value] | FLAG_N | ((value & 0x0F) === 0x0F ? FLAG_H : 0) | (value === 0x7F ? FLAG_PV : 0));
+
+// Half carry and overflow of an addition or subtraction, indexed by
+// carryIndex(): bits 0-2 hold bit 3 of the two operands and the result (for
+// H), and bits 4-6 bit 7 of each (for P/V)
+export const HALF_CARRY_ADD = [0, FLAG_H, FLAG_H, FLAG_H, 0, 0, 0, FLAG_H];
+export const HALF_CARRY_SUB = [0, 0, FLAG_H, 0, FLAG_H, 0, FLAG_H, FLAG_H];
+export const OVERFLOW_ADD = [0, 0, 0, FLAG_PV, FLAG_PV, 0, 0, 0];
+export const OVERFLOW_SUB = [0, FLAG_PV, 0, 0, 0, 0, FLAG_PV, 0];
+
+export const carryIndex = (left, right, result) =>
+  ((left & 0x88) >> 3) | ((right & 0x88) >> 2) | ((result & 0x88) >> 1);
+
+// The same for 16-bit arithmetic, from bits 11 and 15
+export const carryIndex16 = (left, right, result) =>
+  ((left & 0x8800) >> 11) | ((right & 0x8800) >> 10) | ((result & 0x8800) >> 9);
+
+// Flag names of the register editors and breakpoint conditions, by bit
+const FLAG_BITS = { s: FLAG_S, z: FLAG_Z, h: FLAG_H, pv: FLAG_PV, n: FLAG_N, c: FLAG_C, x: FLAG_X, y: FLAG_Y };
+
+/**
+ * The flags of a packed F as an object of 0/1 properties (s, z, h, pv, n, c,
+ * x, y) that read and write the bits in place, for code that works with
+ * individual flags.
+ * @param {Object} registers - The register object
+ * @param {string} key - The packed register: 'f' or 'f_prime'
+ * @returns {Object}
+ */
+export const createFlagView = (registers, key) => {
+  const view = {};
+  Object.entries(FLAG_BITS).forEach(([name, bit]) => {
+    Object.defineProperty(view, name, {
+      enumerable: true,
+      get: () => (registers[key] & bit ? 1 : 0),
+      set: (value) => {
+        registers[key] = value ? registers[key] | bit : registers[key] & ~bit;
+      },
+    });
+  });
+  return view;
+};
@@ -0,0 +1,774 @@
+/**
+ * Z80 Opcode Dispatch Tables
+ *
+ * One handler per opcode for each prefix, decoded once when the module loads.
+ * Z80Core fetches an opcode, adds its T-states from Z80Timings.js and calls
+ * the handler the table holds for it, so executing an instruction costs an
+ * array lookup rather than a walk through range and mask tests. Each handler
+ * is specialized for its operands (the registers an LD r,r' copies, the flag
+ * a JP cc tests) and receives the core it runs on.
+ */
+
+import { CYCLES_MAIN, JR_TAKEN_EXTRA, RET_TAKEN_EXTRA, CALL_TAKEN_EXTRA } from './Z80Timings.js';
+import { FLAG_C, FLAG_N, FLAG_PV, FLAG_H, FLAG_Z, FLAG_S, FLAGS_XY, SZXY, SZXYP } from './Z80Flags.js';
+
+// 8-bit register operand encoding used throughout the instruction set (index 6 is (HL))
+export const REG8 = ['b', 'c', 'd', 'e', 'h', 'l', null, 'a'];
+
+// Flag tested by each condition code (NZ, Z, NC, C, PO, PE, P, M); odd
+// codes are taken when it is set
+export const CONDITION_FLAGS = [FLAG_Z, FLAG_Z, FLAG_C, FLAG_C, FLAG_PV, FLAG_PV, FLAG_S, FLAG_S];
+
+// Interrupt mode selected by IM, indexed by bits 3-4 of the ED opcode (46/4E, 56, 5E)
+const IM_MODES = [0, 0, 1, 2];
+
+// Flags the accumulator rotates and SCF/CCF leave alone
+const FLAGS_SZP = FLAG_S | FLAG_Z | FLAG_PV;
+
+const NOP = () => {};
+
+// Handlers that only run when undocumented behaviour is modelled, and are
+// NOPs otherwise
+const undocumentedOnly = (handler) => (cpu) => {
+  if (cpu.undocumented) handler(cpu);
+};
+
+// ADD, ADC, SUB, SBC, AND, XOR, OR and CP of A with a value
+export const ALU_OPERATIONS = [
+  (cpu, value) => cpu.add8(value, 0),
+  (cpu, value) => cpu.add8(value, cpu.registers.f & FLAG_C),
+  (cpu, value) => cpu.sub8(value, 0),
+  (cpu, value) => cpu.sub8(value, cpu.registers.f & FLAG_C),
+  (cpu, value) => cpu.logic8(cpu.registers.a & value, FLAG_H),
+  (cpu, value) => cpu.logic8(cpu.registers.a ^ value, 0),
+  (cpu, value) => cpu.logic8(cpu.registers.a | value, 0),
+  (cpu, value) => cpu.sub8(value, 0, false),
+];
+
+// The flag condition code cc tests, and its value when the condition holds
+const conditionTest = (cc) => [CONDITION_FLAGS[cc], cc & 1 ? CONDITION_FLAGS[cc] : 0];
+
+// LD r,r' and LD r,(HL) / LD (HL),r
+const decodeLoad = (y, z) => {
+  const to = REG8[y];
+  const from = REG8[z];
+  if (z === 6) {
+    return (cpu) => { cpu.registers[to] = cpu.readByte(cpu.getHL()); };
+  }
+  if (y === 6) {
+    return (cpu) => cpu.writeByte(cpu.getHL(), cpu.registers[from]);
+  }
+  return (cpu) => { cpu.registers[to] = cpu.registers[from]; };
+};
+
+// INC r / DEC r, including (HL)
+const decodeIncDec = (y, step) => {
+  if (y === 6) {
+    return (cpu) => {
+      const address = cpu.getHL();
+      cpu.writeByte(address, step(cpu, cpu.readByte(address)));
+    };
+  }
+  const name = REG8[y];
+  return (cpu) => { cpu.registers[name] = step(cpu, cpu.registers[name]); };
+};
+
+const increment = (cpu, value) => cpu.inc8(value);
+const decrement = (cpu, value) => cpu.dec8(value);
+
+// JR e, taken: the displacement was fetched by the caller
+const jumpRelative = (cpu, offset) => {
+  const regs = cpu.registers;
+  regs.pc = (regs.pc + offset) & 0xFFFF;
+  regs.wz = regs.pc;
+};
+
+const decodeMain = (opcode) => {
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  const pair = (opcode >> 4) & 3;
+  
+  // HALT (0x76) sits in the middle of the LD r,r' block
+  if (opcode === 0x76) {
+    return (cpu) => { cpu.halted = true; };
+  }
+  
+  // LD r,r' (0x40-0x7F)
+  if (opcode >= 0x40 && opcode <= 0x7F) {
+    return decodeLoad(y, z);
+  }
+  
+  // ADD/ADC/SUB/SBC/AND/XOR/OR/CP r (0x80-0xBF)
+  if (opcode >= 0x80 && opcode <= 0xBF) {
+    const operation = ALU_OPERATIONS[y];
+    if (z === 6) {
+      return (cpu) => operation(cpu, cpu.readByte(cpu.getHL()));
+    }
+    const name = REG8[z];
+    return (cpu) => operation(cpu, cpu.registers[name]);
+  }
+  
+  // LD r,n
+  if ((opcode & 0xC7) === 0x06) {
+    if (y === 6) {
+      return (cpu) => {
+        const value = cpu.fetchByte();
+        cpu.writeByte(cpu.getHL(), value);
+      };
+    }
+    const name = REG8[y];
+    return (cpu) => { cpu.registers[name] = cpu.fetchByte(); };
+  }
+  
+  // INC r / DEC r
+  if ((opcode & 0xC7) === 0x04) return decodeIncDec(y, increment);
+  if ((opcode & 0xC7) === 0x05) return decodeIncDec(y, decrement);
+  
+  // LD rr,nn
+  if ((opcode & 0xCF) === 0x01) {
+    return (cpu) => cpu.setRP(pair, cpu.fetchWord());
+  }
+  
+  // ADD HL,rr
+  if ((opcode & 0xCF) === 0x09) {
+    return (cpu) => cpu.setHL(cpu.add16(cpu.getHL(), cpu.getRP(pair)));
+  }
+  
+  // INC rr / DEC rr
+  if ((opcode & 0xC7) === 0x03) {
+    const delta = opcode & 0x08 ? -1 : 1;
+    return (cpu) => cpu.setRP(pair, (cpu.getRP(pair) + delta) & 0xFFFF);
+  }
+  
+  const [flag, expected] = conditionTest(y);
+  
+  // RET cc
+  if ((opcode & 0xC7) === 0xC0) {
+    return (cpu) => {
+      const regs = cpu.registers;
+      if ((regs.f & flag) === expected) {
+        regs.pc = cpu.popStack();
+        regs.wz = regs.pc;
+        cpu.tstates += RET_TAKEN_EXTRA;
+      }
+    };
+  }
+  
+  // JP cc,nn
+  if ((opcode & 0xC7) === 0xC2) {
+    return (cpu) => {
+      const regs = cpu.registers;
+      const address = cpu.fetchWord();
+      regs.wz = address;
+      if ((regs.f & flag) === expected) {
+        regs.pc = address;
+      }
+    };
+  }
+  
+  // CALL cc,nn
+  if ((opcode & 0xC7) === 0xC4) {
+    return (cpu) => {
+      const regs = cpu.registers;
+      const address = cpu.fetchWord();
+      regs.wz = address;
+      if ((regs.f & flag) === expected) {
+        cpu.pushStack(regs.pc);
+        regs.pc = address;
+        cpu.tstates += CALL_TAKEN_EXTRA;
+      }
+    };
+  }
+  
+  // POP rr / PUSH rr
+  if ((opcode & 0xCF) === 0xC1) {
+    return (cpu) => cpu.setRP2(pair, cpu.popStack());
+  }
+  if ((opcode & 0xCF) === 0xC5) {
+    return (cpu) => cpu.pushStack(cpu.getRP2(pair));
+  }
+  
+  // ADD/ADC/SUB/SBC/AND/XOR/OR/CP n
+  if ((opcode & 0xC7) === 0xC6) {
+    const operation = ALU_OPERATIONS[y];
+    return (cpu) => operation(cpu, cpu.fetchByte());
+  }
+  
+  // RST p
+  if ((opcode & 0xC7) === 0xC7) {
+    return (cpu) => {
+      const regs = cpu.registers;
+      cpu.pushStack(regs.pc);
+      regs.pc = opcode & 0x38;
+      regs.wz = regs.pc;
+    };
+  }
+  
+  switch (opcode) {
+    case 0x02: // LD (BC),A
+    case 0x12: // LD (DE),A
+      return (cpu) => {
+        const regs = cpu.registers;
+        const address = opcode === 0x02 ? cpu.getBC() : cpu.getDE();
+        cpu.writeByte(address, regs.a);
+        regs.wz = (regs.a << 8) | ((address + 1) & 0xFF);
+      };
+    case 0x0A: // LD A,(BC)
+    case 0x1A: // LD A,(DE)
+      return (cpu) => {
+        const regs = cpu.registers;
+        const address = opcode === 0x0A ? cpu.getBC() : cpu.getDE();
+        regs.a = cpu.readByte(address);
+        regs.wz = (address + 1) & 0xFFFF;
+      };
+    case 0x22: // LD (nn),HL
+      return (cpu) => {
+        const address = cpu.fetchWord();
+        cpu.writeWord(address, cpu.getHL());
+        cpu.registers.wz = (address + 1) & 0xFFFF;
+      };
+    case 0x2A: // LD HL,(nn)
+      return (cpu) => {
+        const address = cpu.fetchWord();
+        cpu.setHL(cpu.readWord(address));
+        cpu.registers.wz = (address + 1) & 0xFFFF;
+      };
+    case 0x32: // LD (nn),A
+      return (cpu) => {
+        const regs = cpu.registers;
+        const address = cpu.fetchWord();
+        cpu.writeByte(address, regs.a);
+        regs.wz = (regs.a << 8) | ((address + 1) & 0xFF);
+      };
+    case 0x3A: // LD A,(nn)
+      return (cpu) => {
+        const regs = cpu.registers;
+        const address = cpu.fetchWord();
+        regs.a = cpu.readByte(address);
+        regs.wz = (address + 1) & 0xFFFF;
+      };
+    
+    // RLCA/RRCA/RLA/RRA only touch H, N and C (and X/Y)
+    case 0x07: // RLCA
+      return (cpu) => {
+        const regs = cpu.registers;
+        const carry = regs.a >> 7;
+        regs.a = ((regs.a << 1) | carry) & 0xFF;
+        regs.f = (regs.f & FLAGS_SZP) | (regs.a & FLAGS_XY) | carry;
+      };
+    case 0x0F: // RRCA
+      return (cpu) => {
+        const regs = cpu.registers;
+        const carry = regs.a & 1;
+        regs.a = (regs.a >> 1) | (carry << 7);
+        regs.f = (regs.f & FLAGS_SZP) | (regs.a & FLAGS_XY) | carry;
+      };
+    case 0x17: // RLA
+      return (cpu) => {
+        const regs = cpu.registers;
+        const carry = regs.a >> 7;
+        regs.a = ((regs.a << 1) | (regs.f & FLAG_C)) & 0xFF;
+        regs.f = (regs.f & FLAGS_SZP) | (regs.a & FLAGS_XY) | carry;
+      };
+    case 0x1F: // RRA
+      return (cpu) => {
+        const regs = cpu.registers;
+        const carry = regs.a & 1;
+        regs.a = (regs.a >> 1) | ((regs.f & FLAG_C) << 7);
+        regs.f = (regs.f & FLAGS_SZP) | (regs.a & FLAGS_XY) | carry;
+      };
+    
+    case 0x08: // EX AF,AF'
+      return (cpu) => cpu.exchangeAF();
+    
+    case 0x10: // DJNZ e
+      return (cpu) => {
+        const regs = cpu.registers;
+        const offset = cpu.fetchDisplacement();
+        regs.b = (regs.b - 1) & 0xFF;
+        if (regs.b !== 0) {
+          jumpRelative(cpu, offset);
+          cpu.tstates += JR_TAKEN_EXTRA;
+        }
+      };
+    case 0x18: // JR e
+      return (cpu) => jumpRelative(cpu, cpu.fetchDisplacement());
+    case 0x20: // JR NZ,e
+    case 0x28: // JR Z,e
+    case 0x30: // JR NC,e
+    case 0x38: { // JR C,e
+      const [jrFlag, jrExpected] = conditionTest(y & 3);
+      return (cpu) => {
+        const offset = cpu.fetchDisplacement();
+        if ((cpu.registers.f & jrFlag) === jrExpected) {
+          jumpRelative(cpu, offset);
+          cpu.tstates += JR_TAKEN_EXTRA;
+        }
+      };
+    }
+    
+    case 0x27: // DAA
+      return (cpu) => cpu.daa();
+    case 0x2F: // CPL
+      return (cpu) => {
+        const regs = cpu.registers;
+        regs.a = ~regs.a & 0xFF;
+        regs.f = (regs.f & (FLAGS_SZP | FLAG_C)) | FLAG_H | FLAG_N | (regs.a & FLAGS_XY);
+      };
+    case 0x37: // SCF
+      return (cpu) => {
+        const regs = cpu.registers;
+        regs.f = (regs.f & FLAGS_SZP) | FLAG_C | (regs.a & FLAGS_XY);
+      };
+    case 0x3F: // CCF: H takes the old carry
+      return (cpu) => {
+        const regs = cpu.registers;
+        const carry = regs.f & FLAG_C;
+        regs.f = (regs.f & FLAGS_SZP) | (carry ? FLAG_H : FLAG_C) | (regs.a & FLAGS_XY);
+      };
+    
+    case 0xC3: // JP nn
+      return (cpu) => {
+        const regs = cpu.registers;
+        regs.pc = cpu.fetchWord();
+        regs.wz = regs.pc;
+      };
+    case 0xC9: // RET
+      return (cpu) => {
+        const regs = cpu.registers;
+        regs.pc = cpu.popStack();
+        regs.wz = regs.pc;
+      };
+    case 0xCD: // CALL nn
+      return (cpu) => {
+        const regs = cpu.registers;
+        const address = cpu.fetchWord();
+        cpu.pushStack(regs.pc);
+        regs.pc = address;
+        regs.wz = address;
+      };
+    
+    case 0xD3: // OUT (n),A
+      return (cpu) => {
+        const regs = cpu.registers;
+        const n = cpu.fetchByte();
+        cpu.writePort((regs.a << 8) | n, regs.a);
+        regs.wz = (regs.a << 8) | ((n + 1) & 0xFF);
+      };
+    case 0xDB: // IN A,(n)
+      return (cpu) => {
+        const regs = cpu.registers;
+        const port = (regs.a << 8) | cpu.fetchByte();
+        regs.a = cpu.readPort(port);
+        regs.wz = (port + 1) & 0xFFFF;
+      };
+    
+    case 0xD9: // EXX
+      return (cpu) => cpu.exchangeBCDEHL();
+    case 0xE3: // EX (SP),HL
+      return (cpu) => {
+        const regs = cpu.registers;
+        const value = cpu.readWord(regs.sp);
+        cpu.writeWord(regs.sp, cpu.getHL());
+        cpu.setHL(value);
+        regs.wz = value;
+      };
+    case 0xE9: // JP (HL)
+      return (cpu) => { cpu.registers.pc = cpu.getHL(); };
+    case 0xEB: // EX DE,HL
+      return (cpu) => {
+        const de = cpu.getDE();
+        cpu.setDE(cpu.getHL());
+        cpu.setHL(de);
+      };
+    case 0xF9: // LD SP,HL
+      return (cpu) => { cpu.registers.sp = cpu.getHL(); };
+    
+    case 0xF3: // DI
+      return (cpu) => {
+        cpu.iff1 = false;
+        cpu.iff2 = false;
+      };
+    case 0xFB: // EI (interrupts are only accepted after the following instruction)
+      return (cpu) => {
+        cpu.iff1 = true;
+        cpu.iff2 = true;
+        cpu.eiDelay = true;
+      };
+    
+    case 0xCB:
+      return (cpu) => cpu.executeCB();
+    case 0xED:
+      return (cpu) => cpu.executeED();
+    case 0xDD:
+      return (cpu) => cpu.executeIndexed('ix');
+    case 0xFD:
+      return (cpu) => cpu.executeIndexed('iy');
+    
+    default: // NOP
+      return NOP;
+  }
+};
+
+// CB prefix: rotates, shifts and bit operations
+const decodeCB = (opcode) => {
+  const bit = (opcode >> 3) & 7;
+  const index = opcode & 7;
+  const name = REG8[index];
+  
+  // Read, change and write back the operand
+  const modify = (change) => {
+    if (index === 6) {
+      return (cpu) => {
+        const address = cpu.getHL();
+        cpu.writeByte(address, change(cpu, cpu.readByte(address)));
+      };
+    }
+    return (cpu) => { cpu.registers[name] = change(cpu, cpu.registers[name]); };
+  };
+  
+  switch (opcode >> 6) {
+    case 0:
+      return modify((cpu, value) => cpu.rotateShift(bit, value));
+    case 1:
+      // X/Y come from the high byte of WZ for (HL)
+      if (index === 6) {
+        return (cpu) => cpu.bitTest(bit, cpu.readByte(cpu.getHL()), cpu.registers.wz >> 8);
+      }
+      return (cpu) => {
+        const value = cpu.registers[name];
+        cpu.bitTest(bit, value, value);
+      };
+    case 2: {
+      const mask = ~(1 << bit) & 0xFF;
+      return modify((cpu, value) => value & mask);
+    }
+    default:
+      return modify((cpu, value) => value | (1 << bit));
+  }
+};
+
+// NEG: A is subtracted from 0
+const negate = (cpu) => {
+  const value = cpu.registers.a;
+  cpu.registers.a = 0;
+  cpu.sub8(value);
+};
+
+// ED 40-7F: I/O through C, 16-bit arithmetic and loads, NEG, RETN, IM and
+// the I/R/RRD/RLD group
+const decodeEDMisc = (opcode) => {
+  const y = (opcode >> 3) & 7;
+  const pair = y >> 1;
+  const name = REG8[y];
+  
+  switch (opcode & 7) {
+    case 0: // IN r,(C); ED 70 is the undocumented IN (C) that only sets flags
+      if (y === 6) {
+        return undocumentedOnly((cpu) => {
+          cpu.inWithFlags(cpu.getBC());
+          cpu.registers.wz = (cpu.getBC() + 1) & 0xFFFF;
+        });
+      }
+      return (cpu) => {
+        const regs = cpu.registers;
+        const value = cpu.inWithFlags(cpu.getBC());
+        regs.wz = (cpu.getBC() + 1) & 0xFFFF;
+        regs[name] = value;
+      };
+    case 1: // OUT (C),r; ED 71 is the undocumented OUT (C),0
+      if (y === 6) {
+        return undocumentedOnly((cpu) => {
+          cpu.writePort(cpu.getBC(), 0);
+          cpu.registers.wz = (cpu.getBC() + 1) & 0xFFFF;
+        });
+      }
+      return (cpu) => {
+        cpu.writePort(cpu.getBC(), cpu.registers[name]);
+        cpu.registers.wz = (cpu.getBC() + 1) & 0xFFFF;
+      };
+    case 2: // SBC HL,rr / ADC HL,rr
+      if (y & 1) {
+        return (cpu) => cpu.adc16(cpu.getRP(pair));
+      }
+      return (cpu) => cpu.sbc16(cpu.getRP(pair));
+    case 3: // LD (nn),rr / LD rr,(nn)
+      if (y & 1) {
+        return (cpu) => {
+          const address = cpu.fetchWord();
+          cpu.setRP(pair, cpu.readWord(address));
+          cpu.registers.wz = (address + 1) & 0xFFFF;
+        };
+      }
+      return (cpu) => {
+        const address = cpu.fetchWord();
+        cpu.writeWord(address, cpu.getRP(pair));
+        cpu.registers.wz = (address + 1) & 0xFFFF;
+      };
+    case 4: // NEG (ED 44; the other encodings are undocumented mirrors)
+      return opcode === 0x44 ? negate : undocumentedOnly(negate);
+    case 5: { // RETN / RETI (ED 45 / ED 4D; the others are undocumented RETN mirrors)
+      const handler = (cpu) => {
+        const regs = cpu.registers;
+        regs.pc = cpu.popStack();
+        regs.wz = regs.pc;
+        cpu.iff1 = cpu.iff2;
+        if (opcode === 0x4D && cpu.onReti) {
+          cpu.onReti();
+        }
+      };
+      return opcode === 0x45 || opcode === 0x4D ? handler : undocumentedOnly(handler);
+    }
+    case 6: { // IM 0/1/2 (the undocumented mirrors select the same mode as their column)
+      const mode = IM_MODES[y & 3];
+      const handler = (cpu) => { cpu.interruptMode = mode; };
+      return opcode === 0x46 || opcode === 0x56 || opcode === 0x5E ? handler : undocumentedOnly(handler);
+    }
+    default:
+      break;
+  }
+  
+  switch (opcode) {
+    case 0x47: // LD I,A
+      return (cpu) => { cpu.registers.i = cpu.registers.a; };
+    case 0x4F: // LD R,A
+      return (cpu) => { cpu.registers.r = cpu.registers.a; };
+    case 0x57: // LD A,I
+    case 0x5F: // LD A,R
+      return (cpu) => {
+        const regs = cpu.registers;
+        regs.a = opcode === 0x57 ? regs.i : regs.r;
+        regs.f = (regs.f & FLAG_C) | SZXY[regs.a] | (cpu.iff2 ? FLAG_PV : 0);
+      };
+    case 0x67: // RRD
+      return (cpu) => {
+        const regs = cpu.registers;
+        const value = cpu.readByte(cpu.getHL());
+        cpu.writeByte(cpu.getHL(), (regs.a << 4) | (value >> 4));
+        regs.a = (regs.a & 0xF0) | (value & 0x0F);
+        regs.f = (regs.f & FLAG_C) | SZXYP[regs.a];
+        regs.wz = (cpu.getHL() + 1) & 0xFFFF;
+      };
+    case 0x6F: // RLD
+      return (cpu) => {
+        const regs = cpu.registers;
+        const value = cpu.readByte(cpu.getHL());
+        cpu.writeByte(cpu.getHL(), (value << 4) | (regs.a & 0x0F));
+        regs.a = (regs.a & 0xF0) | (value >> 4);
+        regs.f = (regs.f & FLAG_C) | SZXYP[regs.a];
+        regs.wz = (cpu.getHL() + 1) & 0xFFFF;
+      };
+    default:
+      return NOP;
+  }
+};
+
+// ED prefix: extended instructions
+const decodeED = (opcode) => {
+  if (opcode >= 0x40 && opcode <= 0x7F) {
+    return decodeEDMisc(opcode);
+  }
+  
+  // Block transfer, compare and I/O (0xA0-0xA3, 0xA8-0xAB, 0xB0-0xB3, 0xB8-0xBB)
+  if ((opcode & 0xE4) === 0xA0) {
+    const decrement = (opcode & 0x08) !== 0;
+    const repeat = (opcode & 0x10) !== 0;
+    switch (opcode & 3) {
+      case 0: return (cpu) => cpu.blockLoad(decrement, repeat);
+      case 1: return (cpu) => cpu.blockCompare(decrement, repeat);
+      case 2: return (cpu) => cpu.blockIn(decrement, repeat);
+      default: return (cpu) => cpu.blockOut(decrement, repeat);
+    }
+  }
+  
+  // Every other ED opcode behaves as a NOP
+  return NOP;
+};
+
+const isHalf = (index) => index === 4 || index === 5;
+
+// Undocumented IXH/IXL/IYH/IYL forms of the H/L instructions, or null when
+// the opcode does not involve H or L
+const decodeIndexHalf = (opcode) => {
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  
+  // LD r,r' (the (HL) forms are (IX+d) forms)
+  if (opcode >= 0x40 && opcode <= 0x7F) {
+    if (!isHalf(y) && !isHalf(z)) return null;
+    return (cpu, indexReg) => cpu.setIndexReg8(indexReg, y, cpu.getIndexReg8(indexReg, z));
+  }
+  
+  // ALU A,IXH / A,IXL
+  if (opcode >= 0x80 && opcode <= 0xBF) {
+    if (!isHalf(z)) return null;
+    const operation = ALU_OPERATIONS[y];
+    return (cpu, indexReg) => operation(cpu, cpu.getIndexReg8(indexReg, z));
+  }
+  
+  if (!isHalf(y)) return null;
+  
+  switch (opcode & 0xC7) {
+    case 0x04: // INC IXH / INC IXL
+      return (cpu, indexReg) => cpu.setIndexReg8(indexReg, y, cpu.inc8(cpu.getIndexReg8(indexReg, y)));
+    case 0x05: // DEC IXH / DEC IXL
+      return (cpu, indexReg) => cpu.setIndexReg8(indexReg, y, cpu.dec8(cpu.getIndexReg8(indexReg, y)));
+    case 0x06: // LD IXH,n / LD IXL,n
+      return (cpu, indexReg) => cpu.setIndexReg8(indexReg, y, cpu.fetchByte());
+    default:
+      return null;
+  }
+};
+
+// DD/FD prefix: HL is replaced by IX/IY and (HL) by (IX+d)/(IY+d). Handlers
+// take the name of the index register.
+const decodeIndexed = (opcode) => {
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  
+  // LD r,(IX+d)
+  if ((opcode & 0xC7) === 0x46 && opcode !== 0x76) {
+    const name = REG8[y];
+    return (cpu, indexReg) => {
+      const address = cpu.indexedAddress(indexReg);
+      cpu.registers[name] = cpu.readByte(address);
+    };
+  }
+  
+  // LD (IX+d),r
+  if ((opcode & 0xF8) === 0x70 && opcode !== 0x76) {
+    const name = REG8[z];
+    return (cpu, indexReg) => {
+      const address = cpu.indexedAddress(indexReg);
+      cpu.writeByte(address, cpu.registers[name]);
+    };
+  }
+  
+  // ADD/ADC/SUB/SBC/AND/XOR/OR/CP (IX+d)
+  if ((opcode & 0xC7) === 0x86) {
+    const operation = ALU_OPERATIONS[y];
+    return (cpu, indexReg) => {
+      const address = cpu.indexedAddress(indexReg);
+      operation(cpu, cpu.readByte(address));
+    };
+  }
+  
+  // ADD IX,rr (rr = BC, DE, IX, SP)
+  if ((opcode & 0xCF) === 0x09) {
+    const pair = (opcode >> 4) & 3;
+    return (cpu, indexReg) => {
+      const regs = cpu.registers;
+      const value = pair === 2 ? regs[indexReg] : cpu.getRP(pair);
+      regs[indexReg] = cpu.add16(regs[indexReg], value);
+    };
+  }
+  
+  switch (opcode) {
+    case 0x21: // LD IX,nn
+      return (cpu, indexReg) => { cpu.registers[indexReg] = cpu.fetchWord(); };
+    case 0x22: // LD (nn),IX
+      return (cpu, indexReg) => {
+        const address = cpu.fetchWord();
+        cpu.writeWord(address, cpu.registers[indexReg]);
+        cpu.registers.wz = (address + 1) & 0xFFFF;
+      };
+    case 0x2A: // LD IX,(nn)
+      return (cpu, indexReg) => {
+        const address = cpu.fetchWord();
+        cpu.registers[indexReg] = cpu.readWord(address);
+        cpu.registers.wz = (address + 1) & 0xFFFF;
+      };
+    case 0x23: // INC IX
+      return (cpu, indexReg) => { cpu.registers[indexReg] = (cpu.registers[indexReg] + 1) & 0xFFFF; };
+    case 0x2B: // DEC IX
+      return (cpu, indexReg) => { cpu.registers[indexReg] = (cpu.registers[indexReg] - 1) & 0xFFFF; };
+    case 0x34: // INC (IX+d)
+      return (cpu, indexReg) => {
+        const address = cpu.indexedAddress(indexReg);
+        cpu.writeByte(address, cpu.inc8(cpu.readByte(address)));
+      };
+    case 0x35: // DEC (IX+d)
+      return (cpu, indexReg) => {
+        const address = cpu.indexedAddress(indexReg);
+        cpu.writeByte(address, cpu.dec8(cpu.readByte(address)));
+      };
+    case 0x36: // LD (IX+d),n
+      return (cpu, indexReg) => {
+        const address = cpu.indexedAddress(indexReg);
+        cpu.writeByte(address, cpu.fetchByte());
+      };
+    case 0xE1: // POP IX
+      return (cpu, indexReg) => { cpu.registers[indexReg] = cpu.popStack(); };
+    case 0xE5: // PUSH IX
+      return (cpu, indexReg) => cpu.pushStack(cpu.registers[indexReg]);
+    case 0xE3: // EX (SP),IX
+      return (cpu, indexReg) => {
+        const regs = cpu.registers;
+        const value = cpu.readWord(regs.sp);
+        cpu.writeWord(regs.sp, regs[indexReg]);
+        regs[indexReg] = value;
+        regs.wz = value;
+      };
+    case 0xE9: // JP (IX)
+      return (cpu, indexReg) => { cpu.registers.pc = cpu.registers[indexReg]; };
+    case 0xF9: // LD SP,IX
+      return (cpu, indexReg) => { cpu.registers.sp = cpu.registers[indexReg]; };
+    case 0xCB:
+      return (cpu, indexReg) => cpu.executeIndexedCB(indexReg);
+    default:
+      break;
+  }
+  
+  // The prefix has no effect on opcodes that do not use HL
+  const unprefixed = (cpu) => cpu.executeInstruction(opcode);
+  const half = decodeIndexHalf(opcode);
+  if (!half) return unprefixed;
+  
+  return (cpu, indexReg) => {
+    if (cpu.undocumented) {
+      half(cpu, indexReg);
+      cpu.tstates += CYCLES_MAIN[opcode];
+    } else {
+      unprefixed(cpu);
+    }
+  };
+};
+
+// DDCB/FDCB: every operation targets (IX+d), whose address and byte the
+// caller passes in. In undocumented mode the result is also copied into the
+// register named by bits 0-2.
+const decodeIndexedCB = (opcode) => {
+  const bit = (opcode >> 3) & 7;
+  const index = opcode & 7;
+  const name = REG8[index];
+  
+  // Write the result back, and copy it for the undocumented forms
+  const modify = (change) => (cpu, address, value) => {
+    const result = change(cpu, value);
+    cpu.writeByte(address, result);
+    if (index !== 6 && cpu.undocumented) {
+      cpu.registers[name] = result;
+    }
+  };
+  
+  switch (opcode >> 6) {
+    case 0:
+      return modify((cpu, value) => cpu.rotateShift(bit, value));
+    case 1:
+      return (cpu, address, value) => cpu.bitTest(bit, value, address >> 8);
+    case 2: {
+      const mask = ~(1 << bit) & 0xFF;
+      return modify((cpu, value) => value & mask);
+    }
+    default:
+      return modify((cpu, value) => value | (1 << bit));
+  }
+};
+
+const buildTable = (decode) => Array.from({ length: 256 }, (_, opcode) => decode(opcode));
+
+export const MAIN_OPCODES = buildTable(decodeMain);
+export const CB_OPCODES = buildTable(decodeCB);
+export const ED_OPCODES = buildTable(decodeED);
+export const INDEXED_OPCODES = buildTable(decodeIndexed);
+export const INDEXED_CB_OPCODES = buildTable(decodeIndexedCB);
@@ -0,0 +1,98 @@
+/**
+ * Z80 Instruction Timings
+ *
+ * T-state tables for every opcode, indexed by the opcode byte that follows
+ * the prefix. Conditional instructions list their "not taken" timing; the
+ * extra T-states for a taken branch or a repeating block instruction are
+ * exported separately and added by Z80Core when the condition holds.
+ */
+
+// Unprefixed opcodes (the CB, DD, ED and FD prefixes are timed by their own tables)
+export const CYCLES_MAIN = new Uint8Array([
+  // 0   1   2   3   4   5   6   7   8   9   A   B   C   D   E   F
+     4, 10,  7,  6,  4,  4,  7,  4,  4, 11,  7,  6,  4,  4,  7,  4, // 0x00
+     8, 10,  7,  6,  4,  4,  7,  4, 12, 11,  7,  6,  4,  4,  7,  4, // 0x10
+     7, 10, 16,  6,  4,  4,  7,  4,  7, 11, 16,  6,  4,  4,  7,  4, // 0x20
+     7, 10, 13,  6, 11, 11, 10,  4,  7, 11, 13,  6,  4,  4,  7,  4, // 0x30
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x40
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x50
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x60
+     7,  7,  7,  7,  7,  7,  4,  7,  4,  4,  4,  4,  4,  4,  7,  4, // 0x70
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x80
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x90
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0xA0
+     4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0xB0
+     5, 10, 10, 10, 10, 11,  7, 11,  5, 10, 10,  0, 10, 17,  7, 11, // 0xC0
+     5, 10, 10, 11, 10, 11,  7, 11,  5,  4, 10, 11, 10,  0,  7, 11, // 0xD0
+     5, 10, 10, 19, 10, 11,  7, 11,  5,  4, 10,  4, 10,  0,  7, 11, // 0xE0
+     5, 10, 10,  4, 10, 11,  7, 11,  5,  6, 10,  4, 10,  0,  7, 11, // 0xF0
+]);
+
+// CB-prefixed opcodes, including the prefix fetch
+export const CYCLES_CB = new Uint8Array(256).map((_, opcode) => {
+  if ((opcode & 7) !== 6) return 8;
+  return (opcode & 0xC0) === 0x40 ? 12 : 15;
+});
+
+// ED-prefixed opcodes, including the prefix fetch (undefined opcodes are 8 T-state NOPs)
+export const CYCLES_ED = new Uint8Array(256).map((_, opcode) => {
+  if (opcode >= 0x40 && opcode <= 0x7F) {
+    if (opcode === 0x67 || opcode === 0x6F) return 18; // RRD / RLD
+    if (opcode === 0x77 || opcode === 0x7F) return 8;
+    // IN r,(C), OUT (C),r, SBC/ADC HL, LD (nn)/rr, NEG, RETN/RETI, IM, LD I/R
+    return [12, 12, 15, 20, 8, 14, 8, 9][opcode & 7];
+  }
+  // Block instructions (the repeating forms add REPEAT_EXTRA while repeating)
+  if ((opcode & 0xE4) === 0xA0) return 16;
+  return 8;
+});
+
+// DD/FD-prefixed opcodes, including the prefix fetch. Opcodes that do not use
+// IX/IY cost 4 T-states for the prefix plus their unprefixed timing, and the
+// DDCB/FDCB forms are timed by CYCLES_INDEXED_CB.
+export const CYCLES_INDEXED = new Uint8Array(256).map((_, opcode) => {
+  if ((opcode & 0xCF) === 0x09) return 15; // ADD IX,rr
+  if ((opcode & 0xC7) === 0x46 && opcode !== 0x76) return 19; // LD r,(IX+d)
+  if ((opcode & 0xF8) === 0x70 && opcode !== 0x76) return 19; // LD (IX+d),r
+  if ((opcode & 0xC7) === 0x86) return 19; // ALU (IX+d)
+
+  switch (opcode) {
+    case 0x21: return 14; // LD IX,nn
+    case 0x22: return 20; // LD (nn),IX
+    case 0x2A: return 20; // LD IX,(nn)
+    case 0x23: return 10; // INC IX
+    case 0x2B: return 10; // DEC IX
+    case 0x34: return 23; // INC (IX+d)
+    case 0x35: return 23; // DEC (IX+d)
+    case 0x36: return 19; // LD (IX+d),n
+    case 0xE1: return 14; // POP IX
+    case 0xE3: return 23; // EX (SP),IX
+    case 0xE5: return 15; // PUSH IX
+    case 0xE9: return 8; // JP (IX)
+    case 0xF9: return 10; // LD SP,IX
+    case 0xCB: return 0;
+    default: return 4;
+  }
+});
+
+// DDCB/FDCB opcodes, including both prefix bytes and the displacement
+export const CYCLES_INDEXED_CB = new Uint8Array(256).map((_, opcode) =>
+  (opcode & 0xC0) === 0x40 ? 20 : 23
+);
+
+// Extra T-states when a conditional instruction takes its branch
+export const JR_TAKEN_EXTRA = 5; // JR cc and DJNZ
+export const RET_TAKEN_EXTRA = 6;
+export const CALL_TAKEN_EXTRA = 7;
+
+// Extra T-states for each iteration of LDIR/CPIR/INIR/OTIR (and the decrementing forms) that repeats
+export const REPEAT_EXTRA = 5;
+
+// A HALTed CPU keeps executing NOPs
+export const HALT_CYCLES = 4;
+
+// Interrupt acknowledge: NMI, IM 0 (added to the timing of the opcode on the bus), IM 1 and IM 2
+export const NMI_CYCLES = 11;
+export const IM0_EXTRA = 2;
+export const IM1_CYCLES = 13;
+export const IM2_CYCLES = 19;